@@ -3,6 +3,8 @@
  * @module charms/assert
  */
 const BaseCharm = require('./BaseCharm');
+const { errors } = require('../core/errors');
+const { isTrue } = require('../core/control');
 
 class AssertCharm extends BaseCharm {
     constructor(client) {
@@ -18,51 +20,48 @@ class AssertCharm extends BaseCharm {
 
     /**
      * Execute the assert charm
-     * @param {Array<string>|Object} args Assert arguments
-     * @param {string} [args.condition] Condition to check
+     * @param {string|Object} args `condition; message`, or { condition, message, code, data }
+     * @param {string} [args.condition] Condition to check, e.g. `5 >= 0` once variables are filled in
      * @param {string} [args.message] Error message
-     * @param {Object} [args.error] Custom error properties
-     * @throws {Error} Assertion error if condition fails
+     * @param {string} [args.code] Error code (default ASSERTION_FAILED)
+     * @param {Object} [args.data] Error data
+     * @throws {ScriptError} AssertionError if the condition fails
      */
     async execute(args) {
-        let condition, message, error;
+        let condition, message, code, data;
 
-        // Handle array syntax: [condition, message]
-        if (Array.isArray(args)) {
-            [condition, message] = args;
-        } 
-        // Handle object syntax: {condition, message, error}
-        else if (typeof args === 'object') {
-            ({ condition, message, error } = args);
+        // Handle simple syntax: condition; message
+        if (typeof args === 'string') {
+            const separator = args.indexOf(';');
+            condition = separator === -1 ? args : args.slice(0, separator);
+            message = separator === -1 ? undefined : args.slice(separator + 1).trim();
+        }
+        // Handle object syntax: {condition, message, code, data}
+        else if (args && typeof args === 'object') {
+            ({ condition, message, code, data } = args);
+
+            // Older syntax kept the code and data in an error object
+            if (args.error) {
+                const { message: errorMessage, code: errorCode, ...errorData } = args.error;
+                message = message ?? errorMessage;
+                code = code ?? errorCode;
+                data = data ?? errorData;
+            }
         }
         else {
             throw new Error('Assert charm requires condition and message');
         }
 
-        if (!condition) {
+        if (condition === undefined || condition === '') {
             throw new Error('Assert charm requires condition');
         }
 
-        // Evaluate condition
-        const result = await this.client.engine.execute(`$condition[{
-            "left": "${condition}",
-            "operator": "equals",
-            "right": "true"
-        }]`);
-
-        // Throw if condition fails
-        if (!result) {
-            if (error) {
-                const customError = new Error(message || error.message || 'Assertion failed');
-                Object.entries(error).forEach(([key, value]) => {
-                    if (key !== 'message') {
-                        customError[key] = value;
-                    }
-                });
-                throw customError;
-            } else {
-                throw new Error(message || 'Assertion failed');
-            }
+        if (!isTrue(typeof condition === 'string' ? condition.trim() : condition)) {
+            throw new errors.ScriptError(message || 'Assertion failed', {
+                name: 'AssertionError',
+                code: code === undefined ? 'ASSERTION_FAILED' : String(code),
+                data
+            });
         }
 
         return true;
@@ -74,7 +73,7 @@ class AssertCharm extends BaseCharm {
      */
     static documentation = {
         description: 'Verify conditions and throw errors if they fail',
-        usage: '$assert[condition; message] or $assert[{condition, message, error}]',
+        usage: '$assert[condition; message] or $assert[{condition, message, code, data}]',
         arguments: [{
             name: 'condition',
             type: 'string',
@@ -85,10 +84,15 @@ class AssertCharm extends BaseCharm {
             optional: true,
             description: 'Error message if assertion fails'
         }, {
-            name: 'error',
+            name: 'code',
+            type: 'string',
+            optional: true,
+            description: 'Error code (default: ASSERTION_FAILED)'
+        }, {
+            name: 'data',
             type: 'object',
             optional: true,
-            description: 'Custom error properties'
+            description: 'Custom error data'
         }],
         examples: [
             {
@@ -96,7 +100,7 @@ class AssertCharm extends BaseCharm {
                 description: 'Basic role check'
             },
             {
-                code: '$assert[{"condition": "$$points >= 0", "message": "Invalid points", "error": {"code": "POINTS_001", "value": $$points}}]',
+                code: '$assert[{"condition": "$$points >= 0", "message": "Invalid points", "code": "POINTS_001", "data": {"value": "$$points"}}]',
                 description: 'Detailed error with metadata'
             },
             {
@@ -109,7 +113,7 @@ class AssertCharm extends BaseCharm {
             'Can include custom error data',
             'Works with try/catch blocks',
             'Useful for input validation',
-            'Can check complex conditions',
+            'Fails with code ASSERTION_FAILED unless a code is given',
             'Helps with defensive programming'
         ]
     };
@@ -119,7 +123,7 @@ class AssertCharm extends BaseCharm {
      */
     static ptDocs = {
         description: 'Verifica condições e lança erros se falharem',
-        usage: '$assert[condição; mensagem] ou $assert[{condition, message, error}]',
+        usage: '$assert[condição; mensagem] ou $assert[{condition, message, code, data}]',
         arguments: [{
             name: 'condition',
             type: 'string',
@@ -130,10 +134,15 @@ class AssertCharm extends BaseCharm {
             optional: true,
             description: 'Mensagem de erro se asserção falhar'
         }, {
-            name: 'error',
+            name: 'code',
+            type: 'string',
+            optional: true,
+            description: 'Código do erro (padrão: ASSERTION_FAILED)'
+        }, {
+            name: 'data',
             type: 'object',
             optional: true,
-            description: 'Propriedades customizadas do erro'
+            description: 'Dados customizados do erro'
         }],
         examples: [
             {
@@ -141,7 +150,7 @@ class AssertCharm extends BaseCharm {
                 description: 'Verificação básica de cargo'
             },
             {
-                code: '$assert[{"condition": "$$pontos >= 0", "message": "Pontos inválidos", "error": {"code": "POINTS_001", "value": $$pontos}}]',
+                code: '$assert[{"condition": "$$pontos >= 0", "message": "Pontos inválidos", "code": "POINTS_001", "data": {"value": "$$pontos"}}]',
                 description: 'Erro detalhado com metadados'
             },
             {
@@ -154,7 +163,7 @@ class AssertCharm extends BaseCharm {
             'Pode incluir dados de erro personalizados',
             'Funciona com blocos try/catch',
             'Útil para validação de entrada',
-            'Pode verificar condições complexas',
+            'Falha com o código ASSERTION_FAILED se nenhum código for dado',
             'Ajuda na programação defensiva'
         ]
     };
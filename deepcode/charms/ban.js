@@ -7,7 +7,9 @@ const BaseCharm = require('./BaseCharm');
  *
  * TIER 1: $ban[@user]
  * TIER 2: $ban[{ "user": "@user", "reason": "Spam" }]
- * TIER 3: $ban[{ "user": "123456789", "reason": "Rule violation", "days": 7 }]
+ * TIER 3: $ban[{ "user": "123456789", "reason": "Rule violation", "days": 7, "dm": true }]
+ *
+ * Every ban is recorded as a moderation case, see `$case`.
  */
 class BanCharm extends BaseCharm {
     constructor(client) {
@@ -21,7 +23,7 @@ class BanCharm extends BaseCharm {
     async execute(args, context) {
         try {
             // Check permissions
-            if (!context.message.member.permissions.has(PermissionsBitField.Flags.BanMembers)) {
+            if (!context.member?.permissions.has(PermissionsBitField.Flags.BanMembers)) {
                 return this.reply(context, { content: '❌ You do not have permission to ban members.', ephemeral: true });
             }
 
@@ -32,7 +34,7 @@ class BanCharm extends BaseCharm {
             }
 
             // Find the member to ban
-            const memberToBan = await this.findMember(context.message.guild, options.user);
+            const memberToBan = await this.findMember(context.guild, options.user);
             if (!memberToBan) {
                 return this.reply(context, { content: '❌ Could not find the specified user.', ephemeral: true });
             }
@@ -41,14 +43,24 @@ class BanCharm extends BaseCharm {
                 return this.reply(context, { content: '❌ I cannot ban this user. They may have a higher role.', ephemeral: true });
             }
 
-            // Ban the member
-            await memberToBan.ban({
-                reason: options.reason,
-                deleteMessageSeconds: (options.days || 0) * 86400, // Convert days to seconds
+            // Ban the member and record the case
+            const entry = await this.client.cases.record({
+                guild: context.guild,
+                target: memberToBan,
+                moderator: context.author,
+                action: 'ban',
+                reason: options.reason
+            }, {
+                dm: options.dm,
+                budget: context.budget,
+                action: () => memberToBan.ban({
+                    reason: options.reason,
+                    deleteMessageSeconds: (options.days || 0) * 86400, // Convert days to seconds
+                })
             });
 
             // Send confirmation
-            await this.reply(context, { content: `✅ Successfully banned ${memberToBan.user.tag}.` });
+            await this.reply(context, { content: `✅ Successfully banned ${memberToBan.user.tag} (case #${entry.id}).` });
 
         } catch (error) {
             console.error('Error executing ban charm:', error);
@@ -3,6 +3,7 @@
  * @module charms/break
  */
 const BaseCharm = require('./BaseCharm');
+const { ControlSignal } = require('../core/control');
 
 class BreakCharm extends BaseCharm {
     constructor(client) {
@@ -19,22 +20,15 @@ class BreakCharm extends BaseCharm {
     /**
      * Execute the break charm
      * @param {string} [reason] Optional reason for breaking
-     * @returns {Promise<void>}
+     * @param {Object} context Execution context
+     * @returns {Promise<never>} Throws a ControlSignal the loop catches
      */
-    async execute(reason = '') {
-        // Get the current loop context
-        const loopContext = this.client.context.get('currentLoop');
-        
-        if (!loopContext) {
+    async execute(reason = '', context = {}) {
+        if (!context.loop) {
             throw new Error('Break charm can only be used inside a loop');
         }
 
-        // Signal loop to stop
-        loopContext.break = true;
-        loopContext.reason = reason;
-
-        // Remove loop context
-        this.client.context.delete('currentLoop');
+        throw new ControlSignal('break', reason ? String(reason) : '');
     }
 
     /**
@@ -69,7 +63,7 @@ class BreakCharm extends BaseCharm {
             'Stops loop execution immediately',
             'Can provide reason for breaking',
             'Works with loop, while, and foreach',
-            'Cleans up loop context automatically'
+            'Stops the innermost loop only'
         ]
     };
 
@@ -104,7 +98,7 @@ class BreakCharm extends BaseCharm {
             'Para a execução do loop imediatamente',
             'Pode fornecer razão para parar',
             'Funciona com loop, while e foreach',
-            'Limpa o contexto do loop automaticamente'
+            'Para apenas o loop mais interno'
         ]
     };
 }
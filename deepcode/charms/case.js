@@ -0,0 +1,139 @@
+const { PermissionsBitField } = require('discord.js');
+const BaseCharm = require('./BaseCharm');
+
+// History lines shown before the list is cut short
+const HISTORY_LIMIT = 15;
+
+/**
+ * Case Charm
+ * Views and manages the moderation cases recorded by $warn, $kick, $ban,
+ * $mute and $timeout.
+ *
+ * TIER 1: $case[12]
+ * TIER 2: $case[reason; 12; Spamming in #general] / $case[delete; 12] / $case[history; @user]
+ * TIER 3: $case[{ "action": "view", "id": 12, "raw": true }]
+ *
+ * Actions:
+ * - view: show a case (`raw` returns the case object instead of text)
+ * - reason: change the reason of a case
+ * - delete: delete a case
+ * - history: list the cases of a member (`raw` returns the array)
+ *
+ * Changing and deleting cases requires the Moderate Members permission.
+ */
+class CaseCharm extends BaseCharm {
+    constructor(client) {
+        super(client);
+    }
+
+    /**
+     * @param {any} args - The arguments for the charm.
+     * @param {object} context - The execution context.
+     * @returns {Promise<string|Object>} Text to show, or case data with `raw`
+     */
+    async execute(args, context) {
+        const options = this.parseCaseArgs(args);
+        const guild = context.guild || context.message?.guild;
+        const cases = this.client.cases;
+
+        if (!guild) {
+            throw new Error('$case can only be used in a server');
+        }
+
+        switch (options.action) {
+            case 'view': {
+                const entry = await cases.getCase(guild, options.id);
+                if (!entry) throw new Error(`Case #${options.id} not found`);
+                return options.raw ? entry : cases.format(entry);
+            }
+
+            case 'reason': {
+                this.checkPermission(context);
+                if (!options.reason) throw new Error('$case reason requires a new reason');
+                const entry = await cases.editReason(guild, options.id, options.reason);
+                return `✏️ Updated the reason of case #${entry.id}.`;
+            }
+
+            case 'delete': {
+                this.checkPermission(context);
+                const entry = await cases.deleteCase(guild, options.id);
+                return `🗑️ Deleted case #${entry.id}.`;
+            }
+
+            case 'history': {
+                if (!options.user) throw new Error('$case history requires a user');
+                const history = await cases.history(guild, options.user);
+                return options.raw ? history : this.formatHistory(history, options.user);
+            }
+
+            default:
+                throw new Error(`Unknown $case action: ${options.action}. Use view, reason, delete or history`);
+        }
+    }
+
+    /**
+     * Custom parser for case arguments.
+     * @param {any} args - The raw arguments.
+     * @returns {{ action: string, id?: number, reason?: string, user?: string, raw?: boolean }}
+     */
+    parseCaseArgs(args) {
+        if (typeof args === 'number') {
+            return { action: 'view', id: args };
+        }
+
+        if (typeof args === 'string') {
+            const [first = '', ...rest] = args.split(';').map(part => part.trim());
+
+            if (/^#?\d+$/.test(first)) {
+                return { action: 'view', id: parseInt(first.replace('#', ''), 10) };
+            }
+
+            const action = first.toLowerCase();
+            if (action === 'history') {
+                return { action, user: rest[0] };
+            }
+            return { action, id: parseInt(String(rest[0]).replace('#', ''), 10), reason: rest.slice(1).join('; ') };
+        }
+
+        if (typeof args === 'object' && args !== null) {
+            return { ...args, action: String(args.action || 'view').toLowerCase() };
+        }
+
+        return { action: 'view' };
+    }
+
+    /**
+     * Only moderators may change cases.
+     * @param {object} context - The execution context.
+     */
+    checkPermission(context) {
+        const member = context.member || context.message?.member;
+        if (!member?.permissions?.has(PermissionsBitField.Flags.ModerateMembers)) {
+            throw new Error('You need the Moderate Members permission to change cases');
+        }
+    }
+
+    /**
+     * Lists the cases of a member, newest last.
+     * @param {Object[]} history - The member's cases.
+     * @param {string} user - The user as given.
+     * @returns {string}
+     */
+    formatHistory(history, user) {
+        if (!history.length) {
+            return `No cases for ${user}.`;
+        }
+
+        const shown = history.slice(-HISTORY_LIMIT);
+        const lines = shown.map(entry =>
+            `#${entry.id} ${entry.action} - ${entry.reason || 'No reason provided'} (<t:${Math.floor(entry.createdAt / 1000)}:d>)`);
+
+        if (history.length > shown.length) {
+            lines.unshift(`...and ${history.length - shown.length} older`);
+        }
+
+        return [`**${history.length} case${history.length === 1 ? '' : 's'} for ${history[0].target.tag}**`, ...lines].join('\n');
+    }
+}
+
+module.exports = CaseCharm;
@@ -1,4 +1,5 @@
 const BaseCharm = require('./BaseCharm');
+const ExecutionBudget = require('../core/budget');
 /**
  * Clear Charm
  * Deletes a number of messages from a channel.
@@ -19,12 +20,13 @@ class ClearCharm extends BaseCharm {
       if (!amount || isNaN(amount) || amount < 1 || amount > 100) {
         return this.reply(context, { content: '❌ Please specify a valid amount (1-100).' });
       }
-      let messages = await context.message.channel.messages.fetch({ limit: amount });
+      const request = run => ExecutionBudget.request(context.budget, run);
+      let messages = await request(() => context.message.channel.messages.fetch({ limit: amount }));
       if (options.user) {
         const userId = options.user.replace(/[<@!>]/g, '');
         messages = messages.filter(m => m.author.id === userId);
       }
-      await context.message.channel.bulkDelete(messages, true);
+      await request(() => context.message.channel.bulkDelete(messages, true));
       await this.reply(context, { content: `✅ Deleted ${messages.size} messages.` });
     } catch (error) {
       await this.reply(context, { content: '❌ Error: ' + error.message });
@@ -0,0 +1,735 @@
+const { ComponentType, ButtonStyle, TextInputStyle, MessageFlags, SeparatorSpacingSize } = require('discord.js');
+const BaseCharm = require('./BaseCharm');
+const ExecutionBudget = require('../core/budget');
+
+// Discord limits
+const LIMITS = {
+    rows: 5,
+    buttons: 5,
+    options: 25,
+    customId: 100,
+    buttonLabel: 80,
+    optionLabel: 100,
+    optionValue: 100,
+    optionDescription: 100,
+    placeholder: 150,
+    inputLabel: 45,
+    inputValue: 4000,
+    layoutComponents: 40,
+    layoutText: 4000,
+    sectionTexts: 3,
+    galleryItems: 10,
+    mediaDescription: 1024
+};
+
+const TYPES = {
+    button: ComponentType.Button,
+    select: ComponentType.StringSelect,
+    string: ComponentType.StringSelect,
+    stringselect: ComponentType.StringSelect,
+    user: ComponentType.UserSelect,
+    userselect: ComponentType.UserSelect,
+    role: ComponentType.RoleSelect,
+    roleselect: ComponentType.RoleSelect,
+    channel: ComponentType.ChannelSelect,
+    channelselect: ComponentType.ChannelSelect,
+    mentionable: ComponentType.MentionableSelect,
+    mentionableselect: ComponentType.MentionableSelect,
+    input: ComponentType.TextInput,
+    text: ComponentType.TextInput,
+    textinput: ComponentType.TextInput,
+    row: ComponentType.ActionRow,
+    actionrow: ComponentType.ActionRow,
+    container: ComponentType.Container,
+    section: ComponentType.Section,
+    textdisplay: ComponentType.TextDisplay,
+    display: ComponentType.TextDisplay,
+    thumbnail: ComponentType.Thumbnail,
+    gallery: ComponentType.MediaGallery,
+    mediagallery: ComponentType.MediaGallery,
+    file: ComponentType.File,
+    separator: ComponentType.Separator
+};
+
+const SELECTS = [
+    ComponentType.StringSelect,
+    ComponentType.UserSelect,
+    ComponentType.RoleSelect,
+    ComponentType.ChannelSelect,
+    ComponentType.MentionableSelect
+];
+
+const INTERACTIVE = [ComponentType.Button, ComponentType.TextInput, ...SELECTS];
+
+// Components v2 layout components, only sent with the IsComponentsV2 message flag
+const LAYOUT = [
+    ComponentType.Section,
+    ComponentType.TextDisplay,
+    ComponentType.Thumbnail,
+    ComponentType.MediaGallery,
+    ComponentType.File,
+    ComponentType.Separator,
+    ComponentType.Container
+];
+
+// What a layout message and a container may hold
+const TOP_LEVEL = [
+    ComponentType.ActionRow,
+    ComponentType.Section,
+    ComponentType.TextDisplay,
+    ComponentType.MediaGallery,
+    ComponentType.File,
+    ComponentType.Separator,
+    ComponentType.Container
+];
+const CONTAINED = TOP_LEVEL.filter(type => type !== ComponentType.Container);
+
+const NAMES = {
+    [ComponentType.ActionRow]: 'row',
+    [ComponentType.Button]: 'button',
+    [ComponentType.StringSelect]: 'select menu',
+    [ComponentType.UserSelect]: 'user select menu',
+    [ComponentType.RoleSelect]: 'role select menu',
+    [ComponentType.ChannelSelect]: 'channel select menu',
+    [ComponentType.MentionableSelect]: 'mentionable select menu',
+    [ComponentType.TextInput]: 'text input',
+    [ComponentType.Section]: 'section',
+    [ComponentType.TextDisplay]: 'text display',
+    [ComponentType.Thumbnail]: 'thumbnail',
+    [ComponentType.MediaGallery]: 'media gallery',
+    [ComponentType.File]: 'file',
+    [ComponentType.Separator]: 'separator',
+    [ComponentType.Container]: 'container'
+};
+
+const BUTTON_STYLES = {
+    primary: ButtonStyle.Primary,
+    secondary: ButtonStyle.Secondary,
+    success: ButtonStyle.Success,
+    danger: ButtonStyle.Danger,
+    link: ButtonStyle.Link
+};
+
+/**
+ * Component Charm
+ * Builds action rows of buttons, select menus (string, user, role, channel,
+ * mentionable) and text inputs, and Components v2 layouts of containers,
+ * sections, text displays, thumbnails, media galleries, files and
+ * separators, checking Discord's limits, and updates the components of sent
+ * messages.
+ *
+ * TIER 1: $component[disable; ticket_close:42]
+ * TIER 2: $component[{ "action": "create", "type": "button", "label": "Close", "customId": "close" }]
+ * TIER 3: $component[{ "action": "create", "type": "rows", "rows": [[{ "type": "button", ... }], [{ "type": "user", ... }]] }]
+ * TIER 3: $say[$component[{ "type": "layout", "components": [{ "type": "container", "components": ["# Ticket", ...] }] }]]
+ *
+ * Actions:
+ * - create: build a component, a `row` (`components`), several `rows` or a
+ *   `layout`: the payload of a Components v2 message (`components` and the
+ *   IsComponentsV2 flag). In layouts, strings are text displays and arrays rows
+ * - disable / enable: change components of a message by customId (`*` for all)
+ * - replace: swap the component with a customId for `component`
+ *
+ * Component options may also be nested in `options`. Messages are given by
+ * `message` (and `channel`) and default to the message of the button or
+ * select menu being handled.
+ */
+class ComponentCharm extends BaseCharm {
+    constructor(client) {
+        super(client);
+    }
+
+    /**
+     * @param {any} args - The arguments for the charm.
+     * @param {object} context - The execution context.
+     * @returns {Promise<Object|Object[]|undefined>} The built component data
+     */
+    async execute(args, context) {
+        const options = this.parseComponentArgs(args);
+
+        switch (options.action) {
+            case 'create':
+                return this.create(options);
+
+            case 'disable':
+            case 'enable': {
+                const disabled = options.action === 'disable';
+                await this.updateMessage(context, options, component => ({ ...component, disabled }));
+                return;
+            }
+
+            case 'replace': {
+                if (!options.component) throw new Error('$component replace requires a component');
+                await this.updateMessage(context, options, () => this.buildComponent(options.component));
+                return;
+            }
+
+            default:
+                throw new Error(`Unknown $component action: ${options.action}. Use create, disable, enable or replace`);
+        }
+    }
+
+    /**
+     * Custom parser for component arguments.
+     * @param {any} args - The raw arguments.
+     * @returns {object} Options with a lowercase `action`
+     */
+    parseComponentArgs(args) {
+        if (typeof args === 'string') {
+            const [action = '', ...ids] = args.split(';').map(part => part.trim());
+            return { action: action.toLowerCase(), customId: ids.filter(Boolean) };
+        }
+
+        if (typeof args !== 'object' || args === null) {
+            throw new Error('$component requires options');
+        }
+
+        // `options` holds the component unless it is the option list of a select menu
+        const { options, ...rest } = args;
+        const spec = options && typeof options === 'object' && !Array.isArray(options)
+            ? { ...rest, ...options }
+            : args;
+
+        return { ...spec, action: String(args.action || 'create').toLowerCase() };
+    }
+
+    /**
+     * Build a component, a row or a list of rows
+     * @param {object} options - Component options with `type`.
+     * @returns {Object|Object[]} Component data
+     */
+    create(options) {
+        const { action, ...spec } = options;
+        const type = String(spec.type || '').toLowerCase();
+
+        if (type === 'rows') {
+            return this.buildRows(spec.rows || spec.components);
+        }
+        if (type === 'row') {
+            return this.buildRow(spec.components, 1);
+        }
+        if (type === 'layout') {
+            return this.buildLayout(spec.components);
+        }
+
+        const component = this.buildComponent(spec);
+        this.validateComponent(component, this.describe(component));
+        return component;
+    }
+
+    /**
+     * Build the rows of a message
+     * @param {Array} rows - Rows, as row objects or arrays of components.
+     * @returns {Object[]} Action rows
+     */
+    buildRows(rows) {
+        if (!Array.isArray(rows) || !rows.length) {
+            throw new Error('$component rows requires a list of rows');
+        }
+        if (rows.length > LIMITS.rows) {
+            throw new Error(`A message can have at most ${LIMITS.rows} rows, got ${rows.length}`);
+        }
+
+        const built = rows.map((row, index) => this.buildRow(Array.isArray(row) ? row : row?.components, index + 1));
+        this.checkCustomIds(this.flatten(built));
+        return built;
+    }
+
+    /**
+     * Build a Components v2 message
+     * Such a message has no content or embeds; its text is in text displays.
+     * @param {Array} components - Top-level components; strings are text displays and arrays rows.
+     * @returns {Object} Message payload with `components` and the IsComponentsV2 flag
+     */
+    buildLayout(components) {
+        if (!Array.isArray(components) || !components.length) {
+            throw new Error('$component layout requires a list of components');
+        }
+
+        const built = components.map(component => this.buildChild(component));
+        this.validateChildren(built, TOP_LEVEL, 'Layout');
+
+        const all = this.flatten(built);
+        if (all.length > LIMITS.layoutComponents) {
+            throw new Error(`A message can have at most ${LIMITS.layoutComponents} components, got ${all.length}`);
+        }
+        const text = all
+            .filter(component => component.type === ComponentType.TextDisplay)
+            .reduce((total, component) => total + component.content.length, 0);
+        if (text > LIMITS.layoutText) {
+            throw new Error(`The text displays of a message add up to ${text} characters, the limit is ${LIMITS.layoutText}`);
+        }
+        this.checkCustomIds(all);
+
+        return { flags: MessageFlags.IsComponentsV2, components: built };
+    }
+
+    /**
+     * Build an action row
+     * Up to 5 buttons, or a single select menu or text input.
+     * @param {Array} components - Components of the row.
+     * @param {number} number - Row number, for error messages.
+     * @returns {Object} Action row
+     */
+    buildRow(components, number) {
+        if (!Array.isArray(components) || !components.length) {
+            throw new Error(`Row ${number} needs at least one component`);
+        }
+
+        const built = components.map(component => this.buildComponent(component));
+        this.validateRow(built, `Row ${number}`);
+        return { type: ComponentType.ActionRow, components: built };
+    }
+
+    /**
+     * Check the components of an action row
+     * @param {Object[]} components - Component data.
+     * @param {string} where - Name of the row in error messages.
+     */
+    validateRow(components, where) {
+        if (!Array.isArray(components) || !components.length) {
+            throw new Error(`${where} needs at least one component`);
+        }
+
+        for (const component of components) {
+            if (!INTERACTIVE.includes(component.type)) {
+                throw new Error(`${where}: a ${NAMES[component.type] || 'component'} can't be placed in a row`);
+            }
+            this.validateComponent(component, `${where}, ${this.describe(component)}`);
+        }
+
+        const single = components.find(component => component.type !== ComponentType.Button);
+        if (single && components.length > 1) {
+            throw new Error(`${where}: a ${NAMES[single.type] || 'component'} must be the only component of its row`);
+        }
+        if (components.length > LIMITS.buttons) {
+            throw new Error(`${where} has ${components.length} buttons, the limit is ${LIMITS.buttons}`);
+        }
+    }
+
+    /**
+     * Check the components a layout or container holds
+     * @param {Object[]} components - Component data.
+     * @param {number[]} allowed - Component types allowed there.
+     * @param {string} where - Name of the holder in error messages.
+     */
+    validateChildren(components, allowed, where) {
+        if (!Array.isArray(components) || !components.length) {
+            throw new Error(`${where} needs at least one component`);
+        }
+
+        for (const component of components) {
+            if (!allowed.includes(component.type)) {
+                throw new Error(`${where}: a ${NAMES[component.type] || 'component'} can't be placed here`);
+            }
+            this.validateComponent(component, `${where}, ${this.describe(component)}`);
+        }
+    }
+
+    /**
+     * Throw if two components share a customId
+     * @param {Object[]} components - Component data.
+     */
+    checkCustomIds(components) {
+        const seen = new Set();
+        for (const component of components) {
+            if (!component.custom_id) continue;
+            if (seen.has(component.custom_id)) {
+                throw new Error(`customId "${component.custom_id}" is used by more than one component`);
+            }
+            seen.add(component.custom_id);
+        }
+    }
+
+    /**
+     * List components with the ones they hold, section accessories included
+     * @param {Object[]} components - Component data.
+     * @returns {Object[]}
+     */
+    flatten(components) {
+        return components.flatMap(component => [
+            component,
+            ...this.flatten(component.components || []),
+            ...(component.accessory ? [component.accessory] : [])
+        ]);
+    }
+
+    /**
+     * Turn component options into Discord component data
+     * Data that already has a numeric `type` is kept as is.
+     * @param {object} spec - Component options.
+     * @returns {Object} Component data
+     */
+    buildComponent(spec) {
+        if (typeof spec !== 'object' || spec === null) {
+            throw new Error(`Invalid component: ${JSON.stringify(spec)}`);
+        }
+        if (typeof spec.type === 'number') {
+            return spec;
+        }
+
+        const type = TYPES[String(spec.type || '').toLowerCase().replace(/[\s_-]|menu$/g, '')];
+        if (!type) {
+            throw new Error(`Unknown component type: ${spec.type}. Use button, select, user, role, channel, mentionable, input, ` +
+                'row, container, section, text display, thumbnail, media gallery, file or separator');
+        }
+        if (!INTERACTIVE.includes(type)) {
+            return this.buildLayoutComponent(type, spec);
+        }
+
+        const customId = spec.customId ?? spec.custom_id ?? spec.id;
+        const data = { type };
+        if (customId !== undefined) data.custom_id = String(customId);
+
+        if (type === ComponentType.Button) {
+            const style = typeof spec.style === 'number' ? spec.style : BUTTON_STYLES[String(spec.style || 'primary').toLowerCase()];
+            if (!style) {
+                throw new Error(`Invalid button style: ${spec.style}. Use ${Object.keys(BUTTON_STYLES).join(', ')}`);
+            }
+            data.style = style;
+            if (spec.label !== undefined) data.label = String(spec.label);
+            if (spec.emoji) data.emoji = this.parseEmoji(spec.emoji);
+            if (spec.url) data.url = spec.url;
+            data.disabled = Boolean(spec.disabled);
+            return data;
+        }
+
+        if (type === ComponentType.TextInput) {
+            if (spec.label !== undefined) data.label = String(spec.label);
+            data.style = String(spec.style || 'short').toLowerCase() === 'paragraph' ? TextInputStyle.Paragraph : TextInputStyle.Short;
+            data.required = spec.required !== false;
+            if (spec.placeholder) data.placeholder = String(spec.placeholder);
+            if (spec.value !== undefined) data.value = String(spec.value);
+            if (spec.minLength !== undefined) data.min_length = Number(spec.minLength);
+            if (spec.maxLength !== undefined) data.max_length = Number(spec.maxLength);
+            return data;
+        }
+
+        // Select menus
+        if (spec.placeholder) data.placeholder = String(spec.placeholder);
+        if (spec.minValues !== undefined) data.min_values = Number(spec.minValues);
+        if (spec.maxValues !== undefined) data.max_values = Number(spec.maxValues);
+        data.disabled = Boolean(spec.disabled);
+
+        if (type === ComponentType.StringSelect) {
+            data.options = (spec.options || []).map(option => ({
+                label: String(option.label ?? option.value),
+                value: String(option.value ?? option.label),
+                ...(option.description ? { description: String(option.description) } : {}),
+                ...(option.emoji ? { emoji: this.parseEmoji(option.emoji) } : {}),
+                ...(option.default ? { default: true } : {})
+            }));
+        }
+        if (type === ComponentType.ChannelSelect && spec.channelTypes) {
+            data.channel_types = spec.channelTypes;
+        }
+
+        return data;
+    }
+
+    /**
+     * Turn the options of a row or layout component into component data
+     * @param {number} type - Component type.
+     * @param {object} spec - Component options.
+     * @returns {Object} Component data
+     */
+    buildLayoutComponent(type, spec) {
+        const data = { type };
+        const media = value => (value === undefined ? undefined : { url: String(value?.url ?? value) });
+        const extras = item => ({
+            ...(item?.description !== undefined ? { description: String(item.description) } : {}),
+            ...(item?.spoiler ? { spoiler: true } : {})
+        });
+
+        switch (type) {
+            case ComponentType.ActionRow:
+                data.components = [].concat(spec.components ?? []).map(component => this.buildComponent(component));
+                return data;
+
+            case ComponentType.Container: {
+                data.components = [].concat(spec.components ?? []).map(component => this.buildChild(component));
+                const color = spec.accentColor ?? spec.accent_color ?? spec.color;
+                if (color !== undefined) {
+                    data.accent_color = typeof color === 'number' ? color : parseInt(String(color).replace(/^#/, ''), 16);
+                }
+                if (spec.spoiler) data.spoiler = true;
+                return data;
+            }
+
+            case ComponentType.Section:
+                data.components = [].concat(spec.components ?? spec.text ?? []).map(component => this.buildChild(component));
+                if (spec.accessory) data.accessory = this.buildComponent(spec.accessory);
+                return data;
+
+            case ComponentType.TextDisplay:
+                data.content = String(spec.content ?? spec.text ?? '');
+                return data;
+
+            case ComponentType.Thumbnail:
+                return { ...data, media: media(spec.media ?? spec.url), ...extras(spec) };
+
+            case ComponentType.MediaGallery:
+                data.items = [].concat(spec.items ?? []).map(item => ({
+                    media: media(typeof item === 'object' ? item?.media ?? item?.url : item),
+                    ...extras(item)
+                }));
+                return data;
+
+            case ComponentType.File:
+                data.file = media(spec.file ?? spec.url);
+                if (spec.spoiler) data.spoiler = true;
+                return data;
+
+            default:
+                data.divider = spec.divider !== false;
+                data.spacing = String(spec.spacing || 'small').toLowerCase() === 'large'
+                    ? SeparatorSpacingSize.Large
+                    : SeparatorSpacingSize.Small;
+                return data;
+        }
+    }
+
+    /**
+     * Build an entry of a layout, container or section
+     * A string is a text display and an array an action row.
+     * @param {string|Array|object} child - The entry.
+     * @returns {Object} Component data
+     */
+    buildChild(child) {
+        if (typeof child === 'string') {
+            return { type: ComponentType.TextDisplay, content: child };
+        }
+        if (Array.isArray(child)) {
+            return { type: ComponentType.ActionRow, components: child.map(component => this.buildComponent(component)) };
+        }
+        return this.buildComponent(child);
+    }
+
+    /**
+     * Check a component against Discord's limits
+     * @param {Object} component - Component data.
+     * @param {string} where - Name of the component in error messages.
+     */
+    validateComponent(component, where) {
+        const fail = message => {
+            throw new Error(`${where}: ${message}`);
+        };
+        const checkLength = (value, limit, name) => {
+            if (value !== undefined && String(value).length > limit) {
+                fail(`${name} is ${String(value).length} characters long, the limit is ${limit}`);
+            }
+        };
+
+        checkLength(component.custom_id, LIMITS.customId, 'customId');
+
+        switch (component.type) {
+            case ComponentType.ActionRow:
+                this.validateRow(component.components, where);
+                return;
+
+            case ComponentType.Container: {
+                const color = component.accent_color;
+                if (color !== undefined && !(Number.isInteger(color) && color >= 0 && color <= 0xFFFFFF)) {
+                    fail('accentColor must be a color from 0x000000 to 0xFFFFFF');
+                }
+                this.validateChildren(component.components, CONTAINED, where);
+                return;
+            }
+
+            case ComponentType.Section: {
+                const texts = component.components || [];
+                if (!texts.length || texts.length > LIMITS.sectionTexts) {
+                    fail(`sections hold 1 to ${LIMITS.sectionTexts} text displays, got ${texts.length}`);
+                }
+                this.validateChildren(texts, [ComponentType.TextDisplay], where);
+                const { accessory } = component;
+                if (![ComponentType.Button, ComponentType.Thumbnail].includes(accessory?.type)) {
+                    fail('sections need a button or a thumbnail as accessory');
+                }
+                this.validateComponent(accessory, `${where}, ${this.describe(accessory)}`);
+                return;
+            }
+
+            case ComponentType.TextDisplay:
+                if (!component.content) fail('text displays need content');
+                checkLength(component.content, LIMITS.layoutText, 'content');
+                return;
+
+            case ComponentType.Thumbnail:
+                if (!component.media?.url) fail('thumbnails need a url');
+                checkLength(component.description, LIMITS.mediaDescription, 'description');
+                return;
+
+            case ComponentType.MediaGallery: {
+                const items = component.items || [];
+                if (!items.length || items.length > LIMITS.galleryItems) {
+                    fail(`media galleries hold 1 to ${LIMITS.galleryItems} items, got ${items.length}`);
+                }
+                items.forEach((item, index) => {
+                    if (!item.media?.url) fail(`item ${index + 1} needs a url`);
+                    checkLength(item.description, LIMITS.mediaDescription, `item ${index + 1} description`);
+                });
+                return;
+            }
+
+            case ComponentType.File:
+                if (!String(component.file?.url || '').startsWith('attachment://')) {
+                    fail('files must point to an attachment of the message, e.g. attachment://report.pdf');
+                }
+                return;
+
+            case ComponentType.Separator:
+                if (![SeparatorSpacingSize.Small, SeparatorSpacingSize.Large].includes(component.spacing)) {
+                    fail('spacing must be small or large');
+                }
+                return;
+        }
+
+        if (component.type === ComponentType.Button) {
+            if (component.style === ButtonStyle.Link) {
+                if (!component.url) fail('link buttons need a url');
+                if (component.custom_id) fail('link buttons open their url and can\'t have a customId');
+            } else {
+                if (!component.custom_id) fail('buttons need a customId');
+                if (component.url) fail('only link buttons can have a url');
+            }
+            if (!component.label && !component.emoji) fail('buttons need a label or an emoji');
+            checkLength(component.label, LIMITS.buttonLabel, 'label');
+            return;
+        }
+
+        if (!component.custom_id) fail('a customId is required');
+
+        if (component.type === ComponentType.TextInput) {
+            if (!component.label) fail('text inputs need a label');
+            checkLength(component.label, LIMITS.inputLabel, 'label');
+            checkLength(component.value, LIMITS.inputValue, 'value');
+            checkLength(component.placeholder, LIMITS.placeholder, 'placeholder');
+            return;
+        }
+
+        if (!SELECTS.includes(component.type)) return;
+        checkLength(component.placeholder, LIMITS.placeholder, 'placeholder');
+
+        const { min_values: min, max_values: max } = component;
+        if (min !== undefined && (min < 0 || min > LIMITS.options)) fail(`minValues must be between 0 and ${LIMITS.options}`);
+        if (max !== undefined && (max < 1 || max > LIMITS.options)) fail(`maxValues must be between 1 and ${LIMITS.options}`);
+        if (min !== undefined && max !== undefined && min > max) fail('minValues is greater than maxValues');
+
+        if (component.type !== ComponentType.StringSelect) return;
+        const options = component.options || [];
+        if (!options.length) fail('select menus need at least one option');
+        if (options.length > LIMITS.options) fail(`${options.length} options, the limit is ${LIMITS.options}`);
+        if (max > options.length) fail(`maxValues is ${max} but there are only ${options.length} options`);
+
+        options.forEach((option, index) => {
+            const name = `option ${index + 1}`;
+            checkLength(option.label, LIMITS.optionLabel, `${name} label`);
+            checkLength(option.value, LIMITS.optionValue, `${name} value`);
+            checkLength(option.description, LIMITS.optionDescription, `${name} description`);
+        });
+    }
+
+    /**
+     * Change components of a sent message by customId
+     * @param {object} context - The execution context.
+     * @param {object} options - Options with `customId` and `message`.
+     * @param {Function} change - Returns the new component data.
+     */
+    async updateMessage(context, options, change) {
+        const ids = [].concat(options.customId ?? options.custom_id ?? options.id ?? []).map(String);
+        if (!ids.length) {
+            throw new Error(`$component ${options.action} requires a customId`);
+        }
+
+        const message = await this.resolveMessage(context, options);
+        const matches = component => ids.includes('*') || ids.includes(component.custom_id);
+
+        let found = 0;
+        const update = component => {
+            if (INTERACTIVE.includes(component.type) && matches(component)) {
+                found++;
+                return change(component);
+            }
+            return {
+                ...component,
+                ...(component.components ? { components: component.components.map(update) } : {}),
+                ...(component.accessory ? { accessory: update(component.accessory) } : {})
+            };
+        };
+
+        const current = (message.components || []).map(row => (typeof row.toJSON === 'function' ? row.toJSON() : row));
+        const components = current.map(update);
+
+        if (!found) {
+            throw new Error(`No component with customId ${ids.join(', ')} on message ${message.id}`);
+        }
+
+        // Components v2 messages are rebuilt as layouts, others as action rows
+        const layout = message.flags?.has?.(MessageFlags.IsComponentsV2)
+            || components.some(component => component.type !== ComponentType.ActionRow);
+        const payload = layout ? this.buildLayout(components) : { components: this.buildRows(components) };
+        const interaction = context.interaction;
+
+        // Answer the interaction of the message by updating it
+        if (interaction?.message?.id === message.id && !interaction.replied && !interaction.deferred && interaction.update) {
+            await interaction.update(payload);
+        } else {
+            await ExecutionBudget.request(context.budget, () => message.edit(payload));
+        }
+    }
+
+    /**
+     * Find the message to update
+     * @param {object} context - The execution context.
+     * @param {object} options - Options with `message` and `channel`.
+     * @returns {Promise<Message>}
+     */
+    async resolveMessage(context, options) {
+        const { message, channel } = options;
+
+        if (message && typeof message === 'object') return message;
+        if (!message) {
+            if (context.interaction?.message) return context.interaction.message;
+            throw new Error(`$component ${options.action} requires a message outside of component handlers`);
+        }
+
+        const request = run => ExecutionBudget.request(context.budget, run);
+        const target = channel
+            ? this.client.channels.cache.get(String(channel)) || await request(() => this.client.channels.fetch(String(channel)))
+            : context.channel || context.message?.channel;
+
+        try {
+            return await request(() => target.messages.fetch(String(message)));
+        } catch {
+            throw new Error(`Message ${message} not found`);
+        }
+    }
+
+    /**
+     * Name of a component in error messages, e.g. `button "Close"`
+     * @param {Object} component - Component data.
+     * @returns {string}
+     */
+    describe(component) {
+        const name = NAMES[component.type] || `component of type ${component.type}`;
+        const label = component.label || component.custom_id;
+        return label ? `${name} "${label}"` : name;
+    }
+
+    /**
+     * Turn `<:name:id>`, `<a:name:id>` or a unicode emoji into emoji data
+     * @param {string|Object} emoji - The emoji.
+     * @returns {Object}
+     */
+    parseEmoji(emoji) {
+        if (typeof emoji === 'object') return emoji;
+
+        const match = String(emoji).match(/^<(a)?:(\w+):(\d+)>$/);
+        return match
+            ? { name: match[2], id: match[3], animated: Boolean(match[1]) }
+            : { name: String(emoji) };
+    }
+}
+
+module.exports = ComponentCharm;
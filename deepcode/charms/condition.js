@@ -4,7 +4,10 @@
 module.exports = {
     name: 'condition',
     description: 'Conditional logic execution',
-    
+
+    // Branches are code blocks; the engine must not evaluate them eagerly
+    lazy: true,
+
     async execute(args, context) {
         const { left, operator, right, then, else: otherwise } = args;
 
@@ -43,6 +46,8 @@ module.exports = {
 
     /**
      * Evaluate a value which may be a variable reference
+     * Substituted values arrive protected (see CharmEngine#unprotect), so a
+     * user can't turn one into a variable reference.
      */
     evaluateValue(value, context) {
         if (typeof value !== 'string') return value;
@@ -54,6 +59,6 @@ module.exports = {
         }
 
         // Return literal value
-        return value;
+        return context.client.engine.unprotect(value);
     }
 };
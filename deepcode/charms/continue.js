@@ -3,6 +3,7 @@
  * @module charms/continue
  */
 const BaseCharm = require('./BaseCharm');
+const { ControlSignal } = require('../core/control');
 
 class ContinueCharm extends BaseCharm {
     constructor(client) {
@@ -19,22 +20,15 @@ class ContinueCharm extends BaseCharm {
     /**
      * Execute the continue charm
      * @param {string} [reason] Optional reason for continuing
-     * @returns {Promise<void>}
+     * @param {Object} context Execution context
+     * @returns {Promise<never>} Throws a ControlSignal the loop catches
      */
-    async execute(reason = '') {
-        // Get the current loop context
-        const loopContext = this.client.context.get('currentLoop');
-        
-        if (!loopContext) {
+    async execute(reason = '', context = {}) {
+        if (!context.loop) {
             throw new Error('Continue charm can only be used inside a loop');
         }
 
-        // Signal loop to continue
-        loopContext.continue = true;
-        loopContext.reason = reason;
-
-        // Store reason but keep context for next iteration
-        this.client.context.set('continueReason', reason);
+        throw new ControlSignal('continue', reason ? String(reason) : '');
     }
 
     /**
@@ -69,8 +63,7 @@ class ContinueCharm extends BaseCharm {
             'Skips remaining code in current iteration',
             'Continues with next iteration',
             'Can provide skip reason',
-            'Works with all loop types',
-            'Preserves loop context'
+            'Works with all loop types'
         ]
     };
 
@@ -105,8 +98,7 @@ class ContinueCharm extends BaseCharm {
             'Pula código restante na iteração atual',
             'Continua com próxima iteração',
             'Pode fornecer razão para pular',
-            'Funciona com todos os tipos de loop',
-            'Preserva contexto do loop'
+            'Funciona com todos os tipos de loop'
         ]
     };
 }
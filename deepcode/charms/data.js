@@ -8,76 +8,83 @@ module.exports = {
     tier: 2,
 
     async execute(args, context) {
-        // Handle simple format: $data[key, value]
+        // Handle simple format: $data[key, value] / $data[user:key, value]
         if (typeof args === 'string' && args.includes(',')) {
             const parts = args.split(',').map(p => p.trim());
             if (parts.length === 2) {
-                return context.client.variables.set(parts[0], parts[1]);
+                const { variables, key } = this.resolveKey(parts[0], context);
+                return variables.set(key, parts[1]);
             }
         }
 
-        // Handle single key: $data[key] (get operation)
+        // Handle single key: $data[key] / $data[user:key] (get operation)
         if (typeof args === 'string') {
-            return context.client.variables.get(args);
+            const { variables, key } = this.resolveKey(args.trim(), context);
+            return variables.get(key);
         }
 
-        const { action = 'get', key, value, amount } = args;
+        const { action = 'get', key, value, amount, scope, id } = args;
 
         if (!key && action !== 'list' && action !== 'clear') {
             throw new Error('Data operation requires a key');
         }
 
+        // Scoped variables: { "scope": "user", "id": "optional target id" }
+        const variables = scope
+            ? context.client.variables.scope(scope, id || context)
+            : context.client.variables;
+
         switch (action.toLowerCase()) {
             case 'get':
-                return context.client.variables.get(key);
+                return variables.get(key);
 
             case 'set':
-                return context.client.variables.set(key, value);
+                return variables.set(key, value);
 
             case 'add':
-                const currentNum = Number(context.client.variables.get(key) || 0);
+                const currentNum = Number(variables.get(key) || 0);
                 const addAmount = Number(amount || value || 1);
-                return context.client.variables.set(key, currentNum + addAmount);
+                return variables.set(key, currentNum + addAmount);
 
             case 'subtract':
             case 'sub':
-                const currentSub = Number(context.client.variables.get(key) || 0);
+                const currentSub = Number(variables.get(key) || 0);
                 const subAmount = Number(amount || value || 1);
-                return context.client.variables.set(key, currentSub - subAmount);
+                return variables.set(key, currentSub - subAmount);
 
             case 'multiply':
             case 'mul':
-                const currentMul = Number(context.client.variables.get(key) || 0);
+                const currentMul = Number(variables.get(key) || 0);
                 const mulAmount = Number(amount || value || 1);
-                return context.client.variables.set(key, currentMul * mulAmount);
+                return variables.set(key, currentMul * mulAmount);
 
             case 'divide':
             case 'div':
-                const currentDiv = Number(context.client.variables.get(key) || 0);
+                const currentDiv = Number(variables.get(key) || 0);
                 const divAmount = Number(amount || value || 1);
                 if (divAmount === 0) throw new Error('Cannot divide by zero');
-                return context.client.variables.set(key, currentDiv / divAmount);
+                return variables.set(key, currentDiv / divAmount);
 
             case 'append':
-                const currentStr = String(context.client.variables.get(key) || '');
-                return context.client.variables.set(key, currentStr + String(value));
+                const currentStr = String(variables.get(key) || '');
+                return variables.set(key, currentStr + String(value));
 
             case 'prepend':
-                const currentPre = String(context.client.variables.get(key) || '');
-                return context.client.variables.set(key, String(value) + currentPre);
+                const currentPre = String(variables.get(key) || '');
+                return variables.set(key, String(value) + currentPre);
 
             case 'delete':
             case 'remove':
-                return context.client.variables.delete(key);
+                return variables.delete(key);
 
             case 'exists':
-                return context.client.variables.get(key) !== undefined;
+                return variables.get(key) !== undefined;
 
             case 'type':
-                return typeof context.client.variables.get(key);
+                return typeof variables.get(key);
 
             case 'length':
-                const val = context.client.variables.get(key);
+                const val = variables.get(key);
                 if (val === undefined) return 0;
                 if (typeof val === 'string' || Array.isArray(val)) return val.length;
                 if (typeof val === 'object') return Object.keys(val).length;
@@ -85,24 +92,35 @@ module.exports = {
 
             case 'increment':
             case 'inc':
-                const currentInc = Number(context.client.variables.get(key) || 0);
-                return context.client.variables.set(key, currentInc + 1);
+                const currentInc = Number(variables.get(key) || 0);
+                return variables.set(key, currentInc + 1);
 
             case 'decrement':
             case 'dec':
-                const currentDec = Number(context.client.variables.get(key) || 0);
-                return context.client.variables.set(key, currentDec - 1);
+                const currentDec = Number(variables.get(key) || 0);
+                return variables.set(key, currentDec - 1);
 
             case 'list':
                 // Return all variable keys
-                return context.client.variables.list ? context.client.variables.list() : [];
+                return variables.list();
 
             case 'clear':
-                // Clear all variables (use with caution)
-                return context.client.variables.clear ? context.client.variables.clear() : false;
+                // Clear all variables of the scope (use with caution)
+                return scope ? variables.clear() : variables.clearScope('global');
 
             default:
                 throw new Error(`Invalid data action: ${action}`);
         }
+    },
+
+    /**
+     * Split an optional scope prefix from a key ("user:balance")
+     */
+    resolveKey(key, context) {
+        const match = key.match(/^(global|guild|channel|user|member):(.+)$/);
+        if (!match) {
+            return { variables: context.client.variables, key };
+        }
+        return { variables: context.client.variables.scope(match[1], context), key: match[2] };
     }
 };
@@ -10,6 +10,7 @@ class ElseCharm extends BaseCharm {
         this.name = 'else';
         this.description = 'Execute code when condition is false';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$if[$$value == 10; $say[Equal]]; $else[$say[Not equal]]',
             '$if[$$member.roles.has[admin]]; $else[$say[No access]]'
@@ -10,6 +10,7 @@ class ElseIfCharm extends BaseCharm {
         this.name = 'elseif';
         this.description = 'Check another condition when previous is false';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$if[$$points > 100; $say[High]]; $elseif[$$points > 50; $say[Medium]]; $else[$say[Low]]',
             '$if[$$role == "admin"]; $elseif[$$role == "mod"; $say[Mod access]]'
@@ -10,6 +10,7 @@ class EqualCharm extends BaseCharm {
         this.name = 'equal';
         this.description = 'Compare values for equality';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$equal[$$value, 10, $say[Equal], $say[Not equal]]',
             '$equal[$$author.id, $$owner.id, $say[Is owner]]'
@@ -3,6 +3,7 @@
  * @module charms/foreach
  */
 const BaseCharm = require('./BaseCharm');
+const { enterIteration, runIteration } = require('../core/control');
 
 class ForEachCharm extends BaseCharm {
     constructor(client) {
@@ -10,6 +11,8 @@ class ForEachCharm extends BaseCharm {
         this.name = 'foreach';
         this.description = 'Iterate over array elements with simplified syntax';
         this.tier = 2;
+        this.lazy = true;
+        this.scoped = true;
         this.examples = [
             '$foreach[$$members; $say[Member: $$value.tag]]',
             '$foreach[$$roles; $data[set; roles.$$value.id; {name: $$value.name}]]'
@@ -18,65 +21,77 @@ class ForEachCharm extends BaseCharm {
 
     /**
      * Execute the foreach charm
-     * @param {Array<string>} args Arguments [array, code]
-     * @returns {Promise<any[]>} Array of results
+     * @param {string|Object} args `array; code`, or { array, code }. The array is a JSON
+     * array, code returning an array (e.g. `$array[...]`) or the name of an array variable
+     * @param {Object} context Execution context
+     * @returns {Promise<any[]>} Results of the iterations that finished
      */
-    async execute(args) {
-        const [arrayArg, code] = args;
+    async execute(args, context = {}) {
+        const { array: arrayArg, code } = typeof args === 'string' ? this.splitArgs(args) : args || {};
 
         if (!arrayArg || !code) {
             throw new Error('ForEach charm requires array and code');
         }
 
-        // Get array from argument
-        const array = await this.client.engine.execute(`$array[get; ${arrayArg}]`);
-        
+        const array = await this.resolveArray(arrayArg, context);
+
         if (!Array.isArray(array)) {
             throw new Error('ForEach charm requires array input');
         }
 
-        // Create loop context
-        const loopContext = {
-            type: 'foreach',
-            array,
-            index: 0,
-            break: false,
-            reason: ''
-        };
-
-        this.client.context.set('currentLoop', loopContext);
-
         const results = [];
-
-        // Iterate array
         for (let i = 0; i < array.length; i++) {
-            // Update context
-            loopContext.index = i;
-            loopContext.value = array[i];
-
-            // Execute code with context
-            const context = {
+            const iteration = enterIteration(context, 'foreach', {
                 value: array[i],
                 index: i,
                 array,
-                total: array.length,
-                first: i === 0,
-                last: i === array.length - 1
-            };
+                total: array.length
+            });
 
-            const result = await this.client.engine.execute(code, context);
-            results.push(result);
+            const { result, signal } = await runIteration(() => this.client.engine.process(code, iteration));
+            if (signal?.type === 'break') break;
+            if (!signal) results.push(result);
+        }
+
+        return results;
+    }
 
-            // Check for break
-            if (loopContext.break) {
-                break;
+    /**
+     * Split `array; code` at the first separator outside brackets
+     * @private
+     */
+    splitArgs(args) {
+        let depth = 0;
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '[' || args[i] === '{') depth++;
+            else if (args[i] === ']' || args[i] === '}') depth--;
+            else if (args[i] === ';' && depth === 0) {
+                return { array: args.slice(0, i).trim(), code: args.slice(i + 1).trim() };
             }
         }
+        return { array: args.trim() };
+    }
 
-        // Clean up context
-        this.client.context.delete('currentLoop');
+    /**
+     * Turn the array argument into an array
+     * @private
+     */
+    async resolveArray(value, context) {
+        if (typeof value !== 'string') return value;
+
+        if (value.startsWith('[')) {
+            try {
+                return JSON.parse(value);
+            } catch {
+                // Not JSON, evaluate it as code
+            }
+        }
 
-        return results;
+        const result = await this.client.engine.process(value, context);
+        if (typeof result === 'string' && Array.isArray(this.client.variables?.get(result))) {
+            return this.client.variables.get(result);
+        }
+        return result;
     }
 
     /**
@@ -113,7 +128,7 @@ class ForEachCharm extends BaseCharm {
             'Simpler syntax than loop charm',
             'Provides $$value and $$index variables',
             'Also provides $$first and $$last flags',
-            'Supports break charm',
+            'Supports break and continue charms',
             'Returns array of results',
             'Works with any array type'
         ]
@@ -152,7 +167,7 @@ class ForEachCharm extends BaseCharm {
             'Sintaxe mais simples que o charm loop',
             'Fornece variáveis $$value e $$index',
             'Também fornece flags $$first e $$last',
-            'Suporta charm break',
+            'Suporta os charms break e continue',
             'Retorna array de resultados',
             'Funciona com qualquer tipo de array'
         ]
@@ -10,6 +10,7 @@ class GreaterCharm extends BaseCharm {
         this.name = 'greater';
         this.description = 'Compare if value is greater than another';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$greater[$$points, 100, $say[High score!]]',
             '$greater[$$member.roles.size, 3, $say[Has many roles], $say[Few roles]]'
@@ -10,6 +10,7 @@ class IfCharm extends BaseCharm {
         this.name = 'if';
         this.description = 'Simple conditional execution';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$if[$$value == 10; $say[Equal to 10]; $say[Not equal to 10]]',
             '$if[$$author.bot; $stop[]]',
@@ -10,6 +10,9 @@ const BaseCharm = require('./BaseCharm');
  * Arguments:
  * - user (string, required): The user to kick (mention or ID)
  * - reason (string, optional): Reason for the kick
+ * - dm (boolean, optional): Message the user before the kick (default `moderation.dm`)
+ *
+ * Every kick is recorded as a moderation case, see `$case`.
  */
 class KickCharm extends BaseCharm {
   async execute(args, context) {
@@ -18,12 +21,18 @@ class KickCharm extends BaseCharm {
       if (!options.user) {
         return this.reply(context, { content: '❌ Please specify a user to kick.' });
       }
-      const member = await this.findMember(context.message.guild, options.user);
+      const member = await this.findMember(context.guild, options.user);
       if (!member) {
         return this.reply(context, { content: '❌ User not found.' });
       }
-      await member.kick(options.reason || 'No reason provided');
-      await this.reply(context, { content: `✅ Kicked ${member.user.tag}.` });
+      const entry = await this.client.cases.record({
+        guild: context.guild,
+        target: member,
+        moderator: context.author,
+        action: 'kick',
+        reason: options.reason
+      }, { dm: options.dm, budget: context.budget, action: () => member.kick(options.reason || 'No reason provided') });
+      await this.reply(context, { content: `✅ Kicked ${member.user.tag} (case #${entry.id}).` });
     } catch (error) {
       await this.reply(context, { content: '❌ Error: ' + error.message });
       throw error;
@@ -10,6 +10,7 @@ class LessCharm extends BaseCharm {
         this.name = 'less';
         this.description = 'Compare if value is less than another';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$less[$$points, 100, $say[Keep trying!]]',
             '$less[$$member.roles.size, 3, $say[Needs more roles], $say[Has enough roles]]'
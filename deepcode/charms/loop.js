@@ -3,6 +3,7 @@
  * @module charms/loop
  */
 const BaseCharm = require('./BaseCharm');
+const { enterIteration, runIteration } = require('../core/control');
 
 class LoopCharm extends BaseCharm {
     constructor(client) {
@@ -10,6 +11,8 @@ class LoopCharm extends BaseCharm {
         this.name = 'loop';
         this.description = 'Execute code multiple times or over arrays';
         this.tier = 2;
+        this.lazy = true;
+        this.scoped = true;
         this.examples = [
             '$loop[{"times": 5, "code": "$say[$$index]"}]',
             '$loop[{"array": "$$members", "code": "$role[add; $$value; newbie]"}]'
@@ -22,71 +25,76 @@ class LoopCharm extends BaseCharm {
      * @param {number} [args.times] Number of iterations
      * @param {Array} [args.array] Array to iterate over
      * @param {string} args.code Code to execute
-     * @param {boolean} [args.async=false] Run iterations asynchronously
-     * @returns {Promise<any[]>} Array of results
+     * @param {boolean} [args.async=false] Run iterations concurrently, at most
+     * `maxConcurrentRequests` of the execution budget at a time
+     * @param {Object} context Execution context
+     * @returns {Promise<any[]>} Results of the iterations that finished
      */
-    async execute(args) {
-        const { times, array, code, async = false } = args;
+    async execute(args, context = {}) {
+        const { times, array, code, async = false } = args || {};
 
         if (!code) {
             throw new Error('Loop charm requires code to execute');
         }
 
-        // Array iteration
+        let iterations;
         if (array) {
             const items = Array.isArray(array) ? array : [array];
-            const results = [];
+            iterations = items.map((value, index) => ({ value, index, total: items.length, array: items }));
+        } else if (times && times > 0) {
+            const total = parseInt(times);
+            iterations = Array.from({ length: total }, (_, index) => ({ index, total }));
+        } else {
+            throw new Error('Loop charm requires times or array parameter');
+        }
 
-            // Execute for each item
-            if (async) {
-                // Run all iterations in parallel
-                results.push(...await Promise.all(items.map(async (value, index) => {
-                    const context = { value, index, array: items };
-                    return this.client.engine.execute(code, context);
-                })));
-            } else {
-                // Run iterations sequentially
-                for (let i = 0; i < items.length; i++) {
-                    const context = {
-                        value: items[i],
-                        index: i,
-                        array: items
-                    };
-                    results.push(await this.client.engine.execute(code, context));
-                }
-            }
+        const run = loop => runIteration(() =>
+            this.client.engine.process(code, enterIteration(context, 'loop', loop)));
 
-            return results;
+        return async
+            ? this.runConcurrently(iterations, run, context.budget?.limits.maxConcurrentRequests ?? 5)
+            : this.runSequentially(iterations, run);
+    }
+
+    /**
+     * Run iterations one after another
+     * @private
+     */
+    async runSequentially(iterations, run) {
+        const results = [];
+        for (const loop of iterations) {
+            const { result, signal } = await run(loop);
+            if (signal?.type === 'break') break;
+            if (!signal) results.push(result);
         }
+        return results;
+    }
 
-        // Numeric iteration
-        if (times && times > 0) {
-            const iterations = parseInt(times);
-            const results = [];
+    /**
+     * Run iterations with a fixed number of workers
+     * $break stops new iterations from starting; running ones finish.
+     * @private
+     */
+    async runConcurrently(iterations, run, concurrency) {
+        const results = new Array(iterations.length);
+        const skipped = new Set();
+        let next = 0;
+        let stopped = false;
 
-            if (async) {
-                // Run all iterations in parallel
-                const promises = [];
-                for (let i = 0; i < iterations; i++) {
-                    const context = { index: i, total: iterations };
-                    promises.push(this.client.engine.execute(code, context));
-                }
-                results.push(...await Promise.all(promises));
-            } else {
-                // Run iterations sequentially
-                for (let i = 0; i < iterations; i++) {
-                    const context = {
-                        index: i,
-                        total: iterations
-                    };
-                    results.push(await this.client.engine.execute(code, context));
-                }
+        const worker = async () => {
+            while (!stopped && next < iterations.length) {
+                const position = next++;
+                const { result, signal } = await run(iterations[position]);
+                if (signal?.type === 'break') stopped = true;
+                if (signal) skipped.add(position);
+                else results[position] = result;
             }
+        };
 
-            return results;
-        }
+        const workers = Math.max(1, Math.min(concurrency, iterations.length));
+        await Promise.all(Array.from({ length: workers }, worker));
 
-        throw new Error('Loop charm requires times or array parameter');
+        return results.filter((_, position) => position in results && !skipped.has(position));
     }
 
     /**
@@ -132,10 +140,11 @@ class LoopCharm extends BaseCharm {
         ],
         notes: [
             'Must specify either times or array',
-            'Variables available in code: $$index, $$value, $$total',
+            'Variables available in code: $$index, $$value, $$total, $$first, $$last',
             'Array iteration provides $$value and $$index',
             'Times iteration provides $$index and $$total',
-            'Async mode runs all iterations in parallel',
+            'Async mode runs iterations concurrently, bounded by maxConcurrentRequests',
+            '$break stops the loop and $continue skips to the next iteration',
             'Returns array of results from each iteration'
         ]
     };
@@ -182,10 +191,11 @@ class LoopCharm extends BaseCharm {
         ],
         notes: [
             'Deve especificar times ou array',
-            'Variáveis disponíveis no código: $$index, $$value, $$total',
+            'Variáveis disponíveis no código: $$index, $$value, $$total, $$first, $$last',
             'Iteração de array fornece $$value e $$index',
             'Iteração numérica fornece $$index e $$total',
-            'Modo async executa todas iterações em paralelo',
+            'Modo async executa iterações em paralelo, limitado por maxConcurrentRequests',
+            '$break para o loop e $continue pula para a próxima iteração',
             'Retorna array com resultados de cada iteração'
         ]
     };
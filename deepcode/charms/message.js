@@ -1,35 +1,39 @@
 /**
  * Message charm - Advanced message operations
+ * Discord requests count against the execution budget.
  */
+const ExecutionBudget = require('../core/budget');
+
 module.exports = {
     name: 'message',
     description: 'Message manipulation and control',
 
     async execute(args, context) {
         const { action = 'send', options = {}, target, content } = args;
+        const request = run => ExecutionBudget.request(context.budget, run);
 
         switch (action.toLowerCase()) {
             case 'send': {
                 const channel = target ? 
-                    await context.client.channels.fetch(target) :
+                    await request(() => context.client.channels.fetch(target)) :
                     context.channel;
                     
-                const msg = await channel.send({
+                const msg = await request(() => channel.send({
                     content,
                     ...options
-                });
+                }));
                 return this.getMessageData(msg);
             }
 
             case 'edit': {
                 const msg = target ?
-                    await context.channel.messages.fetch(target) :
+                    await request(() => context.channel.messages.fetch(target)) :
                     context.message;
                     
-                const edited = await msg.edit({
+                const edited = await request(() => msg.edit({
                     content,
                     ...options
-                });
+                }));
                 return this.getMessageData(edited);
             }
 
@@ -38,56 +42,56 @@ module.exports = {
                 const channel = context.channel;
 
                 if (messages.length === 1) {
-                    const msg = await channel.messages.fetch(messages[0]);
-                    await msg.delete();
+                    const msg = await request(() => channel.messages.fetch(messages[0]));
+                    await request(() => msg.delete());
                 } else {
-                    await channel.bulkDelete(messages);
+                    await request(() => channel.bulkDelete(messages));
                 }
                 return true;
             }
 
             case 'pin': {
-                const msg = await context.channel.messages.fetch(target);
-                await msg.pin();
+                const msg = await request(() => context.channel.messages.fetch(target));
+                await request(() => msg.pin());
                 return true;
             }
 
             case 'unpin': {
-                const msg = await context.channel.messages.fetch(target);
-                await msg.unpin();
+                const msg = await request(() => context.channel.messages.fetch(target));
+                await request(() => msg.unpin());
                 return true;
             }
 
             case 'react': {
                 const msg = target ?
-                    await context.channel.messages.fetch(target) :
+                    await request(() => context.channel.messages.fetch(target)) :
                     context.message;
                     
                 const emoji = content;
-                await msg.react(emoji);
+                await request(() => msg.react(emoji));
                 return true;
             }
 
             case 'fetch': {
                 if (!target) throw new Error('Message ID required');
-                const msg = await context.channel.messages.fetch(target);
+                const msg = await request(() => context.channel.messages.fetch(target));
                 return this.getMessageData(msg);
             }
 
             case 'history': {
                 const { limit = 100, before, after, around } = options;
-                const messages = await context.channel.messages.fetch({
+                const messages = await request(() => context.channel.messages.fetch({
                     limit,
                     before,
                     after,
                     around
-                });
+                }));
                 return [...messages.values()].map(m => this.getMessageData(m));
             }
 
             case 'search': {
                 const { query, limit = 25, includePinned = false } = options;
-                const messages = await context.channel.messages.fetch({ limit: 100 });
+                const messages = await request(() => context.channel.messages.fetch({ limit: 100 }));
                 
                 return [...messages.values()]
                     .filter(m => {
@@ -99,8 +103,8 @@ module.exports = {
             }
 
             case 'crosspost': {
-                const msg = await context.channel.messages.fetch(target);
-                const crossposted = await msg.crosspost();
+                const msg = await request(() => context.channel.messages.fetch(target));
+                const crossposted = await request(() => msg.crosspost());
                 return this.getMessageData(crossposted);
             }
 
@@ -6,6 +6,10 @@
  * $modal[create, { "id": "user_form", "title": "User Information", "components": [...] }] - Create modal
  * $modal[field, { "id": "username", "label": "Username", "required": true }] - Create text field
  * $modal[show, { "modal": modalObject, "interaction": interaction }] - Show modal
+ *
+ * Submissions are handled by the `modals` routes of a command, see
+ * core/ComponentRouter.js. Inside a button or select menu handler the
+ * interaction defaults to the one being handled.
  */
 module.exports = {
     name: 'modal',
@@ -187,8 +191,11 @@ module.exports = {
     /**
      * Show modal (for interactions)
      */
-    async showModal(options, context) {
-        const { modal, interaction } = options;
+    async showModal(options, context = {}) {
+        const { modal } = options;
+        const interaction = typeof options.interaction === 'object' && options.interaction !== null
+            ? options.interaction
+            : context.interaction;
 
         if (!modal) {
             throw new Error('Modal object is required');
@@ -1,4 +1,5 @@
 const BaseCharm = require('./BaseCharm');
+const { parseDuration } = require('../core/Scheduler');
 /**
  * Mute Charm
  * Mutes a user in the server.
@@ -11,6 +12,9 @@ const BaseCharm = require('./BaseCharm');
  * - user (string, required): The user to mute (mention or ID)
  * - duration (string, optional): Duration of mute (e.g., 10m, 1h)
  * - reason (string, optional): Reason for the mute
+ * - dm (boolean, optional): Message the user about the mute (default `moderation.dm`)
+ *
+ * Every mute is recorded as a moderation case, see `$case`.
  */
 class MuteCharm extends BaseCharm {
   async execute(args, context) {
@@ -19,18 +23,25 @@ class MuteCharm extends BaseCharm {
       if (!options.user) {
         return this.reply(context, { content: '❌ Please specify a user to mute.' });
       }
-      const member = await this.findMember(context.message.guild, options.user);
+      const member = await this.findMember(context.guild, options.user);
       if (!member) {
         return this.reply(context, { content: '❌ User not found.' });
       }
       // This example assumes you have a Muted role set up
-      const muteRole = context.message.guild.roles.cache.find(r => r.name.toLowerCase() === 'muted');
+      const muteRole = context.guild.roles.cache.find(r => r.name.toLowerCase() === 'muted');
       if (!muteRole) {
         return this.reply(context, { content: '❌ No "Muted" role found.' });
       }
-      await member.roles.add(muteRole, options.reason || 'Muted');
-      await this.reply(context, { content: `✅ Muted ${member.user.tag}.` });
-      // Optionally, implement duration logic here
+      const entry = await this.client.cases.record({
+        guild: context.guild,
+        target: member,
+        moderator: context.author,
+        action: 'mute',
+        reason: options.reason,
+        duration: options.duration ? parseDuration(options.duration) : null
+      }, { dm: options.dm, budget: context.budget, action: () => member.roles.add(muteRole, options.reason || 'Muted') });
+      await this.reply(context, { content: `✅ Muted ${member.user.tag} (case #${entry.id}).` });
+      // The duration is recorded with the case; the role is not removed automatically
     } catch (error) {
       await this.reply(context, { content: '❌ Error: ' + error.message });
       throw error;
@@ -0,0 +1,87 @@
+const BaseCharm = require('./BaseCharm');
+
+/**
+ * Paginate Charm
+ * Sends a list or a long text as an embed split into pages, with first,
+ * previous, jump, next and last buttons. Only the user who ran the command
+ * can turn the pages; the controls are disabled after `timeout` without use.
+ *
+ * TIER 1: $paginate[long text]
+ * TIER 2: $paginate[{ "items": $data[list], "perPage": 5 }]
+ * TIER 3: $paginate[{ "items": [...], "format": "{index}. {name}", "template": { "title": "Members ({total})", "footer": { "text": "Page {page} of {pages}" } }, "timeout": "5m" }]
+ *
+ * Options:
+ * - items / text: what to split (a JSON array string counts as items)
+ * - perPage, maxLength: items and characters per page
+ * - format: item template with `{index}`, `{value}` and object fields
+ * - template: embed with `{content}`, `{page}`, `{pages}` and `{total}`
+ * - timeout: idle time before the controls are disabled (default 2m)
+ * - page: first page shown
+ *
+ * Defaults come from `config.pagination`, see core/Paginator.js.
+ */
+class PaginateCharm extends BaseCharm {
+    constructor(client) {
+        super(client);
+    }
+
+    /**
+     * @param {any} args - The arguments for the charm.
+     * @param {object} context - The execution context.
+     */
+    async execute(args, context) {
+        const { content, ...options } = this.parsePaginateArgs(args);
+
+        const blank = item => item === null || item === undefined || (typeof item === 'string' && !item.trim());
+        if (!content?.length || (Array.isArray(content) ? content.every(blank) : blank(content))) {
+            throw new Error('$paginate requires items or text');
+        }
+
+        await this.client.paginator.create(content, context, options);
+    }
+
+    /**
+     * Custom parser for paginate arguments.
+     * @param {any} args - The raw arguments.
+     * @returns {{ content: Array|string }} Content and paginator options
+     */
+    parsePaginateArgs(args) {
+        if (Array.isArray(args)) {
+            return { content: args };
+        }
+
+        if (typeof args !== 'object' || args === null) {
+            return { content: this.parseItems(args) };
+        }
+
+        const { items, text, content, embed, template, ...options } = args;
+        return {
+            ...options,
+            content: items !== undefined ? this.parseItems(items) : String(text ?? content ?? ''),
+            template: template || embed
+        };
+    }
+
+    /**
+     * Items may arrive as the JSON text of a nested charm result.
+     * @param {any} items - Items or text.
+     * @returns {Array|string}
+     */
+    parseItems(items) {
+        if (typeof items !== 'string') {
+            return Array.isArray(items) ? items : String(items ?? '');
+        }
+
+        if (items.trim().startsWith('[')) {
+            try {
+                const parsed = JSON.parse(items);
+                if (Array.isArray(parsed)) return parsed;
+            } catch {
+                // Plain text that starts with a bracket
+            }
+        }
+        return items;
+    }
+}
+
+module.exports = PaginateCharm;
@@ -10,6 +10,7 @@ class SwitchCharm extends BaseCharm {
         this.name = 'switch';
         this.description = 'Compare a value against multiple cases';
         this.tier = 1;
+        this.lazy = true;
         this.examples = [
             '$switch[{"value": "$$role", "cases": {"admin": "$say[Admin]", "mod": "$say[Mod]", "default": "$say[User]"}}]',
             '$switch[{"value": "$$command", "cases": {"help": "$help[]", "play": "$play[$$args]"}}]'
@@ -24,7 +25,8 @@ class SwitchCharm extends BaseCharm {
      * @returns {Promise<any>} Result of execution
      */
     async execute(args) {
-        const { value, cases } = args;
+        const { cases } = args;
+        const value = this.client.engine.unprotect(args.value);
 
         if (!value || !cases) {
             throw new Error('Switch charm requires value and cases');
@@ -1,6 +1,17 @@
 /**
  * System charm - Core system operations
+ *
+ * `eval` runs JavaScript in a sandbox (core/sandbox.js) and is limited to
+ * the user IDs in `system.eval.owners`; `exec` is off unless `system.exec`
+ * is true, and is then limited to the same users:
+ *
+ * "system": {
+ *     "eval": { "owners": ["USER_ID"], "timeout": 1000, "memory": 32 },
+ *     "exec": false
+ * }
  */
+const { runInSandbox, DEFAULTS } = require('../core/sandbox');
+
 module.exports = {
     name: 'system',
     description: 'Core system functionality',
@@ -36,36 +47,34 @@ module.exports = {
             }
 
             case 'eval': {
-                const { code, async = false } = options;
+                const { code, async = false } = { ...args, ...options };
                 if (typeof code !== 'string') {
                     throw new Error('Code must be a string');
                 }
 
-                // Create safe context
-                const ctx = {
-                    client: context.client,
-                    guild: context.guild,
-                    channel: context.channel,
-                    author: context.author,
-                    message: context.message,
-                    args: context.args
-                };
-
-                try {
-                    let result;
-                    if (async) {
-                        result = await eval(`(async () => { ${code} })()`);
-                    } else {
-                        result = eval(code);
-                    }
-                    return { success: true, result };
-                } catch (error) {
-                    return { success: false, error: error.message };
+                const settings = this.getSettings(context.client).eval;
+                if (!context.author || !settings.owners.includes(context.author.id)) {
+                    throw new Error('$system eval is limited to the users in system.eval.owners');
                 }
+
+                return runInSandbox(code, {
+                    async,
+                    timeout: settings.timeout,
+                    memory: settings.memory,
+                    globals: this.expose(context)
+                });
             }
 
             case 'exec': {
-                const { command } = options;
+                const settings = this.getSettings(context.client);
+                if (!settings.exec) {
+                    throw new Error('$system exec is disabled; set system.exec to true to enable it');
+                }
+                if (!context.author || !settings.eval.owners.includes(context.author.id)) {
+                    throw new Error('$system exec is limited to the users in system.eval.owners');
+                }
+
+                const { command } = { ...args, ...options };
                 if (!command?.code) {
                     throw new Error('Command code required');
                 }
@@ -148,5 +157,55 @@ module.exports = {
             default:
                 throw new Error('Invalid system action');
         }
+    },
+
+    /**
+     * Eval and exec settings from `config.system`
+     */
+    getSettings(client) {
+        const system = client.config?.system || {};
+        return {
+            eval: {
+                owners: [system.eval?.owners].flat().filter(Boolean),
+                timeout: system.eval?.timeout ?? DEFAULTS.timeout,
+                memory: system.eval?.memory ?? DEFAULTS.memory
+            },
+            exec: system.exec === true
+        };
+    },
+
+    /**
+     * Read-only copies of the context and client exposed to eval code
+     */
+    expose(context) {
+        const { client, author, member, channel, guild, message } = context;
+        const user = value => value ? { id: value.id, username: value.username, tag: value.tag, bot: Boolean(value.bot) } : null;
+
+        const exposed = {
+            author: user(author),
+            member: member ? {
+                id: member.id,
+                displayName: member.displayName,
+                roles: [...(member.roles?.cache?.keys() || [])]
+            } : null,
+            channel: channel ? { id: channel.id, name: channel.name ?? null, type: channel.type } : null,
+            guild: guild ? { id: guild.id, name: guild.name, ownerId: guild.ownerId, memberCount: guild.memberCount } : null,
+            message: message ? { id: message.id, content: message.content } : null,
+            args: [...(context.args || [])]
+        };
+
+        return {
+            ...exposed,
+            context: exposed,
+            client: {
+                user: user(client.user),
+                uptime: client.uptime,
+                ping: client.ws?.ping,
+                guilds: client.guilds?.cache.size ?? 0,
+                users: client.users?.cache.size ?? 0,
+                commands: [...client.commands.items.keys()],
+                charms: [...client.charms.keys()]
+            }
+        };
     }
 };
@@ -3,6 +3,7 @@
  * @module charms/throw
  */
 const BaseCharm = require('./BaseCharm');
+const { errors } = require('../core/errors');
 
 class ThrowCharm extends BaseCharm {
     constructor(client) {
@@ -18,27 +19,24 @@ class ThrowCharm extends BaseCharm {
 
     /**
      * Execute the throw charm
-     * @param {string|Object} args Error message or object
-     * @throws {Error} Custom error
+     * @param {string|Object} args Error message, or { message, code, name, data }
+     * (other keys are collected into data)
+     * @throws {ScriptError} Error with name, code, message and data
      */
     async execute(args) {
         // Handle string error message
-        if (typeof args === 'string') {
-            throw new Error(args);
+        if (typeof args === 'string' && args) {
+            throw new errors.ScriptError(args);
         }
 
         // Handle error object
-        if (typeof args === 'object') {
-            const error = new Error(args.message || 'Unknown error');
-            
-            // Add custom properties
-            Object.entries(args).forEach(([key, value]) => {
-                if (key !== 'message') {
-                    error[key] = value;
-                }
+        if (args && typeof args === 'object') {
+            const { message = 'Unknown error', code, name, data, ...rest } = args;
+            throw new errors.ScriptError(String(message), {
+                code: code === undefined ? undefined : String(code),
+                name,
+                data: data ?? rest
             });
-
-            throw error;
         }
 
         throw new Error('Throw charm requires message or error object');
@@ -62,7 +60,7 @@ class ThrowCharm extends BaseCharm {
                 description: 'Simple error message'
             },
             {
-                code: '$throw[{"message": "Invalid role", "code": "ROLE_001", "role": $$role.name}]',
+                code: '$throw[{"message": "Invalid role", "code": "ROLE_001", "data": {"role": "$$role.name"}}]',
                 description: 'Detailed error object'
             },
             {
@@ -71,12 +69,11 @@ class ThrowCharm extends BaseCharm {
             }
         ],
         notes: [
-            'Can be caught by try charm',
-            'Supports string messages',
-            'Supports error objects',
-            'Preserves error stack',
-            'Can include custom properties',
-            'Integrates with error handling'
+            'Can be caught by try charm, also by code',
+            'Supports string messages (code SCRIPT_ERROR)',
+            'Supports error objects with message, code, name and data',
+            'Other keys of the object are collected into data',
+            'Catch blocks read $$error.code, $$error.message and $$error.data'
         ]
     };
 
@@ -97,7 +94,7 @@ class ThrowCharm extends BaseCharm {
                 description: 'Mensagem de erro simples'
             },
             {
-                code: '$throw[{"message": "Cargo inválido", "code": "ROLE_001", "role": $$role.name}]',
+                code: '$throw[{"message": "Cargo inválido", "code": "ROLE_001", "data": {"role": "$$role.name"}}]',
                 description: 'Objeto de erro detalhado'
             },
             {
@@ -106,12 +103,11 @@ class ThrowCharm extends BaseCharm {
             }
         ],
         notes: [
-            'Pode ser capturado pelo charm try',
-            'Suporta mensagens string',
-            'Suporta objetos de erro',
-            'Preserva stack de erro',
-            'Pode incluir propriedades personalizadas',
-            'Integra com tratamento de erros'
+            'Pode ser capturado pelo charm try, também por código',
+            'Suporta mensagens string (código SCRIPT_ERROR)',
+            'Suporta objetos de erro com message, code, name e data',
+            'Outras chaves do objeto vão para data',
+            'Blocos catch leem $$error.code, $$error.message e $$error.data'
         ]
     };
 }
@@ -8,7 +8,9 @@ const BaseCharm = require('./BaseCharm');
  *
  * TIER 1: $timeout[@user, 10m]
  * TIER 2: $timeout[{ "user": "@user", "duration": "10m", "reason": "Spam" }]
- * TIER 3: $timeout[{ "user": "123456789", "duration": "1h", "reason": "Rule violation" }]
+ * TIER 3: $timeout[{ "user": "123456789", "duration": "1h", "reason": "Rule violation", "dm": true }]
+ *
+ * Every timeout is recorded as a moderation case, see `$case`.
  */
 class TimeoutCharm extends BaseCharm {
     constructor(client) {
@@ -22,7 +24,7 @@ class TimeoutCharm extends BaseCharm {
     async execute(args, context) {
         try {
             // Check permissions
-            if (!context.message.member.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
+            if (!context.member?.permissions.has(PermissionsBitField.Flags.ModerateMembers)) {
                 return this.reply(context, { content: '❌ You do not have permission to timeout members.', ephemeral: true });
             }
 
@@ -33,7 +35,7 @@ class TimeoutCharm extends BaseCharm {
             }
 
             // Find the member to timeout
-            const memberToTimeout = await this.findMember(context.message.guild, options.user);
+            const memberToTimeout = await this.findMember(context.guild, options.user);
             if (!memberToTimeout) {
                 return this.reply(context, { content: '❌ Could not find the specified user.', ephemeral: true });
             }
@@ -48,12 +50,19 @@ class TimeoutCharm extends BaseCharm {
                 return this.reply(context, { content: '❌ Invalid duration. Maximum is 28 days.', ephemeral: true });
             }
 
-            // Apply timeout
-            await memberToTimeout.timeout(durationMs, options.reason);
+            // Apply timeout and record the case
+            const entry = await this.client.cases.record({
+                guild: context.guild,
+                target: memberToTimeout,
+                moderator: context.author,
+                action: 'timeout',
+                reason: options.reason,
+                duration: durationMs
+            }, { dm: options.dm, budget: context.budget, action: () => memberToTimeout.timeout(durationMs, options.reason) });
 
             // Send confirmation
             const durationText = this.formatDuration(durationMs);
-            await this.reply(context, { content: `✅ Successfully timed out ${memberToTimeout.user.tag} for ${durationText}.` });
+            await this.reply(context, { content: `✅ Successfully timed out ${memberToTimeout.user.tag} for ${durationText} (case #${entry.id}).` });
 
         } catch (error) {
             console.error('Error executing timeout charm:', error);
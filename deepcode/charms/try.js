@@ -3,6 +3,8 @@
  * @module charms/try
  */
 const BaseCharm = require('./BaseCharm');
+const { errors, describeError } = require('../core/errors');
+const { ControlSignal } = require('../core/control');
 
 class TryCharm extends BaseCharm {
     constructor(client) {
@@ -10,9 +12,12 @@ class TryCharm extends BaseCharm {
         this.name = 'try';
         this.description = 'Execute code with error handling';
         this.tier = 2;
+        this.lazy = true;
+        this.scoped = true;
         this.examples = [
             '$try[{"code": "$data[get; value]", "catch": "$say[Error: $$error]"}]',
-            '$try[{"code": "$role[add; user; admin]", "catch": "$log[error; $$error]", "finally": "$say[Done]"}]'
+            '$try[{"code": "$role[add; user; admin]", "catch": "$log[error; $$error]", "finally": "$say[Done]"}]',
+            '$try[{"code": "$assert[$$1 > 0; Amount must be positive]", "catch": {"ASSERTION_FAILED": "$say[$$error]", "*": "$say[Failed: $$error.code]"}}]'
         ];
     }
 
@@ -20,74 +25,69 @@ class TryCharm extends BaseCharm {
      * Execute the try charm
      * @param {Object} args Try block arguments
      * @param {string} args.code Code to try executing
-     * @param {string} [args.catch] Code to execute on error
-     * @param {string} [args.finally] Code to execute after try/catch
-     * @returns {Promise<any>} Result of execution
+     * @param {string|Object} [args.catch] Code to execute on error, or code blocks by
+     * error code: { "NOT_FOUND": code, "E401|E403": code, "*": code }
+     * @param {string} [args.finally] Code to execute after try/catch, even when the error is rethrown
+     * @param {Object} context Execution context
+     * @returns {Promise<any>} Result of the try or catch block
      */
-    async execute(args) {
-        const { code, catch: catchCode, finally: finallyCode } = args;
+    async execute(args, context = {}) {
+        const { code, catch: handlers, finally: finallyCode } = args || {};
 
         if (!code) {
             throw new Error('Try charm requires code to execute');
         }
 
+        const engine = this.client.engine;
         try {
-            // Execute try block
-            const result = await this.client.engine.execute(code);
-            
-            // Execute finally if exists
-            if (finallyCode) {
-                await this.client.engine.execute(finallyCode);
-            }
-
-            return result;
+            return await engine.process(code, context);
         } catch (error) {
-            // Create error context
-            const errorContext = {
-                error: error.message,
-                stack: error.stack,
-                code: code,
-                type: error.name
-            };
-
-            // Execute catch block if exists
-            if (catchCode) {
-                const result = await this.client.engine.execute(catchCode, errorContext);
-                
-                // Execute finally if exists
-                if (finallyCode) {
-                    await this.client.engine.execute(finallyCode);
-                }
-
-                return result;
+            const handler = this.findHandler(handlers, error);
+            if (handler === undefined) {
+                throw error;
             }
 
-            // Execute finally if exists
+            // $$error describes the error inside the catch block
+            return await engine.process(handler, { ...context, error });
+        } finally {
             if (finallyCode) {
-                await this.client.engine.execute(finallyCode);
+                await engine.process(finallyCode, context);
             }
-
-            // Re-throw if no catch block
-            throw error;
         }
     }
 
+    /**
+     * Pick the catch block for an error
+     * $break, $continue and exceeded budgets are never caught.
+     * @private
+     * @returns {string|undefined} Code block, or undefined to rethrow
+     */
+    findHandler(handlers, error) {
+        if (error instanceof ControlSignal || error instanceof errors.BudgetError) return undefined;
+        if (typeof handlers === 'string') return handlers || undefined;
+        if (!handlers || typeof handlers !== 'object') return undefined;
+
+        const { code } = describeError(error);
+        const match = Object.keys(handlers).find(key => key.split('|').map(part => part.trim()).includes(code));
+        return handlers[match ?? '*'];
+    }
+
     /**
      * Get documentation for this charm
      * @returns {Object} Charm documentation
      */
     static documentation = {
         description: 'Execute code with error handling',
-        usage: '$try[{"code": code, "catch": catchCode?, "finally": finallyCode?}]',
+        usage: '$try[{"code": code, "catch": catchCode|{code: catchCode}?, "finally": finallyCode?}]',
         arguments: [{
             name: 'code',
             type: 'string',
             description: 'Code to try executing'
         }, {
             name: 'catch',
-            type: 'string',
+            type: 'string|object',
             optional: true,
-            description: 'Code to execute if error occurs'
+            description: 'Code to execute if error occurs, or code blocks by error code ("*" for any)'
         }, {
             name: 'finally',
             type: 'string',
@@ -106,13 +106,18 @@ class TryCharm extends BaseCharm {
             {
                 code: '$try[{"code": "$message[delete; $$message.reference.id]", "catch": "$say[Cannot delete message: $$error]"}]',
                 description: 'Safe message deletion'
+            },
+            {
+                code: '$try[{"code": "$assert[$$1 > 0; Give a positive amount]", "catch": {"ASSERTION_FAILED": "$say[$$error.message]"}}]',
+                description: 'Catch one error code, rethrow the rest'
             }
         ],
         notes: [
             'Catch block is optional',
             'Finally block always executes',
-            'Provides error context in catch',
-            'Re-throws if no catch block',
+            'Catch blocks read $$error.name, $$error.code, $$error.message and $$error.data',
+            'Re-throws if no catch block matches the error code',
+            'Never catches $break, $continue or exceeded execution budgets',
             'Can be nested',
             'Returns try or catch result'
         ]
@@ -123,16 +128,16 @@ class TryCharm extends BaseCharm {
      */
     static ptDocs = {
         description: 'Executa código com tratamento de erros',
-        usage: '$try[{"code": código, "catch": códigoErro?, "finally": códigoFinal?}]',
+        usage: '$try[{"code": código, "catch": códigoErro|{código: códigoErro}?, "finally": códigoFinal?}]',
         arguments: [{
             name: 'code',
             type: 'string',
             description: 'Código para tentar executar'
         }, {
             name: 'catch',
-            type: 'string',
+            type: 'string|object',
             optional: true,
-            description: 'Código para executar se ocorrer erro'
+            description: 'Código para executar se ocorrer erro, ou blocos por código de erro ("*" para qualquer)'
         }, {
             name: 'finally',
             type: 'string',
@@ -151,13 +156,18 @@ class TryCharm extends BaseCharm {
             {
                 code: '$try[{"code": "$message[delete; $$message.reference.id]", "catch": "$say[Não foi possível deletar mensagem: $$error]"}]',
                 description: 'Deleção segura de mensagem'
+            },
+            {
+                code: '$try[{"code": "$assert[$$1 > 0; Informe um valor positivo]", "catch": {"ASSERTION_FAILED": "$say[$$error.message]"}}]',
+                description: 'Capturar um código de erro e re-lançar os demais'
             }
         ],
         notes: [
             'Bloco catch é opcional',
             'Bloco finally sempre executa',
-            'Fornece contexto de erro no catch',
-            'Re-lança erro se não houver catch',
+            'Blocos catch leem $$error.name, $$error.code, $$error.message e $$error.data',
+            'Re-lança erro se nenhum bloco catch corresponder ao código',
+            'Nunca captura $break, $continue ou orçamentos de execução excedidos',
             'Pode ser aninhado',
             'Retorna resultado do try ou catch'
         ]
@@ -17,11 +17,11 @@ class UnmuteCharm extends BaseCharm {
       if (!options.user) {
         return this.reply(context, { content: '❌ Please specify a user to unmute.' });
       }
-      const member = await this.findMember(context.message.guild, options.user);
+      const member = await this.findMember(context.guild, options.user);
       if (!member) {
         return this.reply(context, { content: '❌ User not found.' });
       }
-      const muteRole = context.message.guild.roles.cache.find(r => r.name.toLowerCase() === 'muted');
+      const muteRole = context.guild.roles.cache.find(r => r.name.toLowerCase() === 'muted');
       if (!muteRole) {
         return this.reply(context, { content: '❌ No "Muted" role found.' });
       }
@@ -10,6 +10,9 @@ const BaseCharm = require('./BaseCharm');
  * Arguments:
  * - user (string, required): The user to warn (mention or ID)
  * - reason (string, optional): Reason for the warning
+ * - dm (boolean, optional): Message the user about the warning (default `moderation.dm`)
+ *
+ * Every warning is recorded as a moderation case, see `$case`.
  */
 class WarnCharm extends BaseCharm {
   async execute(args, context) {
@@ -18,12 +21,18 @@ class WarnCharm extends BaseCharm {
       if (!options.user) {
         return this.reply(context, { content: '❌ Please specify a user to warn.' });
       }
-      const member = await this.findMember(context.message.guild, options.user);
+      const member = await this.findMember(context.guild, options.user);
       if (!member) {
         return this.reply(context, { content: '❌ User not found.' });
       }
-      // You can implement a warning system (e.g., log to DB or send DM)
-      await this.reply(context, { content: `⚠️ Warned ${member.user.tag}${options.reason ? `: ${options.reason}` : ''}` });
+      const entry = await this.client.cases.record({
+        guild: context.guild,
+        target: member,
+        moderator: context.author,
+        action: 'warn',
+        reason: options.reason
+      }, { dm: options.dm, budget: context.budget });
+      await this.reply(context, { content: `⚠️ Warned ${member.user.tag} (case #${entry.id})${options.reason ? `: ${options.reason}` : ''}` });
     } catch (error) {
       await this.reply(context, { content: '❌ Error: ' + error.message });
       throw error;
@@ -3,6 +3,7 @@
  * @module charms/while
  */
 const BaseCharm = require('./BaseCharm');
+const { enterIteration, runIteration, isTrue } = require('../core/control');
 
 class WhileCharm extends BaseCharm {
     constructor(client) {
@@ -10,6 +11,8 @@ class WhileCharm extends BaseCharm {
         this.name = 'while';
         this.description = 'Execute code while a condition is true';
         this.tier = 2;
+        this.lazy = true;
+        this.scoped = true;
         this.examples = [
             '$while[{"condition": "$$count < 5", "code": "$data[add; count; 1]"}]',
             '$while[{"condition": "$$message.reactions.size < 3", "code": "$wait[1s]", "timeout": 60}]'
@@ -19,57 +22,48 @@ class WhileCharm extends BaseCharm {
     /**
      * Execute the while charm
      * @param {Object} args While arguments
-     * @param {string} args.condition Condition to check
+     * @param {string} args.condition Condition to check, e.g. `$$index < 5`; evaluated before each iteration
      * @param {string} args.code Code to execute
      * @param {number} [args.timeout=30] Maximum execution time in seconds
      * @param {number} [args.maxIterations=100] Maximum number of iterations
-     * @returns {Promise<any[]>} Array of results
+     * @param {Object} context Execution context
+     * @returns {Promise<any[]>} Results of the iterations that finished
      */
-    async execute(args) {
-        const { condition, code, timeout = 30, maxIterations = 100 } = args;
+    async execute(args, context = {}) {
+        const { condition, code, timeout = 30, maxIterations = 100 } = args || {};
 
         if (!condition || !code) {
             throw new Error('While charm requires condition and code');
         }
 
         const results = [];
-        let iterations = 0;
         const startTime = Date.now();
         const timeoutMs = timeout * 1000;
 
-        while (true) {
+        for (let index = 0; ; index++) {
             // Check timeout
             if (Date.now() - startTime > timeoutMs) {
                 throw new Error(`While charm timed out after ${timeout} seconds`);
             }
 
-            // Check max iterations
-            if (iterations >= maxIterations) {
-                throw new Error(`While charm exceeded maximum iterations (${maxIterations})`);
-            }
+            const loop = { index, startTime, elapsedTime: Date.now() - startTime };
 
-            // Check condition
-            const conditionResult = await this.client.engine.execute(`$condition[{
-                "left": "${condition}",
-                "operator": "equals",
-                "right": "true"
-            }]`);
-
-            if (!conditionResult) {
+            // Check condition; it sees $$index but is not an iteration itself
+            const scope = { ...context, loop: { type: 'while', ...loop, parent: context.loop } };
+            if (!isTrue(await this.client.engine.process(String(condition), scope))) {
                 break;
             }
 
-            // Execute code
-            const context = {
-                iteration: iterations,
-                startTime,
-                elapsedTime: Date.now() - startTime
-            };
-
-            const result = await this.client.engine.execute(code, context);
-            results.push(result);
+            // Check max iterations
+            if (index >= maxIterations) {
+                throw new Error(`While charm exceeded maximum iterations (${maxIterations})`);
+            }
 
-            iterations++;
+            // Execute code
+            const iteration = enterIteration(context, 'while', loop);
+            const { result, signal } = await runIteration(() => this.client.engine.process(code, iteration));
+            if (signal?.type === 'break') break;
+            if (!signal) results.push(result);
         }
 
         return results;
@@ -119,7 +113,7 @@ class WhileCharm extends BaseCharm {
             'Has timeout to prevent infinite loops',
             'Limited maximum iterations for safety',
             'Condition is checked before each iteration',
-            'Provides iteration count in context',
+            'Provides the iteration count as $$index',
             'Returns array of results from each iteration',
             'Can use any charm code in condition and execution'
         ]
@@ -168,7 +162,7 @@ class WhileCharm extends BaseCharm {
             'Tem timeout para evitar loops infinitos',
             'Limita número máximo de iterações por segurança',
             'Condição é verificada antes de cada iteração', 
-            'Fornece contador de iteração no contexto',
+            'Fornece o contador de iteração como $$index',
             'Retorna array com resultados de cada iteração',
             'Pode usar qualquer código charm na condição e execução'
         ]
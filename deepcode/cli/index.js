@@ -34,8 +34,13 @@ program
     .description('Start the Discord bot')
     .option('-d, --debug', 'Enable debug mode')
     .option('-c, --config <path>', 'Path to config file')
+    .option('-w, --watch', 'Reload changed commands, charms, events and plugins')
     .action(async (options) => {
         try {
+            if (options.watch) {
+                process.env.DEEPCODE_WATCH = 'true';
+            }
+
             const startBot = require('../test/bot');
             await startBot();
         } catch (error) {
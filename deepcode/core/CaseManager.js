@@ -0,0 +1,350 @@
+const Handler = require('../runtime/handler');
+const ExecutionBudget = require('./budget');
+const { createDataStorage } = require('./storage');
+
+const idOf = value => (typeof value === 'object' && value !== null ? value.id : value) || null;
+
+// Actions after which the target may share no guild with the bot to be messaged
+const REMOVALS = new Set(['kick', 'ban']);
+
+/**
+ * CaseManager - Persistent moderation cases
+ * $warn, $kick, $ban, $mute and $timeout record a case numbered per guild:
+ * target, moderator, action, reason, duration and timestamps. Cases are
+ * stored like scheduled tasks, through the variables storage backend with
+ * their own file (json) or table (sqlite).
+ *
+ * Options come from `config.moderation`:
+ * - persist, storage, path: storage settings, defaulting to the variables settings
+ * - dm: message the target about their case (default false, charms can override it)
+ * - logChannel: channel ID that receives every new case, or { guildId: channelId }
+ */
+class CaseManager extends Handler {
+    constructor(client) {
+        super(client, { type: 'case' });
+        this.storage = null;
+        this.counters = new Map();
+        this.loading = null;
+    }
+
+    /**
+     * Moderation configuration (`config.moderation`)
+     */
+    get options() {
+        return this.client.config?.moderation || {};
+    }
+
+    /**
+     * Whether cases are persisted
+     */
+    get persistence() {
+        return Boolean(this.options.persist ?? this.client.config?.variables?.persist);
+    }
+
+    /**
+     * Get the storage adapter, creating it from the config on first use
+     * @returns {StorageAdapter|null} Storage adapter
+     */
+    getStorage() {
+        if (!this.persistence) return null;
+        if (!this.storage) {
+            this.storage = createDataStorage('cases', this.options, this.client.config?.variables);
+        }
+        return this.storage;
+    }
+
+    /**
+     * Load the stored cases, once
+     * @returns {Promise<void>}
+     */
+    load() {
+        this.loading ??= (async () => {
+            const storage = this.getStorage();
+            const entries = storage ? await storage.load() : [];
+
+            for (const [key, value] of entries) {
+                if (key.startsWith('counter:')) {
+                    this.counters.set(key.slice('counter:'.length), value);
+                } else if (!this.items.has(key)) {
+                    this.items.set(key, value);
+                }
+            }
+        })();
+        return this.loading;
+    }
+
+    /**
+     * Record a moderation case
+     * `options.action` performs the moderation and the case is only stored
+     * when it succeeds. The target is messaged afterwards, except for kicks
+     * and bans: those are announced first, while the target still shares the
+     * guild, and the message is deleted again if the action fails.
+     * @param {Object} data Case data
+     * @param {Guild|string} data.guild Guild
+     * @param {User|GuildMember|string} data.target Target
+     * @param {User|GuildMember|string} [data.moderator] Moderator
+     * @param {string} data.action warn, kick, ban, mute, timeout, ...
+     * @param {string} [data.reason] Reason
+     * @param {number} [data.duration] Duration in milliseconds
+     * @param {Object} [options] Options
+     * @param {Function} [options.action] Performs the moderation
+     * @param {boolean} [options.dm] Message the target (default `config.moderation.dm`)
+     * @param {ExecutionBudget} [options.budget] Budget the action, message and mod-log post count against
+     * @returns {Promise<Object>} The case
+     */
+    async record(data, options = {}) {
+        await this.load();
+
+        const guild = idOf(data.guild);
+        if (!guild) throw new Error('A moderation case needs a guild');
+        if (!data.target) throw new Error('A moderation case needs a target');
+        if (!data.action) throw new Error('A moderation case needs an action');
+
+        const id = this.nextId(guild);
+        this.counters.set(guild, id);
+
+        const now = Date.now();
+        const duration = data.duration || null;
+        const entry = {
+            id,
+            guild,
+            action: String(data.action).toLowerCase(),
+            target: this.describeUser(data.target),
+            moderator: data.moderator ? this.describeUser(data.moderator) : null,
+            reason: data.reason || null,
+            duration,
+            expiresAt: duration ? now + duration : null,
+            createdAt: now,
+            updatedAt: now,
+            notified: false
+        };
+
+        const request = run => ExecutionBudget.request(options.budget, run);
+        const notify = options.dm ?? this.options.dm;
+        const early = notify && REMOVALS.has(entry.action);
+        let notice = early ? await this.notifyTarget(data.target, entry, data.guild?.name, request) : null;
+
+        try {
+            if (options.action) await request(options.action);
+        } catch (error) {
+            // Give the number back unless another case took the next one
+            if (this.counters.get(guild) === id) this.counters.set(guild, id - 1);
+            if (notice?.delete) await request(() => notice.delete()).catch(() => {});
+            throw error;
+        }
+
+        if (notify && !early) {
+            notice = await this.notifyTarget(data.target, entry, data.guild?.name, request);
+        }
+        entry.notified = Boolean(notice);
+
+        this.items.set(this.key(guild, id), entry);
+        this.persist(entry);
+        this.getStorage()?.set(`counter:${guild}`, id).catch(() => {});
+
+        this.client.emit('caseCreate', entry);
+        await this.postToLog(entry, request);
+
+        return entry;
+    }
+
+    /**
+     * Get a case
+     * @param {Guild|string} guild Guild
+     * @param {number|string} id Case number
+     * @returns {Promise<Object|null>} The case
+     */
+    async getCase(guild, id) {
+        await this.load();
+        return this.items.get(this.key(idOf(guild), parseInt(id, 10))) || null;
+    }
+
+    /**
+     * Change the reason of a case
+     * @param {Guild|string} guild Guild
+     * @param {number|string} id Case number
+     * @param {string} reason New reason
+     * @returns {Promise<Object>} The updated case
+     */
+    async editReason(guild, id, reason) {
+        const entry = await this.getCase(guild, id);
+        if (!entry) throw new Error(`Case #${id} not found`);
+
+        entry.reason = reason || null;
+        entry.updatedAt = Date.now();
+        this.persist(entry);
+
+        this.client.emit('caseUpdate', entry);
+        return entry;
+    }
+
+    /**
+     * Delete a case
+     * Case numbers are never reused.
+     * @param {Guild|string} guild Guild
+     * @param {number|string} id Case number
+     * @returns {Promise<Object>} The deleted case
+     */
+    async deleteCase(guild, id) {
+        const entry = await this.getCase(guild, id);
+        if (!entry) throw new Error(`Case #${id} not found`);
+
+        const key = this.key(entry.guild, entry.id);
+        this.items.delete(key);
+        this.getStorage()?.delete(key).catch(error => {
+            console.error(`Error deleting case #${entry.id}:`, error);
+        });
+
+        this.client.emit('caseDelete', entry);
+        return entry;
+    }
+
+    /**
+     * Get the cases of a guild, optionally only those of one member
+     * @param {Guild|string} guild Guild
+     * @param {User|GuildMember|string} [user] Target
+     * @returns {Promise<Object[]>} Cases, oldest first
+     */
+    async history(guild, user) {
+        await this.load();
+
+        const guildId = idOf(guild);
+        const userId = user ? this.describeUser(user).id : null;
+
+        return [...this.items.values()]
+            .filter(entry => entry.guild === guildId && (!userId || entry.target.id === userId))
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Describe a case as text
+     * @param {Object} entry Case
+     * @returns {string} Text
+     */
+    format(entry) {
+        const lines = [
+            `**Case #${entry.id}** | ${entry.action.charAt(0).toUpperCase()}${entry.action.slice(1)}`,
+            `User: ${entry.target.tag} (${entry.target.id})`,
+            `Moderator: ${entry.moderator ? `${entry.moderator.tag} (${entry.moderator.id})` : 'Unknown'}`,
+            `Reason: ${entry.reason || 'No reason provided'}`
+        ];
+
+        if (entry.duration) {
+            lines.push(`Duration: ${this.formatDuration(entry.duration)}`);
+        }
+        lines.push(`Date: <t:${Math.floor(entry.createdAt / 1000)}:f>`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Format a duration in milliseconds as text, e.g. `2 hours`
+     */
+    formatDuration(ms) {
+        const units = [['day', 86400000], ['hour', 3600000], ['minute', 60000], ['second', 1000]];
+        const [unit, size] = units.find(([, size]) => ms >= size) || units[units.length - 1];
+        const amount = Math.floor(ms / size);
+        return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Message the target about their case
+     * @private
+     * @returns {Promise<Message|null>} The message, unless it could not be delivered
+     */
+    async notifyTarget(target, entry, guildName, request = run => run()) {
+        const user = target.user || target;
+        if (typeof user.send !== 'function') return null;
+
+        const action = { warn: 'warned', kick: 'kicked', ban: 'banned', mute: 'muted', timeout: 'timed out' }[entry.action] || entry.action;
+        const lines = [`You were ${action}${guildName ? ` in **${guildName}**` : ''} (case #${entry.id}).`];
+        if (entry.reason) lines.push(`Reason: ${entry.reason}`);
+        if (entry.duration) lines.push(`Duration: ${this.formatDuration(entry.duration)}`);
+
+        try {
+            return await request(() => user.send(lines.join('\n'))) || null;
+        } catch {
+            // Users may have DMs closed
+            return null;
+        }
+    }
+
+    /**
+     * Post a new case to the mod-log channel of its guild
+     * @private
+     */
+    async postToLog(entry, request = run => run()) {
+        const { logChannel } = this.options;
+        const channelId = typeof logChannel === 'object' && logChannel !== null ? logChannel[entry.guild] : logChannel;
+        if (!channelId) return;
+
+        try {
+            const channel = this.client.channels.cache.get(channelId) || await this.client.channels.fetch(channelId);
+            await request(() => channel.send(this.format(entry)));
+        } catch (error) {
+            console.error(`Error posting case #${entry.id} to the mod log:`, error.message);
+        }
+    }
+
+    /**
+     * Next case number of a guild
+     * @private
+     */
+    nextId(guild) {
+        let last = this.counters.get(guild) || 0;
+        for (const entry of this.items.values()) {
+            if (entry.guild === guild && entry.id > last) last = entry.id;
+        }
+        return last + 1;
+    }
+
+    /**
+     * Write a case to storage
+     * @private
+     */
+    persist(entry) {
+        this.getStorage()?.set(this.key(entry.guild, entry.id), entry).catch(error => {
+            console.error(`Error saving case #${entry.id}:`, error);
+        });
+    }
+
+    /**
+     * @private
+     */
+    describeUser(user) {
+        if (typeof user !== 'object' || user === null) {
+            return { id: String(user).replace(/[<@!>]/g, ''), tag: String(user) };
+        }
+        const resolved = user.user || user;
+        return { id: resolved.id, tag: resolved.tag || resolved.username || resolved.id };
+    }
+
+    /**
+     * @private
+     */
+    key(guild, id) {
+        return `${guild}:${id}`;
+    }
+
+    /**
+     * Close the storage
+     */
+    async stop() {
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+
+    /**
+     * Get manager stats
+     */
+    getStats() {
+        return {
+            total: this.items.size,
+            persistence: this.persistence,
+            storage: this.getStorage()?.name || null
+        };
+    }
+}
+
+module.exports = CaseManager;
@@ -37,8 +37,8 @@ class CharmCommandLoader {
             
             for (const file of files) {
                 try {
-                    const command = await this.loadCommandFile(file);
-                    if (command) {
+                    const commands = [await this.loadCommandFile(file)].flat().filter(Boolean);
+                    for (const command of commands) {
                         this.registerCommand(command);
                         loadedCount++;
                     }
@@ -61,8 +61,9 @@ class CharmCommandLoader {
 
     /**
      * Load a single command file
+     * A file may export one command or an array of commands.
      * @param {string} filePath - Path to the command file
-     * @returns {Promise<Object|null>} Command object or null if invalid
+     * @returns {Promise<Object|Array<Object>|null>} Command object(s) or null if invalid
      */
     async loadCommandFile(filePath) {
         try {
@@ -77,14 +78,17 @@ class CharmCommandLoader {
             }
 
             // Validate command structure
-            if (!this.validateCommand(command)) {
+            const commands = [command].flat().filter(item => item && this.validateCommand(item));
+            if (!commands.length) {
                 return null;
             }
 
             // Add file path for debugging
-            command._filePath = filePath;
-            
-            return command;
+            for (const item of commands) {
+                item._filePath = filePath;
+            }
+
+            return Array.isArray(command) ? commands : commands[0];
 
         } catch (error) {
             console.error(chalk.red(`Error loading command file ${filePath}:`), error);
@@ -153,7 +157,8 @@ class CharmCommandLoader {
             this.client.commands.unregister(commandName);
             
             // Load and register new version
-            const command = await this.loadCommandFile(commandInfo.filePath);
+            const command = [await this.loadCommandFile(commandInfo.filePath)].flat()
+                .find(item => item?.name === commandName);
             if (command) {
                 this.registerCommand(command);
                 console.log(chalk.green(`✓ Reloaded command: ${commandName}`));
@@ -0,0 +1,404 @@
+const { Collection, PermissionsBitField } = require('discord.js');
+const { errors } = require('./errors');
+const { formatDiagnostic } = require('../parser/diagnostics');
+const chalk = require('chalk');
+
+/**
+ * CommandDispatcher - Single execution path for every command
+ * Prefix and slash commands, code-based or function-based, run through the
+ * same middleware pipeline:
+ *
+ *     validate → permissions → cooldown → hooks → stats → execute
+ *
+ * A middleware is `async (context, next) => {}`; it can stop the command by
+ * throwing (a CommandError is shown to the user as is) or by not calling
+ * `next()`. Stages are named so they can be replaced or extended:
+ *
+ * client.dispatcher.use('maintenance', async (context, next) => {
+ *     if (maintenance) throw new errors.CommandError('Bot is in maintenance');
+ *     await next();
+ * }, { before: 'validate' });
+ */
+class CommandDispatcher {
+    constructor(client) {
+        this.client = client;
+        this.debug = client.debug || false;
+        this.middleware = [];
+        this.cooldowns = new Collection();
+        this.executing = new Set();
+        this.stats = new Collection();
+
+        this.useDefaults();
+    }
+
+    /**
+     * Register the built-in pipeline stages
+     * @private
+     */
+    useDefaults() {
+        this.use('validate', (context, next) => this.validate(context, next));
+        this.use('permissions', (context, next) => this.checkPermissions(context, next));
+        this.use('cooldown', (context, next) => this.checkCooldown(context, next));
+        this.use('hooks', (context, next) => this.runHooks(context, next));
+        this.use('stats', (context, next) => this.trackStats(context, next));
+        this.use('execute', context => this.executeCommand(context));
+    }
+
+    /**
+     * Add a middleware stage
+     * @param {string} name Stage name
+     * @param {Function} handler Middleware `(context, next) => {}`
+     * @param {Object} [options] Placement
+     * @param {string} [options.before] Insert before this stage
+     * @param {string} [options.after] Insert after this stage
+     * @returns {CommandDispatcher} This dispatcher
+     */
+    use(name, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new errors.ValidationError(`Middleware ${name} must be a function`);
+        }
+
+        // Replace a stage with the same name in place
+        const existing = this.middleware.findIndex(stage => stage.name === name);
+        if (existing !== -1) {
+            this.middleware[existing] = { name, handler };
+            return this;
+        }
+
+        const anchor = options.before || options.after;
+        let index = this.middleware.findIndex(stage => stage.name === (anchor || 'execute'));
+        if (anchor && index === -1) {
+            throw new errors.ValidationError(`Unknown middleware stage: ${anchor}`);
+        }
+        if (options.after) index++;
+        if (index === -1) index = this.middleware.length;
+
+        this.middleware.splice(index, 0, { name, handler });
+        return this;
+    }
+
+    /**
+     * Remove a middleware stage
+     * @param {string} name Stage name
+     * @returns {boolean} Whether the stage existed
+     */
+    remove(name) {
+        const index = this.middleware.findIndex(stage => stage.name === name);
+        if (index === -1) return false;
+        this.middleware.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Run a command through the pipeline
+     * Errors are reported to the user and never thrown.
+     * @param {Object} command Command definition
+     * @param {Object} context Execution context (message or interaction, args, send, ...)
+     * @returns {Promise<Object>} The context, with `result` and `error` set
+     */
+    async dispatch(command, context) {
+        context.command = command;
+        context.client = this.client;
+        context.args = context.args || [];
+
+        const run = async (index) => {
+            const stage = this.middleware[index];
+            if (!stage) return;
+            await stage.handler(context, () => run(index + 1));
+        };
+
+        try {
+            await run(0);
+        } catch (error) {
+            context.error = error;
+            await this.handleError(error, command, context);
+        }
+
+        return context;
+    }
+
+    /**
+     * Check disabled, guildOnly, dmOnly and ownerOnly flags
+     */
+    async validate(context, next) {
+        const { command, author } = context;
+
+        if (command.disabled || this.client.commands.isDisabled(command.name)) {
+            throw new errors.CommandError('This command is disabled');
+        }
+
+        if (command.guildOnly && !context.guild) {
+            throw new errors.CommandError('This command can only be used in a server');
+        }
+
+        if (command.dmOnly && context.guild) {
+            throw new errors.CommandError('This command can only be used in DMs');
+        }
+
+        if (command.ownerOnly && !this.isOwner(author)) {
+            throw new errors.CommandError('This command can only be used by the bot owner');
+        }
+
+        // One command at a time per user
+        if (this.executing.has(author.id)) {
+            throw new errors.CommandError('You already have a command executing');
+        }
+
+        this.executing.add(author.id);
+        try {
+            await next();
+        } finally {
+            this.executing.delete(author.id);
+        }
+    }
+
+    /**
+     * Check the permissions of the bot and the user
+     * `permissions` applies to both, `botPermissions` only to the bot.
+     */
+    async checkPermissions(context, next) {
+        const { command, guild } = context;
+        const userPermissions = this.resolvePermissions(command.permissions);
+        const botPermissions = this.resolvePermissions([...(command.permissions || []), ...(command.botPermissions || [])]);
+
+        if (guild && (userPermissions.length || botPermissions.length)) {
+            const me = guild.members.me || await guild.members.fetch(this.client.user.id).catch(() => null);
+            const missingBot = me ? botPermissions.filter(perm => !me.permissions.has(perm)) : [];
+            if (missingBot.length) {
+                throw new errors.CommandError(`I need the following permissions: ${missingBot.join(', ')}`);
+            }
+
+            const member = context.member || await guild.members.fetch(context.author.id).catch(() => null);
+            const missingUser = member ? userPermissions.filter(perm => !member.permissions.has(perm)) : [];
+            if (missingUser.length) {
+                throw new errors.CommandError(`You need the following permissions: ${missingUser.join(', ')}`);
+            }
+        }
+
+        await next();
+    }
+
+    /**
+     * Enforce the per-user command cooldown
+     */
+    async checkCooldown(context, next) {
+        const { command, author } = context;
+
+        if (command.cooldown) {
+            const cooldownTime = this.parseCooldown(command.cooldown);
+            const key = `${command.name}:${author.id}`;
+            const last = this.cooldowns.get(key);
+
+            if (last) {
+                const remaining = cooldownTime - (Date.now() - last);
+                if (remaining > 0) {
+                    throw new errors.CommandError(`Please wait ${this.formatCooldown(remaining)} before using this command again`);
+                }
+            }
+
+            this.cooldowns.set(key, Date.now());
+        }
+
+        await next();
+    }
+
+    /**
+     * Run plugin onCommandPre/onCommandPost hooks
+     * A pre hook returning `false` cancels the command.
+     */
+    async runHooks(context, next) {
+        const { command } = context;
+        const results = await this.client.plugins.executeHook('onCommandPre', command, context);
+        if (results.includes(false)) {
+            context.cancelled = true;
+            return;
+        }
+
+        await next();
+
+        await this.client.plugins.executeHook('onCommandPost', command, context, context.result);
+    }
+
+    /**
+     * Record usage and timing per command
+     */
+    async trackStats(context, next) {
+        const { command, author } = context;
+        const stats = this.stats.get(command.name) || { uses: 0, errors: 0, totalTime: 0, lastUse: null, lastUser: null };
+        const start = process.hrtime.bigint();
+
+        try {
+            await next();
+        } catch (error) {
+            stats.errors++;
+            throw error;
+        } finally {
+            const duration = Number(process.hrtime.bigint() - start) / 1e6;
+            stats.uses++;
+            stats.totalTime += duration;
+            stats.lastUse = Date.now();
+            stats.lastUser = author.id;
+            this.stats.set(command.name, stats);
+
+            if (this.debug) {
+                console.log(chalk.gray(`Command ${command.name} executed in ${duration.toFixed(2)}ms`));
+            }
+        }
+    }
+
+    /**
+     * Execute the command code or function
+     */
+    async executeCommand(context) {
+        const { command, client } = context;
+
+        // Charm code
+        if (typeof command.code === 'string') {
+            context.result = await client.engine.process(command.code, context);
+
+            // Reply with any textual output produced by the code
+            const output = client.engine.stringifyResult(context.result).trim();
+            if (output) {
+                await context.send(output);
+            }
+            return;
+        }
+
+        // Function command
+        const handler = typeof command.code === 'function' ? command.code : command.execute || command.run;
+        if (typeof handler !== 'function') {
+            throw new errors.CommandError(`Command ${command.name} has no code to execute`);
+        }
+
+        context.result = await handler.call(command, context.message || context.interaction, context.args, client);
+    }
+
+    /**
+     * Report a failed command to the user, the console and plugins
+     * A command's `onError` code block replaces the generic reply.
+     */
+    async handleError(error, command, context) {
+        const diagnostic = error.location ? formatDiagnostic(error) : null;
+
+        // Expected failures (cooldowns, permissions, ...) are shown as is
+        let content;
+        if (error instanceof errors.CommandError && !diagnostic) {
+            content = `❌ ${error.message}`;
+        } else if (typeof command?.onError === 'string' && await this.runErrorHandler(error, command, context)) {
+            content = null;
+        } else {
+            console.error(chalk.red(`Error in command ${command?.name}:`), diagnostic || error);
+            if (diagnostic && this.debug) {
+                console.error(error.stack);
+            }
+
+            content = diagnostic
+                ? `❌ An error occurred while executing the command.\n\`\`\`\n${truncate(diagnostic, 1900)}\n\`\`\``
+                : '❌ An error occurred while executing the command.';
+        }
+
+        if (content) {
+            await context.send?.({ content, ephemeral: true }).catch(() => {});
+        }
+
+        await this.client.plugins.executeHook('onCommandError', error, command, context);
+        this.client.emit('commandError', error, command, context);
+    }
+
+    /**
+     * Run a command's onError code block
+     * The block reads the failure as `$$error` and runs with a fresh budget,
+     * so it still works after the command ran out of its own.
+     * @returns {Promise<boolean>} Whether the block handled the error
+     */
+    async runErrorHandler(error, command, context) {
+        try {
+            const result = await this.client.engine.process(command.onError, { ...context, error, budget: null });
+            if (typeof result === 'string' && result) {
+                await context.send?.(result);
+            }
+            return true;
+        } catch (handlerError) {
+            console.error(chalk.red(`onError of command ${command.name} failed:`), handlerError.message);
+            return false;
+        }
+    }
+
+    /**
+     * Get usage stats of one or all commands
+     * @param {string} [name] Command name
+     */
+    getStats(name) {
+        if (name) return this.stats.get(name) || null;
+        return Object.fromEntries(this.stats);
+    }
+
+    /**
+     * Convert permission names to PermissionFlagsBits keys
+     * Accepts `ManageMessages` and `MANAGE_MESSAGES`.
+     * @private
+     */
+    resolvePermissions(permissions = []) {
+        return [permissions].flat().filter(Boolean).map(permission => {
+            if (typeof permission !== 'string' || permission in PermissionsBitField.Flags) {
+                return permission;
+            }
+
+            const name = permission.toLowerCase().replace(/(^|_)(\w)/g, (match, separator, char) => char.toUpperCase());
+            if (!(name in PermissionsBitField.Flags)) {
+                throw new errors.ValidationError(`Unknown permission: ${permission}`);
+            }
+            return name;
+        });
+    }
+
+    /**
+     * Parse cooldown to milliseconds (number of ms or "5s", "2m", "1h", "1d")
+     */
+    parseCooldown(cooldown) {
+        const units = {
+            s: 1000,
+            m: 60000,
+            h: 3600000,
+            d: 86400000
+        };
+
+        if (typeof cooldown === 'number') {
+            return cooldown;
+        }
+
+        const match = String(cooldown).match(/^(\d+)([smhd])$/);
+        if (!match) return 3000; // Default 3s
+
+        const [, num, unit] = match;
+        return parseInt(num) * units[unit];
+    }
+
+    /**
+     * Format cooldown time to string
+     */
+    formatCooldown(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        if (seconds < 60) return `${seconds} second${seconds !== 1 ? 's' : ''}`;
+        const minutes = Math.ceil(seconds / 60);
+        return `${minutes} minute${minutes !== 1 ? 's' : ''}`;
+    }
+
+    /**
+     * Check if user is bot owner
+     */
+    isOwner(user) {
+        if (!user) return false;
+        const owners = [this.client.config?.owners].flat().filter(Boolean);
+        return owners.includes(user.id);
+    }
+}
+
+/**
+ * Shorten text to fit in a message
+ */
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+}
+
+module.exports = CommandDispatcher;
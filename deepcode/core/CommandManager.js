@@ -35,17 +35,43 @@ class CommandManager extends Handler {
         }
         try {
             super.register(command);
+            this.addRoutes(command);
         } catch (error) {
             console.error(`Error registering command ${command.name || 'undefined'}:`, error);
             throw error;
         }
     }
 
+    /**
+     * Route the component handlers declared by a command
+     * The command is not kept when one of its routes cannot be added.
+     * @private
+     */
+    addRoutes(command) {
+        try {
+            this.client.components?.addCommand(command);
+        } catch (error) {
+            super.unregister(command.name);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a command by name or alias
+     * @param {string} name - Command name or alias
+     * @returns {Object|undefined} Command
+     */
+    resolve(name) {
+        return this.items.get(name) || this.items.find(command => command.aliases?.includes(name));
+    }
+
     /**
      * Unregister a command by name
      * @param {string} commandName - Name of command to unregister
      */
     unregister(commandName) {
+        this.client.components?.removeCommand(commandName);
+
         if (super.unregister) {
             return super.unregister(commandName);
         }
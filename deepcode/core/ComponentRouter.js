@@ -0,0 +1,302 @@
+const Handler = require('../runtime/handler');
+const { errors } = require('./errors');
+
+const PARAMETER = /\{([a-zA-Z_]\w*)\}/;
+
+/**
+ * ComponentRouter - Routes component and modal interactions to command handlers
+ * Commands declare handlers for the customIds of their buttons and select
+ * menus (`components`, or `buttons` and `selects`) and of their modals
+ * (`modals`); `{name}` segments capture parameters:
+ *
+ * client.commands.register({
+ *     name: 'ticket',
+ *     code: '...',
+ *     components: {
+ *         'ticket_close:{id}': '$say[Closing ticket $$id]'
+ *     },
+ *     modals: {
+ *         'ticket_form:{id}': {
+ *             code: '$say[New ticket: $$field.subject]',
+ *             fields: { subject: { type: 'string', minLength: 5, required: true } }
+ *         }
+ *     }
+ * });
+ *
+ * Routes live with the command definitions and match on the customId alone,
+ * so components keep working for as long as the command exists, across
+ * restarts. Handlers run through the command dispatcher with the checks of
+ * their command; parameters are available as `$$name` and `$$1`, `$$2`, ...,
+ * selected values as `$$values` and modal text inputs as `$$field.<id>`.
+ * Interactions without a route are left to collectors such as `$wait`.
+ */
+class ComponentRouter extends Handler {
+    constructor(client) {
+        super(client, { type: 'route' });
+    }
+
+    /**
+     * Add a route
+     * @param {string} pattern customId pattern, e.g. `ticket_close:{id}`
+     * @param {string|Function} handler Charm code, or a function `(interaction, args, client)`
+     * @param {Object} [options] Options
+     * @param {string} [options.kind] `component` (buttons and select menus, default) or `modal`
+     * @param {Object} [options.command] Command the route belongs to
+     * @param {string|number} [options.cooldown] Per-user cooldown of the handler
+     * @param {Object} [options.fields] Validation rules of modal fields by customId (see $validate)
+     * @returns {Object} Route
+     */
+    route(pattern, handler, options = {}) {
+        const { kind = 'component', command = null, cooldown, fields = null } = options;
+
+        if (typeof pattern !== 'string' || !pattern) {
+            throw new errors.ValidationError('Route pattern must be a non-empty string');
+        }
+        if (typeof handler !== 'string' && typeof handler !== 'function') {
+            throw new errors.ValidationError(`Route ${pattern} must have charm code or a function`);
+        }
+
+        const name = `${kind}:${pattern}`;
+        const existing = this.items.get(name);
+        if (existing) {
+            const owner = existing.command ? ` by command ${existing.command.name}` : '';
+            throw new errors.ValidationError(`${kind === 'modal' ? 'Modal' : 'Component'} route ${pattern} is already handled${owner}`);
+        }
+
+        const route = { name, kind, pattern, handler, command, cooldown, fields, ...this.compile(pattern) };
+        this.register(route);
+        return route;
+    }
+
+    /**
+     * Add the routes declared by a command
+     * A declaration is charm code, a function, or an object with `code` (or
+     * `execute`), `cooldown` and, for modals, `fields`. Nothing is added when
+     * one of them conflicts.
+     * @param {Object} command Command
+     */
+    addCommand(command) {
+        const added = [];
+        try {
+            for (const [kind, routes] of this.getDeclarations(command)) {
+                for (const [pattern, declaration] of Object.entries(routes)) {
+                    const { code, execute, ...options } = typeof declaration === 'object' && declaration !== null
+                        ? declaration
+                        : { code: declaration };
+                    added.push(this.route(pattern, code ?? execute, { ...options, kind, command }));
+                }
+            }
+        } catch (error) {
+            added.forEach(route => this.unregister(route.name));
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the routes of a command
+     * @param {string} name Command name
+     */
+    removeCommand(name) {
+        for (const route of [...this.items.values()]) {
+            if (route.command?.name === name) this.unregister(route.name);
+        }
+    }
+
+    /**
+     * Route maps declared by a command, by kind
+     * @private
+     */
+    getDeclarations(command) {
+        return [
+            ['component', command.components],
+            ['component', command.buttons],
+            ['component', command.selects],
+            ['modal', command.modals]
+        ].filter(([, routes]) => routes && typeof routes === 'object');
+    }
+
+    /**
+     * Turn a pattern into a regular expression
+     * @private
+     */
+    compile(pattern) {
+        const parts = pattern.split(PARAMETER);
+        const params = parts.filter((_, index) => index % 2 === 1);
+
+        const duplicate = params.find((param, index) => params.indexOf(param) !== index);
+        if (duplicate) {
+            throw new errors.ValidationError(`Route ${pattern} uses the parameter {${duplicate}} twice`);
+        }
+
+        const source = parts
+            .map((part, index) => (index % 2 ? '(.+?)' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+            .join('');
+
+        return {
+            params,
+            regex: new RegExp(`^${source}$`),
+            specificity: parts.filter((_, index) => index % 2 === 0).join('').length
+        };
+    }
+
+    /**
+     * Find the route of a customId
+     * Exact patterns win over patterns with parameters, then the pattern
+     * with the most literal characters.
+     * @param {string} customId customId of the interaction
+     * @param {string} [kind] Route kind
+     * @returns {Object|null} { route, params }
+     */
+    match(customId, kind = 'component') {
+        const exact = this.items.get(`${kind}:${customId}`);
+        if (exact && !exact.params.length) {
+            return { route: exact, params: {} };
+        }
+
+        let best = null;
+        for (const route of this.items.values()) {
+            if (route.kind !== kind || (best && best.route.specificity >= route.specificity)) continue;
+
+            const match = route.regex.exec(customId);
+            if (match) {
+                const params = Object.fromEntries(route.params.map((param, index) => [param, match[index + 1]]));
+                best = { route, params };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Run the route of an interaction
+     * @param {Interaction} interaction Component or modal submit interaction
+     * @returns {Promise<boolean>} Whether a route handled it
+     */
+    async handle(interaction) {
+        const kind = interaction.isModalSubmit?.() ? 'modal' : 'component';
+        const found = this.match(interaction.customId, kind);
+        if (!found || this.isDisabled(found.route.name)) return false;
+
+        const { route, params } = found;
+        const context = this.createContext(interaction, params);
+
+        const invalid = route.fields ? await this.validateFields(route.fields, context.fields) : [];
+        if (invalid.length) {
+            await interaction.reply({ content: this.formatInvalid(invalid), ephemeral: true }).catch(() => {});
+            return true;
+        }
+
+        await this.client.dispatcher.dispatch(this.toCommand(route), context);
+
+        // Interactions must be answered
+        if (!interaction.replied && !interaction.deferred) {
+            await this.acknowledge(interaction);
+        }
+
+        return true;
+    }
+
+    /**
+     * Answer an interaction its handler left unanswered
+     * Components and modals opened from a message are acknowledged
+     * silently; other modals need a reply.
+     * @private
+     */
+    acknowledge(interaction) {
+        if (interaction.isModalSubmit?.() && !interaction.isFromMessage?.()) {
+            return interaction.reply({ content: '✅ Done.', ephemeral: true }).catch(() => {});
+        }
+        return interaction.deferUpdate().catch(() => {});
+    }
+
+    /**
+     * Check modal fields against their rules
+     * Rules are those of $validate, with `type` defaulting to `string`.
+     * Empty fields only fail when `required`; `label` names the field in
+     * the error reply.
+     * @param {Object} rules Rules by field customId
+     * @param {Object} fields Submitted values by field customId
+     * @returns {Promise<Object[]>} Invalid fields: { id, label, message }
+     */
+    async validateFields(rules, fields) {
+        const validator = this.client.charms.get('validate');
+        if (!validator) {
+            throw new errors.ValidationError('Modal field rules need the validate charm');
+        }
+
+        const invalid = [];
+        for (const [id, { label = id, required, ...fieldRules }] of Object.entries(rules)) {
+            const value = fields[id] ?? '';
+
+            if (value === '') {
+                if (required) invalid.push({ id, label, message: 'This field is required' });
+                continue;
+            }
+
+            try {
+                await validator.execute({ type: 'string', ...fieldRules, value });
+            } catch (error) {
+                invalid.push({ id, label, message: error.message });
+            }
+        }
+        return invalid;
+    }
+
+    /**
+     * Error reply listing invalid fields
+     * @private
+     */
+    formatInvalid(invalid) {
+        return ['❌ Please correct the following fields:', ...invalid.map(field => `• **${field.label}**: ${field.message}`)].join('\n');
+    }
+
+    /**
+     * The command the dispatcher runs for a route
+     * It keeps the checks and error handling of the route's command, with the
+     * route's own name and cooldown.
+     * @private
+     */
+    toCommand(route) {
+        const command = route.command || {};
+        return {
+            ...command,
+            name: command.name ? `${command.name}:${route.pattern}` : route.name,
+            code: route.handler,
+            cooldown: route.cooldown,
+            disabled: Boolean(command.name && (command.disabled || this.client.commands.isDisabled(command.name))),
+            route
+        };
+    }
+
+    /**
+     * Text input values of a modal submission, by customId
+     * @private
+     */
+    getFields(interaction) {
+        const fields = interaction.fields?.fields;
+        if (!fields) return {};
+        return Object.fromEntries([...fields.values()].map(field => [field.customId, field.value ?? '']));
+    }
+
+    /**
+     * Build the execution context of an interaction
+     * @private
+     */
+    createContext(interaction, params) {
+        return {
+            interaction,
+            author: interaction.user,
+            member: interaction.member,
+            channel: interaction.channel,
+            guild: interaction.guild,
+            args: Object.values(params),
+            params,
+            fields: this.getFields(interaction),
+            // Reply first, follow up afterwards
+            send: (payload) => (interaction.replied || interaction.deferred)
+                ? interaction.followUp(payload)
+                : interaction.reply(payload)
+        };
+    }
+}
+
+module.exports = ComponentRouter;
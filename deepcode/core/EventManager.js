@@ -10,6 +10,7 @@ class EventManager extends Handler {
         super(client, { type: 'event' });
         this.rawEvents = new Collection();
         this.performance = new Collection();
+        this.listeners = new Collection();
         this.initSystemEvents();
     }
 
@@ -34,20 +35,30 @@ class EventManager extends Handler {
 
     /**
      * Register an event
+     * Events are keyed by `id` when set (e.g. `economy:guildMemberAdd`), so
+     * several handlers can listen to the same Discord.js event.
      */
     register(event) {
         try {
             // Validate event
             this.validateEvent(event);
 
+            const key = event.id || event.name;
+            if (this.items.has(key)) {
+                throw new Error(`Event ${key} already exists`);
+            }
+
             // Add event to collection
-            this.items.set(event.name, event);
+            this.items.set(key, event);
 
             // Register with Discord.js
+            const listener = (...args) => this.execute(key, ...args);
+            this.listeners.set(key, listener);
+
             if (event.once) {
-                this.client.once(event.name, (...args) => this.execute(event.name, ...args));
+                this.client.once(event.name, listener);
             } else {
-                this.client.on(event.name, (...args) => this.execute(event.name, ...args));
+                this.client.on(event.name, listener);
             }
 
             if (this.debug) {
@@ -62,6 +73,19 @@ class EventManager extends Handler {
         }
     }
 
+    /**
+     * Unregister an event and detach its listener
+     */
+    unregister(key) {
+        const event = this.items.get(key);
+        if (!event) return false;
+
+        this.client.off(event.name, this.listeners.get(key));
+        this.listeners.delete(key);
+
+        return super.unregister(key);
+    }
+
     /**
      * Validate event structure
      */
@@ -86,7 +110,7 @@ class EventManager extends Handler {
             }
 
             // Check if disabled
-            if (this.isDisabled(event.name)) {
+            if (this.isDisabled(name)) {
                 return false;
             }
 
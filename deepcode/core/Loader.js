@@ -11,6 +11,9 @@ class Loader {
         this.client = client;
         this.rootDir = process.cwd();
         this.debug = client.debug || false;
+
+        // Charms and events by the file that defined them, for hot reload
+        this.files = new Map();
     }
 
     /**
@@ -77,6 +80,7 @@ class Loader {
             for (const file of files) {
                 const event = require(file);
                 this.client.events.register(event);
+                this.files.set(file, [event.id || event.name]);
             }
 
             console.log(chalk.gray(`  • Loaded ${files.length} events`));
@@ -116,7 +120,10 @@ class Loader {
                     console.warn(`Warning: Command file ${file} did not export a command. Skipping.`);
                     continue;
                 }
-                this.client.commands.register(command);
+                // A file may export an array of commands
+                for (const item of [command].flat()) {
+                    this.client.commands.register(item);
+                }
             }
 
             console.log(chalk.gray(`  • Loaded ${files.length} commands (legacy method)`));
@@ -129,11 +136,13 @@ class Loader {
 
     /**
      * Load charms
+     * @param {string} [charmsDir] Directory to load charms from
+     * @param {Object} [options] Options
+     * @param {boolean} [options.quiet] Skip the legacy warnings and summary
      */
-    async loadCharms() {
+    async loadCharms(charmsDir = path.join(this.rootDir, 'charms'), options = {}) {
         try {
-            const charmsDir = path.join(this.rootDir, 'charms');
-            
+
             // Skip if directory doesn't exist
             if (!await this.fileExists(charmsDir)) {
                 return;
@@ -152,22 +161,22 @@ class Loader {
                 }
 
                 const CharmClass = require(file);
+                const charm = this.createCharm(CharmClass, file);
+                if (!charm) continue;
 
-                // Check if it's a new class-based charm
-                if (CharmClass.prototype instanceof BaseCharm) {
-                    const charmInstance = new CharmClass(this.client);
-                    this.client.charms.set(charmName, charmInstance);
-                    loadedCount++;
-                } 
-                // Handle old object-based charms for compatibility
-                else if (typeof CharmClass === 'object' && CharmClass.name) {
+                // Old object-based charms are still supported
+                if (!(CharmClass.prototype instanceof BaseCharm) && !options.quiet) {
                     console.warn(chalk.yellow(`  -> Warning: Charm '${CharmClass.name}' is using a legacy format. Please update it to a class-based structure.`));
-                    this.client.charms.set(CharmClass.name, CharmClass);
-                    loadedCount++;
                 }
+
+                this.client.charms.set(...charm);
+                this.files.set(file, [charm[0]]);
+                loadedCount++;
             }
 
-            console.log(chalk.gray(`  • Loaded ${loadedCount} charms`));
+            if (!options.quiet) {
+                console.log(chalk.gray(`  • Loaded ${loadedCount} charms`));
+            }
 
         } catch (error) {
             console.error(chalk.red('Error loading charms:'), error);
@@ -175,6 +184,26 @@ class Loader {
         }
     }
 
+    /**
+     * Turn a charm module export into a [name, charm] pair
+     * Class-based charms are named after their file, legacy object charms
+     * after their `name`.
+     * @param {*} exported Module export
+     * @param {string} file Charm file
+     * @returns {Array|null} [name, charm], or null if it isn't a charm
+     */
+    createCharm(exported, file) {
+        if (exported?.prototype instanceof BaseCharm) {
+            return [path.basename(file, '.js'), new exported(this.client)];
+        }
+
+        if (exported && typeof exported === 'object' && exported.name) {
+            return [exported.name, exported];
+        }
+
+        return null;
+    }
+
     /**
      * Get all files in directory recursively
      */
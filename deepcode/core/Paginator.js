@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { ComponentType, ButtonStyle, TextInputStyle } = require('discord.js');
+const Handler = require('../runtime/handler');
+const { parseDuration } = require('./Scheduler');
+
+// Embed description limit
+const MAX_LENGTH = 4096;
+
+// Shown in place of a blank page, as Discord rejects empty embeds
+const EMPTY_PAGE = '*Nothing to show.*';
+
+const DEFAULTS = {
+    perPage: 10,
+    maxLength: 2000,
+    timeout: '2m',
+    template: { description: '{content}', footer: { text: 'Page {page}/{pages}' } }
+};
+
+/**
+ * Paginator - Embeds split into pages with navigation buttons
+ * Each paginated message is a session holding its pages. The first, previous,
+ * jump, next and last buttons are routed through the component router
+ * (`paginate:<session>:<control>`) and edit the message in place; only the
+ * user who created the session can use them. Controls are disabled once the
+ * session has been idle for its timeout.
+ *
+ * Options come from `config.pagination` (perPage, maxLength, timeout) and
+ * can be overridden per call.
+ */
+class Paginator extends Handler {
+    constructor(client) {
+        super(client, { type: 'pagination' });
+        this.timers = new Map();
+
+        const handler = (interaction, [session, control]) => this.handle(interaction, session, control);
+        client.components.route('paginate:{session}:{control}', handler);
+        client.components.route('paginate:{session}:{control}', handler, { kind: 'modal' });
+    }
+
+    /**
+     * Pagination configuration (`config.pagination`)
+     */
+    get options() {
+        return { ...DEFAULTS, ...this.client.config?.pagination };
+    }
+
+    /**
+     * Split items or text into pages
+     * Text is split into lines. A page holds up to `perPage` items and
+     * `maxLength` characters; longer items are cut into several pages.
+     * Pages with nothing but whitespace are left out.
+     * @param {Array|string} content Items or text
+     * @param {Object} [options] Options
+     * @param {number} [options.perPage] Items per page (all lines of text by default)
+     * @param {number} [options.maxLength] Characters per page
+     * @param {string} [options.format] Item template, e.g. `{index}. {name}`
+     * @param {string} [options.separator] Between items (default a new line)
+     * @returns {string[]} Pages
+     */
+    split(content, options = {}) {
+        const isText = typeof content === 'string';
+        const items = isText ? content.split('\n') : [...content];
+        const perPage = Math.max(1, Number(options.perPage ?? (isText ? Infinity : this.options.perPage)));
+        const maxLength = Math.min(MAX_LENGTH, Math.max(1, Number(options.maxLength ?? this.options.maxLength)));
+        const separator = options.separator ?? '\n';
+
+        const pages = [];
+        let page = [];
+        let length = 0;
+
+        const flush = () => {
+            const text = page.join(separator);
+            if (text.trim()) pages.push(text);
+            page = [];
+            length = 0;
+        };
+
+        items.forEach((item, index) => {
+            let text = isText ? item : this.formatItem(item, index, options.format);
+
+            while (text.length > maxLength) {
+                flush();
+                pages.push(text.slice(0, maxLength));
+                text = text.slice(maxLength);
+            }
+
+            const added = (page.length ? separator.length : 0) + text.length;
+            if (page.length >= perPage || length + added > maxLength) flush();
+
+            length += (page.length ? separator.length : 0) + text.length;
+            page.push(text);
+        });
+        flush();
+
+        return pages.length ? pages : [''];
+    }
+
+    /**
+     * Send a paginated embed
+     * @param {Array|string} content Items or text
+     * @param {Object} context Execution context of the invoking user
+     * @param {Object} [options] Options of split(), plus:
+     * @param {Object} [options.template] Embed with `{content}`, `{page}`, `{pages}` and `{total}`
+     * @param {string|number} [options.timeout] Idle time before the controls are disabled
+     * @param {number} [options.page] First page shown (1-based)
+     * @returns {Promise<Object>} Session
+     */
+    async create(content, context, options = {}) {
+        const pages = this.split(content, options);
+        const user = context.author || context.message?.author || context.interaction?.user;
+
+        const session = {
+            name: crypto.randomBytes(6).toString('hex'),
+            userId: user?.id,
+            pages,
+            total: Array.isArray(content) ? content.length : pages.length,
+            template: options.template || this.options.template,
+            timeout: parseDuration(options.timeout ?? this.options.timeout),
+            page: Math.min(Math.max(Number(options.page || 1), 1), pages.length) - 1,
+            message: null
+        };
+
+        session.message = await context.send(this.render(session));
+
+        // A single page needs no controls
+        if (pages.length > 1) {
+            this.register(session);
+            this.touch(session);
+        }
+
+        return session;
+    }
+
+    /**
+     * Handle a control of a session
+     * @private
+     */
+    async handle(interaction, id, control) {
+        const session = this.items.get(id);
+
+        if (!session) {
+            return interaction.reply({ content: 'These controls have expired.', ephemeral: true });
+        }
+        if (interaction.user.id !== session.userId) {
+            return interaction.reply({ content: `Only <@${session.userId}> can use these controls.`, ephemeral: true });
+        }
+
+        if (control === 'jump' && !interaction.isModalSubmit?.()) {
+            this.touch(session);
+            return interaction.showModal(this.jumpModal(session));
+        }
+
+        const last = session.pages.length - 1;
+        const page = control === 'jump'
+            ? Number(interaction.fields.getTextInputValue('page')) - 1
+            : { first: 0, prev: session.page - 1, next: session.page + 1, last }[control];
+
+        if (!Number.isInteger(page) || page < 0 || page > last) {
+            return interaction.reply({ content: `Enter a page between 1 and ${last + 1}.`, ephemeral: true });
+        }
+
+        session.page = page;
+        this.touch(session);
+        return interaction.update(this.render(session));
+    }
+
+    /**
+     * Message payload of the current page
+     * @param {Object} session Session
+     * @param {boolean} [disabled] Disable the controls
+     * @returns {Object} Payload with `embeds` and `components`
+     */
+    render(session, disabled = false) {
+        const values = {
+            content: session.pages[session.page]?.trim() ? session.pages[session.page] : EMPTY_PAGE,
+            page: session.page + 1,
+            pages: session.pages.length,
+            total: session.total
+        };
+
+        // Templates without {content} show the page as the description
+        const template = JSON.stringify(session.template).includes('{content}')
+            ? session.template
+            : { ...session.template, description: '{content}' };
+
+        return {
+            embeds: [this.fill(template, values)],
+            components: session.pages.length > 1 ? [this.controls(session, disabled)] : []
+        };
+    }
+
+    /**
+     * Navigation buttons of a session
+     * @private
+     */
+    controls(session, disabled) {
+        const last = session.pages.length - 1;
+        const button = (control, label, isDisabled, style = ButtonStyle.Secondary) => ({
+            type: ComponentType.Button,
+            custom_id: `paginate:${session.name}:${control}`,
+            style,
+            label,
+            disabled: disabled || isDisabled
+        });
+
+        return {
+            type: ComponentType.ActionRow,
+            components: [
+                button('first', '⏮', session.page === 0),
+                button('prev', '◀', session.page === 0),
+                button('jump', `${session.page + 1}/${session.pages.length}`, false, ButtonStyle.Primary),
+                button('next', '▶', session.page === last),
+                button('last', '⏭', session.page === last)
+            ]
+        };
+    }
+
+    /**
+     * Modal asking for a page number
+     * @private
+     */
+    jumpModal(session) {
+        return {
+            custom_id: `paginate:${session.name}:jump`,
+            title: 'Go to page',
+            components: [{
+                type: ComponentType.ActionRow,
+                components: [{
+                    type: ComponentType.TextInput,
+                    custom_id: 'page',
+                    label: `Page (1-${session.pages.length})`,
+                    style: TextInputStyle.Short,
+                    required: true,
+                    max_length: String(session.pages.length).length
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Replace `{name}` placeholders in the strings of a template
+     * @private
+     */
+    fill(template, values) {
+        if (typeof template === 'string') {
+            return template.replace(/\{(content|page|pages|total)\}/g, (_, name) => values[name]);
+        }
+        if (Array.isArray(template)) {
+            return template.map(item => this.fill(item, values));
+        }
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this.fill(value, values)]));
+        }
+        return template;
+    }
+
+    /**
+     * Format an item with `{index}`, `{value}` and the fields of objects
+     * @private
+     */
+    formatItem(item, index, format) {
+        const fields = item && typeof item === 'object' ? item : {};
+        const value = item && typeof item === 'object' ? JSON.stringify(item) : String(item ?? '');
+
+        if (!format) return value;
+        return format.replace(/\{(\w+)\}/g, (match, name) => {
+            if (name === 'index') return index + 1;
+            if (name === 'value') return value;
+            return name in fields ? String(fields[name]) : match;
+        });
+    }
+
+    /**
+     * Restart the idle timer of a session
+     * @private
+     */
+    touch(session) {
+        clearTimeout(this.timers.get(session.name));
+        const timer = setTimeout(() => this.expire(session.name), session.timeout);
+        timer.unref?.();
+        this.timers.set(session.name, timer);
+    }
+
+    /**
+     * End a session and disable its controls
+     * @param {string} name Session name
+     * @returns {Promise<boolean>} Whether the session existed
+     */
+    async expire(name) {
+        const session = this.items.get(name);
+        if (!session) return false;
+
+        clearTimeout(this.timers.get(name));
+        this.timers.delete(name);
+        this.unregister(name);
+
+        await session.message?.edit?.({ components: [this.controls(session, true)] }).catch(error => {
+            console.error(`Error disabling page controls of ${name}:`, error.message);
+        });
+        return true;
+    }
+
+    /**
+     * Stop all idle timers
+     */
+    stop() {
+        for (const timer of this.timers.values()) clearTimeout(timer);
+        this.timers.clear();
+        this.items.clear();
+    }
+}
+
+Paginator.DEFAULTS = DEFAULTS;
+
+module.exports = Paginator;
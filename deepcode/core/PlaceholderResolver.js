@@ -0,0 +1,262 @@
+const { Collection } = require('discord.js');
+const { describeError } = require('./errors');
+
+// Never readable through a placeholder path
+const DENIED = new Set(['client', 'token', 'constructor', 'prototype', '__proto__']);
+
+/**
+ * Plain data: primitives, plain objects, arrays and maps (collections)
+ */
+function isPlainData(value) {
+    if (value === null || typeof value !== 'object') return typeof value !== 'function';
+    if (Array.isArray(value) || value instanceof Map) return true;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Whether a property is a getter of the object's class, like `User#tag`
+ */
+function isClassGetter(value, part) {
+    for (let proto = Object.getPrototypeOf(value); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+        const descriptor = Object.getOwnPropertyDescriptor(proto, part);
+        if (descriptor) return typeof descriptor.get === 'function';
+    }
+    return false;
+}
+
+/**
+ * PlaceholderResolver - Resolves `$$name.path` placeholders
+ * Context placeholders (author, guild, mention, ...) are read from the
+ * execution context; anything they do not provide falls back to the
+ * variables of the VariableManager, so `$$ping` or `$$stats.commands` keep
+ * working and user variables fill in where the context has no value.
+ * Parameters captured by component routes (`context.params`) come first.
+ *
+ * client.engine.placeholders.register('balance', context =>
+ *     context.client.variables.scope('user', context).get('balance'));
+ */
+class PlaceholderResolver {
+    constructor(client) {
+        this.client = client;
+        this.providers = new Collection();
+        this.deferred = new Set();
+
+        this.registerDefaults();
+    }
+
+    /**
+     * Register the built-in context placeholders
+     * @private
+     */
+    registerDefaults() {
+        const author = context => context.author || context.message?.author || context.interaction?.user || context.user;
+        const guild = context => context.guild || context.message?.guild || context.interaction?.guild;
+        const mentions = context => this.getMentions(context);
+
+        // People and places
+        this.register('author', author);
+        this.register('user', author);
+        this.register('username', context => author(context)?.username);
+        this.register('avatar', context => author(context)?.displayAvatarURL?.());
+        this.register('member', context => context.member || context.message?.member || context.interaction?.member);
+        this.register('channel', context => context.channel || context.message?.channel || context.interaction?.channel);
+        this.register('guild', guild);
+        this.register('server', guild);
+        this.register('message', context => context.message);
+        this.register('interaction', context => context.interaction);
+
+        // Mentions
+        this.register('mention', context => mentions(context).users[0]);
+        this.register('mentions', context => mentions(context).users);
+        this.register('mentionRole', context => mentions(context).roles[0]);
+        this.register('mentionRoles', context => mentions(context).roles);
+        this.register('mentionChannel', context => mentions(context).channels[0]);
+        this.register('mentionChannels', context => mentions(context).channels);
+
+        // Command
+        this.register('prefix', context => context.prefix ?? context.client?.prefix ?? this.client.prefix);
+        this.register('args', context => context.args);
+        this.register('command', context => context.command && {
+            name: context.command.name,
+            description: context.command.description,
+            usage: context.command.usage,
+            aliases: context.command.aliases || [],
+            category: context.command.category,
+            cooldown: context.command.cooldown,
+            toString() {
+                return this.name;
+            }
+        });
+
+        // Component interactions, see core/ComponentRouter.js
+        this.register('customId', context => context.interaction?.customId);
+        this.register('values', context => context.interaction?.values);
+        this.register('field', context => context.fields);
+
+        // Loops: resolved inside the loop body, see core/control.js
+        const loop = { deferred: true };
+        this.register('loop', context => context.loop, loop);
+        this.register('index', context => context.loop?.index, loop);
+        this.register('value', context => context.loop?.value, loop);
+        this.register('total', context => context.loop?.total, loop);
+        this.register('first', context => context.loop && context.loop.index === 0, loop);
+        this.register('last', context => context.loop?.total !== undefined && context.loop.index === context.loop.total - 1, loop);
+
+        // Errors: set in $try catch blocks and command onError blocks
+        this.register('error', context => context.error && describeError(context.error), { deferred: true });
+    }
+
+    /**
+     * Register a placeholder
+     * @param {string} name Placeholder name (without `$$`)
+     * @param {Function} provider Called with the execution context; returning undefined falls back to variables
+     * @param {Object} [options] Options
+     * @param {boolean} [options.deferred] Keep the placeholder in the arguments of scoped charms,
+     * so it resolves when their code blocks run
+     */
+    register(name, provider, options = {}) {
+        if (typeof provider !== 'function') {
+            throw new Error(`Placeholder ${name} must be a function`);
+        }
+        this.providers.set(name, provider);
+        if (options.deferred) this.deferred.add(name);
+        else this.deferred.delete(name);
+        return this;
+    }
+
+    /**
+     * Remove a placeholder
+     */
+    unregister(name) {
+        this.deferred.delete(name);
+        return this.providers.delete(name);
+    }
+
+    /**
+     * Check if a placeholder resolves only when code runs
+     */
+    isDeferred(key) {
+        return this.deferred.has(key.split('.')[0]);
+    }
+
+    /**
+     * Check if a context placeholder exists for a key
+     */
+    has(key) {
+        return this.providers.has(key.split('.')[0]);
+    }
+
+    /**
+     * Resolve a placeholder to its value
+     * @param {string} key Placeholder key, e.g. `author.tag`
+     * @param {Object} context Execution context
+     * @returns {any} Value, or undefined when neither the context nor a variable provides it
+     */
+    resolve(key, context = {}) {
+        const [name, ...path] = key.split('.');
+        const provider = this.providers.get(name);
+
+        if (context.params && Object.hasOwn(context.params, name)) {
+            return this.walk(context.params[name], path);
+        }
+
+        if (provider) {
+            const value = this.walk(provider(context), path);
+            if (value !== undefined) return value;
+        }
+
+        return this.client.variables?.get(key);
+    }
+
+    /**
+     * Follow a dot path through objects, arrays and collections
+     * Placeholder text may come from user data, so only data is read:
+     * - a Discord structure (author, guild, ...) exposes its own enumerable
+     *   fields and class getters such as `tag`, but paths don't go through
+     *   one, so `$$guild.client.token` resolves to nothing
+     * - plain objects and arrays expose their own properties, collections
+     *   their entries and `size`
+     * - `client` and `token` are never read, and methods are never returned
+     * @private
+     */
+    walk(value, path) {
+        for (const [index, part] of path.entries()) {
+            if (value === undefined || value === null || DENIED.has(part)) return undefined;
+            if (index > 0 && !isPlainData(value)) return undefined;
+            value = this.read(value, part);
+        }
+
+        if (!path.length) return value ?? undefined;
+        if (typeof value === 'function') return undefined;
+
+        // Structures reached through a path only render through their own toString()
+        if (value && typeof value === 'object' && !isPlainData(value) && value.toString === Object.prototype.toString) {
+            return undefined;
+        }
+
+        return value ?? undefined;
+    }
+
+    /**
+     * Read one property of a placeholder path
+     * @private
+     */
+    read(value, part) {
+        if (value instanceof Map) {
+            return value.has(part) ? value.get(part) : part === 'size' ? value.size : undefined;
+        }
+        if (typeof value !== 'object') {
+            return Object.hasOwn(Object(value), part) ? value[part] : undefined;
+        }
+        if (isPlainData(value)) {
+            return Object.hasOwn(value, part) ? value[part] : undefined;
+        }
+        return Object.prototype.propertyIsEnumerable.call(value, part) || isClassGetter(value, part) ? value[part] : undefined;
+    }
+
+    /**
+     * Convert a resolved value into placeholder text
+     * @param {any} value Resolved value
+     * @returns {string} Text
+     */
+    format(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) return value.map(item => this.format(item)).join(' ');
+        if (value instanceof Map) return [...value.values()].map(item => this.format(item)).join(' ');
+        if (typeof value === 'object') {
+            // Discord structures render as mentions or names
+            return value.toString !== Object.prototype.toString ? String(value) : JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * Collect mentioned users, roles and channels
+     * Uses the message mentions when available, otherwise mentions found in the args.
+     * @private
+     */
+    getMentions(context) {
+        const mentions = context.message?.mentions;
+        if (mentions) {
+            return {
+                users: [...(mentions.users?.values() || [])],
+                roles: [...(mentions.roles?.values() || [])],
+                channels: [...(mentions.channels?.values() || [])]
+            };
+        }
+
+        const text = (context.args || []).join(' ');
+        const guild = context.guild || context.interaction?.guild;
+        const find = (pattern, lookup) => [...text.matchAll(pattern)]
+            .map(match => lookup(match[1]) || match[0]);
+
+        return {
+            users: find(/<@!?(\d+)>/g, id => this.client.users?.cache.get(id)),
+            roles: find(/<@&(\d+)>/g, id => guild?.roles.cache.get(id)),
+            channels: find(/<#(\d+)>/g, id => this.client.channels?.cache.get(id))
+        };
+    }
+}
+
+module.exports = PlaceholderResolver;
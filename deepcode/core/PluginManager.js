@@ -1,16 +1,62 @@
+const fs = require('fs');
+const path = require('path');
 const { Collection } = require('discord.js');
-const { errors } = require('./index');
+const { errors } = require('./errors');
+const { satisfies } = require('./version');
 const Handler = require('../runtime/handler');
+const BaseCharm = require('../charms/BaseCharm');
 const chalk = require('chalk');
 
+const FRAMEWORK = require('../package.json');
+const PACKAGE_PREFIX = 'deepcode-plugin-';
+
 /**
  * Plugin manager for handling bot plugins
+ *
+ * Plugins are registered as objects with `register(plugin)`, or loaded by
+ * name with `load(name, config)`, which looks in order for:
+ * - a path (`./plugins/custom.js`), relative to the working directory
+ * - the project plugins directory (`commands.paths.plugins`, default `plugins/`)
+ * - the plugins bundled with the framework (`automod`, ...)
+ * - an installed `deepcode-plugin-<name>` package
+ *
+ * A plugin may declare the framework versions it supports in `deepcode`
+ * (e.g. `"deepcode": "^0.1.0"`); packages may use a `deepcode-charm` peer
+ * dependency instead.
+ *
+ * Plugins may depend on other plugins with `dependencies` and
+ * `optionalDependencies`, as a list of names or an object of name → version
+ * range. A plugin is initialized once its dependencies are loaded (so
+ * dependencies always initialize first), unloaded before the plugins it
+ * depends on, and dependency cycles are rejected. Plugins share APIs through
+ * the service registry:
+ *
+ * // economy plugin
+ * async init(client) { client.plugins.provide('economy', { balance, pay }); }
+ *
+ * // shop plugin, with dependencies: ['economy']
+ * async init(client) { this.economy = client.plugins.getService('economy'); }
+ *
+ * A plugin can also ship `charms`, `commands`, `events` and `variables`;
+ * they are added when the plugin initializes and removed when it unloads.
+ * Charms are namespaced by the plugin (`namespace`, default its name):
+ *
+ * charms: { balance: (args, context) => ... }      // $economy.balance[...]
+ * commands: [{ name: 'balance', code: '$say[$economy.balance[$$author.id]]' }]
+ * events: { guildMemberAdd(member) { ... } }
+ * variables: { currency: 'coins', 'user:coins': 100 } // defaults, optionally scoped
  */
 class PluginManager extends Handler {
     constructor(client) {
         super(client, { type: 'plugin' });
         this.configs = new Collection();
         this.hooks = new Collection();
+        this.states = new Collection();
+        this.services = new Collection();
+        this.contributions = new Collection();
+        this.sources = new Collection();
+        this.settling = Promise.resolve();
+        this.initializing = null;
         this.initHooks();
     }
 
@@ -22,50 +68,555 @@ class PluginManager extends Handler {
         this.hooks.set('onUnload', new Collection());
         this.hooks.set('onCommandPre', new Collection());
         this.hooks.set('onCommandPost', new Collection());
+        this.hooks.set('onCommandError', new Collection());
         this.hooks.set('onError', new Collection());
     }
 
     /**
      * Register a plugin
+     * @param {Object} plugin Plugin object
+     * @param {Object} [config] Config merged over the plugin defaults
      */
-    register(plugin) {
+    register(plugin, config = {}) {
         try {
-            // Validate plugin
-            this.validatePlugin(plugin);
+            this.add(plugin, config);
+
+            // Initialize plugin once its dependencies are loaded
+            this.settle().then(failures => {
+                for (const { name, error } of failures) {
+                    console.error(chalk.red(`Error loading plugin ${name}:`), error);
+                }
+            });
 
-            // Add plugin to collection
-            this.items.set(plugin.name, plugin);
+            if (this.debug) {
+                const missing = this.getMissingDependencies(plugin);
+                console.log(chalk.gray(`Registered plugin: ${plugin.name} v${plugin.version || '1.0.0'}`
+                    + (missing.length ? ` (waiting for ${missing.join(', ')})` : '')));
+            }
 
-            // Register plugin hooks
-            this.registerHooks(plugin);
+            return true;
 
-            // Load plugin config
-            this.loadConfig(plugin);
+        } catch (error) {
+            console.error(chalk.red(`Error registering plugin ${plugin.name}:`), error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a plugin by name, path or package and initialize it
+     * @param {string} name Plugin name, path or package name
+     * @param {Object} [config] Config merged over the plugin's `defaultConfig`
+     * @returns {Promise<Object>} The loaded plugin
+     */
+    async load(name, config = {}) {
+        const [plugin] = await this.loadAll([[name, config]]);
+        return plugin;
+    }
 
-            // Initialize plugin
-            if (plugin.onLoad) {
-                plugin.onLoad().catch(error => {
-                    console.error(chalk.red(`Error loading plugin ${plugin.name}:`), error);
-                });
+    /**
+     * Load several plugins and initialize them in dependency order
+     * Either every plugin of the batch is initialized, or the ones that
+     * could not be are removed again and a PluginError is thrown.
+     * @param {Array<Array>|Object} entries [name, config] pairs, or an object of name → config
+     * @returns {Promise<Array<Object>>} The loaded plugins
+     */
+    async loadAll(entries) {
+        const batch = [];
+
+        try {
+            for (const [name, config = {}] of Array.isArray(entries) ? entries : Object.entries(entries)) {
+                const { exported, file, manifest } = this.resolve(name);
+                const plugin = await this.instantiate(exported, name, file);
+
+                this.checkVersion(plugin, manifest, file);
+                this.add(plugin, config);
+                this.sources.set(plugin.name, { request: name, file });
+                batch.push({ plugin, file });
             }
 
-            if (this.debug) {
-                console.log(chalk.gray(`Registered plugin: ${plugin.name} v${plugin.version || '1.0.0'}`));
+            for (const { plugin } of batch) {
+                const missing = this.getDependencies(plugin)
+                    .filter(dependency => !dependency.optional && !this.items.has(dependency.name));
+                if (missing.length) {
+                    throw new errors.PluginError(
+                        `Plugin ${plugin.name} requires ${missing.map(dependency => dependency.name).join(', ')}, which ${missing.length > 1 ? 'are' : 'is'} not loaded`,
+                        { name: plugin.name, missing: missing.map(dependency => dependency.name) }
+                    );
+                }
             }
+        } catch (error) {
+            for (const { plugin } of batch) this.remove(plugin.name);
+            throw error;
+        }
 
-            return true;
+        const failures = await this.settle();
+        const failed = failures.find(failure => batch.some(({ plugin }) => plugin.name === failure.name));
+        const waiting = batch.filter(({ plugin }) => this.states.get(plugin.name) !== 'loaded');
+
+        if (failed || waiting.length) {
+            for (const { plugin } of waiting) this.remove(plugin.name);
+
+            const { plugin, file } = batch.find(({ plugin }) => plugin.name === (failed?.name ?? waiting[0].plugin.name));
+            const reason = failed
+                ? failed.error.message
+                : `dependencies not loaded (${this.getMissingDependencies(plugin).join(', ')})`;
+            throw new errors.PluginError(`Plugin ${plugin.name} failed to load: ${reason}`, { name: plugin.name, file, cause: failed?.error });
+        }
+
+        if (this.debug) {
+            for (const { plugin, file } of batch) {
+                console.log(chalk.gray(`Loaded plugin: ${plugin.name} v${plugin.version || '1.0.0'} (${file})`));
+            }
+        }
+
+        return batch.map(({ plugin }) => plugin);
+    }
+
+    /**
+     * Find and require a plugin module
+     * @param {string} name Plugin name, path or package name
+     * @returns {Object} The module export, its file and, for packages, its package.json
+     * @private
+     */
+    resolve(name) {
+        if (!name || typeof name !== 'string') {
+            throw new errors.PluginError('Plugin name is required');
+        }
+
+        const cwd = process.cwd();
+        const isPath = name.startsWith('.') || path.isAbsolute(name);
+        const isPackage = /^(@[\w.-]+\/)?deepcode-plugin-/.test(name);
+        const pluginsDir = this.client.config?.commands?.paths?.plugins || 'plugins';
+
+        const candidates = isPath
+            ? [{ request: path.resolve(cwd, name), source: 'path' }]
+            : [
+                { request: path.resolve(cwd, pluginsDir, name), source: 'project' },
+                { request: path.join(__dirname, '..', 'plugins', name), source: 'bundled' },
+                { request: isPackage ? name : `${PACKAGE_PREFIX}${name}`, source: 'package' }
+            ];
+
+        for (const { request, source } of candidates) {
+            let file;
+            try {
+                file = require.resolve(request, { paths: [cwd] });
+            } catch (error) {
+                if (error.code === 'MODULE_NOT_FOUND') continue;
+                throw error;
+            }
+
+            let exported;
+            try {
+                exported = require(file);
+            } catch (error) {
+                throw new errors.PluginError(`Plugin ${name} could not be loaded from ${file}: ${error.message}`, { name, file, cause: error });
+            }
+
+            return {
+                exported: exported?.default ?? exported,
+                file,
+                manifest: source === 'package' ? this.findManifest(file) : null
+            };
+        }
+
+        const looked = candidates.map(({ request, source }) => `  - ${source}: ${request}`).join('\n');
+        throw new errors.PluginError(`Cannot find plugin "${name}". Looked in:\n${looked}`, { name });
+    }
+
+    /**
+     * Find the package.json of a package file
+     * @private
+     */
+    findManifest(file) {
+        let dir = path.dirname(file);
+        while (dir !== path.dirname(dir)) {
+            const manifestPath = path.join(dir, 'package.json');
+            if (fs.existsSync(manifestPath)) {
+                return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            }
+            dir = path.dirname(dir);
+        }
+        return null;
+    }
+
+    /**
+     * Turn a module export into a plugin object
+     * Classes are constructed and factories called with the client.
+     * @private
+     */
+    async instantiate(exported, name, file) {
+        let plugin = exported;
 
+        if (typeof exported === 'function') {
+            const isClass = /^class[\s{]/.test(Function.prototype.toString.call(exported));
+            plugin = isClass ? new exported(this.client) : await exported(this.client);
+        }
+
+        if (!plugin || typeof plugin !== 'object') {
+            throw new errors.PluginError(`Plugin ${name} (${file}) must export an object, a class or a factory function`, { name, file });
+        }
+
+        if (!plugin.name) plugin.name = name;
+        return plugin;
+    }
+
+    /**
+     * Check the framework version range a plugin declares
+     * @private
+     */
+    checkVersion(plugin, manifest, file) {
+        const range = plugin.deepcode || manifest?.peerDependencies?.[FRAMEWORK.name];
+        if (!range) return;
+
+        let compatible;
+        try {
+            compatible = satisfies(FRAMEWORK.version, range);
         } catch (error) {
-            console.error(chalk.red(`Error registering plugin ${plugin.name}:`), error);
+            throw new errors.PluginError(`Plugin ${plugin.name} declares an invalid version range "${range}": ${error.message}`, { name: plugin.name, file });
+        }
+
+        if (!compatible) {
+            throw new errors.PluginError(
+                `Plugin ${plugin.name} requires ${FRAMEWORK.name} ${range}, but ${FRAMEWORK.version} is installed`,
+                { name: plugin.name, file, range, version: FRAMEWORK.version }
+            );
+        }
+    }
+
+    /**
+     * Add a plugin with its hooks and config, without initializing it
+     * @private
+     */
+    add(plugin, config) {
+        this.validatePlugin(plugin);
+        this.items.set(plugin.name, plugin);
+        this.states.set(plugin.name, 'pending');
+
+        try {
+            this.sort([plugin.name]);
+        } catch (error) {
+            this.remove(plugin.name);
             throw error;
         }
+
+        this.registerHooks(plugin);
+        this.loadConfig(plugin, config);
+    }
+
+    /**
+     * Run the plugin's `init(client)` and `onLoad(client)`
+     * @private
+     */
+    async initialize(plugin) {
+        this.registerContributions(plugin);
+
+        this.initializing = plugin.name;
+        try {
+            if (plugin.init) await plugin.init(this.client);
+            if (plugin.onLoad) await plugin.onLoad(this.client);
+        } finally {
+            this.initializing = null;
+        }
+    }
+
+    /**
+     * Initialize every pending plugin whose dependencies are loaded
+     * Runs one at a time, dependencies first.
+     * @returns {Promise<Array<Object>>} Plugins that failed, as { name, error }
+     * @private
+     */
+    settle() {
+        const run = this.settling.then(async () => {
+            const failures = [];
+
+            for (const name of this.sort()) {
+                const plugin = this.items.get(name);
+                if (this.states.get(name) !== 'pending' || this.getMissingDependencies(plugin).length) continue;
+
+                this.states.set(name, 'loading');
+                try {
+                    await this.initialize(plugin);
+                    this.states.set(name, 'loaded');
+                } catch (error) {
+                    this.states.set(name, 'failed');
+                    this.removeServices(name);
+                    this.removeContributions(name);
+                    failures.push({ name, error });
+                }
+            }
+
+            return failures;
+        });
+
+        this.settling = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Remove a plugin's hooks, config, services and entry
+     * @private
+     */
+    remove(name) {
+        for (const hookCollection of this.hooks.values()) {
+            hookCollection.delete(name);
+        }
+        this.removeServices(name);
+        this.removeContributions(name);
+        this.sources.delete(name);
+        this.configs.delete(name);
+        this.items.delete(name);
+        this.states.delete(name);
+        this.disabled.delete(name);
+    }
+
+    /**
+     * Add the charms, commands, events and variables a plugin ships
+     * @private
+     */
+    registerContributions(plugin) {
+        const { client } = this;
+        const namespace = plugin.namespace || plugin.name;
+        const added = { charms: [], commands: [], events: [], variables: [] };
+        this.contributions.set(plugin.name, added);
+
+        const entries = value => Array.isArray(value)
+            ? value.map(item => [item.name, item])
+            : Object.entries(value || {});
+
+        try {
+            for (const [name, definition] of entries(plugin.charms)) {
+                const charmName = `${namespace}.${name}`;
+                if (client.charms.has(charmName)) {
+                    throw new errors.PluginError(`Charm $${charmName} already exists`, { name: plugin.name, charm: charmName });
+                }
+
+                client.charms.set(charmName, this.createCharm(definition, charmName, plugin));
+                added.charms.push(charmName);
+            }
+
+            for (const [, command] of entries(plugin.commands)) {
+                if (client.commands.items.has(command.name)) {
+                    throw new errors.PluginError(`Command ${command.name} already exists`, { name: plugin.name, command: command.name });
+                }
+
+                client.commands.register({ ...command, plugin: plugin.name });
+                if (client.commands.items.has(command.name)) added.commands.push(command.name);
+            }
+
+            for (const [name, handler] of entries(plugin.events)) {
+                const event = typeof handler === 'function'
+                    ? { name, execute: (...args) => handler.call(plugin, ...args) }
+                    : handler;
+                const id = `${plugin.name}:${event.name}:${added.events.length}`;
+
+                client.events.register({ ...event, id, plugin: plugin.name });
+                added.events.push(id);
+            }
+
+            for (const [key, value] of entries(plugin.variables)) {
+                const [, scope = 'global', name] = key.match(/^(?:(global|guild|channel|user|member):)?(.+)$/);
+                client.variables.setDefault(scope, name, value);
+                added.variables.push([scope, name]);
+            }
+        } catch (error) {
+            this.removeContributions(plugin.name);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn a plugin charm definition into a charm
+     * Accepts charm objects, BaseCharm classes and plain functions.
+     * @private
+     */
+    createCharm(definition, name, plugin) {
+        if (typeof definition === 'function' && definition.prototype instanceof BaseCharm) {
+            return new definition(this.client);
+        }
+
+        if (typeof definition === 'function') {
+            return {
+                name,
+                plugin: plugin.name,
+                execute: (args, context) => definition.call(plugin, args, context)
+            };
+        }
+
+        if (typeof definition?.execute !== 'function') {
+            throw new errors.PluginError(`Charm $${name} of plugin ${plugin.name} must be a function or have an execute method`, { name: plugin.name, charm: name });
+        }
+
+        return definition;
+    }
+
+    /**
+     * Remove everything a plugin added with registerContributions
+     * @private
+     */
+    removeContributions(name) {
+        const added = this.contributions.get(name);
+        if (!added) return;
+
+        const { client } = this;
+        for (const charm of added.charms) client.charms.delete(charm);
+        for (const command of added.commands) client.commands.unregister(command);
+        for (const event of added.events) client.events.unregister(event);
+        for (const [scope, key] of added.variables) client.variables.removeDefault(scope, key);
+
+        this.contributions.delete(name);
+    }
+
+    /**
+     * Get the declared dependencies of a plugin
+     * @param {Object} plugin Plugin
+     * @returns {Array<Object>} Dependencies as { name, range, optional }
+     */
+    getDependencies(plugin) {
+        const normalize = (list, optional) => (Array.isArray(list)
+            ? list.map(name => [name, '*'])
+            : Object.entries(list || {})
+        ).map(([name, range]) => ({ name, range: range || '*', optional }));
+
+        return [
+            ...normalize(plugin?.dependencies, false),
+            ...normalize(plugin?.optionalDependencies, true)
+        ];
+    }
+
+    /**
+     * Get the dependencies that keep a plugin from initializing
+     * Required dependencies must be loaded; optional ones only have to be
+     * loaded first when they are present. Both must match their version range.
+     * @returns {Array<string>} Descriptions of the unmet dependencies
+     * @private
+     */
+    getMissingDependencies(plugin) {
+        const missing = [];
+
+        for (const { name, range, optional } of this.getDependencies(plugin)) {
+            const dependency = this.items.get(name);
+            if (!dependency) {
+                if (!optional) missing.push(name);
+                continue;
+            }
+
+            if (!satisfies(dependency.version || '1.0.0', range)) {
+                missing.push(`${name}@${range} (found ${dependency.version || '1.0.0'})`);
+            } else if (this.states.get(name) !== 'loaded' && !(optional && this.states.get(name) === 'failed')) {
+                missing.push(name);
+            }
+        }
+
+        return missing;
+    }
+
+    /**
+     * Get the plugins that depend on a plugin
+     * @param {string} name Plugin name
+     * @param {Object} [options] Options
+     * @param {boolean} [options.optional] Include optional dependents
+     * @returns {Array<string>} Plugin names
+     */
+    getDependents(name, options = {}) {
+        return [...this.items.values()]
+            .filter(plugin => this.getDependencies(plugin)
+                .some(dependency => dependency.name === name && (options.optional || !dependency.optional)))
+            .map(plugin => plugin.name);
+    }
+
+    /**
+     * Sort plugins so every plugin comes after the plugins it depends on
+     * @param {Array<string>} [names] Plugins to sort (default all); their dependencies are included
+     * @returns {Array<string>} Plugin names in initialization order
+     * @throws {PluginError} On a dependency cycle
+     */
+    sort(names = [...this.items.keys()]) {
+        const order = [];
+        const visiting = new Set();
+        const done = new Set();
+
+        const visit = (name, trail) => {
+            if (done.has(name)) return;
+            if (visiting.has(name)) {
+                const cycle = [...trail.slice(trail.indexOf(name)), name];
+                throw new errors.PluginError(`Plugin dependency cycle: ${cycle.join(' -> ')}`, { cycle });
+            }
+
+            visiting.add(name);
+            for (const dependency of this.getDependencies(this.items.get(name))) {
+                if (this.items.has(dependency.name)) visit(dependency.name, [...trail, name]);
+            }
+            visiting.delete(name);
+
+            done.add(name);
+            order.push(name);
+        };
+
+        for (const name of names) visit(name, []);
+        return order;
+    }
+
+    /**
+     * Provide a service other plugins can use
+     * Called from a plugin's init/onLoad, the service belongs to that plugin
+     * and is removed when it unloads.
+     * @param {string} name Service name
+     * @param {any} api Service API
+     * @param {string} [provider] Providing plugin (defaults to the plugin being initialized)
+     */
+    provide(name, api, provider = this.initializing) {
+        const existing = this.services.get(name);
+        if (existing && existing.provider !== provider) {
+            throw new errors.PluginError(`Service ${name} is already provided by ${existing.provider || 'the bot'}`, { service: name });
+        }
+
+        this.services.set(name, { api, provider });
+        return this;
+    }
+
+    /**
+     * Get a service
+     * @param {string} name Service name
+     * @returns {any} Service API, or undefined when nobody provides it
+     */
+    getService(name) {
+        return this.services.get(name)?.api;
+    }
+
+    /**
+     * Get a service or throw
+     * @param {string} name Service name
+     * @returns {any} Service API
+     */
+    requireService(name) {
+        if (!this.services.has(name)) {
+            throw new errors.PluginError(`Service ${name} is not provided by any loaded plugin`, { service: name });
+        }
+        return this.getService(name);
+    }
+
+    /**
+     * Check if a service is provided
+     */
+    hasService(name) {
+        return this.services.has(name);
+    }
+
+    /**
+     * Remove the services of a plugin
+     * @private
+     */
+    removeServices(provider) {
+        for (const [name, service] of this.services) {
+            if (service.provider === provider) this.services.delete(name);
+        }
     }
 
     /**
      * Validate plugin structure
      */
     validatePlugin(plugin) {
-        if (!plugin.name) {
+        if (!plugin?.name) {
             throw new errors.ValidationError('Plugin must have a name');
         }
 
@@ -92,14 +643,15 @@ class PluginManager extends Handler {
     /**
      * Load plugin config
      */
-    loadConfig(plugin) {
+    loadConfig(plugin, overrides = {}) {
         // Get config from bot config
         const config = this.client.config?.plugins?.config?.[plugin.name] || {};
 
         // Merge with default config
         plugin.config = {
-            ...plugin.defaultConfig,
-            ...config
+            ...(plugin.defaultConfig || plugin.config),
+            ...config,
+            ...overrides
         };
 
         // Store config
@@ -108,27 +660,35 @@ class PluginManager extends Handler {
 
     /**
      * Unregister a plugin
+     * Refuses while loaded plugins require it, unless `cascade` is set, which
+     * unloads those plugins first.
+     * @param {string} name Plugin name
+     * @param {Object} [options] Options
+     * @param {boolean} [options.cascade] Unload dependent plugins too
      */
-    async unregister(name) {
+    async unregister(name, options = {}) {
         const plugin = this.get(name);
         if (!plugin) return false;
 
+        const dependents = this.getDependents(name).filter(dependent => this.states.get(dependent) === 'loaded');
+        if (dependents.length) {
+            if (!options.cascade) {
+                throw new errors.PluginError(`Cannot unload plugin ${name}: ${dependents.join(', ')} depend${dependents.length > 1 ? '' : 's'} on it`, { name, dependents });
+            }
+
+            for (const dependent of this.sort(dependents).reverse()) {
+                if (dependent !== name) await this.unregister(dependent, options);
+            }
+        }
+
         try {
             // Run unload hook
             if (plugin.onUnload) {
                 await plugin.onUnload();
             }
 
-            // Remove hooks
-            for (const hookCollection of this.hooks.values()) {
-                hookCollection.delete(name);
-            }
-
-            // Remove config
-            this.configs.delete(name);
-
-            // Remove plugin
-            this.items.delete(name);
+            // Remove hooks, config and plugin
+            this.remove(name);
 
             if (this.debug) {
                 console.log(chalk.gray(`Unregistered plugin: ${name}`));
@@ -142,21 +702,101 @@ class PluginManager extends Handler {
         }
     }
 
+    /**
+     * Unload a plugin
+     */
+    async unload(name, options) {
+        return this.unregister(name, options);
+    }
+
+    /**
+     * Unload all plugins, dependents before their dependencies
+     */
+    async unloadAll() {
+        for (const name of this.sort().reverse()) {
+            try {
+                await this.unregister(name, { cascade: true });
+            } catch {
+                // Already logged; keep unloading the others
+                this.remove(name);
+            }
+        }
+    }
+
+    /**
+     * Reload a plugin from its file
+     * The plugins that depend on it are unloaded and initialized again
+     * around the reload. If the new version fails to load, the previous one
+     * is restored and a PluginError is thrown.
+     * @param {string} name Plugin name
+     * @returns {Promise<Object>} The reloaded plugin
+     */
+    async reload(name) {
+        const source = this.sources.get(name);
+        if (!source) {
+            throw new errors.PluginError(`Plugin ${name} was not loaded from a file`, { name });
+        }
+
+        const previous = new Map(this.sort().map(entry => [entry, {
+            plugin: this.items.get(entry),
+            config: this.configs.get(entry),
+            source: this.sources.get(entry)
+        }]));
+
+        await this.unregister(name, { cascade: true });
+        const removed = [...previous.keys()].filter(entry => !this.items.has(entry));
+        delete require.cache[source.file];
+
+        let failure = null;
+        try {
+            await this.loadAll([[source.request, previous.get(name).config]]);
+        } catch (error) {
+            failure = error;
+        }
+
+        // Bring back the dependents, and the old version if the new one failed
+        for (const entry of removed) {
+            if (entry === name && !failure) continue;
+
+            const { plugin, config, source } = previous.get(entry);
+            this.add(plugin, config);
+            if (source) this.sources.set(entry, source);
+        }
+
+        for (const { name: failed, error } of await this.settle()) {
+            console.error(chalk.red(`Error loading plugin ${failed}:`), error);
+        }
+
+        if (failure) {
+            throw new errors.PluginError(`Plugin ${name} could not be reloaded, kept the previous version: ${failure.message}`, { name, file: source.file, cause: failure });
+        }
+
+        if (this.debug) {
+            console.log(chalk.gray(`Reloaded plugin: ${name}`));
+        }
+
+        return this.get(name);
+    }
+
     /**
      * Execute plugin hooks
+     * @returns {Promise<Array>} Values returned by the hooks
      */
     async executeHook(hookName, ...args) {
         const hooks = this.hooks.get(hookName);
-        if (!hooks) return;
+        const results = [];
+        if (!hooks) return results;
 
         for (const [pluginName, hook] of hooks) {
             try {
                 if (this.isDisabled(pluginName)) continue;
-                await hook(...args);
+                results.push(await hook(...args));
             } catch (error) {
                 console.error(chalk.red(`Error in plugin ${pluginName} ${hookName}:`), error);
             }
         }
+
+        return results;
     }
 
     /**
@@ -218,14 +858,16 @@ class PluginManager extends Handler {
      */
     async clear() {
         // Unload all plugins
-        for (const [name] of this.items) {
-            await this.unregister(name);
-        }
+        await this.unloadAll();
 
         // Clear collections
         this.items.clear();
         this.configs.clear();
         this.hooks.clear();
+        this.states.clear();
+        this.services.clear();
+        this.contributions.clear();
+        this.sources.clear();
         this.disabled.clear();
 
         // Reinitialize hooks
@@ -240,6 +882,7 @@ class PluginManager extends Handler {
     getStats() {
         return {
             ...super.getStats(),
+            services: this.services.size,
             hooks: Array.from(this.hooks.entries()).reduce((acc, [name, hooks]) => {
                 acc[name] = hooks.size;
                 return acc;
@@ -260,6 +903,11 @@ class PluginManager extends Handler {
             description: plugin.description,
             author: plugin.author,
             enabled: !this.isDisabled(plugin.name),
+            state: this.states.get(plugin.name),
+            dependencies: this.getDependencies(plugin),
+            dependents: this.getDependents(plugin.name, { optional: true }),
+            services: [...this.services].filter(([, service]) => service.provider === plugin.name).map(([name]) => name),
+            contributes: this.contributions.get(plugin.name) || null,
             hooks: Array.from(this.hooks.keys())
                 .filter(hook => plugin[hook]),
             config: this.getConfig(plugin.name)
@@ -0,0 +1,574 @@
+const chalk = require('chalk');
+const Handler = require('../runtime/handler');
+const { createDataStorage } = require('./storage');
+const { parseCron } = require('./cron');
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const MISSED_POLICIES = ['skip', 'once', 'all'];
+
+/**
+ * Parse a duration such as `30s`, `5m` or `1500ms` into milliseconds
+ * Plain numbers are seconds.
+ * @param {string|number} duration Duration
+ * @returns {number} Milliseconds
+ */
+function parseDuration(duration) {
+    const match = String(duration).trim().match(/^(\d+)(ms|s|m|h|d)?$/i);
+    if (!match) {
+        throw new Error(`Invalid duration format: ${duration}`);
+    }
+
+    const [, amount, unit] = match;
+    const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(amount, 10) * units[(unit || 's').toLowerCase()];
+}
+
+/**
+ * Scheduler - Durable scheduled tasks
+ * Tasks (`cron`, `interval` or `once`) are stored through the same storage
+ * backend as the variables, so they survive restarts. On `ready` they are
+ * restored and runs missed while the bot was offline are handled by the
+ * task's `missed` policy:
+ * - `skip`: drop them and wait for the next run
+ * - `once`: run once to catch up (default)
+ * - `all`: run every missed occurrence (up to `maxCatchUp`)
+ *
+ * Options come from `config.schedule` (persist, storage, path, missed,
+ * history, maxCatchUp); `persist` and `storage` default to the variables
+ * settings.
+ */
+class Scheduler extends Handler {
+    constructor(client) {
+        super(client, { type: 'task' });
+        this.timers = new Map();
+        this.storage = null;
+        this.restored = false;
+    }
+
+    /**
+     * Schedule configuration (`config.schedule`)
+     */
+    get options() {
+        return this.client.config?.schedule || {};
+    }
+
+    /**
+     * Whether tasks are persisted
+     */
+    get persistence() {
+        return Boolean(this.options.persist ?? this.client.config?.variables?.persist);
+    }
+
+    /**
+     * Get the storage adapter, creating it from the config on first use
+     * Uses the variables backend type, with its own file (json) or table (sqlite).
+     * @returns {StorageAdapter|null} Storage adapter
+     */
+    getStorage() {
+        if (!this.persistence) return null;
+        if (!this.storage) {
+            this.storage = createDataStorage('schedule', this.options, this.client.config?.variables);
+        }
+        return this.storage;
+    }
+
+    /**
+     * Create a task and start its timer
+     * @param {Object} options Task options
+     * @param {string} options.name Task name
+     * @param {string} [options.cron] Cron expression (see core/cron.js)
+     * @param {string} [options.interval] Repeat interval, e.g. `10m`
+     * @param {string} [options.delay] Delay of a one-time task, e.g. `1h`
+     * @param {string} options.command Command name or charm code to run
+     * @param {string} [options.timezone] Timezone of a cron task
+     * @param {string} [options.missed] Missed run policy: skip, once or all
+     * @param {Object} [context] Execution context; its guild, channel and user are stored with the task
+     * @returns {Object} Task
+     */
+    create(options, context = {}) {
+        const { name, cron, interval, delay, command, data, enabled = true } = options;
+
+        if (!name) {
+            throw new Error('Task name is required');
+        }
+        if (!command) {
+            throw new Error('Command is required for scheduled task');
+        }
+
+        const now = Date.now();
+        const task = {
+            name,
+            type: null,
+            schedule: null,
+            timezone: options.timezone || options.tz || null,
+            command,
+            data: data || {},
+            enabled: enabled !== false && enabled !== 'false',
+            missed: this.resolvePolicy(options.missed),
+            createdAt: now,
+            lastRun: null,
+            nextRun: null,
+            runCount: 0,
+            history: [],
+            context: {
+                guild: context.guild?.id || context.message?.guild?.id || null,
+                channel: context.channel?.id || context.message?.channel?.id || null,
+                user: (context.author || context.message?.author)?.id || null
+            }
+        };
+
+        if (cron) {
+            task.type = 'cron';
+            task.schedule = cron;
+            // Fail now rather than when the timer fires
+            task.nextRun = parseCron(cron, { timezone: task.timezone || undefined }).next(now).getTime();
+        } else if (interval) {
+            task.type = 'interval';
+            task.schedule = String(interval);
+            task.nextRun = now + parseDuration(interval);
+        } else if (delay) {
+            task.type = 'once';
+            task.schedule = String(delay);
+            task.nextRun = now + parseDuration(delay);
+        } else {
+            throw new Error('Must specify cron, interval, or delay');
+        }
+
+        if (this.items.has(name)) {
+            this.clearTimer(name);
+        }
+
+        this.items.set(name, task);
+        this.persist(task);
+        this.arm(task);
+
+        return task;
+    }
+
+    /**
+     * Delete a task
+     * @returns {Object} The deleted task
+     */
+    remove(name) {
+        const task = this.getTask(name);
+
+        this.clearTimer(name);
+        this.items.delete(name);
+        this.getStorage()?.delete(name).catch(error => {
+            console.error(`Error deleting scheduled task '${name}':`, error);
+        });
+
+        return task;
+    }
+
+    /**
+     * Enable a task
+     */
+    enable(name) {
+        const task = this.getTask(name);
+        task.enabled = true;
+
+        // Resume from now; runs while disabled are not made up
+        if (task.type !== 'once' && task.nextRun <= Date.now()) {
+            task.nextRun = this.getNextRun(task, Date.now());
+        }
+
+        this.persist(task);
+        this.arm(task);
+        return true;
+    }
+
+    /**
+     * Disable a task
+     */
+    disable(name) {
+        const task = this.getTask(name);
+        task.enabled = false;
+
+        this.clearTimer(name);
+        this.persist(task);
+        return true;
+    }
+
+    /**
+     * Check if a task is disabled
+     */
+    isDisabled(name) {
+        return this.items.get(name)?.enabled === false;
+    }
+
+    /**
+     * Get a task or throw
+     * @private
+     */
+    getTask(name) {
+        if (!name) {
+            throw new Error('Task name is required');
+        }
+
+        const task = this.items.get(name);
+        if (!task) {
+            throw new Error('Task not found');
+        }
+        return task;
+    }
+
+    /**
+     * Delete all tasks
+     * @returns {number} Number of tasks removed
+     */
+    clear() {
+        const count = this.items.size;
+
+        for (const name of this.timers.keys()) {
+            this.clearTimer(name);
+        }
+        this.items.clear();
+        this.getStorage()?.clear().catch(error => {
+            console.error('Error clearing scheduled tasks:', error);
+        });
+
+        return count;
+    }
+
+    /**
+     * Preview the next run times of a task or cron expression
+     * @param {string} target Task name or cron expression
+     * @param {Object} [options] Options (count, timezone, from)
+     * @returns {Array<Date>} Run times
+     */
+    preview(target, options = {}) {
+        const { count = 5, from = Date.now() } = options;
+        const task = this.items.get(target);
+        const runs = [];
+
+        if (task && task.type !== 'cron') {
+            let time = Math.max(task.nextRun, from);
+            for (let i = 0; i < count && (task.type !== 'once' || i === 0); i++) {
+                runs.push(new Date(time));
+                time = this.getNextRun(task, time);
+            }
+            return runs;
+        }
+
+        const cron = task ? task.schedule : target;
+        const timezone = task ? task.timezone : options.timezone;
+        return parseCron(cron, { timezone: timezone || undefined }).nextRuns(count, from);
+    }
+
+    /**
+     * Get the next run of a repeating task after a time
+     * @private
+     */
+    getNextRun(task, after) {
+        if (task.type === 'cron') {
+            return parseCron(task.schedule, { timezone: task.timezone || undefined }).next(after).getTime();
+        }
+
+        if (task.type === 'interval') {
+            const interval = parseDuration(task.schedule);
+            const anchor = task.nextRun ?? task.createdAt;
+            if (anchor > after) return anchor;
+            return anchor + (Math.floor((after - anchor) / interval) + 1) * interval;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the scheduled times a task missed before a time
+     * @private
+     */
+    getMissedRuns(task, now) {
+        const runs = [];
+        const limit = this.options.maxCatchUp ?? 50;
+
+        let time = task.nextRun;
+        while (time !== null && time <= now && runs.length < limit) {
+            runs.push(time);
+            if (task.type === 'once') break;
+            time = this.getNextRun(task, time);
+        }
+
+        return runs;
+    }
+
+    /**
+     * Normalize a missed run policy
+     * @private
+     */
+    resolvePolicy(policy) {
+        const value = String(policy || this.options.missed || 'once').toLowerCase();
+        if (!MISSED_POLICIES.includes(value)) {
+            throw new Error(`Invalid missed run policy: ${policy}. Use one of: ${MISSED_POLICIES.join(', ')}`);
+        }
+        return value;
+    }
+
+    /**
+     * Start the timer of a task for its next run
+     * @private
+     */
+    arm(task) {
+        this.clearTimer(task.name);
+        if (!task.enabled || task.nextRun === null) return;
+
+        const delay = task.nextRun - Date.now();
+        const timer = setTimeout(() => {
+            this.timers.delete(task.name);
+
+            // Too far ahead for one timer; check again later
+            if (task.nextRun > Date.now()) {
+                this.arm(task);
+                return;
+            }
+
+            this.fire(task).catch(error => {
+                console.error(`Error running scheduled task '${task.name}':`, error);
+            });
+        }, Math.min(Math.max(delay, 0), MAX_TIMEOUT));
+
+        this.timers.set(task.name, timer);
+    }
+
+    /**
+     * Stop the timer of a task
+     * @private
+     */
+    clearTimer(name) {
+        if (this.timers.has(name)) {
+            clearTimeout(this.timers.get(name));
+            this.timers.delete(name);
+        }
+    }
+
+    /**
+     * Run a task that is due, then schedule its next run
+     * @private
+     */
+    async fire(task) {
+        await this.run(task, { scheduledAt: task.nextRun });
+        this.advance(task, Date.now());
+    }
+
+    /**
+     * Move a task past a time: schedule the next run, or drop a finished one-time task
+     * Nothing happens if the task was removed or replaced under its name
+     * while it ran.
+     * @private
+     */
+    advance(task, after) {
+        if (this.items.get(task.name) !== task) return;
+
+        if (task.type === 'once') {
+            this.remove(task.name);
+            return;
+        }
+
+        task.nextRun = this.getNextRun(task, after);
+        this.persist(task);
+        this.arm(task);
+    }
+
+    /**
+     * Run a task now and record the result in its history
+     * @param {Object} task Task
+     * @param {Object} [options] Options
+     * @param {number} [options.scheduledAt] Time the run was due
+     * @param {boolean} [options.catchUp] Whether this run makes up for a missed one
+     * @returns {Promise<Object>} History entry
+     */
+    async run(task, options = {}) {
+        const entry = {
+            scheduledAt: options.scheduledAt ?? Date.now(),
+            ranAt: Date.now(),
+            status: 'ok'
+        };
+        if (options.catchUp) entry.catchUp = true;
+
+        try {
+            await this.execute(task);
+        } catch (error) {
+            entry.status = 'error';
+            entry.error = error.message;
+            console.error(chalk.red(`Scheduled task '${task.name}' failed:`), error.message);
+        }
+
+        task.lastRun = entry.ranAt;
+        task.runCount++;
+        task.history = [...(task.history || []), entry].slice(-(this.options.history ?? 10));
+        this.persist(task);
+
+        this.client.emit('scheduledTaskRun', task, entry);
+
+        return entry;
+    }
+
+    /**
+     * Execute the command of a task
+     * `command` is the name of a registered command or charm code; textual
+     * output is sent to the channel the task was created in. Function
+     * commands get the task context in place of a message: it has the
+     * channel, guild, author and member of the task, and `send`/`reply`
+     * post to its channel.
+     * @private
+     */
+    async execute(task) {
+        const { client } = this;
+        const context = await this.createContext(task);
+
+        const command = client.commands.resolve?.(task.command);
+        if (command && typeof command.code !== 'string') {
+            const handler = typeof command.code === 'function' ? command.code : command.execute || command.run;
+            return handler.call(command, context, context.args, client);
+        }
+
+        if (command) context.command = command;
+        const result = await client.engine.process(command ? command.code : task.command, context);
+        const output = client.engine.stringifyResult(result).trim();
+
+        if (output) {
+            await context.send(output);
+        }
+    }
+
+    /**
+     * Build an execution context from the ids stored with a task
+     * @private
+     */
+    async createContext(task) {
+        const { client } = this;
+        const ids = task.context || {};
+        const fetch = (manager, id) => id
+            ? manager?.cache.get(id) || manager?.fetch?.(id).catch(() => null)
+            : null;
+
+        const channel = await fetch(client.channels, ids.channel);
+        const author = await fetch(client.users, ids.user);
+        const guild = channel?.guild || client.guilds.cache.get(ids.guild) || null;
+
+        const send = options => {
+            if (!channel) {
+                return Promise.reject(new Error(`Scheduled task ${task.name} has no channel to send to`));
+            }
+            return channel.send(options);
+        };
+
+        return {
+            client,
+            task,
+            data: task.data,
+            channel,
+            guild,
+            author,
+            member: author && guild?.members.cache.get(author.id) || null,
+            args: [],
+            send,
+            reply: send
+        };
+    }
+
+    /**
+     * Write a task to storage
+     * @private
+     */
+    persist(task) {
+        const storage = this.getStorage();
+        if (!storage || this.items.get(task.name) !== task) return;
+
+        storage.set(task.name, task).catch(error => {
+            console.error(`Error saving scheduled task '${task.name}':`, error);
+        });
+    }
+
+    /**
+     * Load stored tasks, handle runs missed while offline and start the timers
+     * Called on `ready`.
+     * @returns {Promise<Object>} Catch-up report
+     */
+    async restore() {
+        const storage = this.getStorage();
+        const entries = storage ? await storage.load() : [];
+        const now = Date.now();
+        const report = { restored: 0, missed: 0, ran: 0, skipped: 0, tasks: [] };
+
+        for (const [name, task] of entries) {
+            if (this.items.has(name)) continue;
+            this.items.set(name, { history: [], ...task, name });
+        }
+
+        for (const task of [...this.items.values()]) {
+            report.restored++;
+
+            const missed = task.enabled ? this.getMissedRuns(task, now) : [];
+            if (!missed.length) {
+                this.arm(task);
+                continue;
+            }
+
+            const runs = task.missed === 'all' ? missed : task.missed === 'once' ? missed.slice(-1) : [];
+            for (const scheduledAt of runs) {
+                await this.run(task, { scheduledAt, catchUp: true });
+            }
+
+            report.missed += missed.length;
+            report.ran += runs.length;
+            report.skipped += missed.length - runs.length;
+            report.tasks.push({ name: task.name, policy: task.missed, missed: missed.length, ran: runs.length });
+
+            this.advance(task, now);
+        }
+
+        this.restored = true;
+        this.logReport(report);
+        this.client.emit('scheduleRestored', report);
+
+        return report;
+    }
+
+    /**
+     * Log the catch-up report
+     * @private
+     */
+    logReport(report) {
+        if (!report.restored) return;
+
+        console.log(chalk.cyan(`Scheduled tasks restored: ${report.restored}`)
+            + chalk.gray(` (missed ${report.missed}, ran ${report.ran}, skipped ${report.skipped})`));
+
+        for (const task of report.tasks) {
+            console.log(chalk.gray(`  ${task.name}: missed ${task.missed}, ran ${task.ran} (${task.policy})`));
+        }
+    }
+
+    /**
+     * Stop all timers and close the storage
+     */
+    async stop() {
+        for (const name of [...this.timers.keys()]) {
+            this.clearTimer(name);
+        }
+        if (this.storage) {
+            await this.storage.close();
+        }
+    }
+
+    /**
+     * Get manager stats
+     */
+    getStats() {
+        return {
+            total: this.items.size,
+            enabled: this.items.filter(task => task.enabled).size,
+            disabled: this.items.filter(task => !task.enabled).size,
+            persistence: this.persistence,
+            storage: this.getStorage()?.name || null
+        };
+    }
+}
+
+Scheduler.parseDuration = parseDuration;
+
+module.exports = Scheduler;
@@ -0,0 +1,259 @@
+const { ApplicationCommandOptionType, ApplicationCommandType } = require('discord.js');
+const chalk = require('chalk');
+
+/**
+ * Option type names accepted in command option schemas
+ */
+const OPTION_TYPES = {
+    string: ApplicationCommandOptionType.String,
+    integer: ApplicationCommandOptionType.Integer,
+    boolean: ApplicationCommandOptionType.Boolean,
+    user: ApplicationCommandOptionType.User,
+    channel: ApplicationCommandOptionType.Channel,
+    role: ApplicationCommandOptionType.Role,
+    mentionable: ApplicationCommandOptionType.Mentionable,
+    number: ApplicationCommandOptionType.Number,
+    attachment: ApplicationCommandOptionType.Attachment
+};
+
+const NAME_PATTERN = /^[-_\p{L}\p{N}]{1,32}$/u;
+
+/**
+ * SlashCommandManager - Exposes registered commands as slash commands
+ * Commands opt in with `slash: true` (or an object with `guildId`,
+ * `defaultMemberPermissions`, `dmPermission`) and declare their options:
+ *
+ * {
+ *     name: 'greet',
+ *     description: 'Greet someone',
+ *     slash: true,
+ *     options: [{ name: 'user', type: 'user', description: 'Who to greet', required: true }],
+ *     code: '$say[Hello $$1!]'
+ * }
+ *
+ * Without `options`, string options are derived from `usage`
+ * (`<required> [optional]`). Option values become the positional args of
+ * the charm context, so `$$1`/`$$*` work the same for prefix and slash.
+ */
+class SlashCommandManager {
+    constructor(client) {
+        this.client = client;
+        this.debug = client.debug || false;
+    }
+
+    /**
+     * Slash configuration from the client config
+     */
+    get config() {
+        return {
+            register: true,
+            prune: true,
+            guildId: this.client.config?.development?.testGuild || null,
+            ...this.client.config?.slash
+        };
+    }
+
+    /**
+     * Get all commands exposed as slash commands
+     * @returns {Array<Object>} Commands
+     */
+    getSlashCommands() {
+        return [...this.client.commands.getAll().values()].filter(command => command.slash);
+    }
+
+    /**
+     * Build the application command payload of a command
+     * @param {Object} command Command definition
+     * @returns {Object} Application command data
+     */
+    toApplicationCommand(command) {
+        const name = command.name.toLowerCase();
+        if (!NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid slash command name: ${command.name}`);
+        }
+
+        const settings = typeof command.slash === 'object' ? command.slash : {};
+        const data = {
+            type: ApplicationCommandType.ChatInput,
+            name,
+            description: this.truncate(command.description || 'No description provided', 100),
+            options: this.getOptions(command).map(option => this.toOption(option))
+        };
+
+        if (settings.defaultMemberPermissions !== undefined) {
+            data.defaultMemberPermissions = settings.defaultMemberPermissions;
+        }
+        if (settings.dmPermission !== undefined) {
+            data.dmPermission = settings.dmPermission;
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the declared options of a command, deriving them from usage if needed
+     */
+    getOptions(command) {
+        if (Array.isArray(command.options)) {
+            return command.options;
+        }
+
+        const usage = command.usage || '';
+        const options = [];
+        for (const [, required, optional] of usage.matchAll(/<([^>]+)>|\[([^\]]+)\]/g)) {
+            options.push({
+                name: (required || optional).toLowerCase().replace(/[^-_\p{L}\p{N}]+/gu, '_').slice(0, 32),
+                description: required || optional,
+                type: 'string',
+                required: Boolean(required)
+            });
+        }
+        return options;
+    }
+
+    /**
+     * Convert an option schema into application command option data
+     */
+    toOption(option) {
+        const type = typeof option.type === 'number'
+            ? option.type
+            : OPTION_TYPES[String(option.type || 'string').toLowerCase()];
+
+        if (!type) {
+            throw new Error(`Invalid option type for ${option.name}: ${option.type}`);
+        }
+        if (!option.name || !NAME_PATTERN.test(option.name)) {
+            throw new Error(`Invalid option name: ${option.name}`);
+        }
+
+        const data = {
+            type,
+            name: option.name,
+            description: this.truncate(option.description || option.name, 100),
+            required: Boolean(option.required)
+        };
+
+        if (option.choices) {
+            data.choices = option.choices.map(choice =>
+                typeof choice === 'object' ? choice : { name: String(choice), value: choice }
+            );
+        }
+        for (const key of ['minValue', 'maxValue', 'minLength', 'maxLength', 'channelTypes', 'autocomplete']) {
+            if (option[key] !== undefined) data[key] = option[key];
+        }
+
+        return data;
+    }
+
+    /**
+     * Register slash commands with Discord, only sending what changed
+     * Commands are grouped by target (global or a guild); existing commands
+     * missing from the definitions are deleted when `prune` is enabled.
+     * @returns {Promise<Object>} Counts of created, updated, deleted and unchanged commands
+     */
+    async sync() {
+        const { guildId: defaultGuild, prune } = this.config;
+        const summary = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+
+        // Group desired commands by target
+        const targets = new Map();
+        if (prune) targets.set(defaultGuild, []);
+
+        for (const command of this.getSlashCommands()) {
+            try {
+                const guildId = command.slash?.guildId ?? defaultGuild;
+                if (!targets.has(guildId)) targets.set(guildId, []);
+                targets.get(guildId).push(this.toApplicationCommand(command));
+            } catch (error) {
+                console.warn(chalk.yellow(`Skipping slash command '${command.name}': ${error.message}`));
+            }
+        }
+
+        const manager = this.client.application.commands;
+
+        for (const [guildId, desired] of targets) {
+            const existing = await manager.fetch(guildId ? { guildId } : undefined);
+
+            for (const data of desired) {
+                const current = existing.find(command => command.name === data.name);
+                if (!current) {
+                    await manager.create(data, guildId || undefined);
+                    summary.created++;
+                } else if (!current.equals(data)) {
+                    await manager.edit(current, data, guildId || undefined);
+                    summary.updated++;
+                } else {
+                    summary.unchanged++;
+                }
+            }
+
+            if (prune) {
+                for (const command of existing.values()) {
+                    if (!desired.some(data => data.name === command.name)) {
+                        await manager.delete(command, guildId || undefined);
+                        summary.deleted++;
+                    }
+                }
+            }
+        }
+
+        if (this.debug) {
+            console.log(chalk.gray(`Slash commands synced: ${JSON.stringify(summary)}`));
+        }
+
+        return summary;
+    }
+
+    /**
+     * Find the command for a chat input interaction
+     */
+    getCommand(interaction) {
+        return this.getSlashCommands().find(command => command.name.toLowerCase() === interaction.commandName);
+    }
+
+    /**
+     * Convert interaction option values into positional args
+     * Users, roles and channels become mentions, like in prefix commands.
+     * @param {Object} command Command definition
+     * @param {Object} interaction Chat input interaction
+     * @returns {Array<string>} Args
+     */
+    getArgs(command, interaction) {
+        const args = this.getOptions(command).map(option => {
+            const resolved = interaction.options.get(option.name);
+            if (!resolved) return '';
+
+            switch (resolved.type) {
+                case ApplicationCommandOptionType.User:
+                    return `<@${resolved.value}>`;
+                case ApplicationCommandOptionType.Role:
+                    return `<@&${resolved.value}>`;
+                case ApplicationCommandOptionType.Channel:
+                    return `<#${resolved.value}>`;
+                case ApplicationCommandOptionType.Mentionable:
+                    return resolved.role ? `<@&${resolved.value}>` : `<@${resolved.value}>`;
+                case ApplicationCommandOptionType.Attachment:
+                    return resolved.attachment?.url || '';
+                default:
+                    return String(resolved.value);
+            }
+        });
+
+        // Drop unset trailing options so $$* stays clean
+        while (args.length && args[args.length - 1] === '') {
+            args.pop();
+        }
+
+        return args;
+    }
+
+    /**
+     * Shorten text to a Discord length limit
+     * @private
+     */
+    truncate(text, max) {
+        return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+    }
+}
+
+module.exports = SlashCommandManager;
@@ -1,8 +1,8 @@
 const { Collection } = require('discord.js');
 const Handler = require('../runtime/handler');
 const chalk = require('chalk');
-const path = require('path');
-const fs = require('fs').promises;
+const { createStorage } = require('./storage');
+const { SCOPES, VariableScope } = require('./VariableScope');
 
 /**
  * Formats milliseconds into a human-readable string (e.g., 1d 2h 3m 4s)
@@ -26,45 +26,130 @@ function formatUptime(ms) {
     return parts.join(' ');
 }
 
+/**
+ * Convert Collections to plain objects and drop functions
+ * @param {any} value Variable value
+ * @returns {any} JSON-safe value
+ */
+function toPlain(value) {
+    if (value instanceof Map) {
+        return Object.fromEntries([...value]
+            .filter(([, item]) => typeof item !== 'function')
+            .map(([key, item]) => [key, toPlain(item)]));
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlain);
+    }
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, item]) => typeof item !== 'function')
+            .map(([key, item]) => [key, toPlain(item)]));
+    }
+    return value;
+}
+
 /**
  * Variable manager for handling bot variables
+ * With `config.variables.persist`, every set/delete is written to the
+ * configured storage backend (`storage: 'json' | 'sqlite' | 'memory'`).
+ *
+ * Variables can be scoped to a guild, channel, user or member with
+ * `scope(name, target)`; see VariableScope.
  */
 class VariableManager extends Handler {
     constructor(client) {
         super(client, { type: 'variable' });
         this.variables = new Collection();
-        this.persistence = client.config?.variables?.persist || false;
-        this.dataPath = path.join(process.cwd(), 'data', 'variables.json');
+        this.transient = new Set();
+        this.storage = null;
+        this.loading = false;
+        this.defaults = new Collection(SCOPES.map(scope => [scope, {}]));
 
         this.registerSystemVariables();
     }
 
+    /**
+     * Variables configuration (`config.variables`)
+     */
+    get options() {
+        return this.client.config?.variables || {};
+    }
+
+    /**
+     * Whether variables are persisted
+     */
+    get persistence() {
+        return Boolean(this.options.persist);
+    }
+
+    /**
+     * Get the storage adapter, creating it from the config on first use
+     * @returns {StorageAdapter|null} Storage adapter
+     */
+    getStorage() {
+        if (!this.persistence) return null;
+        if (!this.storage) {
+            this.storage = createStorage(this.options);
+        }
+        return this.storage;
+    }
+
     /**
      * Register system variables.
      * Some variables are dynamic (functions) to provide real-time values.
      */
     registerSystemVariables() {
-        this.set('ping', () => this.client.ws.ping ?? -1);
-        this.set('uptime', () => formatUptime(this.client.uptime));
-        this.set('guilds', () => this.client.guilds.cache.size);
-        this.set('users', () => this.client.guilds.cache.reduce((acc, guild) => acc + guild.memberCount, 0));
-        this.set('channels', () => this.client.channels.cache.size);
-        this.set('timestamp', () => new Date().toISOString());
-        this.set('memory', () => (process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2));
-        this.set('version', process.version);
+        const system = {
+            ping: () => this.client.ws.ping ?? -1,
+            uptime: () => formatUptime(this.client.uptime),
+            guilds: () => this.client.guilds.cache.size,
+            users: () => this.client.guilds.cache.reduce((acc, guild) => acc + guild.memberCount, 0),
+            channels: () => this.client.channels.cache.size,
+            timestamp: () => new Date().toISOString(),
+            memory: () => (process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2),
+            version: process.version
+        };
+
+        // Computed on every run, never persisted
+        for (const [key, value] of Object.entries(system)) {
+            this.transient.add(key);
+            this.set(key, value);
+        }
     }
 
     /**
-     * Get a variable value
+     * Get a stored value without defaults
+     * @private
      */
-    get(key) {
+    lookup(key) {
         // Support dot notation
-        const parts = key.split('.');
         let value = this.variables;
 
-        for (const part of parts) {
+        // Only stored data, never methods of the containers
+        for (const part of key.split('.')) {
             if (!value || typeof value !== 'object') return undefined;
-            value = value.get?.(part) || value[part];
+            value = value instanceof Map ? value.get(part) : Object.hasOwn(value, part) ? value[part] : undefined;
+        }
+
+        return value;
+    }
+
+    /**
+     * Check if a variable is set (defaults do not count)
+     */
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Get a variable value
+     * Unset variables fall back to the global defaults.
+     */
+    get(key) {
+        const value = this.lookup(key);
+
+        if (value === undefined) {
+            return this.getDefault('global', key);
         }
 
         // If the value is a function, execute it to get the dynamic value
@@ -90,20 +175,23 @@ class VariableManager extends Handler {
 
         let target = this.variables;
         for (const part of parts) {
-            if (!target.has(part)) {
-                target.set(part, new Collection());
+            if (target instanceof Collection) {
+                if (!target.has(part)) target.set(part, new Collection());
+                target = target.get(part);
+            } else {
+                if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+                target = target[part];
             }
-            target = target.get(part);
         }
 
-        target.set(last, value);
-
-        if (this.persistence) {
-            this.save().catch(error => {
-                console.error('Error saving variables:', error);
-            });
+        if (target instanceof Collection) {
+            target.set(last, value);
+        } else {
+            target[last] = value;
         }
 
+        this.persist(key.split('.')[0]);
+
         return true;
     }
 
@@ -116,6 +204,139 @@ class VariableManager extends Handler {
         return this.set(key, updated);
     }
 
+    /**
+     * Get the variables of a scope target
+     * @param {string} scope 'global', 'guild', 'channel', 'user' or 'member'
+     * @param {string|Object} [target] Target id, or an execution context to take it from
+     * @returns {VariableScope} Scoped view
+     */
+    scope(scope = 'global', target) {
+        const name = String(scope).toLowerCase();
+        if (!SCOPES.includes(name)) {
+            throw new Error(`Invalid variable scope: ${scope}. Use one of: ${SCOPES.join(', ')}`);
+        }
+
+        return new VariableScope(this, name, name === 'global' ? null : this.resolveScopeId(name, target));
+    }
+
+    /**
+     * Get the target id of a scope from an id or an execution context
+     * @private
+     */
+    resolveScopeId(scope, target) {
+        if (typeof target === 'string' || typeof target === 'number') {
+            return String(target);
+        }
+
+        const guildId = target?.guild?.id;
+        const userId = (target?.author || target?.user || target?.interaction?.user)?.id;
+        const ids = {
+            guild: guildId,
+            channel: target?.channel?.id,
+            user: userId,
+            member: guildId && userId ? `${guildId}:${userId}` : undefined
+        };
+
+        if (!ids[scope]) {
+            throw new Error(`Cannot use the ${scope} scope here: no ${scope} in context`);
+        }
+
+        return ids[scope];
+    }
+
+    /**
+     * Set the default value of a scoped variable
+     * @param {string} scope Scope name
+     * @param {string} key Variable key
+     * @param {any} value Default value
+     */
+    setDefault(scope, key, value) {
+        const defaults = this.defaults.get(scope);
+        if (!defaults) {
+            throw new Error(`Invalid variable scope: ${scope}`);
+        }
+        defaults[key] = value;
+        return true;
+    }
+
+    /**
+     * Remove the default value of a scoped variable
+     */
+    removeDefault(scope, key) {
+        const defaults = this.defaults.get(scope);
+        if (!defaults || !(key in defaults)) return false;
+        delete defaults[key];
+        return true;
+    }
+
+    /**
+     * Get the default value of a scoped variable
+     * Defaults come from setDefault() and `config.variables.defaults[scope]`.
+     */
+    getDefault(scope, key) {
+        const defaults = { ...this.options.defaults?.[scope], ...this.defaults.get(scope) };
+
+        let value = defaults;
+        for (const part of key in defaults ? [key] : key.split('.')) {
+            if (!value || typeof value !== 'object') return undefined;
+            value = value[part];
+        }
+
+        return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    /**
+     * Get a top-level variable as plain data
+     * @private
+     */
+    getEntry(name) {
+        const value = this.variables.get(name);
+        return value === undefined ? undefined : toPlain(value);
+    }
+
+    /**
+     * Get the names of the global variables
+     * @returns {Array<string>} Variable names
+     */
+    list() {
+        return Object.keys(this.listScope('global'));
+    }
+
+    /**
+     * Get all variables of a scope
+     * @param {string} scope Scope name
+     * @returns {Object} Global variables by key, or scoped variables by target id
+     */
+    listScope(scope) {
+        const result = {};
+
+        for (const [key] of this.variables) {
+            if (this.transient.has(key)) continue;
+
+            const keyScope = SCOPES.find(name => name !== 'global' && key.startsWith(`${name}:`)) || 'global';
+            if (keyScope !== scope) continue;
+
+            result[keyScope === 'global' ? key : key.slice(scope.length + 1)] = this.getEntry(key);
+        }
+
+        return result;
+    }
+
+    /**
+     * Delete all variables of a scope
+     * @param {string} scope Scope name
+     * @returns {number} Number of top-level entries removed
+     */
+    clearScope(scope) {
+        const keys = Object.keys(this.listScope(scope));
+
+        for (const key of keys) {
+            this.delete(scope === 'global' ? key : `${scope}:${key}`);
+        }
+
+        return keys.length;
+    }
+
     /**
      * Delete a variable
      */
@@ -126,16 +347,20 @@ class VariableManager extends Handler {
 
         let target = this.variables;
         for (const part of parts) {
-            target = target.get(part);
-            if (!target) return false;
+            target = target.get?.(part) ?? target[part];
+            if (!target || typeof target !== 'object') return false;
         }
 
-        const result = target.delete(last);
+        let result;
+        if (target instanceof Collection) {
+            result = target.delete(last);
+        } else {
+            result = Object.prototype.hasOwnProperty.call(target, last);
+            delete target[last];
+        }
 
-        if (this.persistence) {
-            this.save().catch(error => {
-                console.error('Error saving variables:', error);
-            });
+        if (result) {
+            this.persist(key.split('.')[0]);
         }
 
         return result;
@@ -147,32 +372,55 @@ class VariableManager extends Handler {
     clear() {
         this.variables.clear();
 
-        if (this.persistence) {
-            this.save().catch(error => {
-                console.error('Error saving variables:', error);
-            });
-        }
+        this.getStorage()?.clear().catch(error => {
+            console.error('Error clearing stored variables:', error);
+        });
 
         return true;
     }
 
     /**
-     * Save variables to file
+     * Write one top-level variable to storage, or remove it if it is gone
+     * @private
+     */
+    persist(name) {
+        const storage = this.getStorage();
+        if (!storage || this.loading || this.transient.has(name)) return;
+
+        const value = this.variables.get(name);
+        const write = value === undefined || typeof value === 'function'
+            ? storage.delete(name)
+            : storage.set(name, toPlain(value));
+
+        write.catch(error => {
+            console.error(`Error saving variable '${name}':`, error);
+        });
+    }
+
+    /**
+     * Get all persistable variables as plain data
+     * @returns {Array<Array>} [key, value] pairs
+     */
+    getEntries() {
+        return [...this.variables]
+            .filter(([key, value]) => !this.transient.has(key) && typeof value !== 'function')
+            .map(([key, value]) => [key, toPlain(value)]);
+    }
+
+    /**
+     * Write all variables to storage
+     * Changes are already written as they happen; this writes a full
+     * snapshot and waits for pending writes.
      */
     async save() {
-        if (!this.persistence) return;
+        const storage = this.getStorage();
+        if (!storage) return;
 
         try {
-            const data = {};
-            for (const [key, value] of this.variables) {
-                data[key] = value;
-            }
-
-            await fs.mkdir(path.dirname(this.dataPath), { recursive: true });
-            await fs.writeFile(this.dataPath, JSON.stringify(data, null, 2));
+            await storage.save(this.getEntries());
 
             if (this.debug) {
-                console.log(chalk.gray('Variables saved:', this.dataPath));
+                console.log(chalk.gray(`Variables saved (${storage.name})`));
             }
         } catch (error) {
             console.error('Error saving variables:', error);
@@ -181,23 +429,26 @@ class VariableManager extends Handler {
     }
 
     /**
-     * Load variables from file
+     * Load variables from storage
      */
     async load() {
-        try {
-            const exists = await fs.access(this.dataPath)
-                .then(() => true)
-                .catch(() => false);
+        const storage = this.getStorage();
+        if (!storage) return;
 
-            if (!exists) return;
+        try {
+            const entries = await storage.load();
 
-            const data = JSON.parse(await fs.readFile(this.dataPath, 'utf8'));
-            for (const [key, value] of Object.entries(data)) {
-                this.set(key, value);
+            this.loading = true;
+            try {
+                for (const [key, value] of entries) {
+                    if (!this.transient.has(key)) this.set(key, value);
+                }
+            } finally {
+                this.loading = false;
             }
 
             if (this.debug) {
-                console.log(chalk.gray('Variables loaded:', this.dataPath));
+                console.log(chalk.gray(`Variables loaded (${storage.name}): ${entries.length}`));
             }
         } catch (error) {
             console.error('Error loading variables:', error);
@@ -205,6 +456,14 @@ class VariableManager extends Handler {
         }
     }
 
+    /**
+     * Flush pending writes and close the storage
+     */
+    async close() {
+        if (!this.storage) return;
+        await this.storage.close();
+    }
+
     /**
      * Get manager stats
      */
@@ -213,7 +472,7 @@ class VariableManager extends Handler {
             ...super.getStats(),
             persistence: this.persistence,
             variables: this.variables.size,
-            storage: this.dataPath
+            storage: this.getStorage()?.name || null
         };
     }
 }
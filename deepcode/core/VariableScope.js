@@ -0,0 +1,93 @@
+/**
+ * Variable scopes
+ * Scoped variables live under one top-level key per scope target, e.g.
+ * `user:123456` or `member:<guildId>:<userId>`, so every guild, channel,
+ * user or member gets an isolated namespace that is stored as one unit.
+ */
+const SCOPES = ['global', 'guild', 'channel', 'user', 'member'];
+
+/**
+ * View of the variables of one scope target
+ *
+ * const balance = client.variables.scope('user', context).get('balance');
+ * client.variables.scope('guild', guildId).set('prefix', '?');
+ */
+class VariableScope {
+    /**
+     * @param {VariableManager} manager Variable manager
+     * @param {string} scope Scope name
+     * @param {string|null} id Scope target id (null for global)
+     */
+    constructor(manager, scope, id) {
+        this.manager = manager;
+        this.scope = scope;
+        this.id = id;
+    }
+
+    /**
+     * Top-level key holding this target's variables (null for global)
+     */
+    get root() {
+        return this.scope === 'global' ? null : `${this.scope}:${this.id}`;
+    }
+
+    /**
+     * Full manager key of a scoped key
+     * @private
+     */
+    resolve(key) {
+        if (!key) throw new Error('Variable key is required');
+        return this.root ? `${this.root}.${key}` : key;
+    }
+
+    /**
+     * Get a variable, falling back to the scope default
+     */
+    get(key) {
+        const value = this.manager.get(this.resolve(key));
+        return value === undefined ? this.manager.getDefault(this.scope, key) : value;
+    }
+
+    /**
+     * Set a variable
+     */
+    set(key, value) {
+        return this.manager.set(this.resolve(key), value);
+    }
+
+    /**
+     * Delete a variable
+     */
+    delete(key) {
+        return this.manager.delete(this.resolve(key));
+    }
+
+    /**
+     * Check if a variable is set (defaults do not count)
+     */
+    has(key) {
+        return this.manager.has(this.resolve(key));
+    }
+
+    /**
+     * Get all variables of this target
+     * @returns {Object} Variables by key
+     */
+    list() {
+        if (!this.root) return this.manager.listScope('global');
+        return this.manager.getEntry(this.root) || {};
+    }
+
+    /**
+     * Delete all variables of this target
+     */
+    clear() {
+        if (!this.root) return this.manager.clearScope('global');
+        return this.manager.delete(this.root);
+    }
+}
+
+module.exports = {
+    SCOPES,
+    VariableScope
+};
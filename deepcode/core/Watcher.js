@@ -0,0 +1,426 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const TYPES = ['commands', 'charms', 'events', 'plugins'];
+
+/**
+ * Hot reload for development
+ * Watches the project's `commands/`, `charms/`, `events/` and `plugins/`
+ * directories. When a file changes, it and every project module that
+ * requires it are purged from the require cache and the units they define
+ * are registered again. A unit that fails to load or validate is rolled
+ * back: the previous version stays registered and the error is logged.
+ *
+ * Enabled with `deepcode start --watch`, `new CharmClient({ watch: true })`
+ * or `config.watch` (`true` or `{ debounce: 100 }`).
+ */
+class Watcher {
+    constructor(client) {
+        this.client = client;
+        this.rootDir = process.cwd();
+        this.watchers = new Map();
+        this.roots = [];
+        this.pending = new Map();
+        this.running = Promise.resolve();
+    }
+
+    /**
+     * Watch options from `config.watch`
+     */
+    get options() {
+        const watch = this.client.config?.watch;
+        return watch && typeof watch === 'object' ? watch : {};
+    }
+
+    /**
+     * Whether the watcher is running
+     */
+    get active() {
+        return this.watchers.size > 0;
+    }
+
+    /**
+     * Watched directories, by unit type
+     * @returns {Object} Type → absolute directory
+     */
+    get directories() {
+        const paths = this.client.config?.commands?.paths || {};
+        return Object.fromEntries(TYPES.map(type => [type, path.resolve(this.rootDir, paths[type] || type)]));
+    }
+
+    /**
+     * Start watching the project directories
+     * Directories that don't exist are skipped.
+     * @returns {Array<string>} Watched directories
+     */
+    start() {
+        if (this.active) return this.getWatched();
+
+        for (const dir of Object.values(this.directories)) {
+            if (!fs.existsSync(dir)) continue;
+
+            this.roots.push(dir);
+            this.watchTree(dir);
+        }
+
+        console.log(chalk.blue(`Watching for changes in ${this.getWatched().map(dir => path.relative(this.rootDir, dir)).join(', ') || 'no directories'}`));
+        return this.getWatched();
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        for (const watcher of this.watchers.values()) watcher.close();
+        for (const timer of this.pending.values()) clearTimeout(timer);
+        this.watchers.clear();
+        this.roots = [];
+        this.pending.clear();
+    }
+
+    /**
+     * Get the watched directories
+     */
+    getWatched() {
+        return [...this.roots];
+    }
+
+    /**
+     * Watch a directory and its subdirectories
+     * `fs.watch` supports `recursive` on Linux only from Node 19.1, so each
+     * directory gets its own watcher. Directories created later are watched
+     * when their parent reports them; removed ones are closed.
+     * @private
+     */
+    watchTree(dir) {
+        if (this.watchers.has(dir)) return;
+
+        let watcher;
+        try {
+            watcher = fs.watch(dir, (event, filename) => {
+                if (!filename) return;
+                const file = path.join(dir, filename.toString());
+
+                if (file.endsWith('.js')) {
+                    this.schedule(file);
+                } else if (event === 'rename') {
+                    const stats = fs.statSync(file, { throwIfNoEntry: false });
+                    if (!stats) this.unwatchTree(file);
+                    else if (stats.isDirectory()) this.watchTree(file);
+                }
+            });
+            watcher.on('error', error => console.error(chalk.red(`Error watching ${dir}:`), error));
+            this.watchers.set(dir, watcher);
+
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                if (entry.isDirectory() && entry.name !== 'node_modules') {
+                    this.watchTree(path.join(dir, entry.name));
+                }
+            }
+        } catch (error) {
+            console.error(chalk.red(`Error watching ${dir}:`), error);
+        }
+    }
+
+    /**
+     * Stop watching a removed directory and its subdirectories
+     * @private
+     */
+    unwatchTree(dir) {
+        for (const [watched, watcher] of this.watchers) {
+            if (watched === dir || watched.startsWith(dir + path.sep)) {
+                watcher.close();
+                this.watchers.delete(watched);
+            }
+        }
+    }
+
+    /**
+     * Reload a file once its changes have settled
+     * Editors often write a file several times in a row.
+     * @private
+     */
+    schedule(file) {
+        clearTimeout(this.pending.get(file));
+        this.pending.set(file, setTimeout(() => {
+            this.pending.delete(file);
+            this.reload(file).catch(error => {
+                console.error(chalk.red(`Error reloading ${this.relative(file)}:`), error);
+            });
+        }, this.options.debounce ?? 100));
+    }
+
+    /**
+     * Reload a changed file and the project modules that require it
+     * Reloads run one at a time.
+     * @param {string} file Changed file
+     * @returns {Promise<Array<Object>>} Reloaded units, as { type, file, names, error }
+     */
+    reload(file) {
+        const run = this.running.then(async () => {
+            const results = [];
+            const purged = this.purge(path.resolve(this.rootDir, file));
+
+            for (const [changed, module] of purged) {
+                const type = this.getType(changed);
+                if (!type) continue;
+
+                const result = await this.reloadUnit(type, changed);
+                if (result.error) {
+                    // Keep the cached copy of the version that stays registered
+                    if (module) require.cache[changed] = module;
+                } else if (result.names.length || module) {
+                    console.log(chalk.green(`↻ Reloaded ${this.relative(changed)}`) + chalk.gray(result.names.length ? ` (${result.names.join(', ')})` : ''));
+                }
+                results.push(result);
+            }
+
+            return results;
+        });
+
+        this.running = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Remove a file and every project module that requires it from the
+     * require cache
+     * @param {string} file Changed file
+     * @returns {Map<string, Module>} Purged files and their previous module
+     * (undefined for files that weren't loaded yet)
+     * @private
+     */
+    purge(file) {
+        const purged = new Map([[file, require.cache[file]]]);
+        const queue = [file];
+
+        while (queue.length) {
+            const current = queue.shift();
+            for (const module of Object.values(require.cache)) {
+                if (purged.has(module.id) || !this.isProjectFile(module.id)) continue;
+                if (module.children.some(child => child.id === current)) {
+                    purged.set(module.id, module);
+                    queue.push(module.id);
+                }
+            }
+        }
+
+        for (const purgedFile of purged.keys()) delete require.cache[purgedFile];
+        return purged;
+    }
+
+    /**
+     * Reload the units of one file
+     * @private
+     */
+    async reloadUnit(type, file) {
+        const result = { type, file, names: [], error: null };
+
+        try {
+            if (type === 'plugins') {
+                result.names = await this.reloadPlugin(file);
+            } else {
+                const old = this.getUnits(type, file);
+                const next = fs.existsSync(file) ? this.build(type, file) : [];
+
+                // Helpers next to the units define none and are only purged
+                if (!next.length && old.length && fs.existsSync(file)) {
+                    throw new Error(`${this.relative(file)} no longer exports any ${type}`);
+                }
+
+                this.swap(type, old, next);
+                result.names = next.map(([name]) => name);
+
+                if (type !== 'commands') {
+                    if (next.length) this.client.loader.files.set(file, result.names);
+                    else this.client.loader.files.delete(file);
+                }
+            }
+
+            this.client.emit('hotReload', result);
+        } catch (error) {
+            result.error = error;
+            console.error(chalk.red(`✗ Reload of ${this.relative(file)} failed, keeping the previous version:`), error.message);
+            this.client.emit('hotReloadError', result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Reload the loaded plugin defined by a file
+     * @private
+     */
+    async reloadPlugin(file) {
+        const plugins = this.client.plugins;
+        const name = plugins.sources.findKey(source => source.file === file);
+        if (!name) return [];
+
+        if (!fs.existsSync(file)) {
+            await plugins.unregister(name, { cascade: true });
+            return [];
+        }
+
+        await plugins.reload(name);
+        return [name];
+    }
+
+    /**
+     * Require a file and validate the units it defines
+     * Throws if one of them is invalid.
+     * @returns {Array<Array>} [name, unit] pairs
+     * @private
+     */
+    build(type, file) {
+        const units = this.describe(type, require(file), file);
+
+        for (const [name, unit] of units) {
+            if (type === 'commands') {
+                if (!this.client._charmCommandLoader.validateCommand(unit)) {
+                    throw new Error(`Command ${name} is invalid`);
+                }
+                unit._filePath = file;
+                continue;
+            }
+            if (type === 'events') {
+                this.client.events.validateEvent(unit);
+                continue;
+            }
+            if (typeof unit.execute !== 'function') {
+                throw new Error(`Charm ${name} must have an execute method`);
+            }
+        }
+
+        return units;
+    }
+
+    /**
+     * Get the [name, unit] pairs a module export defines
+     * @private
+     */
+    describe(type, exported, file) {
+        exported = exported?.default ?? exported;
+
+        switch (type) {
+            case 'commands':
+                return [exported].flat().filter(command => command?.name).map(command => [command.name, command]);
+
+            case 'charms': {
+                const charm = this.client.loader.createCharm(exported, file);
+                return charm ? [charm] : [];
+            }
+
+            case 'events':
+                return [exported].flat().filter(event => event?.name).map(event => [event.id || event.name, event]);
+
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Get the names of the units a file registered
+     * @private
+     */
+    getUnits(type, file) {
+        if (type === 'commands') {
+            return [...this.client._charmCommandLoader.loadedCommands]
+                .filter(([, info]) => info.filePath === file)
+                .map(([name]) => name);
+        }
+
+        return this.client.loader.files.get(file) || [];
+    }
+
+    /**
+     * Replace the old units of a file with the new ones
+     * Either all new units are registered, or the old ones are restored.
+     * @private
+     */
+    swap(type, old, next) {
+        const registry = this.getRegistry(type);
+        const removed = old.map(name => [name, registry.get(name)]).filter(([, unit]) => unit);
+        const added = [];
+
+        for (const [name] of removed) registry.remove(name);
+
+        try {
+            for (const [name, unit] of next) {
+                registry.add(name, unit);
+                added.push(name);
+            }
+        } catch (error) {
+            for (const name of added) registry.remove(name);
+            for (const [name, unit] of removed) registry.add(name, unit);
+            throw error;
+        }
+    }
+
+    /**
+     * Get, add and remove units of a type
+     * @private
+     */
+    getRegistry(type) {
+        const { client } = this;
+
+        switch (type) {
+            case 'commands':
+                return {
+                    get: name => client.commands.items.get(name),
+                    add: (name, command) => {
+                        client.commands.register(command);
+                        client._charmCommandLoader.loadedCommands.set(name, { command, loadedAt: new Date(), filePath: command._filePath });
+                    },
+                    remove: name => {
+                        client.commands.unregister(name);
+                        client._charmCommandLoader.loadedCommands.delete(name);
+                    }
+                };
+
+            case 'charms':
+                return {
+                    get: name => client.charms.get(name),
+                    add: (name, charm) => {
+                        if (client.charms.has(name)) throw new Error(`Charm ${name} already exists`);
+                        client.charms.set(name, charm);
+                    },
+                    remove: name => client.charms.delete(name)
+                };
+
+            case 'events':
+                return {
+                    get: name => client.events.items.get(name),
+                    add: (name, event) => client.events.register(event),
+                    remove: name => client.events.unregister(name)
+                };
+        }
+    }
+
+    /**
+     * Get the unit type of a file from its directory
+     * @private
+     */
+    getType(file) {
+        return Object.entries(this.directories)
+            .find(([, dir]) => file.startsWith(dir + path.sep))?.[0] || null;
+    }
+
+    /**
+     * Whether a module belongs to the project rather than a dependency
+     * @private
+     */
+    isProjectFile(file) {
+        return file.startsWith(this.rootDir + path.sep) && !file.includes(`${path.sep}node_modules${path.sep}`);
+    }
+
+    /**
+     * Path relative to the project
+     * @private
+     */
+    relative(file) {
+        return path.relative(this.rootDir, file);
+    }
+}
+
+module.exports = Watcher;
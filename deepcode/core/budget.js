@@ -0,0 +1,127 @@
+const { errors } = require('./errors');
+
+const DEFAULTS = {
+    maxIterations: 1000,
+    maxCharmCalls: 10000,
+    timeout: 30000,
+    maxConcurrentRequests: 5
+};
+
+/**
+ * Execution budget
+ * Caps the work one execution (a command, event or scheduled task run) can
+ * do: loop iterations across all loops, charm calls, wall-clock time and
+ * concurrent Discord requests. The engine creates one per execution from
+ * `config.execution`, overridden by the command's `execution`:
+ *
+ * "execution": { "maxIterations": 1000, "maxCharmCalls": 10000, "timeout": 30000, "maxConcurrentRequests": 5 }
+ *
+ * Going over a limit throws a BudgetError.
+ */
+class ExecutionBudget {
+    /**
+     * @param {Object} [limits] Limits, merged over the defaults
+     */
+    constructor(limits = {}) {
+        this.limits = { ...DEFAULTS, ...limits };
+        this.startedAt = Date.now();
+        this.iterations = 0;
+        this.charmCalls = 0;
+        this.requests = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Count a charm call
+     * @param {string} name Charm name
+     */
+    charm(name) {
+        if (++this.charmCalls > this.limits.maxCharmCalls) {
+            this.exceed('maxCharmCalls', `more than ${this.limits.maxCharmCalls} charm calls (last: $${name})`);
+        }
+        this.checkDeadline();
+    }
+
+    /**
+     * Count a loop iteration
+     * @param {string} loop Loop charm name
+     */
+    iterate(loop) {
+        if (++this.iterations > this.limits.maxIterations) {
+            this.exceed('maxIterations', `more than ${this.limits.maxIterations} loop iterations (in $${loop})`);
+        }
+        this.checkDeadline();
+    }
+
+    /**
+     * Throw once the execution has run past its deadline
+     */
+    checkDeadline() {
+        if (Date.now() - this.startedAt > this.limits.timeout) {
+            this.exceed('timeout', `ran longer than ${this.limits.timeout}ms`);
+        }
+    }
+
+    /**
+     * Run a Discord request, waiting while too many are in flight
+     * The deadline is checked before the request is sent and once it returns,
+     * so a charm making several requests stops in between.
+     * @param {Function} request Function returning a promise
+     * @returns {Promise<any>} The request's result
+     */
+    async request(request) {
+        if (this.requests >= this.limits.maxConcurrentRequests) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        this.requests++;
+        try {
+            this.checkDeadline();
+            const result = await request();
+            this.checkDeadline();
+            return result;
+        } finally {
+            this.requests--;
+            this.waiting.shift()?.();
+        }
+    }
+
+    /**
+     * Run a Discord request under a budget, or right away without one
+     * For charms and managers that call Discord directly rather than
+     * through `context.send`.
+     * @param {ExecutionBudget|null} budget Budget of the execution
+     * @param {Function} request Function returning a promise
+     * @returns {Promise<any>} The request's result
+     */
+    static request(budget, request) {
+        return budget ? budget.request(request) : request();
+    }
+
+    /**
+     * Get what the execution has used so far
+     */
+    getUsage() {
+        return {
+            iterations: this.iterations,
+            charmCalls: this.charmCalls,
+            elapsed: Date.now() - this.startedAt,
+            limits: { ...this.limits }
+        };
+    }
+
+    /**
+     * @private
+     */
+    exceed(limit, description) {
+        throw new errors.BudgetError(`Execution budget exceeded: ${description}`, {
+            limit,
+            value: this.limits[limit],
+            usage: this.getUsage()
+        });
+    }
+}
+
+ExecutionBudget.DEFAULTS = DEFAULTS;
+
+module.exports = ExecutionBudget;
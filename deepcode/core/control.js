@@ -0,0 +1,85 @@
+/**
+ * Control flow helpers
+ * $break and $continue throw a ControlSignal. It passes through every charm
+ * and nested code block between them and the innermost loop, which catches
+ * it with runIteration() and stops or moves on to the next iteration.
+ * isTrue() decides conditions for $while and $assert.
+ */
+
+class ControlSignal {
+    /**
+     * @param {string} type 'break' or 'continue'
+     * @param {string} [reason] Why the loop was left
+     */
+    constructor(type, reason = '') {
+        this.type = type;
+        this.reason = reason;
+    }
+}
+
+/**
+ * Build the context of one loop iteration and count it against the budget
+ * @param {Object} context Context of the loop charm
+ * @param {string} type Loop charm name
+ * @param {Object} loop Iteration values: index, value, total, ...
+ * @returns {Object} Iteration context; `$$index`, `$$value`, ... read `context.loop`
+ */
+function enterIteration(context, type, loop) {
+    context.budget?.iterate(type);
+    return { ...context, loop: { type, ...loop, parent: context.loop } };
+}
+
+/**
+ * Run one loop iteration
+ * @param {Function} run Runs the iteration's code
+ * @returns {Promise<Object>} { result } or { signal } when the code used $break or $continue
+ */
+async function runIteration(run) {
+    try {
+        return { result: await run() };
+    } catch (error) {
+        if (error instanceof ControlSignal) return { signal: error };
+        throw error;
+    }
+}
+
+/**
+ * Decide whether an evaluated condition holds
+ * Supports a single comparison (`==`, `!=`, `>=`, `<=`, `>`, `<`), compared
+ * as numbers when both sides are numeric; anything else is truthy unless
+ * it is empty, `false`, `0`, `null` or `undefined`.
+ * @param {any} value Evaluated condition, e.g. `3 < 5`
+ * @returns {boolean}
+ */
+function isTrue(value) {
+    if (typeof value !== 'string') return Boolean(value);
+
+    const comparison = value.match(/^(.*?)\s*(==|!=|>=|<=|>|<)\s*(.*)$/s);
+    if (comparison) {
+        let [, left, operator, right] = comparison;
+        left = left.trim();
+        right = right.trim();
+        if (left !== '' && right !== '' && !isNaN(left) && !isNaN(right)) {
+            left = Number(left);
+            right = Number(right);
+        }
+
+        switch (operator) {
+            case '==': return left === right;
+            case '!=': return left !== right;
+            case '>=': return left >= right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '<': return left < right;
+        }
+    }
+
+    return !['', 'false', '0', 'null', 'undefined'].includes(value.trim());
+}
+
+module.exports = {
+    ControlSignal,
+    enterIteration,
+    runIteration,
+    isTrue
+};
@@ -0,0 +1,343 @@
+/**
+ * Cron expressions
+ *
+ * Supports five fields (`minute hour day month weekday`) or six with a
+ * leading seconds field, and for each field:
+ * - `*` / `?`        any value
+ * - `5`, `1,15`      values and lists
+ * - `1-5`, `*\/15`   ranges and steps (`a-b/n`, `a/n`)
+ * - `JAN`-`DEC`, `SUN`-`SAT` names (weekday 7 is Sunday too)
+ * and the macros `@yearly`, `@annually`, `@monthly`, `@weekly`, `@daily`,
+ * `@midnight` and `@hourly`.
+ *
+ * As in Vixie cron, when both day and weekday are restricted a time matches
+ * if either does. Times are matched on the wall clock of an IANA timezone
+ * (the system timezone by default); wall times skipped by a DST change do
+ * not fire and repeated ones fire once.
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'weekday', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// How far ahead to look before deciding an expression never matches
+const MAX_YEARS = 8;
+
+const formatters = new Map();
+
+class CronExpression {
+    /**
+     * @param {string} expression Cron expression or macro
+     * @param {Object} [options] Options
+     * @param {string} [options.timezone] IANA timezone, e.g. `Europe/Berlin`
+     */
+    constructor(expression, options = {}) {
+        this.source = String(expression ?? '').trim();
+        this.timezone = options.timezone || undefined;
+
+        const normalized = MACROS[this.source.toLowerCase()] || this.source;
+        const parts = normalized.split(/\s+/).filter(Boolean);
+
+        if (parts.length !== 5 && parts.length !== 6) {
+            throw new Error(`Invalid cron expression "${this.source}": expected 5 or 6 fields, got ${parts.length}`);
+        }
+
+        this.hasSeconds = parts.length === 6;
+        if (!this.hasSeconds) parts.unshift('0');
+
+        for (const [index, field] of FIELDS.entries()) {
+            this[field.name] = this.parseField(parts[index], field);
+        }
+
+        // Weekday 7 is Sunday
+        if (this.weekday.values.has(7)) {
+            this.weekday.values.delete(7);
+            this.weekday.values.add(0);
+        }
+
+        // Validate the timezone early
+        getFormatter(this.timezone);
+    }
+
+    /**
+     * Parse one field into a set of allowed values
+     * @private
+     */
+    parseField(text, field) {
+        const values = new Set();
+        const restricted = !/^[*?]/.test(text);
+
+        for (const item of text.split(',')) {
+            const match = item.match(/^(\*|\?|[\w]+(?:-[\w]+)?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid cron ${field.name} field: "${text}"`);
+            }
+
+            const [, range, stepText] = match;
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (step < 1) {
+                throw new Error(`Invalid cron step in ${field.name} field: "${item}"`);
+            }
+
+            let start;
+            let end;
+            if (range === '*' || range === '?') {
+                start = field.min;
+                end = field.name === 'weekday' ? 6 : field.max;
+            } else {
+                const [from, to] = range.split('-');
+                start = this.parseValue(from, field);
+                // "5/15" runs from 5 to the end of the range
+                end = to !== undefined ? this.parseValue(to, field) : (stepText !== undefined ? field.max : start);
+            }
+
+            if (start > end) {
+                throw new Error(`Invalid cron range in ${field.name} field: "${item}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return { values, restricted };
+    }
+
+    /**
+     * Parse a number or name within a field
+     * @private
+     */
+    parseValue(text, field) {
+        const index = field.names?.indexOf(text.toUpperCase()) ?? -1;
+        const value = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : Number(text);
+
+        if (!Number.isInteger(value) || value < field.min || value > field.max) {
+            throw new Error(`Invalid cron ${field.name} value: "${text}" (allowed ${field.min}-${field.max})`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Check whether a calendar day matches the day and weekday fields
+     * @private
+     */
+    matchesDay(year, month, day) {
+        const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+        const dayMatch = this.day.values.has(day);
+        const weekdayMatch = this.weekday.values.has(weekday);
+
+        if (this.day.restricted && this.weekday.restricted) return dayMatch || weekdayMatch;
+        if (this.day.restricted) return dayMatch;
+        if (this.weekday.restricted) return weekdayMatch;
+        return true;
+    }
+
+    /**
+     * Get the next fire time after a date
+     * @param {Date|number} [from] Start (exclusive), defaults to now
+     * @returns {Date} Next fire time
+     */
+    next(from = Date.now()) {
+        const after = from instanceof Date ? from.getTime() : Number(from);
+        const limit = getWallTime(after, this.timezone).year + MAX_YEARS;
+
+        // Start at the next whole second (or minute) on the wall clock
+        let wall = getWallTime(after + 1000, this.timezone);
+        wall.millisecond = 0;
+        if (!this.hasSeconds && wall.second > 0) {
+            wall = shift(wall, 'minute', 1);
+        }
+
+        while (wall.year <= limit) {
+            if (!this.month.values.has(wall.month)) {
+                wall = shift(wall, 'month', 1);
+                continue;
+            }
+            if (!this.matchesDay(wall.year, wall.month, wall.day)) {
+                wall = shift(wall, 'day', 1);
+                continue;
+            }
+            if (!this.hour.values.has(wall.hour)) {
+                wall = shift(wall, 'hour', 1);
+                continue;
+            }
+            if (!this.minute.values.has(wall.minute)) {
+                wall = shift(wall, 'minute', 1);
+                continue;
+            }
+            if (!this.second.values.has(wall.second)) {
+                wall = shift(wall, 'second', 1);
+                continue;
+            }
+
+            const time = toInstant(wall, this.timezone);
+            if (time !== null && time > after) {
+                return new Date(time);
+            }
+
+            // Skipped by a DST change, or already passed in a repeated hour
+            wall = shift(wall, 'second', 1);
+        }
+
+        throw new Error(`Cron expression "${this.source}" never matches`);
+    }
+
+    /**
+     * Get the next fire times
+     * @param {number} count Number of times
+     * @param {Date|number} [from] Start (exclusive), defaults to now
+     * @returns {Array<Date>} Fire times
+     */
+    nextRuns(count = 5, from = Date.now()) {
+        const runs = [];
+        let time = from;
+        for (let i = 0; i < count; i++) {
+            time = this.next(time);
+            runs.push(time);
+        }
+        return runs;
+    }
+
+    toString() {
+        return this.source;
+    }
+}
+
+/**
+ * Get a cached formatter for a timezone
+ * @private
+ */
+function getFormatter(timezone) {
+    const key = timezone || '';
+    if (!formatters.has(key)) {
+        try {
+            formatters.set(key, new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        } catch {
+            throw new Error(`Invalid timezone: ${timezone}`);
+        }
+    }
+    return formatters.get(key);
+}
+
+/**
+ * Get the wall clock time of an instant in a timezone
+ * @private
+ */
+function getWallTime(time, timezone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(new Date(time))) {
+        if (type !== 'literal') parts[type] = Number(value);
+    }
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        millisecond: time % 1000
+    };
+}
+
+/**
+ * Advance a wall time by one unit, resetting the smaller units
+ * @private
+ */
+function shift(wall, unit, amount) {
+    const order = ['year', 'month', 'day', 'hour', 'minute', 'second'];
+    const values = order.map(name => wall[name]);
+    const index = order.indexOf(unit);
+
+    values[index] += amount;
+    for (let i = index + 1; i < order.length; i++) {
+        values[i] = i === 2 || i === 1 ? 1 : 0;
+    }
+
+    const date = new Date(Date.UTC(values[0], values[1] - 1, values[2], values[3], values[4], values[5]));
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds(),
+        millisecond: 0
+    };
+}
+
+/**
+ * Convert a wall time in a timezone to an instant
+ * @returns {number|null} Epoch milliseconds, or null if the wall time does not exist
+ * @private
+ */
+function toInstant(wall, timezone) {
+    const utc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+    const offsetAt = time => {
+        const local = getWallTime(time, timezone);
+        return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - (time - local.millisecond);
+    };
+
+    let time = utc - offsetAt(utc);
+    const corrected = utc - offsetAt(time);
+    if (corrected !== time) time = corrected;
+
+    const check = getWallTime(time, timezone);
+    const same = ['year', 'month', 'day', 'hour', 'minute', 'second'].every(name => check[name] === wall[name]);
+    return same ? time : null;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression Cron expression or macro
+ * @param {Object} [options] Options (timezone)
+ * @returns {CronExpression} Parsed expression
+ */
+function parseCron(expression, options) {
+    return new CronExpression(expression, options);
+}
+
+/**
+ * Get the next fire times of a cron expression
+ * @param {string} expression Cron expression or macro
+ * @param {Object} [options] Options
+ * @param {number} [options.count] Number of times (default 5)
+ * @param {string} [options.timezone] IANA timezone
+ * @param {Date|number} [options.from] Start (exclusive), defaults to now
+ * @returns {Array<Date>} Fire times
+ */
+function getNextRuns(expression, options = {}) {
+    const { count = 5, from = Date.now(), timezone } = options;
+    return parseCron(expression, { timezone }).nextRuns(count, from);
+}
+
+module.exports = {
+    CronExpression,
+    parseCron,
+    getNextRuns
+};
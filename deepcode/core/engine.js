@@ -1,3 +1,18 @@
+const chalk = require('chalk');
+const { parse, printArgs, getSingleCharm } = require('../parser/ast');
+const { createLocation } = require('../parser/diagnostics');
+const { parseJson } = require('../parser/json');
+const PlaceholderResolver = require('./PlaceholderResolver');
+const ExecutionBudget = require('./budget');
+const { ControlSignal } = require('./control');
+
+// $$scope:key, $$name.path, $$1 and $$*
+const PLACEHOLDER = /\$\$(?:(global|guild|channel|user|member):([a-zA-Z_]\w*(?:\.\w+)*)|([a-zA-Z_]\w*(?:\.\w+)*)|([1-9]\d*)|(\*))/g;
+
+// Stands in for `$` in nested charm results and in values substituted into
+// code blocks, so neither is ever parsed as charms or placeholders
+const PROTECTED_DOLLAR = '\uE000';
+
 /**
  * Command execution engine
  */
@@ -5,84 +20,324 @@ class CharmEngine {
     constructor(client) {
         this.client = client;
         this.variables = client.variables;
+        this.placeholders = new PlaceholderResolver(client);
         this.debug = client.debug || false;
+        this.warnings = new Set();
     }
 
     /**
      * Process command code
+     * Code may contain any number of charm calls mixed with literal text.
+     * Charms run in order with a shared context; when the code is a single
+     * charm its raw result is returned, otherwise the textual output of every
+     * node is concatenated (see stringifyResult).
+     *
+     * The first call of an execution attaches its ExecutionBudget to the
+     * context; nested code blocks share it.
      */
-    async process(code, context) {
+    async process(code, context = {}) {
+        // Clean and normalize the code - preserve JSON structure
+        const cleanCode = String(code ?? '').trim();
+
+        if (!context.budget) {
+            this.attachBudget(context);
+        }
+
         try {
-            // Clean and normalize the code - preserve JSON structure
-            const cleanCode = code.trim();
+            // Parse code into literal text, variables and charm calls
+            const program = parse(cleanCode);
 
-            // Get command parts - support multiline and complex JSON
-            const match = cleanCode.match(/^\$(\w+)\[([\s\S]*)\]$/);
-            if (!match) {
-                throw new Error(`Invalid command syntax: ${cleanCode.substring(0, 100)}...`);
+            // Single charm: keep its raw result (objects, arrays, booleans...)
+            const single = getSingleCharm(program);
+            if (single) {
+                return await this.executeCharm(single, context, cleanCode);
             }
 
-            const [, charm, args] = match;
+            let output = '';
+            for (const node of program.body) {
+                if (node.type === 'Charm') {
+                    const result = await this.executeCharm(node, context, cleanCode);
+                    output += this.stringifyResult(result);
+                } else {
+                    output += this.unprotect(this.processVariables(node.type === 'Text' ? node.value : node.raw, context));
+                }
+            }
+
+            return output.trim();
+
+        } catch (error) {
+            throw this.locateError(error, cleanCode, context);
+        }
+    }
+
+    /**
+     * Give an execution its budget
+     * Limits come from `config.execution`, overridden by the command's
+     * `execution`. Messages sent through `context.send` count as Discord
+     * requests and queue once too many are in flight.
+     * @param {Object} context Execution context
+     * @returns {ExecutionBudget} The budget
+     */
+    attachBudget(context) {
+        const budget = new ExecutionBudget({
+            ...this.client.config?.execution,
+            ...context.command?.execution
+        });
+
+        context.budget = budget;
+        if (typeof context.send === 'function') {
+            const send = context.send;
+            context.send = (...args) => budget.request(() => send(...args));
+        }
+
+        return budget;
+    }
+
+    /**
+     * Execute command code
+     * Alias of process() used by charms that run nested code blocks
+     */
+    async execute(code, context = {}) {
+        return this.process(code, context);
+    }
 
+    /**
+     * Execute a charm node
+     */
+    async executeCharm(node, context, source) {
+        try {
             // Get charm handler
-            const charm_fn = this.client.charms.get(charm);
+            const charm_fn = this.client.charms.get(node.name);
             if (!charm_fn) {
-                throw new Error(`Unknown charm: ${charm}`);
+                throw new Error(`Unknown charm: ${node.name}`);
             }
 
+            context.budget?.charm(node.name);
+
+            // Evaluate nested charms first, unless the charm runs its arguments as code
+            const rawArgs = charm_fn.lazy
+                ? printArgs(node)
+                : await this.resolveArgs(node, context, source);
+
             // Parse arguments
-            const parsedArgs = this.parseArgs(args);
+            const parsedArgs = this.parseArgs(rawArgs, node.name);
 
-            // Process variables
-            const processedArgs = this.processVariables(parsedArgs, context);
+            // Process variables, then restore the text of nested results.
+            // Lazy charms parse their arguments again as code, so the values
+            // substituted into them stay protected until that code runs.
+            const processedArgs = this.processVariables(parsedArgs, context, {
+                defer: Boolean(charm_fn.scoped),
+                protect: Boolean(charm_fn.lazy)
+            });
 
             // Execute charm
-            return await charm_fn.execute(processedArgs, context);
+            return await charm_fn.execute(charm_fn.lazy ? processedArgs : this.unprotect(processedArgs), context);
 
         } catch (error) {
-            console.error('Command execution error:', error);
-            throw error;
+            throw this.locateError(error, source, context, node);
+        }
+    }
+
+    /**
+     * Attach the source location of a failure to an error
+     * The innermost location wins, so errors keep pointing at the charm that
+     * actually failed.
+     * @param {any} error Thrown value
+     * @param {string} source Code being executed
+     * @param {Object} context Execution context
+     * @param {Object} [node] Node that failed (parse errors carry their own span)
+     * @returns {Error} The error with a `location`
+     */
+    locateError(error, source, context, node) {
+        // $break and $continue unwind to their loop untouched
+        if (error instanceof ControlSignal) {
+            return error;
+        }
+
+        if (!(error instanceof Error)) {
+            error = new Error(String(error));
+        }
+
+        if (!error.location) {
+            error.location = createLocation({
+                source,
+                start: node?.start ?? error.details?.start ?? 0,
+                end: node?.end ?? error.details?.end,
+                command: context.command?.name,
+                file: context.command?._filePath
+            });
+        }
+
+        return error;
+    }
+
+    /**
+     * Build the argument string of a charm, evaluating nested charms
+     * Inner calls run innermost-out (each nested call resolves its own
+     * arguments first) and their results are written back into the string.
+     * Variables are kept as placeholders for processVariables; the results
+     * are protected from it, so placeholders in charm output (stored data,
+     * message content) are never expanded.
+     * @param {Object} node Charm node
+     * @param {Object} context Execution context
+     * @param {string} source Code being executed
+     * @returns {Promise<string>} Argument string
+     */
+    async resolveArgs(node, context, source) {
+        // Results placed inside JSON strings must stay valid JSON
+        const isJson = /^[[{]/.test(printArgs(node).trim());
+
+        let resolved = '';
+        for (const arg of node.args) {
+            if (arg.type === 'Charm') {
+                const result = await this.executeCharm(arg, context, source);
+                resolved += this.formatNestedResult(result, arg.quoted && isJson);
+            } else {
+                resolved += arg.type === 'Text' ? arg.value : arg.raw;
+            }
         }
+
+        return resolved;
+    }
+
+    /**
+     * Format a nested charm result for substitution into arguments
+     * @param {any} result Charm result
+     * @param {boolean} escape Whether the result lands inside a JSON string
+     */
+    formatNestedResult(result, escape) {
+        let value;
+        if (result === undefined || result === null) value = '';
+        else if (typeof result === 'object') value = JSON.stringify(result);
+        else value = String(result);
+
+        value = value.replace(/\$/g, PROTECTED_DOLLAR);
+        return escape ? JSON.stringify(value).slice(1, -1) : value;
+    }
+
+    /**
+     * Restore the `$` of nested results and substituted values
+     * Lazy charms call this on arguments they use as values rather than code.
+     * @param {any} value Text, or arrays and objects of text
+     * @returns {any} The value with `$` restored
+     */
+    unprotect(value) {
+        if (typeof value === 'string') {
+            return value.includes(PROTECTED_DOLLAR) ? value.replaceAll(PROTECTED_DOLLAR, '$') : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.unprotect(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [this.unprotect(key), this.unprotect(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * Convert a charm result into its textual output
+     * Text and numbers are output. Anything else is the result of a charm
+     * used as a statement (`true` from setters, sent messages, components)
+     * and adds nothing, whether the charm is the whole script or part of it.
+     * @param {any} result Charm or script result
+     * @returns {string} Output text
+     */
+    stringifyResult(result) {
+        if (typeof result === 'string') return result;
+        if (typeof result === 'number' || typeof result === 'bigint') return String(result);
+        return '';
     }
 
     /**
      * Parse command arguments
+     * JSON is parsed as is. Object and array literals in relaxed syntax
+     * (unquoted keys, single quotes, comments, trailing commas, see
+     * parser/json.js) are parsed too, unless `config.parser.strict` is set;
+     * anything else stays text. Relaxed literals, which used to be passed as
+     * text, get a warning once per argument string.
+     * @param {string} args Raw arguments
+     * @param {string} [charm] Charm name, for warnings
      */
-    parseArgs(args) {
+    parseArgs(args, charm = 'charm') {
         if (!args) return null;
 
         try {
-            // Try parsing as JSON first
             return JSON.parse(args);
         } catch {
-            // If not JSON, return as string
+            // Not JSON
+        }
+
+        const literal = args.trim();
+        if (!/^(\{[\s\S]*\}|\[[\s\S]*\])$/.test(literal)) {
             return args;
         }
+
+        let value;
+        try {
+            value = parseJson(literal);
+        } catch {
+            // Charm syntax such as `[1, 2]; code`, not an object literal
+            return args;
+        }
+
+        if (this.client.config?.parser?.strict) {
+            this.warnOnce(`$${charm}: arguments are relaxed JSON, passing them as text because the parser is strict`);
+            return args;
+        }
+
+        this.warnOnce(`$${charm}: arguments are relaxed JSON, not JSON; earlier versions passed them as text`);
+        return value;
+    }
+
+    /**
+     * Log a warning once
+     * Warnings name the charm rather than its arguments, so there is at most
+     * one per charm and kind however many different arguments it sees.
+     * @private
+     */
+    warnOnce(message) {
+        if (this.warnings.has(message)) return;
+        this.warnings.add(message);
+        console.warn(chalk.yellow(`⚠ ${message}`));
     }
 
     /**
      * Process variables in arguments
+     * In the arguments of scoped charms (loops, `$try`), deferred placeholders
+     * such as `$$value` or `$$error` are left for their code blocks to
+     * resolve, so a nested loop doesn't see the values of the loop around it.
+     * With `protect`, the `$` of substituted values is replaced by a
+     * sentinel (see unprotect()), for arguments that are parsed again as code.
      */
-    processVariables(args, context) {
+    processVariables(args, context, options = {}) {
+        const contextArgs = context.args || [];
+        const substitute = text => (options.protect ? String(text).replace(/\$/g, PROTECTED_DOLLAR) : text);
+
         const processValue = (value) => {
             if (typeof value === 'string') {
-                // First, replace named variables like $$ping, $$uptime
-                let processedValue = value.replace(/\$\$([a-zA-Z_]\w*)/g, (_, name) => {
-                    return this.variables.get(name) ?? `$$${name}`;
-                });
+                // One pass, so resolved values are never scanned again
+                return value.replace(PLACEHOLDER, (match, scope, scopedKey, key, position, all) => {
+                    // Scoped variables like $$user:balance, $$guild:settings.prefix
+                    if (scope) {
+                        return substitute(this.placeholders.format(this.variables.scope(scope, context).get(scopedKey)));
+                    }
 
-                // Then, replace positional arguments like $$1, $$2
-                processedValue = processedValue.replace(/\$\$([1-9]\d*)/g, (_, indexStr) => {
-                    const index = parseInt(indexStr) - 1;
-                    return context.args[index] || '';
-                });
+                    // Positional arguments like $$1, $$2, and $$* with all of them
+                    if (position) return substitute(contextArgs[parseInt(position) - 1] || '');
+                    if (all) return substitute(contextArgs.join(' '));
 
-                // Finally, replace $$* with all arguments joined
-                if (processedValue.includes('$$*')) {
-                    processedValue = processedValue.replace('$$*', context.args.join(' '));
-                }
-                
-                return processedValue;
+                    // Context placeholders and variables like $$author.tag, $$ping
+                    if (options.defer && this.placeholders.isDeferred(key)) {
+                        return match;
+                    }
+
+                    const resolved = this.placeholders.resolve(key, context);
+                    if (resolved === undefined) {
+                        // Unknown names stay visible; empty context values render as nothing
+                        return this.placeholders.has(key) ? '' : match;
+                    }
+                    return substitute(this.placeholders.format(resolved));
+                });
             }
             if (Array.isArray(value)) {
                 return value.map(v => processValue(v));
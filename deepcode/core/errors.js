@@ -0,0 +1,96 @@
+/**
+ * DeepCode error classes
+ * Kept free of other core imports so any module can require it.
+ */
+
+// Base error class
+class CharmError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'CharmError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Error collection
+const errors = {
+    CharmError,
+    
+    CommandError: class extends CharmError {
+        constructor(message, details) {
+            super(message, 'COMMAND_ERROR', details);
+            this.name = 'CommandError';
+        }
+    },
+    
+    EventError: class extends CharmError {
+        constructor(message, details) {
+            super(message, 'EVENT_ERROR', details);
+            this.name = 'EventError';
+        }
+    },
+    
+    ParseError: class extends CharmError {
+        constructor(message, details) {
+            super(message, 'PARSE_ERROR', details);
+            this.name = 'ParseError';
+        }
+    },
+    
+    ValidationError: class extends CharmError {
+        constructor(message, details) {
+            super(message, 'VALIDATION_ERROR', details);
+            this.name = 'ValidationError';
+        }
+    },
+    
+    PluginError: class extends CharmError {
+        constructor(message, details) {
+            super(message, 'PLUGIN_ERROR', details);
+            this.name = 'PluginError';
+        }
+    },
+
+    BudgetError: class extends CharmError {
+        constructor(message, details) {
+            super(message, 'BUDGET_EXCEEDED', details);
+            this.name = 'BudgetError';
+        }
+    },
+
+    // Raised by command code with $throw and $assert
+    ScriptError: class extends CharmError {
+        constructor(message, { name = 'ScriptError', code = 'SCRIPT_ERROR', data = {} } = {}) {
+            super(message, code, { data });
+            this.name = name;
+            this.data = data;
+        }
+    }
+};
+
+/**
+ * Describe a thrown value the way code sees it as `$$error`
+ * `$$error` alone renders the message; `$$error.name`, `$$error.code` and
+ * `$$error.data.<key>` read the rest.
+ * @param {any} error Thrown value
+ * @returns {Object} { name, code, message, data }
+ */
+function describeError(error) {
+    const isError = error instanceof Error;
+    return {
+        name: isError ? error.name : 'Error',
+        code: error?.code ?? 'ERROR',
+        message: isError ? error.message : String(error),
+        data: error?.data ?? {},
+        toString() {
+            return this.message;
+        }
+    };
+}
+
+module.exports = {
+    CharmError,
+    errors,
+    describeError
+};
@@ -7,51 +7,16 @@ const CommandManager = require('./CommandManager');
 const EventManager = require('./EventManager');
 const VariableManager = require('./VariableManager');
 const CharmEngine = require('./engine');
+const ExecutionBudget = require('./budget');
 const CharmContext = require('./context');
+const CommandDispatcher = require('./CommandDispatcher');
+const Scheduler = require('./Scheduler');
+const CaseManager = require('./CaseManager');
+const ComponentRouter = require('./ComponentRouter');
+const Paginator = require('./Paginator');
+const Watcher = require('./Watcher');
 const CharmClient = require('../runtime/CharmClient');
-
-// Base error class
-class CharmError extends Error {
-    constructor(message, code, details = {}) {
-        super(message);
-        this.name = 'CharmError';
-        this.code = code;
-        this.details = details;
-    }
-}
-
-// Error collection
-const errors = {
-    CharmError,
-    
-    CommandError: class extends CharmError {
-        constructor(message, details) {
-            super(message, 'COMMAND_ERROR', details);
-            this.name = 'CommandError';
-        }
-    },
-    
-    EventError: class extends CharmError {
-        constructor(message, details) {
-            super(message, 'EVENT_ERROR', details);
-            this.name = 'EventError';
-        }
-    },
-    
-    ParseError: class extends CharmError {
-        constructor(message, details) {
-            super(message, 'PARSE_ERROR', details);
-            this.name = 'ParseError';
-        }
-    },
-    
-    ValidationError: class extends CharmError {
-        constructor(message, details) {
-            super(message, 'VALIDATION_ERROR', details);
-            this.name = 'ValidationError';
-        }
-    }
-};
+const { CharmError, errors } = require('./errors');
 
 // Core constructors
 module.exports = {
@@ -59,14 +24,22 @@ module.exports = {
     CharmClient,
     CharmEngine,
     CharmContext,
+    ExecutionBudget,
 
     // Managers
     CommandManager,
+    CommandDispatcher,
     EventManager,
+    Scheduler,
+    CaseManager,
+    ComponentRouter,
+    Paginator,
+    Watcher,
     VariableManager,
 
     // Error handling
     CharmError,
+    errors,
 
     // Factory method
     create(options = {}) {
@@ -0,0 +1,153 @@
+/**
+ * Sandboxed evaluation
+ * Runs code in a `vm` context inside a worker thread, so it can't reach the
+ * bot process: there is no `require`, `process` or `eval`/`Function`, the
+ * worker has its own memory limit and is terminated when it runs too long.
+ *
+ * Code only sees plain, frozen copies of the values it is given.
+ */
+const vm = require('vm');
+const v8 = require('v8');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const DEFAULTS = {
+    timeout: 1000,
+    memory: 32
+};
+
+/**
+ * Run code in a sandbox
+ * @param {string} code JavaScript code; the value of the last expression is
+ * the result, or the return value with `async`
+ * @param {Object} [options] Options
+ * @param {Object} [options.globals] JSON-serializable values exposed as globals
+ * @param {boolean} [options.async] Run the code as the body of an async function
+ * @param {number} [options.timeout] Time limit in milliseconds (default 1000)
+ * @param {number} [options.memory] Heap limit in megabytes (default 32)
+ * @returns {Promise<Object>} { success, result, logs } or { success, error, logs }
+ */
+function runInSandbox(code, options = {}) {
+    const { globals = {}, async = false } = options;
+    const timeout = options.timeout ?? DEFAULTS.timeout;
+    const memory = options.memory ?? DEFAULTS.memory;
+
+    return new Promise(resolve => {
+        const worker = new Worker(__filename, {
+            workerData: { code, async, timeout, globals: JSON.stringify(globals) },
+            resourceLimits: {
+                maxOldGenerationSizeMb: memory,
+                maxYoungGenerationSizeMb: Math.max(1, Math.floor(memory / 4)),
+                stackSizeMb: 4
+            },
+            env: {},
+            stdout: true,
+            stderr: true
+        });
+
+        let timer = null;
+        let settled = false;
+        const finish = result => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            resolve({ logs: [], ...result });
+        };
+
+        // Start the clock once the worker is running, not while it boots
+        worker.once('online', () => {
+            timer = setTimeout(() => finish({ success: false, error: `Timed out after ${timeout}ms` }), timeout);
+        });
+        worker.once('message', finish);
+        worker.once('error', error => finish({
+            success: false,
+            error: error.code === 'ERR_WORKER_OUT_OF_MEMORY' ? `Memory limit of ${memory}MB exceeded` : error.message
+        }));
+        worker.once('exit', code => finish({
+            success: false,
+            error: code === 0 ? 'Code never finished (a promise was left pending)' : `Sandbox exited with code ${code}`
+        }));
+    });
+}
+
+/**
+ * Worker side: evaluate the code and post the outcome
+ * @private
+ */
+async function evaluate({ code, async, timeout, globals }) {
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false }
+    });
+
+    // Build the globals inside the context so nothing leads back to this realm
+    vm.runInContext(`
+        'use strict';
+        const freeze = value => {
+            if (value && typeof value === 'object') {
+                Object.values(value).forEach(freeze);
+                Object.freeze(value);
+            }
+            return value;
+        };
+        globalThis.__logs = [];
+        const globals = freeze(JSON.parse(${JSON.stringify(globals)}));
+        for (const [key, value] of Object.entries(globals)) globalThis[key] = value;
+        globalThis.console = {
+            log: (...args) => __logs.push(args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '))
+        };
+        console.info = console.warn = console.error = console.log;
+    `, context);
+
+    // Results that can't be cloned are described by the sandbox itself:
+    // inspecting them here would run their own hooks with host functions
+    const describe = vm.runInContext(`value => {
+        try {
+            return JSON.stringify(value) ?? String(value);
+        } catch {
+            try { return String(value); } catch { return '[unserializable value]'; }
+        }
+    }`, context);
+    const describeSafely = value => {
+        try {
+            const text = describe(value);
+            return typeof text === 'string' ? text : '[unserializable value]';
+        } catch {
+            return '[unserializable value]';
+        }
+    };
+
+    const logs = () => [...context.__logs];
+
+    try {
+        const source = async ? `(async () => {\n${code}\n})()` : code;
+        const result = await vm.runInContext(source, context, { timeout, filename: 'eval.js' });
+        parentPort.postMessage({ success: true, result: toTransferable(result, describeSafely), logs: logs() });
+    } catch (error) {
+        const message = error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT'
+            ? `Timed out after ${timeout}ms`
+            : typeof error?.message === 'string' ? error.message : describeSafely(error);
+        parentPort.postMessage({ success: false, error: message, logs: logs() });
+    }
+}
+
+/**
+ * Make a result safe to post back, describing what can't be cloned
+ * @private
+ */
+function toTransferable(value, describe) {
+    try {
+        // The structured clone algorithm postMessage uses
+        return v8.deserialize(v8.serialize(value));
+    } catch {
+        return describe(value);
+    }
+}
+
+if (!isMainThread && workerData?.code !== undefined) {
+    evaluate(workerData);
+}
+
+module.exports = {
+    runInSandbox,
+    DEFAULTS
+};
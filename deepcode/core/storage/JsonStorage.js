@@ -0,0 +1,158 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * JSON file storage with a write-ahead journal
+ * Every change is appended to `<path>.journal` before it is applied; the
+ * journal is folded into the JSON file once it reaches `compactThreshold`
+ * entries and when the storage is closed. The JSON file is always replaced
+ * atomically (temp file + rename), so a crash leaves either the old or the
+ * new snapshot, and replaying the journal restores the latest changes.
+ */
+class JsonStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.path = path.resolve(options.path || path.join('data', 'variables.json'));
+        this.journalPath = `${this.path}.journal`;
+        this.compactThreshold = options.compactThreshold || 500;
+        this.journalSize = 0;
+        this.data = new Map();
+    }
+
+    get name() {
+        return 'json';
+    }
+
+    /**
+     * Read the snapshot and replay the journal
+     */
+    async open() {
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+        const snapshot = await this.readFile(this.path);
+        this.data = new Map(Object.entries(snapshot ? JSON.parse(snapshot) : {}));
+
+        const journal = await this.readFile(this.journalPath);
+        for (const line of (journal || '').split('\n')) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // Incomplete last line from an interrupted write
+                break;
+            }
+            this.apply(entry);
+            this.journalSize++;
+        }
+
+        this.opened = true;
+
+        if (this.journalSize) {
+            await this.compact();
+        }
+    }
+
+    async readAll() {
+        return [...this.data];
+    }
+
+    async write(key, value) {
+        await this.append({ op: 'set', key, value });
+    }
+
+    async remove(key) {
+        await this.append({ op: 'delete', key });
+    }
+
+    async truncate() {
+        this.data.clear();
+        await this.compact();
+    }
+
+    async snapshot(entries) {
+        this.data = new Map(entries);
+        await this.compact();
+    }
+
+    async dispose() {
+        if (this.journalSize) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Journal a change, then apply it
+     * @private
+     */
+    async append(entry) {
+        await fs.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`);
+        this.apply(entry);
+        this.journalSize++;
+
+        if (this.journalSize >= this.compactThreshold) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Apply a journal entry to the in-memory copy
+     * @private
+     */
+    apply(entry) {
+        switch (entry.op) {
+            case 'set':
+                this.data.set(entry.key, entry.value);
+                break;
+            case 'delete':
+                this.data.delete(entry.key);
+                break;
+            case 'clear':
+                this.data.clear();
+                break;
+        }
+    }
+
+    /**
+     * Write the snapshot atomically and reset the journal
+     * @private
+     */
+    async compact() {
+        await this.writeAtomic(this.path, JSON.stringify(Object.fromEntries(this.data), null, 2));
+        await fs.writeFile(this.journalPath, '');
+        this.journalSize = 0;
+    }
+
+    /**
+     * Write a file through a synced temp file and a rename
+     * @private
+     */
+    async writeAtomic(file, content) {
+        const temp = `${file}.${process.pid}.tmp`;
+        const handle = await fs.open(temp, 'w');
+        try {
+            await handle.writeFile(content);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.rename(temp, file);
+    }
+
+    /**
+     * Read a file, or null if it does not exist
+     * @private
+     */
+    async readFile(file) {
+        try {
+            return await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonStorage;
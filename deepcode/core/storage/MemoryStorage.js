@@ -0,0 +1,41 @@
+const StorageAdapter = require('./StorageAdapter');
+
+// Stored values are JSON data, like in the file and database backends
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * In-memory storage, mainly for tests
+ * Values are cloned so stored data cannot be mutated from outside.
+ */
+class MemoryStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.data = new Map();
+    }
+
+    get name() {
+        return 'memory';
+    }
+
+    async readAll() {
+        return [...this.data].map(([key, value]) => [key, clone(value)]);
+    }
+
+    async write(key, value) {
+        this.data.set(key, clone(value));
+    }
+
+    async remove(key) {
+        this.data.delete(key);
+    }
+
+    async truncate() {
+        this.data.clear();
+    }
+
+    async snapshot(entries) {
+        this.data = new Map(entries.map(([key, value]) => [key, clone(value)]));
+    }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+
+/**
+ * SQLite file storage
+ * Uses the built-in `node:sqlite` module when available (Node.js 22.5+),
+ * otherwise the optional `better-sqlite3` package.
+ */
+class SqliteStorage extends StorageAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.path = path.resolve(options.path || path.join('data', 'variables.db'));
+        this.table = options.table || 'variables';
+        this.db = null;
+
+        if (!/^\w+$/.test(this.table)) {
+            throw new Error(`Invalid SQLite table name: ${this.table}`);
+        }
+    }
+
+    get name() {
+        return 'sqlite';
+    }
+
+    async open() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+        const Database = SqliteStorage.getDriver();
+        this.db = new Database(this.path);
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (key TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+
+        this.statements = {
+            all: this.db.prepare(`SELECT key, value FROM ${this.table}`),
+            set: this.db.prepare(`INSERT INTO ${this.table} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`),
+            delete: this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`),
+            clear: this.db.prepare(`DELETE FROM ${this.table}`)
+        };
+
+        this.opened = true;
+    }
+
+    async readAll() {
+        return this.statements.all.all().map(row => [row.key, JSON.parse(row.value)]);
+    }
+
+    async write(key, value) {
+        this.statements.set.run(key, JSON.stringify(value));
+    }
+
+    async remove(key) {
+        this.statements.delete.run(key);
+    }
+
+    async truncate() {
+        this.statements.clear.run();
+    }
+
+    async snapshot(entries) {
+        this.db.exec('BEGIN');
+        try {
+            this.statements.clear.run();
+            for (const [key, value] of entries) {
+                this.statements.set.run(key, JSON.stringify(value));
+            }
+            this.db.exec('COMMIT');
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async dispose() {
+        this.db.close();
+        this.db = null;
+    }
+
+    /**
+     * Resolve the SQLite database constructor
+     * @private
+     */
+    static getDriver() {
+        try {
+            return require('node:sqlite').DatabaseSync;
+        } catch {
+            try {
+                return require('better-sqlite3');
+            } catch {
+                throw new Error('SQLite storage requires Node.js 22.5+ or the better-sqlite3 package (npm install better-sqlite3)');
+            }
+        }
+    }
+}
+
+module.exports = SqliteStorage;
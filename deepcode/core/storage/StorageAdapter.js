@@ -0,0 +1,114 @@
+/**
+ * Base class for variable storage backends
+ * Values are stored per top-level variable name and are plain JSON data.
+ * Writes are queued so they reach the backend in call order.
+ *
+ * Adapters implement:
+ * - open(): prepare the backend
+ * - readAll(): resolve to an array of [key, value] entries
+ * - write(key, value) / remove(key) / truncate(): incremental changes
+ * - snapshot(entries): replace everything with the given entries
+ * - dispose(): release the backend
+ */
+class StorageAdapter {
+    constructor(options = {}) {
+        this.options = options;
+        this.queue = Promise.resolve();
+        this.opened = false;
+    }
+
+    /**
+     * Name of the backend, shown in stats
+     */
+    get name() {
+        return 'storage';
+    }
+
+    /**
+     * Run a task after all previously queued tasks
+     * @private
+     */
+    enqueue(task) {
+        const run = this.queue.then(async () => {
+            if (!this.opened) await this.open();
+            return task();
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async open() {
+        this.opened = true;
+    }
+
+    /**
+     * Read all stored variables
+     * @returns {Promise<Array<Array>>} [key, value] pairs
+     */
+    load() {
+        return this.enqueue(() => this.readAll());
+    }
+
+    /**
+     * Store a variable
+     */
+    set(key, value) {
+        return this.enqueue(() => this.write(key, value));
+    }
+
+    /**
+     * Remove a variable
+     */
+    delete(key) {
+        return this.enqueue(() => this.remove(key));
+    }
+
+    /**
+     * Remove all variables
+     */
+    clear() {
+        return this.enqueue(() => this.truncate());
+    }
+
+    /**
+     * Replace all stored variables
+     * @param {Array<Array>} entries [key, value] pairs
+     */
+    save(entries) {
+        return this.enqueue(() => this.snapshot(entries));
+    }
+
+    /**
+     * Wait for queued writes
+     */
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Flush and release the backend
+     */
+    async close() {
+        await this.flush();
+        if (this.opened) {
+            await this.dispose();
+            this.opened = false;
+        }
+    }
+
+    async readAll() {
+        return [];
+    }
+
+    async write() {}
+
+    async remove() {}
+
+    async truncate() {}
+
+    async snapshot() {}
+
+    async dispose() {}
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,72 @@
+/**
+ * Variable storage backends
+ */
+const path = require('path');
+const StorageAdapter = require('./StorageAdapter');
+const MemoryStorage = require('./MemoryStorage');
+const JsonStorage = require('./JsonStorage');
+const SqliteStorage = require('./SqliteStorage');
+
+const adapters = {
+    json: JsonStorage,
+    sqlite: SqliteStorage,
+    memory: MemoryStorage
+};
+
+/**
+ * Create the storage adapter described by `config.variables`
+ * @param {Object} config Variables config
+ * @param {string|StorageAdapter} [config.storage] 'json' (default), 'sqlite', 'memory' or an adapter instance
+ * @param {string} [config.path] Storage file path
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createStorage(config = {}) {
+    const { storage = 'json', ...options } = config;
+
+    if (storage instanceof StorageAdapter) {
+        return storage;
+    }
+
+    const Adapter = adapters[String(storage).toLowerCase()];
+    if (!Adapter) {
+        throw new Error(`Unknown variable storage: ${storage}. Use one of: ${Object.keys(adapters).join(', ')}`);
+    }
+
+    return new Adapter(options);
+}
+
+/**
+ * Create the storage adapter of data kept alongside the variables
+ * (scheduled tasks, cases), in its own file (json) or table (sqlite)
+ * An adapter instance in `config.variables.storage` holds the variables, so
+ * the data gets a new adapter of the same class.
+ * @param {string} name File and table name
+ * @param {Object} [options] Storage options of the data
+ * @param {string|StorageAdapter} [options.storage] Backend (default the variables backend)
+ * @param {string} [options.path] Storage file path
+ * @param {Object} [variables] Variables config
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createDataStorage(name, options = {}, variables = {}) {
+    const storage = options.storage || variables.storage || 'json';
+    const shared = storage === variables.storage && storage instanceof StorageAdapter;
+    const type = storage instanceof StorageAdapter ? storage.name : String(storage).toLowerCase();
+    const settings = {
+        ...(shared ? storage.options : {}),
+        path: options.path || (type === 'sqlite'
+            ? variables.path || (shared ? storage.options.path : undefined)
+            : path.join('data', `${name}.json`)),
+        table: name
+    };
+
+    return shared ? new storage.constructor(settings) : createStorage({ storage, ...settings });
+}
+
+module.exports = {
+    StorageAdapter,
+    MemoryStorage,
+    JsonStorage,
+    SqliteStorage,
+    createStorage,
+    createDataStorage
+};
@@ -0,0 +1,122 @@
+/**
+ * Version ranges
+ * A small subset of npm semver ranges, enough for plugins to declare the
+ * framework versions they work with: exact versions, comparators
+ * (`>=1.2.0 <2.0.0`), caret and tilde ranges, `x` wildcards, hyphen
+ * ranges (`1.0.0 - 1.4.0`) and `||`. Prerelease versions sort before their
+ * release (`1.0.0-alpha < 1.0.0`).
+ */
+
+/**
+ * Parse a version, filling missing parts with wildcards
+ * @private
+ */
+function parseVersion(text) {
+    const match = String(text).trim().replace(/^[=v]+/, '')
+        .match(/^(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([\w.-]+))?(?:\+[\w.-]+)?$/);
+    if (!match) {
+        throw new Error(`Invalid version: ${text}`);
+    }
+
+    const part = value => value === undefined || /^[xX*]$/.test(value) ? null : Number(value);
+    return {
+        major: part(match[1]),
+        minor: part(match[2]),
+        patch: part(match[3]),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+/**
+ * Compare two versions
+ * @param {string|Object} a Version
+ * @param {string|Object} b Version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+    const left = typeof a === 'string' ? parseVersion(a) : a;
+    const right = typeof b === 'string' ? parseVersion(b) : b;
+
+    for (const key of ['major', 'minor', 'patch']) {
+        const diff = (left[key] ?? 0) - (right[key] ?? 0);
+        if (diff) return diff;
+    }
+
+    // A prerelease comes before the release
+    if (!left.prerelease.length || !right.prerelease.length) {
+        return right.prerelease.length - left.prerelease.length;
+    }
+
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+        const x = left.prerelease[i];
+        const y = right.prerelease[i];
+        if (x === undefined) return -1;
+        if (y === undefined) return 1;
+        if (x === y) continue;
+
+        const numeric = /^\d+$/.test(x) && /^\d+$/.test(y);
+        return numeric ? Number(x) - Number(y) : x < y ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Expand one range term into [operator, version] comparators
+ * @private
+ */
+function toComparators(term) {
+    const hyphen = term.match(/^(\S+)\s+-\s+(\S+)$/);
+    if (hyphen) {
+        return [['>=', hyphen[1]], ['<=', hyphen[2]]];
+    }
+
+    const comparators = [];
+    for (const token of term.split(/\s+/).filter(Boolean)) {
+        const [, operator = '', text] = token.match(/^(\^|~|>=|<=|>|<|=)?(.*)$/);
+        const version = parseVersion(text);
+        const { major, minor, patch } = version;
+        const pre = version.prerelease.length ? `-${version.prerelease.join('.')}` : '';
+
+        if (major === null) continue;
+
+        if (operator === '^') {
+            const upper = major > 0 || minor === null ? `${major + 1}.0.0`
+                : minor > 0 || patch === null ? `0.${minor + 1}.0`
+                    : `0.0.${patch + 1}`;
+            comparators.push(['>=', `${major}.${minor ?? 0}.${patch ?? 0}${pre}`], ['<', `${upper}-0`]);
+        } else if (operator === '~' || (operator === '' && (minor === null || patch === null))) {
+            const upper = minor === null ? `${major + 1}.0.0` : `${major}.${minor + 1}.0`;
+            comparators.push(['>=', `${major}.${minor ?? 0}.${patch ?? 0}${pre}`], ['<', `${upper}-0`]);
+        } else {
+            comparators.push([operator || '=', `${major}.${minor ?? 0}.${patch ?? 0}${pre}`]);
+        }
+    }
+    return comparators;
+}
+
+/**
+ * Check whether a version is within a range
+ * @param {string} version Version, e.g. `1.4.2`
+ * @param {string} range Range, e.g. `^1.2.0 || >=2.1.0 <3`
+ * @returns {boolean} Whether the version satisfies the range
+ */
+function satisfies(version, range) {
+    const target = parseVersion(version);
+
+    return String(range).split('||').some(term => toComparators(term.trim()).every(([operator, bound]) => {
+        const diff = compareVersions(target, bound);
+        switch (operator) {
+            case '>': return diff > 0;
+            case '>=': return diff >= 0;
+            case '<': return diff < 0;
+            case '<=': return diff <= 0;
+            default: return diff === 0;
+        }
+    }));
+}
+
+module.exports = {
+    compareVersions,
+    satisfies
+};
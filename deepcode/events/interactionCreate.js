@@ -0,0 +1,97 @@
+/**
+ * Interaction event handler
+ * Runs slash commands through the same dispatcher as prefix commands and
+ * routes buttons, select menus and modals to component handlers.
+ *
+ * Discord drops interactions that are not answered within 3 seconds, so a
+ * slash command still running after `config.slash.deferAfter` milliseconds
+ * (default 2000) is deferred; its first message then fills in the deferred
+ * reply. Commands with `slash: { defer: true }` are deferred right away.
+ */
+const DEFER_AFTER = 2000;
+
+/**
+ * Dispatch a slash command, deferring it when it runs long
+ */
+async function runCommand(command, interaction, client) {
+    let answering = false;
+    let deferring = null;
+
+    const defer = () => {
+        if (answering || interaction.replied || interaction.deferred) return;
+        deferring = interaction.deferReply().catch(error => {
+            console.error('Error deferring interaction:', error.message);
+        });
+    };
+
+    // Reply first (or fill in the deferred reply), follow up afterwards
+    const send = async (payload) => {
+        answering = true;
+        await deferring;
+        if (interaction.replied) return interaction.followUp(payload);
+        if (interaction.deferred) return interaction.editReply(payload);
+        return interaction.reply(payload);
+    };
+
+    let timer = null;
+    if (command.slash?.defer) {
+        defer();
+    } else {
+        timer = setTimeout(defer, client.config?.slash?.deferAfter ?? DEFER_AFTER);
+        timer.unref?.();
+    }
+
+    try {
+        await client.dispatcher.dispatch(command, {
+            interaction,
+            author: interaction.user,
+            member: interaction.member,
+            channel: interaction.channel,
+            guild: interaction.guild,
+            args: client.slashCommands.getArgs(command, interaction),
+            send
+        });
+    } finally {
+        clearTimeout(timer);
+        await deferring;
+    }
+
+    // Interactions must be answered
+    if (!interaction.replied) {
+        await send({ content: '✅ Done.', ephemeral: true });
+    }
+}
+
+module.exports = {
+    name: 'interactionCreate',
+    description: 'Handle slash command and component interactions',
+
+    /**
+     * Execute the event
+     */
+    async execute(interaction, client) {
+        try {
+            if (interaction.isMessageComponent?.() || interaction.isModalSubmit?.()) {
+                await client.components.handle(interaction);
+                return;
+            }
+
+            if (!interaction.isChatInputCommand?.()) return;
+
+            // Get command
+            const command = client.slashCommands.getCommand(interaction);
+            if (!command) return;
+
+            await runCommand(command, interaction, client);
+        } catch (error) {
+            console.error('Interaction event error:', error);
+
+            // Try to notify user
+            const notice = { content: '❌ An error occurred while handling this interaction.', ephemeral: true };
+            await (interaction.replied || interaction.deferred
+                ? interaction.followUp(notice)
+                : interaction.reply(notice)
+            ).catch(() => {});
+        }
+    }
+};
@@ -1,5 +1,6 @@
 /**
  * Message event handler
+ * Resolves prefix commands and hands them to the command dispatcher.
  */
 module.exports = {
     name: 'messageCreate',
@@ -26,31 +27,24 @@ module.exports = {
             if (!commandName) return;
 
             // Get command
-            const command = client.commands.get(commandName);
+            const command = client.commands.resolve(commandName);
             if (!command) return;
 
-            // Execute command code
-            if (command.code) {
-                await client.engine.process(command.code, {
-                    message,
-                    command,
-                    args,
-                    client,
-                    send: (payload) => message.reply(payload)
-                });
-            }
-            // Or execute command function
-            else if (command.execute) {
-                await command.execute(message, args, client);
-            }
-
+            await client.dispatcher.dispatch(command, {
+                message,
+                author: message.author,
+                member: message.member,
+                channel: message.channel,
+                guild: message.guild,
+                args,
+                send: (payload) => message.reply(payload)
+            });
         } catch (error) {
             console.error('Message event error:', error);
-            
+
             // Try to notify user
-            await message.reply({ 
-                content: '❌ An error occurred while executing the command.',
-                ephemeral: true
+            await message.reply({
+                content: '❌ An error occurred while executing the command.'
             }).catch(() => {});
         }
     }
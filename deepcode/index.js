@@ -11,18 +11,31 @@ const deepcodeExports = {
     CharmClient: core.CharmClient,
     CharmEngine: core.CharmEngine,
     CharmContext: core.CharmContext,
-    CharmExecutor: core.CharmExecutor,
+    ExecutionBudget: core.ExecutionBudget,
     CharmLoader: core.CharmLoader,
 
     // Managers
     CommandManager: core.CommandManager,
+    CommandDispatcher: core.CommandDispatcher,
+    // Former name of the command pipeline, kept for existing imports
+    CharmExecutor: core.CommandDispatcher,
     EventManager: core.EventManager,
+    Scheduler: core.Scheduler,
+    CaseManager: core.CaseManager,
+    ComponentRouter: core.ComponentRouter,
+    Paginator: core.Paginator,
+    Watcher: core.Watcher,
     PluginManager: core.PluginManager,
     VariableManager: core.VariableManager,
 
     // Error handling
     CharmError: core.CharmError,
 
+    // Offline test harness (loaded on demand)
+    get testing() {
+        return require('./testing');
+    },
+
     // Version info
     version: require('./package.json').version,
     
@@ -0,0 +1,285 @@
+/**
+ * Charm code parser
+ * Turns charm code into the AST shared by the engine, the tier detector and
+ * the validator.
+ *
+ * Node types:
+ * - Program:  { body }                     whole code block
+ * - Text:     { value, raw }               literal text (value is unescaped)
+ * - Variable: { name, path, scope, raw }   $$name, $$name.path, $$user:name, $$1, $$*
+ * - Charm:    { name, args, quoted, raw }  $name[...], $namespace.name[...]; args is a node list
+ *
+ * Every node has `start`/`end` offsets into the source and a `loc` object
+ * with 1-based `line`/`column` for both ends.
+ *
+ * Outside double-quoted strings `\[`, `\]`, `\$` and `\\` escape the
+ * character that follows. Inside strings brackets are plain text; if the
+ * quotes in a charm's arguments never balance (e.g. `$say[He said "hi]`)
+ * the arguments are re-read without quote tracking.
+ */
+
+const { errors } = require('../core/errors');
+
+const CHARM_PATTERN = /\$(\w+(?:\.\w+)*)\[/y;
+const VARIABLE_PATTERN = /\$\$(?:(global|guild|channel|user|member):(?=[a-zA-Z_]))?(\*|[1-9]\d*|[a-zA-Z_]\w*(?:\.\w+)*)/y;
+const ESCAPABLE = '[]$\\';
+
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+        this.lineStarts = [0];
+
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') this.lineStarts.push(i + 1);
+        }
+    }
+
+    /**
+     * Parse the whole source into a Program node
+     */
+    parseProgram() {
+        const { nodes } = this.parseSequence(false, true);
+        return this.node('Program', 0, this.source.length, { body: nodes });
+    }
+
+    /**
+     * Parse nodes until the end of the source or, inside charm arguments,
+     * until the bracket closing the charm
+     * @param {boolean} inArgs Whether a closing bracket ends the sequence
+     * @param {boolean} respectQuotes Whether double-quoted strings are tracked
+     * @returns {{nodes: Array<Object>, closed: boolean}}
+     */
+    parseSequence(inArgs, respectQuotes) {
+        const nodes = [];
+        const source = this.source;
+        let text = '';
+        let textStart = this.pos;
+        let depth = 0;
+        let inString = false;
+
+        const flush = () => {
+            if (this.pos > textStart) {
+                nodes.push(this.node('Text', textStart, this.pos, { value: text }));
+            }
+            text = '';
+        };
+
+        while (this.pos < source.length) {
+            const char = source[this.pos];
+
+            if (inString) {
+                if (char === '\\') {
+                    text += source.slice(this.pos, this.pos + 2);
+                    this.pos += 2;
+                    continue;
+                }
+                if (char === '"') {
+                    inString = false;
+                    text += char;
+                    this.pos++;
+                    continue;
+                }
+            } else {
+                if (char === '\\' && ESCAPABLE.includes(source[this.pos + 1])) {
+                    text += source[this.pos + 1];
+                    this.pos += 2;
+                    continue;
+                }
+                if (respectQuotes && inArgs && char === '"') {
+                    inString = true;
+                    text += char;
+                    this.pos++;
+                    continue;
+                }
+                if (inArgs && char === '[') {
+                    depth++;
+                } else if (inArgs && char === ']') {
+                    if (depth === 0) {
+                        flush();
+                        return { nodes, closed: true };
+                    }
+                    depth--;
+                }
+            }
+
+            if (char === '$' && source[this.pos + 1] === '$') {
+                VARIABLE_PATTERN.lastIndex = this.pos;
+                const match = VARIABLE_PATTERN.exec(source);
+                if (match) {
+                    flush();
+                    const [name, ...path] = match[2].split('.');
+                    const scope = match[1] || null;
+                    nodes.push(this.node('Variable', this.pos, this.pos + match[0].length, { name, path, scope }));
+                    this.pos += match[0].length;
+                    textStart = this.pos;
+                    continue;
+                }
+
+                // Lone "$$" is literal text
+                text += '$$';
+                this.pos += 2;
+                continue;
+            }
+
+            if (char === '$') {
+                CHARM_PATTERN.lastIndex = this.pos;
+                const match = CHARM_PATTERN.exec(source);
+                if (match) {
+                    flush();
+                    nodes.push(this.parseCharm(match[1], respectQuotes, inString));
+                    textStart = this.pos;
+                    continue;
+                }
+            }
+
+            text += char;
+            this.pos++;
+        }
+
+        flush();
+        return { nodes, closed: !inArgs };
+    }
+
+    /**
+     * Parse a charm call starting at the current position
+     */
+    parseCharm(name, respectQuotes, quoted) {
+        const start = this.pos;
+        const argsStart = start + name.length + 2;
+
+        this.pos = argsStart;
+        let result = this.parseSequence(true, respectQuotes);
+
+        // Unbalanced quotes: read the arguments again as plain text
+        if (!result.closed && respectQuotes) {
+            this.pos = argsStart;
+            result = this.parseSequence(true, false);
+        }
+
+        if (!result.closed) {
+            throw new errors.ParseError(`Unclosed charm $${name}[ - missing "]"`, {
+                start,
+                end: argsStart,
+                ...this.position(start)
+            });
+        }
+
+        // Skip the closing bracket
+        this.pos++;
+
+        return this.node('Charm', start, this.pos, {
+            name,
+            args: result.nodes,
+            quoted
+        });
+    }
+
+    /**
+     * Build a node with raw source and location info
+     */
+    node(type, start, end, props) {
+        const node = { type, ...props, start, end };
+
+        if (type !== 'Program') {
+            node.raw = this.source.slice(start, end);
+        }
+
+        node.loc = {
+            start: this.position(start),
+            end: this.position(end)
+        };
+
+        return node;
+    }
+
+    /**
+     * Convert an offset into a 1-based line/column pair
+     */
+    position(offset) {
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+
+        return {
+            line: low + 1,
+            column: offset - this.lineStarts[low] + 1
+        };
+    }
+}
+
+/**
+ * Parse charm code into a Program node
+ * @param {string} code Charm code
+ * @returns {Object} Program node
+ */
+function parse(code) {
+    return new Parser(String(code ?? '')).parseProgram();
+}
+
+/**
+ * Print a node back into charm code
+ * Printing a freshly parsed tree returns the original source unchanged.
+ * @param {Object} node AST node
+ * @returns {string} Charm code
+ */
+function print(node) {
+    if (!node) return '';
+
+    switch (node.type) {
+        case 'Program':
+            return node.body.map(print).join('');
+        case 'Charm':
+            return `$${node.name}[${printArgs(node)}]`;
+        case 'Text':
+        case 'Variable':
+            return node.raw;
+        default:
+            throw new Error(`Unknown node type: ${node.type}`);
+    }
+}
+
+/**
+ * Print the argument source of a charm node (without the brackets)
+ */
+function printArgs(node) {
+    return node.args.map(print).join('');
+}
+
+/**
+ * Get the only charm of a program, ignoring surrounding whitespace
+ * @param {Object} program Program node
+ * @returns {Object|null} Charm node or null when the code is not a single charm
+ */
+function getSingleCharm(program) {
+    const nodes = program.body.filter(node => !(node.type === 'Text' && !node.value.trim()));
+    if (nodes.length !== 1 || nodes[0].type !== 'Charm') return null;
+    return nodes[0];
+}
+
+/**
+ * Visit every node of a tree depth-first
+ * @param {Object} node Root node
+ * @param {Function} visitor Called with each node and its parent
+ */
+function walk(node, visitor, parent = null) {
+    visitor(node, parent);
+
+    const children = node.type === 'Program' ? node.body : node.type === 'Charm' ? node.args : [];
+    for (const child of children) {
+        walk(child, visitor, node);
+    }
+}
+
+module.exports = {
+    parse,
+    print,
+    printArgs,
+    getSingleCharm,
+    walk
+};
@@ -1,8 +1,11 @@
+const { parse, printArgs, getSingleCharm } = require('./ast');
+const { parseJson } = require('./json');
+
 /**
  * Command syntax tiers:
  * 1 - Simple arguments: $command[arg1, arg2]
  * 2 - Key-value pairs: $command[key: value; key2: value2]
- * 3 - JSON format: $command[{"key": "value"}]
+ * 3 - JSON format: $command[{"key": "value"}], also relaxed: $command[{ key: 'value' }]
  */
 
 /**
@@ -12,17 +15,22 @@ function detectTier(code) {
     if (!code) return 0;
 
     // Remove command name
-    const match = code.match(/^\$\w+\[(.*)\]$/);
-    if (!match) return 0;
+    let node;
+    try {
+        node = getSingleCharm(parse(code));
+    } catch {
+        return 0;
+    }
+    if (!node) return 0;
 
-    const args = match[1].trim();
+    const args = printArgs(node).trim();
     if (!args) return 1; // Empty args = tier 1
 
     // Check for JSON format (tier 3)
     if ((args.startsWith('{') && args.endsWith('}')) || 
         (args.startsWith('[') && args.endsWith(']'))) {
         try {
-            JSON.parse(args);
+            parseJson(args);
             return 3;
         } catch {
             // Not valid JSON, continue checking
@@ -0,0 +1,139 @@
+const fs = require('fs');
+
+/**
+ * Source diagnostics for charm code
+ * Builds locations (command, file, line, column) and caret snippets for
+ * parse and runtime errors.
+ */
+
+/**
+ * Convert an offset into a 1-based line/column pair
+ */
+function getPosition(source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    return {
+        line: before.length,
+        column: before[before.length - 1].length + 1
+    };
+}
+
+/**
+ * Render the offending code with a caret line under it
+ * @param {string} source Charm code
+ * @param {number} start Start offset
+ * @param {number} [end] End offset (defaults to a single caret)
+ * @param {Object} [options]
+ * @param {number} [options.lineOffset=0] Added to displayed line numbers
+ * @param {number} [options.context=1] Lines shown before the error line
+ * @returns {string} Rendered snippet
+ */
+function renderSnippet(source, start, end = start + 1, options = {}) {
+    const { lineOffset = 0, context = 1 } = options;
+    const lines = source.split('\n');
+    const { line, column } = getPosition(source, start);
+
+    const first = Math.max(1, line - context);
+    const gutter = String(line + lineOffset).length;
+    const output = [];
+
+    for (let i = first; i <= line; i++) {
+        output.push(`${String(i + lineOffset).padStart(gutter)} | ${lines[i - 1]}`);
+    }
+
+    // Underline up to the end offset, but never past the error line
+    const lineText = lines[line - 1];
+    const width = Math.max(1, Math.min(end - start, lineText.length - column + 1));
+    output.push(`${' '.repeat(gutter)} | ${' '.repeat(column - 1)}${'^'.repeat(width)}`);
+
+    return output.join('\n');
+}
+
+/**
+ * Find where command code sits inside its source file
+ * @returns {{line: number, column: number}|null} Position of the code's first character
+ */
+function locateInFile(file, source) {
+    if (!file || !source) return null;
+
+    try {
+        const content = fs.readFileSync(file, 'utf8');
+        const index = content.indexOf(source);
+        return index === -1 ? null : getPosition(content, index);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Create a location for a span of charm code
+ * Line and column refer to the command file when the code can be found in
+ * it verbatim, otherwise to the code itself. They and the snippet are
+ * worked out on first use, so errors that are caught and never shown (e.g.
+ * by `$try`) don't read the command file.
+ * @param {Object} options
+ * @param {string} options.source Charm code
+ * @param {number} options.start Start offset
+ * @param {number} [options.end] End offset
+ * @param {string} [options.command] Command name
+ * @param {string} [options.file] Command file path
+ * @returns {Object} Location ({ command, file, line, column, snippet })
+ */
+function createLocation({ source, start, end, command, file }) {
+    let resolved = null;
+    const resolve = () => {
+        resolved ??= resolveLocation(source, start, end, file);
+        return resolved;
+    };
+
+    const location = { command: command || null, file: file || null };
+    for (const key of ['line', 'column', 'snippet']) {
+        Object.defineProperty(location, key, { enumerable: true, get: () => resolve()[key] });
+    }
+    return location;
+}
+
+/**
+ * Compute the line, column and snippet of a location
+ * @private
+ */
+function resolveLocation(source, start, end, file) {
+    const position = getPosition(source, start);
+    const origin = locateInFile(file, source);
+
+    let { line, column } = position;
+    let lineOffset = 0;
+
+    if (origin) {
+        lineOffset = origin.line - 1;
+        line += lineOffset;
+        if (position.line === 1) column += origin.column - 1;
+    }
+
+    return { line, column, snippet: renderSnippet(source, start, end, { lineOffset }) };
+}
+
+/**
+ * Format an error and its location as readable text
+ * @param {Error} error Error with an optional `location`
+ * @returns {string} Formatted diagnostic
+ */
+function formatDiagnostic(error) {
+    const location = error?.location;
+    if (!location) return error?.message || String(error);
+
+    const where = [
+        location.command && `command "${location.command}"`,
+        location.file,
+        `line ${location.line}, column ${location.column}`
+    ].filter(Boolean).join(', ');
+
+    return `${error.name || 'Error'}: ${error.message}\n  at ${where}\n${location.snippet}`;
+}
+
+module.exports = {
+    getPosition,
+    renderSnippet,
+    locateInFile,
+    createLocation,
+    formatDiagnostic
+};
@@ -0,0 +1,238 @@
+const { errors } = require('../core/errors');
+const { getPosition } = require('./diagnostics');
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const NUMBER = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+
+/**
+ * Relaxed JSON - JSON5-style object literals for tier 3 arguments
+ * On top of JSON it accepts:
+ * - unquoted keys: { action: "send" }
+ * - single-quoted strings: { content: 'Hi' }
+ * - trailing commas: [1, 2, ]
+ * - comments: // line and /* block *\/
+ * - multi-line strings, with line breaks kept or escaped with a trailing backslash
+ * - hexadecimal numbers, leading or trailing dots, +, Infinity and NaN
+ *
+ * Errors are ParseErrors with the `offset`, `line` and `column` of the
+ * character that failed.
+ */
+class RelaxedParser {
+    constructor(source) {
+        this.source = source;
+        this.index = 0;
+    }
+
+    parse() {
+        this.skip();
+        const value = this.value();
+        this.skip();
+
+        if (this.index < this.source.length) {
+            this.fail(`Unexpected ${this.describe()} after the value`);
+        }
+        return value;
+    }
+
+    value() {
+        const char = this.peek();
+
+        if (char === '{') return this.object();
+        if (char === '[') return this.array();
+        if (char === '"' || char === "'") return this.string();
+        if (/[\d+\-.]/.test(char ?? '')) return this.number();
+        if (/[A-Za-z_$]/.test(char ?? '')) return this.literal();
+
+        this.fail(`Unexpected ${this.describe()}`);
+    }
+
+    object() {
+        const result = {};
+        this.index++;
+        this.skip();
+
+        while (this.peek() !== '}') {
+            const key = this.key();
+            this.skip();
+            if (this.peek() !== ':') this.fail(`Expected ':' after key "${key}"`);
+            this.index++;
+            this.skip();
+
+            // Like JSON.parse, `__proto__` is an own property
+            Object.defineProperty(result, key, { value: this.value(), enumerable: true, writable: true, configurable: true });
+            this.skip();
+
+            if (this.peek() === ',') {
+                this.index++;
+                this.skip();
+            } else if (this.peek() !== '}') {
+                this.fail(`Expected ',' or '}' after the value of "${key}"`);
+            }
+        }
+
+        this.index++;
+        return result;
+    }
+
+    key() {
+        const char = this.peek();
+        if (char === '"' || char === "'") return this.string();
+
+        const key = this.match(IDENTIFIER);
+        if (!key) this.fail(`Expected a key, found ${this.describe()}`);
+        return key;
+    }
+
+    array() {
+        const result = [];
+        this.index++;
+        this.skip();
+
+        while (this.peek() !== ']') {
+            result.push(this.value());
+            this.skip();
+
+            if (this.peek() === ',') {
+                this.index++;
+                this.skip();
+            } else if (this.peek() !== ']') {
+                this.fail("Expected ',' or ']' after an array item");
+            }
+        }
+
+        this.index++;
+        return result;
+    }
+
+    string() {
+        const quote = this.source[this.index];
+        const start = this.index++;
+        let result = '';
+
+        while (this.index < this.source.length) {
+            const char = this.source[this.index++];
+
+            if (char === quote) return result;
+            if (char !== '\\') {
+                result += char;
+                continue;
+            }
+
+            const escape = this.source[this.index++];
+            const simple = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+            if (escape === 'u' || escape === 'x') {
+                const length = escape === 'u' ? 4 : 2;
+                const hex = this.source.slice(this.index, this.index + length);
+                if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) {
+                    this.fail(`Invalid \\${escape} escape`, this.index - 2);
+                }
+                result += String.fromCharCode(parseInt(hex, 16));
+                this.index += length;
+            } else if (escape === '\r' || escape === '\n') {
+                // Line continuation
+                if (escape === '\r' && this.source[this.index] === '\n') this.index++;
+            } else if (escape !== undefined) {
+                result += simple[escape] ?? escape;
+            }
+        }
+
+        this.fail('Unterminated string', start);
+    }
+
+    number() {
+        const text = this.match(NUMBER);
+        if (!text) this.fail('Invalid number');
+
+        const sign = text.startsWith('-') ? -1 : 1;
+        const unsigned = text.replace(/^[+-]/, '');
+
+        if (/^0x/i.test(unsigned)) return sign * parseInt(unsigned, 16);
+        return sign * Number(unsigned);
+    }
+
+    literal() {
+        const start = this.index;
+        const word = this.match(IDENTIFIER);
+        const literals = { true: true, false: false, null: null, Infinity: Infinity, NaN: NaN };
+
+        if (!Object.hasOwn(literals, word)) {
+            this.fail(`Unexpected identifier ${word} (text values need quotes)`, start);
+        }
+        return literals[word];
+    }
+
+    /**
+     * Consume a sticky pattern at the current position
+     * @returns {string|null} Matched text
+     */
+    match(pattern) {
+        pattern.lastIndex = this.index;
+        const match = pattern.exec(this.source);
+        if (!match) return null;
+
+        this.index += match[0].length;
+        return match[0];
+    }
+
+    /**
+     * Skip whitespace and comments
+     */
+    skip() {
+        while (this.index < this.source.length) {
+            const rest = this.source.substr(this.index, 2);
+
+            if (/\s/.test(this.source[this.index])) {
+                this.index++;
+            } else if (rest === '//') {
+                const end = this.source.indexOf('\n', this.index);
+                this.index = end === -1 ? this.source.length : end + 1;
+            } else if (rest === '/*') {
+                const end = this.source.indexOf('*/', this.index + 2);
+                if (end === -1) this.fail('Unterminated comment');
+                this.index = end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    peek() {
+        return this.source[this.index];
+    }
+
+    describe() {
+        const char = this.peek();
+        return char === undefined ? 'end of input' : `'${char}'`;
+    }
+
+    fail(message, offset = this.index) {
+        throw new errors.ParseError(message, { offset, ...getPosition(this.source, offset) });
+    }
+}
+
+/**
+ * Parse JSON, or relaxed JSON unless `strict`
+ * @param {string} source Text to parse
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] Only accept standard JSON
+ * @returns {any} Parsed value
+ * @throws {ParseError} With the offset, line and column of the failure
+ */
+function parseJson(source, options = {}) {
+    if (!options.strict) {
+        return new RelaxedParser(source).parse();
+    }
+
+    try {
+        return JSON.parse(source);
+    } catch (error) {
+        // Point at the character JSON.parse stopped on, when it says so
+        const match = /position (\d+)/.exec(error.message);
+        const offset = match ? Number(match[1]) : 0;
+
+        throw new errors.ParseError(error.message, { offset, ...getPosition(source, offset) });
+    }
+}
+
+module.exports = { parseJson, RelaxedParser };
@@ -1,43 +1,80 @@
 const { detectTier } = require('./detector');
+const { parse, print, printArgs, getSingleCharm } = require('./ast');
+const { createLocation } = require('./diagnostics');
+const { parseJson } = require('./json');
+const { errors } = require('../core/errors');
 
 /**
  * Parse command code into AST (Abstract Syntax Tree)
+ * The result keeps the parsed program so formatCommand can print it back
+ * unchanged. `options.strict` only accepts standard JSON for tier 3.
  */
-function parseCommand(code, tier = 0) {
+function parseCommand(code, tier = 0, options = {}) {
     if (!code) throw new Error('No command code provided');
 
     // Extract command name and arguments
-    const match = code.match(/^\$(\w+)\[(.*)\]$/);
-    if (!match) {
+    let program;
+    try {
+        program = parse(code);
+    } catch (error) {
+        throw withLocation(error, code, error.details?.start, error.details?.end);
+    }
+
+    const node = getSingleCharm(program);
+    if (!node) {
         throw new Error('Invalid command format. Expected: $command[arguments]');
     }
 
-    const [, name, args] = match;
+    // Auto-detect tier if not specified
+    if (!tier) {
+        return parseCommand(code, detectTier(code), options);
+    }
+
+    const raw = printArgs(node);
+
+    let args;
+    try {
+        args = parseTierArgs(raw, tier, options);
+    } catch (error) {
+        // Offsets of argument errors are relative to the argument string
+        const argsStart = node.start + node.name.length + 2;
+        throw withLocation(error, code, argsStart + (error.details?.offset ?? 0));
+    }
+
+    return {
+        type: 'command',
+        name: node.name,
+        args,
+        tier,
+        raw,
+        program
+    };
+}
+
+/**
+ * Attach a source location to a parse error
+ */
+function withLocation(error, code, start = 0, end) {
+    if (!error.location) {
+        error.location = createLocation({ source: code, start, end });
+    }
+    return error;
+}
 
-    // Parse based on tier
-    let parsedArgs;
+/**
+ * Parse an argument string based on tier
+ */
+function parseTierArgs(args, tier, options = {}) {
     switch (tier) {
         case 1: // Simple arguments
-            parsedArgs = parseSimpleArgs(args);
-            break;
+            return parseSimpleArgs(args);
         case 2: // Key-value pairs
-            parsedArgs = parseKeyValueArgs(args);
-            break;
+            return parseKeyValueArgs(args);
         case 3: // JSON format
-            parsedArgs = parseJsonArgs(args);
-            break;
+            return parseJsonArgs(args, options);
         default:
-            // Auto-detect tier if not specified
-            const detectedTier = detectTier(code);
-            return parseCommand(code, detectedTier);
+            throw new Error(`Invalid tier: ${tier}`);
     }
-
-    return {
-        type: 'command',
-        name,
-        args: parsedArgs,
-        tier
-    };
 }
 
 /**
@@ -71,25 +108,32 @@ function parseKeyValueArgs(args) {
 
 /**
  * Parse JSON format arguments
+ * Relaxed JSON (unquoted keys, single quotes, comments, ...) is accepted
+ * unless `options.strict` is set, see parser/json.js.
  */
-function parseJsonArgs(args) {
+function parseJsonArgs(args, options = {}) {
     if (!args) return {};
 
     try {
-        return JSON.parse(args);
+        return parseJson(args, options);
     } catch (error) {
-        throw new Error(`Invalid JSON format: ${error.message}`);
+        throw new errors.ParseError(`Invalid JSON format: ${error.message}`, error.details);
     }
 }
 
 /**
  * Format AST back into command string
+ * ASTs from parseCommand are printed losslessly unless their args changed.
  */
 function formatCommand(ast) {
     if (!ast || !ast.name) {
         throw new Error('Invalid AST structure');
     }
 
+    if (ast.program && isUnchanged(ast)) {
+        return print(ast.program);
+    }
+
     let args;
     switch (ast.tier) {
         case 1:
@@ -110,8 +154,27 @@ function formatCommand(ast) {
     return `$${ast.name}[${args}]`;
 }
 
+/**
+ * Check whether a parsed command still matches its source
+ */
+function isUnchanged(ast) {
+    const node = getSingleCharm(ast.program);
+    if (!node || node.name !== ast.name || printArgs(node) !== ast.raw) {
+        return false;
+    }
+
+    try {
+        return JSON.stringify(parseTierArgs(ast.raw, ast.tier)) === JSON.stringify(ast.args);
+    } catch {
+        return false;
+    }
+}
+
 module.exports = {
+    parse,
+    print,
     parseCommand,
+    parseTierArgs,
     parseSimpleArgs,
     parseKeyValueArgs,
     parseJsonArgs,
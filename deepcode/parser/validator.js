@@ -1,4 +1,5 @@
 const { detectTier } = require('./detector');
+const { parse, walk } = require('./ast');
 
 /**
  * Validate command structure
@@ -128,18 +129,23 @@ function detectCircular(obj, seen = new Set()) {
 function validateVariables(code, variables) {
     if (!code) return [];
 
-    const varPattern = /\$\$(\w+(\.\w+)*)/g;
-    const matches = code.match(varPattern) || [];
     const missing = [];
 
-    matches.forEach(match => {
-        const varPath = match.slice(2); // Remove $$
-        const parts = varPath.split('.');
-        let value = variables.get(parts[0]);
+    walk(parse(code), node => {
+        if (node.type !== 'Variable') return;
+
+        // Positional arguments ($$1, $$*) come from the message, not variables
+        if (!/^[a-zA-Z_]/.test(node.name)) return;
+
+        // Scoped variables ($$user:balance) depend on who runs the command
+        if (node.scope) return;
+
+        const varPath = [node.name, ...node.path].join('.');
+        let value = variables.get(node.name);
 
         // Check nested properties
-        for (let i = 1; value !== undefined && i < parts.length; i++) {
-            value = value[parts[i]];
+        for (let i = 0; value !== undefined && i < node.path.length; i++) {
+            value = value?.[node.path[i]];
         }
 
         if (value === undefined) {
@@ -30,6 +30,8 @@ module.exports = {
             },
             links: {
                 enabled: true,
+                // Block every link outside the whitelist, not only blacklisted ones
+                blockAll: false,
                 whitelist: [],
                 blacklist: []
             },
@@ -62,49 +64,93 @@ module.exports = {
         timeouts: new Map()
     },
 
+    // $automod.status[] and $automod.command[]; `this` is the plugin
+    charms: {
+        status() {
+            return this.getStatus();
+        },
+        command(args, context) {
+            return this.handleCommand(context.args || []);
+        }
+    },
+
+    // Commands and listeners are removed again when the plugin unloads
+    commands: [{
+        name: 'automod',
+        description: 'Manage automod settings',
+        usage: 'automod [enable|disable|filter <name> <on|off>]',
+        permissions: ['MANAGE_GUILD'],
+        code: '$automod.command[]'
+    }],
+
+    events: {
+        messageCreate(message) {
+            return this.handleMessage(message);
+        },
+        messageUpdate(old, message) {
+            return this.handleMessage(message);
+        }
+    },
+
     /**
      * Initialize plugin
      */
     async init(client) {
+        this.client = client;
+
         // Get or create config
-        this.config = await client.variables.get('plugins.automod') || 
-            this.defaultConfig;
-
-        // Register commands
-        client.commands.register({
-            name: 'automod',
-            description: 'Manage automod settings',
-            permissions: ['MANAGE_GUILD'],
-            code: '$condition[{' +
-                '"left": "$$args[0]",' +
-                '"operator": "exists",' +
-                '"then": "$system[{' +
-                    '"action": "exec",' +
-                    '"command": {' +
-                        '"code": "$$plugins.automod.handleCommand"' +
-                    '}' +
-                '}]",' +
-                '"else": "$embed[{' +
-                    '"title": "AutoMod Status",' +
-                    '"description": "Current automod configuration",' +
-                    '"fields": [' +
-                        '{"name": "Enabled", "value": "$$plugins.automod.config.enabled"},' +
-                        '{"name": "Filters", "value": "$$plugins.automod.getFiltersStatus"}' +
-                    ']' +
-                '}]"' +
-            '}]'
-        });
+        this.config = await client.variables.get('plugins.automod') ||
+            this.config || this.defaultConfig;
+    },
+
+    /**
+     * Forget tracked messages and warnings
+     */
+    async onUnload() {
+        for (const store of Object.values(this.data)) store.clear();
+    },
+
+    /**
+     * Handle the automod command
+     * @param {string[]} args Command arguments
+     * @returns {Promise<string>} Reply
+     */
+    async handleCommand(args) {
+        const [action, filter, state] = args.map(arg => String(arg).toLowerCase());
+
+        if (action === 'enable' || action === 'disable') {
+            this.config.enabled = action === 'enable';
+        } else if (action === 'filter') {
+            if (!this.config.filters[filter] || !['on', 'off'].includes(state)) {
+                return `Usage: automod filter <${Object.keys(this.config.filters).join('|')}> <on|off>`;
+            }
+            this.config.filters[filter].enabled = state === 'on';
+        } else if (action && action !== 'status') {
+            return 'Usage: automod [enable|disable|filter <name> <on|off>]';
+        }
 
-        // Register event handlers
-        client.events.on('messageCreate', message => this.handleMessage(message));
-        client.events.on('messageUpdate', (old, message) => this.handleMessage(message));
+        if (action && action !== 'status') {
+            await this.client.variables.set('plugins.automod', this.config);
+        }
+        return this.getStatus();
+    },
+
+    /**
+     * Describe the current configuration
+     */
+    getStatus() {
+        const filters = Object.entries(this.config.filters)
+            .map(([name, filter]) => `${name}: ${filter.enabled ? 'on' : 'off'}`)
+            .join(', ');
+
+        return `AutoMod is ${this.config.enabled ? 'enabled' : 'disabled'}. Filters: ${filters}`;
     },
 
     /**
      * Handle message filtering
      */
     async handleMessage(message) {
-        if (!this.config.enabled) return;
+        if (!this.config.enabled || !message.guild || !message.author) return;
         if (this.shouldIgnore(message)) return;
 
         const violations = await this.checkViolations(message);
@@ -225,11 +271,100 @@ module.exports = {
                     { name: 'Violations', value: violations.join(', '), inline: true },
                     { name: 'Channel', value: message.channel.toString(), inline: true }
                 ],
-                color: 'RED',
+                color: 0xED4245,
                 timestamp: new Date()
             }]
         });
     },
 
-    // Add more methods for specific checks and actions...
+    /**
+     * Check for the same message sent too often in the time window
+     */
+    async checkSpam(message) {
+        const { maxDuplicates, timeWindow } = this.config.filters.spam;
+        const now = Date.now();
+        const recent = (this.data.messages.get(message.author.id) || [])
+            .filter(entry => now - entry.time < timeWindow);
+
+        recent.push({ content: message.content, time: now });
+        this.data.messages.set(message.author.id, recent);
+
+        return recent.filter(entry => entry.content === message.content).length >= maxDuplicates;
+    },
+
+    /**
+     * Check for invites to servers that are not allowed
+     */
+    async checkInvites(message) {
+        const { allowedServers } = this.config.filters.invites;
+        const invites = [...(message.content || '').matchAll(/discord(?:\.gg|(?:app)?\.com\/invite)\/([\w-]+)/gi)];
+        return invites.some(([, code]) => !allowedServers.includes(code));
+    },
+
+    /**
+     * Check for blacklisted links, or with `blockAll`, any link outside the whitelist
+     */
+    async checkLinks(message) {
+        const { whitelist = [], blacklist = [], blockAll = false } = this.config.filters.links;
+        const hosts = [...(message.content || '').matchAll(/https?:\/\/([^\s/]+)/gi)].map(([, host]) => host.toLowerCase());
+        const matches = (host, list) => list.some(entry => host === entry || host.endsWith(`.${entry}`));
+
+        return hosts.some(host => matches(host, blacklist) || (blockAll && !matches(host, whitelist)));
+    },
+
+    /**
+     * Check for messages written mostly in capitals
+     */
+    async checkCaps(message) {
+        const { threshold, minLength } = this.config.filters.caps;
+        const letters = (message.content || '').replace(/[^a-zA-Z]/g, '');
+        if (letters.length < minLength) return false;
+
+        return letters.replace(/[^A-Z]/g, '').length / letters.length >= threshold;
+    },
+
+    /**
+     * Check for too many mentions
+     */
+    async checkMentions(message) {
+        const { maxMentions } = this.config.filters.mentions;
+        const count = (message.mentions?.users?.size || 0) + (message.mentions?.roles?.size || 0);
+        return count > maxMentions;
+    },
+
+    /**
+     * Check for blacklisted words
+     */
+    async checkWords(message) {
+        const { blacklist, whitelist } = this.config.filters.words;
+        const words = (message.content || '').toLowerCase().split(/\W+/);
+        return words.some(word => blacklist.includes(word) && !whitelist.includes(word));
+    },
+
+    /**
+     * Warn a user by DM
+     */
+    async warnUser(user, violations) {
+        const count = (this.data.warnings.get(user.id) || 0) + 1;
+        this.data.warnings.set(user.id, count);
+
+        await user.send(`⚠️ Your message was removed by AutoMod (${violations.join(', ')}). Warnings: ${count}`).catch(() => {});
+    },
+
+    /**
+     * Time a member out for ten minutes
+     */
+    async timeoutUser(member, violations) {
+        if (!member?.moderatable) return;
+        await member.timeout(10 * 60 * 1000, `AutoMod: ${violations.join(', ')}`).catch(() => {});
+        this.data.timeouts.set(member.id, Date.now());
+    },
+
+    /**
+     * Ban a member
+     */
+    async banUser(member, violations) {
+        if (!member?.bannable) return;
+        await member.ban({ reason: `AutoMod: ${violations.join(', ')}` }).catch(() => {});
+    }
 };
@@ -22,10 +22,52 @@ class ExamplePlugin {
             ]
         };
 
-        // Plugin variables
+        // Variable defaults, read as $$example.uses and $$example.enabled
         this.variables = {
-            uses: 0,
-            lastUse: null
+            'example.uses': 0,
+            'example.enabled': true
+        };
+
+        // Charms, available as $example.response[] and $example.uses[]
+        this.charms = {
+            response: () => this.getRandomResponse(),
+            uses: () => this.bot.variables.get('example.uses')
+        };
+
+        // Commands, removed again when the plugin unloads
+        this.commands = [
+            {
+                name: 'example-plugin',
+                description: 'Show example plugin stats',
+                code: `$say[{
+                    "embeds": [{
+                        "title": "Example Plugin",
+                        "description": "$example.response[]",
+                        "fields": [
+                            { "name": "Uses", "value": "$example.uses[]", "inline": true },
+                            { "name": "Status", "value": "$$example.enabled", "inline": true }
+                        ],
+                        "color": 3447003
+                    }]
+                }]`
+            },
+            {
+                name: 'example-toggle',
+                description: 'Toggle example plugin',
+                permissions: ['Administrator'],
+                code: `$say[{
+                    "embeds": [{
+                        "title": "Plugin Toggled",
+                        "description": "Example plugin is now $$example.enabled",
+                        "color": 3066993
+                    }]
+                }]`
+            }
+        ];
+
+        // Event listeners
+        this.events = {
+            messageCreate: this.handleMessage
         };
 
         // Command cooldowns
@@ -36,18 +78,6 @@ class ExamplePlugin {
      * Called when plugin is loaded
      */
     async onLoad() {
-        // Register plugin commands
-        this.registerCommands();
-
-        // Add event listeners
-        this.bot.on('messageCreate', this.handleMessage.bind(this));
-
-        // Initialize variables
-        this.bot.variables({
-            'example.uses': 0,
-            'example.enabled': this.config.enabled
-        });
-
         console.log(`✓ Plugin ${this.name} v${this.version} loaded`);
     }
 
@@ -55,66 +85,10 @@ class ExamplePlugin {
      * Called when plugin is unloaded
      */
     async onUnload() {
-        // Remove event listeners
-        this.bot.off('messageCreate', this.handleMessage);
-
-        // Cleanup
         this.cooldowns.clear();
         console.log(`✓ Plugin ${this.name} unloaded`);
     }
 
-    /**
-     * Register plugin commands
-     */
-    registerCommands() {
-        // Example command
-        this.bot.command('example-plugin', `$say[{
-            "embeds": [{
-                "title": "Example Plugin",
-                "description": "Plugin is working!",
-                "fields": [
-                    {
-                        "name": "Uses",
-                        "value": "$$example.uses",
-                        "inline": true
-                    },
-                    {
-                        "name": "Status",
-                        "value": "$$example.enabled",
-                        "inline": true
-                    }
-                ],
-                "color": 3447003
-            }]
-        }]`);
-
-        // Toggle plugin
-        this.bot.command('example-toggle', {
-            description: 'Toggle example plugin',
-            permissions: ['Administrator'],
-            code: `$say[{
-                "embeds": [{
-                    "title": "Plugin Toggled",
-                    "description": "Example plugin is now $$example.enabled",
-                    "color": 3066993
-                }]
-            }]`
-        });
-
-        // Set channel
-        this.bot.command('example-channel', {
-            description: 'Set example channel',
-            permissions: ['ManageChannels'],
-            code: `$say[{
-                "embeds": [{
-                    "title": "Channel Set",
-                    "description": "Example channel set to $$args[0]",
-                    "color": 3066993
-                }]
-            }]`
-        });
-    }
-
     /**
      * Handle incoming messages
      */
@@ -134,8 +108,8 @@ class ExamplePlugin {
             await message.channel.send(response);
 
             // Update stats
-            this.variables.uses++;
-            this.bot.variables['example.uses'] = this.variables.uses;
+            const uses = this.bot.variables.get('example.uses') || 0;
+            this.bot.variables.set('example.uses', uses + 1);
 
         } catch (error) {
             console.error(`Error in ${this.name} plugin:`, error);
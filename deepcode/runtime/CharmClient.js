@@ -10,6 +10,13 @@ const PluginManager = require('../core/PluginManager');
 const VariableManager = require('../core/VariableManager');
 const Engine = require('../core/engine');
 const CharmCommandLoader = require('../core/CharmCommandLoader');
+const SlashCommandManager = require('../core/SlashCommandManager');
+const CommandDispatcher = require('../core/CommandDispatcher');
+const Scheduler = require('../core/Scheduler');
+const CaseManager = require('../core/CaseManager');
+const ComponentRouter = require('../core/ComponentRouter');
+const Paginator = require('../core/Paginator');
+const Watcher = require('../core/Watcher');
 const Loader = require('../core/Loader');
 
 class CharmClient extends Client {
@@ -25,6 +32,13 @@ class CharmClient extends Client {
         this.engine = new Engine(this);
         this.charms = new Collection();
         this.loader = new Loader(this);
+        this.slashCommands = new SlashCommandManager(this);
+        this.dispatcher = new CommandDispatcher(this);
+        this.scheduler = new Scheduler(this);
+        this.cases = new CaseManager(this);
+        this.components = new ComponentRouter(this);
+        this.paginator = new Paginator(this);
+        this.watcher = new Watcher(this);
 
         // CharmCommandLoader for automatic command loading
         this.CharmCommander = (commandsDir = 'commands') => {
@@ -114,10 +128,29 @@ class CharmClient extends Client {
             const messageCreateHandler = require('../events/messageCreate');
             this.on('messageCreate', (message) => messageCreateHandler.execute(message, this));
 
+            // Load interactionCreate handler (slash commands)
+            const interactionCreateHandler = require('../events/interactionCreate');
+            this.on('interactionCreate', (interaction) => interactionCreateHandler.execute(interaction, this));
+
             // Load ready handler
             const readyHandler = require('../events/ready');
             this.on('ready', () => readyHandler.execute(this));
 
+            // Register slash commands once the application is available
+            this.once('ready', () => {
+                if (!this.slashCommands.config.register || !this.slashCommands.getSlashCommands().length) return;
+                this.slashCommands.sync().catch(error => {
+                    console.error('Error registering slash commands:', error);
+                });
+            });
+
+            // Restore scheduled tasks and catch up on missed runs
+            this.once('ready', () => {
+                this.scheduler.restore().catch(error => {
+                    console.error('Error restoring scheduled tasks:', error);
+                });
+            });
+
             // Load error handler
             const errorHandler = require('../events/error');
             this.on('error', (error) => errorHandler.execute(error, this));
@@ -185,13 +218,13 @@ class CharmClient extends Client {
             });
         }
 
-        // Load plugins before starting
+        // Load plugins before starting, dependencies first
         if (this.config.plugins) {
-            for (const [name, options] of Object.entries(this.config.plugins)) {
-                if (options.enabled) {
-                    await this.plugins.load(name, options.config);
-                }
-            }
+            const enabled = Object.entries(this.config.plugins)
+                .filter(([, options]) => options.enabled)
+                .map(([name, options]) => [name, options.config || options.options]);
+
+            await this.plugins.loadAll(enabled);
         }
 
         // Load variables if persistence is enabled
@@ -199,6 +232,11 @@ class CharmClient extends Client {
             await this.variables.load();
         }
 
+        // Reload changed commands, charms, events and plugins in development
+        if (this.options.watch ?? this.config.watch ?? process.env.DEEPCODE_WATCH === 'true') {
+            this.watcher.start();
+        }
+
         // Login to Discord
         return this.login(token);
     }
@@ -223,8 +261,15 @@ class CharmClient extends Client {
         // Save variables if persistence is enabled
         if (this.config.variables?.persist) {
             await this.variables.save();
+            await this.variables.close();
         }
 
+        // Stop scheduled task timers, page controls and file watchers, close case storage
+        await this.scheduler.stop();
+        await this.cases.stop();
+        this.paginator.stop();
+        this.watcher.stop();
+
         // Unload all plugins
         await this.plugins.unloadAll();
 
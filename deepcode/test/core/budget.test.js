@@ -0,0 +1,140 @@
+const { createTestBot } = require('../../testing');
+const ExecutionBudget = require('../../core/budget');
+
+describe('Execution budget', () => {
+    let bot;
+
+    const code = (charm, args) => `$${charm}[${JSON.stringify(args)}]`;
+
+    beforeEach(async () => {
+        bot = await createTestBot({ config: { execution: { maxIterations: 20 } } });
+        bot.client.charms.set('echo', { name: 'echo', execute: args => args });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('stops runaway loops with a clear error', async () => {
+        const context = { client: bot.client };
+        const error = await bot.client.engine.process('$while[{"condition": "true", "code": "x", "maxIterations": 1000}]', context)
+            .catch(error => error);
+
+        expect(error.name).toBe('BudgetError');
+        expect(error.code).toBe('BUDGET_EXCEEDED');
+        expect(error.message).toBe('Execution budget exceeded: more than 20 loop iterations (in $while)');
+        expect(context.budget.getUsage()).toMatchObject({ iterations: 21 });
+    });
+
+    test('counts iterations across nested loops and honours command limits', async () => {
+        const nested = '$loop[{"times": 5, "code": "$loop[{\\"times\\": 5, \\"code\\": \\"x\\"}]"}]';
+
+        await expect(bot.client.engine.process(nested, { client: bot.client }))
+            .rejects.toThrow('more than 20 loop iterations');
+        await expect(bot.client.engine.process(nested, { client: bot.client, command: { execution: { maxIterations: 30 } } }))
+            .resolves.toHaveLength(5);
+        await expect(bot.client.engine.process('$loop[{"times": 3, "code": "$echo[x]"}]', { client: bot.client, command: { execution: { maxCharmCalls: 3 } } }))
+            .rejects.toThrow('Execution budget exceeded: more than 3 charm calls (last: $echo)');
+    });
+
+    test('enforces the deadline', () => {
+        const budget = new ExecutionBudget({ timeout: 50 });
+        budget.startedAt -= 100;
+
+        expect(() => budget.charm('say')).toThrow('Execution budget exceeded: ran longer than 50ms');
+    });
+
+    test('enforces the deadline around Discord requests', async () => {
+        const budget = new ExecutionBudget({ timeout: 50 });
+        const send = jest.fn(async () => {
+            budget.startedAt -= 100;
+            return 'sent';
+        });
+
+        await expect(budget.request(send)).rejects.toThrow('ran longer than 50ms');
+        await expect(budget.request(send)).rejects.toThrow('ran longer than 50ms');
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(budget.requests).toBe(0);
+
+        const message = bot.channel.createMessage({ content: 'hi', author: bot.user });
+        const context = { client: bot.client, channel: bot.channel, guild: bot.guild, author: bot.user, budget };
+        await expect(bot.client.charms.get('message').execute({ action: 'pin', target: message.id }, context))
+            .rejects.toThrow('Execution budget exceeded');
+        expect(message.pinned).toBe(false);
+    });
+
+    test('limits concurrent requests', async () => {
+        const budget = new ExecutionBudget({ maxConcurrentRequests: 2 });
+        let active = 0;
+        let peak = 0;
+        const request = () => budget.request(async () => {
+            peak = Math.max(peak, ++active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+        });
+
+        await Promise.all(Array.from({ length: 6 }, request));
+        expect(peak).toBe(2);
+    });
+
+    test('counts the Discord requests charms make directly', async () => {
+        const request = jest.spyOn(ExecutionBudget.prototype, 'request');
+        const message = bot.channel.createMessage({ content: 'hi', author: bot.user });
+        const target = bot.guild.addMember(bot.createUser({ username: 'target' }));
+        const context = { client: bot.client, channel: bot.channel, guild: bot.guild, author: bot.user, member: bot.member, send: options => bot.channel.send(options) };
+
+        await bot.client.engine.process(`$message[{"action": "pin", "target": "${message.id}"}]`, context);
+        expect(request).toHaveBeenCalledTimes(2);
+
+        await bot.client.engine.process(`$kick[{"user": "${target.id}", "dm": true}]`, context);
+        expect(bot.actions.map(action => action.type)).toContain('kick');
+        // The DM and the kick, then the confirmation
+        expect(request).toHaveBeenCalledTimes(5);
+        request.mockRestore();
+    });
+
+    test('$loop async runs a bounded pool and keeps the order', async () => {
+        let active = 0;
+        let peak = 0;
+        bot.client.charms.set('work', {
+            name: 'work',
+            execute: async args => {
+                peak = Math.max(peak, ++active);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+                return args;
+            }
+        });
+
+        const results = await bot.client.engine.process('$loop[{"times": 8, "async": true, "code": "$work[$$index]"}]', {
+            client: bot.client,
+            command: { execution: { maxConcurrentRequests: 3 } }
+        });
+
+        expect(results).toEqual(['0', '1', '2', '3', '4', '5', '6', '7']);
+        expect(peak).toBe(3);
+    });
+
+    test('$break and $continue control the innermost loop', async () => {
+        const process = source => bot.client.engine.process(source, { client: bot.client });
+        const stopAt = (limit, otherwise) => code('condition', { left: '$$index', operator: '>=', right: limit, then: '$break[]', else: otherwise });
+        const body = code('condition', { left: '$$index', operator: '==', right: '1', then: '$continue[]', else: stopAt('3', '$$index') });
+
+        await expect(process(code('loop', { times: 10, code: body }))).resolves.toEqual(['0', '2']);
+        await expect(process(`$foreach[["a", "b", "c"]; ${stopAt('2', '$$value $$first')}]`)).resolves.toEqual(['a true', 'b false']);
+        await expect(process(code('while', { condition: '$$index < 10', code: stopAt('3', '$$index') }))).resolves.toEqual(['0', '1', '2']);
+        await expect(process(code('loop', { times: 2, code: code('loop', { times: 3, code: stopAt('1', '$$loop.parent.index$$index') }) })))
+            .resolves.toEqual([['00'], ['10']]);
+        await expect(process('$break[]')).rejects.toThrow('Break charm can only be used inside a loop');
+    });
+
+    test('reports budget errors to the user', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        bot.client.commands.register({ name: 'spin', code: '$loop[{"times": 50, "code": "x"}]' });
+
+        const { replies } = await bot.send('!spin');
+
+        expect(replies[0].content).toContain('Execution budget exceeded: more than 20 loop iterations (in $loop)');
+        console.error.mockRestore();
+    });
+});
@@ -0,0 +1,140 @@
+const { createTestBot } = require('../../testing');
+const { MemoryStorage } = require('../../core/storage');
+
+describe('Moderation cases', () => {
+    let bot;
+    let storage;
+    let target;
+    let modLog;
+
+    const reply = async content => (await bot.send(content)).replies
+        .filter(message => message.channel === bot.channel)
+        .map(message => message.content)
+        .join('\n');
+    const create = async (config = {}) => {
+        bot = await createTestBot({ config: { moderation: { persist: true, storage, ...config } } });
+        target = bot.createUser({ username: 'spammer' });
+        bot.guild.addMember(target);
+        bot.guild.createRole({ name: 'Muted' });
+        modLog = bot.guild.createChannel({ name: 'mod-log' });
+
+        bot.client.commands.register({ name: 'warn', code: '$warn[{"user": "$$1", "reason": "Spam", "dm": true}]' });
+        bot.client.commands.register({ name: 'timeout', code: '$timeout[{"user": "$$1", "duration": "2h", "reason": "Flood"}]' });
+        bot.client.commands.register({ name: 'mute', code: '$mute[{"user": "$$1", "duration": "10m"}]' });
+        bot.client.commands.register({ name: 'kick', code: '$kick[{"user": "$$1"}]' });
+        bot.client.commands.register({ name: 'case', code: '$case[$$*]' });
+    };
+
+    beforeEach(async () => {
+        storage = new MemoryStorage();
+        await create();
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('every moderation charm records a numbered case', async () => {
+        expect(await reply(`!warn ${target.id}`)).toBe('⚠️ Warned spammer (case #1): Spam');
+        expect(await reply(`!timeout ${target.id}`)).toBe('✅ Successfully timed out spammer for 2 hours (case #2).');
+        expect(await reply(`!mute ${target.id}`)).toBe('✅ Muted spammer (case #3).');
+        expect(await reply(`!kick ${target.id}`)).toBe('✅ Kicked spammer (case #4).');
+
+        const history = await bot.client.cases.history(bot.guild, target);
+        expect(history.map(entry => [entry.id, entry.action, entry.duration])).toEqual([
+            [1, 'warn', null], [2, 'timeout', 7200000], [3, 'mute', 600000], [4, 'kick', null]
+        ]);
+        expect(history[0]).toMatchObject({
+            guild: bot.guild.id,
+            target: { id: target.id, tag: 'spammer' },
+            moderator: { id: bot.user.id },
+            reason: 'Spam',
+            notified: true
+        });
+        expect(bot.dmChannel(target).messages.cache.first().content).toBe('You were warned in **Test Guild** (case #1).\nReason: Spam');
+    });
+
+    test('views, edits, deletes and lists cases', async () => {
+        await reply(`!warn ${target.id}`);
+        await reply(`!timeout ${target.id}`);
+
+        expect(await reply('!case 1')).toContain('**Case #1** | Warn\nUser: spammer');
+        expect(await reply('!case reason; 1; Spamming links')).toBe('✏️ Updated the reason of case #1.');
+        expect((await bot.client.cases.getCase(bot.guild, 1)).reason).toBe('Spamming links');
+
+        expect(await reply('!case delete; 2')).toBe('🗑️ Deleted case #2.');
+        expect(await reply(`!case history; <@${target.id}>`)).toMatch(/^\*\*1 case for spammer\*\*\n#1 warn - Spamming links/);
+
+        // Numbers are not reused after a delete
+        await reply(`!warn ${target.id}`);
+        expect((await bot.client.cases.history(bot.guild)).map(entry => entry.id)).toEqual([1, 3]);
+    });
+
+    test('keeps cases across restarts and posts to the mod log', async () => {
+        bot.client.config.moderation.logChannel = modLog.id;
+        await reply(`!warn ${target.id}`);
+        expect(modLog.messages.cache.first().content).toContain('**Case #1** | Warn\nUser: spammer');
+
+        const guildId = bot.guild.id;
+        await bot.client.cases.deleteCase(guildId, 1);
+        await bot.client.cases.record({ guild: guildId, target: target.id, action: 'warn', reason: 'Again' });
+        await bot.destroy();
+
+        await create();
+        expect(await bot.client.cases.getCase(guildId, 2)).toMatchObject({ action: 'warn', reason: 'Again' });
+
+        // Numbering continues after the highest number ever used
+        await bot.client.cases.deleteCase(guildId, 2);
+        await bot.client.cases.record({ guild: guildId, target: target.id, action: 'warn' });
+        expect((await bot.client.cases.history(guildId)).map(entry => entry.id)).toEqual([3]);
+    });
+
+    test('does not record failed actions and limits editing to moderators', async () => {
+        const error = new Error('Missing Permissions');
+        await expect(bot.client.cases.record(
+            { guild: bot.guild, target, action: 'ban' },
+            { action: () => Promise.reject(error) }
+        )).rejects.toBe(error);
+        expect(await bot.client.cases.history(bot.guild)).toEqual([]);
+
+        // A ban is announced first and the message taken back when it fails
+        await expect(bot.client.cases.record(
+            { guild: bot.guild, target, action: 'ban' },
+            { dm: true, action: () => Promise.reject(error) }
+        )).rejects.toBe(error);
+        expect(bot.dmChannel(target).messages.cache.size).toBe(0);
+
+        // Other actions are only announced once they succeed
+        await expect(bot.client.cases.record(
+            { guild: bot.guild, target, action: 'timeout' },
+            { dm: true, action: () => Promise.reject(error) }
+        )).rejects.toBe(error);
+        expect(bot.dmChannel(target).messages.cache.size).toBe(0);
+
+        await reply(`!warn ${target.id}`);
+        expect((await bot.client.cases.history(bot.guild))[0].id).toBe(1);
+        expect(bot.dmChannel(target).messages.cache.first().content).toContain('(case #1)');
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { replies } = await bot.send('!case delete; 1', { author: target });
+        expect(replies[0].content).toContain('You need the Moderate Members permission to change cases');
+        console.error.mockRestore();
+    });
+
+    test('moderates from contexts without a message, such as slash commands', async () => {
+        const sent = [];
+        const context = {
+            client: bot.client,
+            guild: bot.guild,
+            member: bot.guild.members.cache.get(bot.user.id),
+            author: bot.user,
+            send: async options => sent.push(options.content)
+        };
+
+        await bot.client.charms.get('warn').execute({ user: target.id, reason: 'Spam' }, context);
+        await bot.client.charms.get('ban').execute({ user: target.id }, context);
+        expect(await bot.client.charms.get('case').execute('1', context)).toContain('**Case #1** | Warn');
+
+        expect(sent).toEqual(['⚠️ Warned spammer (case #1): Spam', '✅ Successfully banned spammer (case #2).']);
+    });
+});
@@ -0,0 +1,371 @@
+const { createTestBot } = require('../../testing');
+const { MessageFlags } = require('discord.js');
+
+describe('Component routing', () => {
+    let bot;
+
+    const ticket = {
+        name: 'ticket',
+        code: '$say[Ticket opened]',
+        components: {
+            'ticket_close:{id}': '$say[Closing ticket $$id for $$username]',
+            'ticket_close:all': '$say[Closing every ticket]',
+            'ticket_move:{id}:{category}': '$say[Moved $$1 to $$category]',
+            'ticket_priority:{id}': '$say[Ticket $$id set to $$values]'
+        }
+    };
+
+    beforeEach(async () => {
+        bot = await createTestBot({ commands: [ticket] });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('routes buttons and select menus by customId pattern', async () => {
+        let { replies } = await bot.click('ticket_close:42');
+        expect(replies[0].content).toBe('Closing ticket 42 for tester');
+
+        ({ replies } = await bot.click('ticket_close:all'));
+        expect(replies[0].content).toBe('Closing every ticket');
+
+        ({ replies } = await bot.click('ticket_move:42:archive'));
+        expect(replies[0].content).toBe('Moved 42 to archive');
+
+        ({ replies } = await bot.select('ticket_priority:7', ['high']));
+        expect(replies[0].content).toBe('Ticket 7 set to high');
+    });
+
+    test('leaves unknown customIds alone and acknowledges silent handlers', async () => {
+        const { interaction, replies } = await bot.click('poll_vote:1');
+        expect(replies).toEqual([]);
+        expect(interaction.deferred).toBe(false);
+
+        const handler = jest.fn();
+        bot.client.components.route('noop:{id}', handler);
+        const silent = await bot.click('noop:5');
+        expect(silent.replies).toEqual([]);
+        expect(silent.interaction.deferred).toBe(true);
+        expect(handler).toHaveBeenCalledWith(silent.interaction, ['5'], bot.client);
+    });
+
+    test('follows the command lifecycle across restarts', async () => {
+        await bot.destroy();
+
+        // A new client routes the same customIds from the command definitions
+        bot = await createTestBot({ commands: [ticket] });
+        expect((await bot.click('ticket_close:42')).replies[0].content).toBe('Closing ticket 42 for tester');
+
+        bot.client.commands.disable('ticket');
+        expect((await bot.click('ticket_close:42')).replies[0].content).toContain('disabled');
+        bot.client.commands.enable('ticket');
+
+        bot.client.commands.unregister('ticket');
+        expect((await bot.click('ticket_close:42')).replies).toEqual([]);
+    });
+
+    test('shows modals and validates their fields on submit', async () => {
+        const modal = { custom_id: 'report_form:$$id', title: 'Report', components: [] };
+        bot.client.commands.register({
+            name: 'report',
+            code: '$say[Report]',
+            buttons: {
+                'report_open:{id}': `$modal[{ "action": "show", "modal": ${JSON.stringify(modal)} }]`
+            },
+            modals: {
+                'report_form:{id}': {
+                    code: '$say[Report $$id: $$field.subject ($$field.severity)]',
+                    fields: {
+                        subject: { label: 'Subject', minLength: 5, required: true },
+                        severity: { type: 'number', min: 1, max: 5 },
+                        details: { maxLength: 10 }
+                    }
+                }
+            }
+        });
+
+        const { interaction } = await bot.click('report_open:9');
+        expect(interaction.modal.custom_id).toBe('report_form:9');
+
+        const message = bot.channel.createMessage({ content: 'Report 9', author: bot.client.user });
+        let { replies } = await bot.submitModal('report_form:9', { subject: 'Spam bot', severity: '3' }, { message });
+        expect(replies[0].content).toBe('Report 9: Spam bot (3)');
+
+        ({ replies } = await bot.submitModal('report_form:9', { subject: '', severity: '9', details: 'far too long' }));
+        expect(replies).toHaveLength(1);
+        expect(replies[0].ephemeral).toBe(true);
+        expect(replies[0].content).toBe([
+            '❌ Please correct the following fields:',
+            '• **Subject**: This field is required',
+            '• **severity**: Number too large (max: 5)',
+            '• **details**: String too long (max: 10)'
+        ].join('\n'));
+    });
+
+    test('answers modals that were not opened from a message', async () => {
+        bot.client.components.route('feedback', jest.fn(), { kind: 'modal' });
+        const { replies } = await bot.submitModal('feedback', { text: 'Nice' });
+        expect(replies[0]).toMatchObject({ content: '✅ Done.', ephemeral: true });
+    });
+
+    test('rejects conflicting routes', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect(() => bot.client.commands.register({
+            name: 'support',
+            code: '$say[Support]',
+            components: { 'support_open': '$say[Open]', 'ticket_close:{id}': '$say[Other]' }
+        })).toThrow('Component route ticket_close:{id} is already handled by command ticket');
+        console.error.mockRestore();
+
+        expect(bot.client.commands.get('support')).toBeUndefined();
+        expect(bot.client.components.match('support_open')).toBeNull();
+    });
+});
+
+describe('$component', () => {
+    let bot;
+    let component;
+
+    const button = (customId, label = customId) => ({ type: 'button', label, customId });
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        component = bot.client.charms.get('component');
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('builds rows of buttons, select menus and text inputs', async () => {
+        const rows = await component.execute({
+            action: 'create',
+            type: 'rows',
+            rows: [
+                [button('yes', 'Yes'), { type: 'button', style: 'link', label: 'Docs', url: 'https://example.com' }],
+                [{ type: 'user', customId: 'pick_user', maxValues: 3 }],
+                [{ type: 'select', customId: 'color', options: [{ label: 'Red', value: 'red', emoji: '🔴' }] }]
+            ]
+        });
+
+        expect(rows.map(row => row.components.map(item => item.type))).toEqual([[2, 2], [5], [3]]);
+        expect(rows[0].components[0]).toEqual({ type: 2, style: 1, label: 'Yes', custom_id: 'yes', disabled: false });
+        expect(rows[2].components[0].options).toEqual([{ label: 'Red', value: 'red', emoji: { name: '🔴' } }]);
+
+        const input = await component.execute({ action: 'create', type: 'input', options: { customId: 'reason', label: 'Reason', style: 'paragraph' } });
+        expect(input).toEqual({ type: 4, custom_id: 'reason', label: 'Reason', style: 2, required: true });
+    });
+
+    test('explains Discord limits', async () => {
+        const create = options => component.execute({ action: 'create', ...options });
+
+        await expect(create({ type: 'rows', rows: Array.from({ length: 6 }, (_, i) => [button(`b${i}`)]) }))
+            .rejects.toThrow('A message can have at most 5 rows, got 6');
+        await expect(create({ type: 'row', components: Array.from({ length: 6 }, (_, i) => button(`b${i}`)) }))
+            .rejects.toThrow('Row 1 has 6 buttons, the limit is 5');
+        await expect(create({ type: 'row', components: [button('a'), { type: 'role', customId: 'roles' }] }))
+            .rejects.toThrow('Row 1: a role select menu must be the only component of its row');
+        await expect(create({ type: 'row', components: [button('a', 'x'.repeat(81))] }))
+            .rejects.toThrow(`Row 1, button "${'x'.repeat(81)}": label is 81 characters long, the limit is 80`);
+        await expect(create({ type: 'select', customId: 'many', options: Array.from({ length: 26 }, (_, i) => ({ value: `v${i}` })) }))
+            .rejects.toThrow('select menu "many": 26 options, the limit is 25');
+        await expect(create({ type: 'input', customId: 'long', label: 'y'.repeat(46) }))
+            .rejects.toThrow('label is 46 characters long, the limit is 45');
+        await expect(create({ type: 'rows', rows: [[button('same')], [button('same')]] }))
+            .rejects.toThrow('customId "same" is used by more than one component');
+        await expect(create({ type: 'button', style: 'link', label: 'Docs', url: 'https://example.com', customId: 'docs' }))
+            .rejects.toThrow('button "Docs": link buttons open their url and can\'t have a customId');
+        await expect(create({ type: 'button', label: 'Docs', url: 'https://example.com', customId: 'docs' }))
+            .rejects.toThrow('button "Docs": only link buttons can have a url');
+    });
+
+    test('builds Components v2 layouts with the message flag', async () => {
+        const layout = await component.execute({
+            action: 'create',
+            type: 'layout',
+            components: [{
+                type: 'container',
+                accentColor: '#5865F2',
+                components: [
+                    '# Ticket',
+                    { type: 'section', text: 'Opened by tester', accessory: { type: 'thumbnail', url: 'https://example.com/a.png' } },
+                    { type: 'separator', spacing: 'large' },
+                    { type: 'media gallery', items: ['https://example.com/1.png', { url: 'https://example.com/2.png', spoiler: true }] },
+                    { type: 'file', url: 'attachment://log.txt' },
+                    [button('ticket_close', 'Close')]
+                ]
+            }]
+        });
+
+        expect(layout.flags).toBe(MessageFlags.IsComponentsV2);
+        const [container] = layout.components;
+        expect(container).toMatchObject({ type: 17, accent_color: 0x5865F2 });
+        expect(container.components.map(item => item.type)).toEqual([10, 9, 14, 12, 13, 1]);
+        expect(container.components[1]).toEqual({
+            type: 9,
+            components: [{ type: 10, content: 'Opened by tester' }],
+            accessory: { type: 11, media: { url: 'https://example.com/a.png' } }
+        });
+        expect(container.components[2]).toEqual({ type: 14, divider: true, spacing: 2 });
+        expect(container.components[3].items[1]).toEqual({ media: { url: 'https://example.com/2.png' }, spoiler: true });
+
+        bot.client.commands.register({ name: 'card', code: '$say[$component[{"type": "layout", "components": ["Hello", [{"type": "button", "label": "Hi", "customId": "card_hi"}]]}]]' });
+        const [message] = (await bot.send('!card')).replies;
+        expect(message.flags.has(MessageFlags.IsComponentsV2)).toBe(true);
+        expect(message.components.map(item => item.type)).toEqual([10, 1]);
+    });
+
+    test('explains Components v2 limits', async () => {
+        const layout = (...components) => component.execute({ action: 'create', type: 'layout', components });
+        const section = (texts, accessory = button('more')) => ({ type: 'section', components: texts, accessory });
+
+        await expect(layout(...Array.from({ length: 41 }, (_, i) => `line ${i}`)))
+            .rejects.toThrow('A message can have at most 40 components, got 41');
+        await expect(layout('x'.repeat(3000), 'y'.repeat(1001)))
+            .rejects.toThrow('The text displays of a message add up to 4001 characters, the limit is 4000');
+        await expect(layout({ type: 'container', components: [{ type: 'container', components: ['a'] }] }))
+            .rejects.toThrow('Layout, container: a container can\'t be placed here');
+        await expect(layout({ type: 'thumbnail', url: 'https://example.com/a.png' }))
+            .rejects.toThrow('Layout: a thumbnail can\'t be placed here');
+        await expect(layout(section(['a', 'b', 'c', 'd'])))
+            .rejects.toThrow('Layout, section: sections hold 1 to 3 text displays, got 4');
+        await expect(layout(section(['a'], { type: 'separator' })))
+            .rejects.toThrow('Layout, section: sections need a button or a thumbnail as accessory');
+        await expect(layout(section(['a'], { type: 'button', label: 'More' })))
+            .rejects.toThrow('Layout, section, button "More": buttons need a customId');
+        await expect(layout([{ type: 'text display', content: 'a' }]))
+            .rejects.toThrow('Layout, row: a text display can\'t be placed in a row');
+        await expect(layout({ type: 'gallery', items: Array.from({ length: 11 }, (_, i) => `https://example.com/${i}.png`) }))
+            .rejects.toThrow('Layout, media gallery: media galleries hold 1 to 10 items, got 11');
+        await expect(layout({ type: 'file', url: 'https://example.com/log.txt' }))
+            .rejects.toThrow('Layout, file: files must point to an attachment of the message, e.g. attachment://report.pdf');
+        await expect(layout({ type: 'container', accentColor: 0x1000000, components: ['a'] }))
+            .rejects.toThrow('Layout, container: accentColor must be a color from 0x000000 to 0xFFFFFF');
+        await expect(layout(section(['a'], button('same')), [button('same')]))
+            .rejects.toThrow('customId "same" is used by more than one component');
+    });
+
+    test('disables and replaces components of a message by customId', async () => {
+        bot.client.commands.register({
+            name: 'panel',
+            code: '$say[{"content": "Panel", "components": $component[{"action": "create", "type": "rows", "rows": [[{"type": "button", "label": "Lock", "customId": "panel_lock"}, {"type": "button", "label": "Help", "customId": "panel_help"}]]}]}]',
+            components: {
+                panel_lock: '$component[disable; panel_lock]',
+                panel_help: '$component[{"action": "replace", "customId": "panel_help", "component": {"type": "button", "style": "success", "label": "Helped", "customId": "panel_done"}}]'
+            }
+        });
+
+        const message = (await bot.send('!panel')).replies[0];
+        const labels = () => message.components[0].components.map(item => [item.custom_id, item.label, item.disabled]);
+
+        const { interaction } = await bot.click('panel_lock', { message });
+        expect(interaction.replied).toBe(true);
+        expect(labels()).toEqual([['panel_lock', 'Lock', true], ['panel_help', 'Help', false]]);
+
+        await bot.click('panel_help', { message });
+        expect(labels()).toEqual([['panel_lock', 'Lock', true], ['panel_done', 'Helped', false]]);
+        expect(message.content).toBe('Panel');
+
+        await expect(component.execute({ action: 'enable', customId: 'missing', message: message.id }, { channel: bot.channel }))
+            .rejects.toThrow(`No component with customId missing on message ${message.id}`);
+    });
+
+    test('disables components inside Components v2 layouts', async () => {
+        const layout = await component.execute({
+            type: 'layout',
+            components: [{ type: 'container', components: [{ type: 'section', text: 'Vote', accessory: button('poll_yes', 'Yes') }, [button('poll_no', 'No')]] }]
+        });
+        const message = await bot.channel.send(layout);
+
+        await component.execute({ action: 'disable', customId: '*', message: message.id }, { channel: bot.channel });
+
+        const [container] = message.components;
+        expect(container.components[0].accessory).toMatchObject({ custom_id: 'poll_yes', disabled: true });
+        expect(container.components[1].components[0]).toMatchObject({ custom_id: 'poll_no', disabled: true });
+        expect(container.components[0].components).toEqual([{ type: 10, content: 'Vote' }]);
+        expect(message.flags.has(MessageFlags.IsComponentsV2)).toBe(true);
+    });
+});
+
+describe('$paginate', () => {
+    let bot;
+
+    const footer = message => message.embeds[0].footer.text;
+    const controls = message => message.components[0].components.map(button => [button.label, button.disabled]);
+
+    beforeEach(async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+        bot = await createTestBot({
+            commands: [{
+                name: 'list',
+                code: '$paginate[{"items": "$$*", "perPage": 2, "format": "{index}. {value}", "template": {"title": "Items ({total})", "description": "{content}", "footer": {"text": "Page {page}/{pages}"}}}]'
+            }]
+        });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+        jest.useRealTimers();
+    });
+
+    test('pages through items with the controls', async () => {
+        const message = (await bot.send('!list ["a", "b", "c", "d", "e"]')).replies[0];
+        expect(message.embeds[0]).toEqual({ title: 'Items (5)', description: '1. a\n2. b', footer: { text: 'Page 1/3' } });
+        expect(controls(message)).toEqual([['⏮', true], ['◀', true], ['1/3', false], ['▶', false], ['⏭', false]]);
+
+        const [, , jump, next, last] = message.components[0].components.map(button => button.custom_id);
+        await bot.click(next, { message });
+        expect(message.embeds[0].description).toBe('3. c\n4. d');
+
+        await bot.click(last, { message });
+        expect(message.embeds[0].description).toBe('5. e');
+        expect(controls(message)).toEqual([['⏮', false], ['◀', false], ['3/3', false], ['▶', true], ['⏭', true]]);
+
+        const { interaction } = await bot.click(jump, { message });
+        expect(interaction.modal.custom_id).toBe(jump);
+        await bot.submitModal(jump, { page: '2' }, { message });
+        expect(footer(message)).toBe('Page 2/3');
+
+        const invalid = await bot.submitModal(jump, { page: '9' }, { message });
+        expect(invalid.replies[0]).toMatchObject({ content: 'Enter a page between 1 and 3.', ephemeral: true });
+    });
+
+    test('only lets the invoking user turn pages and disables idle controls', async () => {
+        const message = (await bot.send('!list [1, 2, 3]')).replies[0];
+        const next = message.components[0].components[3].custom_id;
+
+        const other = bot.createUser({ username: 'other' });
+        const { replies } = await bot.click(next, { message, user: other });
+        expect(replies[0]).toMatchObject({ content: `Only <@${bot.user.id}> can use these controls.`, ephemeral: true });
+        expect(footer(message)).toBe('Page 1/2');
+
+        jest.advanceTimersByTime(120000);
+        await Promise.resolve();
+        expect(controls(message).every(([, disabled]) => disabled)).toBe(true);
+
+        const expired = await bot.click(next, { message });
+        expect(expired.replies[0].content).toBe('These controls have expired.');
+    });
+
+    test('splits long text into pages within the length limit', async () => {
+        const pages = bot.client.paginator.split(['x'.repeat(30), 'y'.repeat(30), 'z'.repeat(70)].join('\n'), { maxLength: 64 });
+        expect(pages).toEqual(['x'.repeat(30) + '\n' + 'y'.repeat(30), 'z'.repeat(64), 'z'.repeat(6)]);
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { replies } = await bot.send('!list []');
+        expect(replies[0].content).toContain('$paginate requires items or text');
+        const blank = await bot.send('!list ["", " "]');
+        expect(blank.replies[0].content).toContain('$paginate requires items or text');
+        console.error.mockRestore();
+    });
+
+    test('never renders a blank page', async () => {
+        const { paginator } = bot.client;
+        expect(paginator.split('one\n\n  \ntwo', { perPage: 1 })).toEqual(['one', 'two']);
+        expect(paginator.split('\n  ')).toEqual(['']);
+
+        const session = await paginator.create('   ', { author: bot.user, send: options => bot.channel.send(options) });
+        expect(session.message.embeds[0].description).toBe('*Nothing to show.*');
+    });
+});
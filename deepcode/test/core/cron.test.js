@@ -0,0 +1,90 @@
+const { parseCron, getNextRuns } = require('../../core/cron');
+const { createTestBot } = require('../../testing');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('Cron expressions', () => {
+    test('supports steps, ranges and lists', () => {
+        expect(iso(getNextRuns('*/15 * * * *', { from: Date.parse('2024-01-01T00:07:00Z'), timezone: 'UTC', count: 3 })))
+            .toEqual(['2024-01-01T00:15:00.000Z', '2024-01-01T00:30:00.000Z', '2024-01-01T00:45:00.000Z']);
+        expect(iso(getNextRuns('0 8-10/2 1,15 * *', { from: Date.parse('2024-01-01T09:00:00Z'), timezone: 'UTC', count: 3 })))
+            .toEqual(['2024-01-01T10:00:00.000Z', '2024-01-15T08:00:00.000Z', '2024-01-15T10:00:00.000Z']);
+    });
+
+    test('supports names, macros and a seconds field', () => {
+        expect(iso(getNextRuns('@monthly', { from: Date.parse('2024-01-31T12:00:00Z'), timezone: 'UTC', count: 2 })))
+            .toEqual(['2024-02-01T00:00:00.000Z', '2024-03-01T00:00:00.000Z']);
+        expect(iso(getNextRuns('0 12 * JAN SUN', { from: Date.parse('2024-01-01T00:00:00Z'), timezone: 'UTC', count: 1 })))
+            .toEqual(['2024-01-07T12:00:00.000Z']);
+        expect(iso(getNextRuns('*/30 * * * * *', { from: Date.parse('2024-01-01T00:00:10.500Z'), timezone: 'UTC', count: 2 })))
+            .toEqual(['2024-01-01T00:00:30.000Z', '2024-01-01T00:01:00.000Z']);
+    });
+
+    test('matches day or weekday when both are restricted', () => {
+        expect(iso(getNextRuns('0 0 13 * FRI', { from: Date.parse('2024-09-01T00:00:00Z'), timezone: 'UTC', count: 3 })))
+            .toEqual(['2024-09-06T00:00:00.000Z', '2024-09-13T00:00:00.000Z', '2024-09-20T00:00:00.000Z']);
+    });
+
+    test('runs on the wall clock of the task timezone across DST', () => {
+        // New York switches to daylight time on 2024-03-10
+        expect(iso(getNextRuns('0 9 * * MON-FRI', { from: Date.parse('2024-03-08T15:00:00Z'), timezone: 'America/New_York', count: 2 })))
+            .toEqual(['2024-03-11T13:00:00.000Z', '2024-03-12T13:00:00.000Z']);
+
+        // 02:30 does not exist that day
+        expect(iso(getNextRuns('30 2 * * *', { from: Date.parse('2024-03-09T12:00:00Z'), timezone: 'America/New_York', count: 1 })))
+            .toEqual(['2024-03-11T06:30:00.000Z']);
+
+        // 01:30 happens twice on 2024-11-03 but fires once
+        expect(iso(getNextRuns('30 1 * * *', { from: Date.parse('2024-11-02T12:00:00Z'), timezone: 'America/New_York', count: 2 })))
+            .toEqual(['2024-11-03T05:30:00.000Z', '2024-11-04T06:30:00.000Z']);
+    });
+
+    test('rejects invalid expressions', () => {
+        expect(() => parseCron('61 * * * *')).toThrow('Invalid cron minute value');
+        expect(() => parseCron('* * *')).toThrow('expected 5 or 6 fields');
+        expect(() => parseCron('0 0 * * *', { timezone: 'Mars/Base' })).toThrow('Invalid timezone');
+        expect(() => parseCron('0 0 30 2 *').next()).toThrow('never matches');
+    });
+});
+
+describe('$schedule previews', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createTestBot({
+            commands: [
+                { name: 'preview', code: '$schedule[next, 0 9 * * 1,3, 2]' }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('lists the next run times of a cron expression', async () => {
+        const { replies } = await bot.send('!preview');
+        const runs = replies[0].content.split('\n');
+
+        expect(runs).toHaveLength(2);
+        for (const run of runs) {
+            const date = new Date(run);
+            expect([1, 3]).toContain(date.getDay());
+            expect(date.getHours()).toBe(9);
+        }
+    });
+
+    test('previews in the given timezone', async () => {
+        const result = await bot.client.charms.get('schedule').execute({ action: 'next', cron: '@daily', timezone: 'Asia/Tokyo', count: 1 }, { client: bot.client });
+        expect(result.timezone).toBe('Asia/Tokyo');
+        expect(result.runs[0]).toMatch(/T15:00:00\.000Z$/);
+    });
+
+    test('previews a named task', async () => {
+        const scheduler = bot.client.scheduler;
+        scheduler.create({ name: 'standup', cron: '0 10 * * MON-FRI', timezone: 'Europe/Berlin', command: 'standup' });
+
+        expect(scheduler.preview('standup', { count: 3 })).toHaveLength(3);
+        expect(() => scheduler.create({ name: 'broken', cron: '0 25 * * *', command: 'x' })).toThrow('Invalid cron hour value');
+    });
+});
@@ -0,0 +1,116 @@
+const { createTestBot } = require('../../testing');
+const { errors } = require('../../core/errors');
+
+describe('CommandDispatcher', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createTestBot({
+            commands: [
+                { name: 'ping', aliases: ['p'], code: '$say[Pong!]' },
+                { name: 'slow', cooldown: '1m', code: '$say[ok]' },
+                { name: 'server', guildOnly: true, code: '$say[ok]' },
+                { name: 'purge', permissions: ['MANAGE_MESSAGES'], code: '$say[ok]' },
+                {
+                    name: 'hello',
+                    execute: (message, args) => message.reply(`Hello ${args.join(' ')}`)
+                }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    const contents = async (content, options) => (await bot.send(content, options)).replies.map(reply => reply.content);
+
+    test('runs code and function commands, resolving aliases', async () => {
+        expect(await contents('!p')).toEqual(['Pong!']);
+        expect(await contents('!hello world')).toEqual(['Hello world']);
+    });
+
+    test('is still exported under its former name', () => {
+        const deepcode = require('../..');
+        expect(deepcode.CharmExecutor).toBe(deepcode.CommandDispatcher);
+        expect(deepcode.CharmExecutor).toBe(bot.client.dispatcher.constructor);
+    });
+
+    test('enforces cooldowns per user', async () => {
+        expect(await contents('!slow')).toEqual(['ok']);
+        expect(await contents('!slow')).toEqual(['❌ Please wait 1 minute before using this command again']);
+    });
+
+    test('enforces guildOnly', async () => {
+        const dm = bot.dmChannel(bot.user);
+        expect(await contents('!server', { channel: dm })).toEqual(['❌ This command can only be used in a server']);
+    });
+
+    test('checks member permissions', async () => {
+        const user = bot.createUser({ username: 'member' });
+        bot.guild.addMember(user);
+        expect(await contents('!purge', { author: user })).toEqual(['❌ You need the following permissions: ManageMessages']);
+
+        // The guild owner has every permission
+        expect(await contents('!purge')).toEqual(['ok']);
+    });
+
+    test('runs plugin hooks and lets pre hooks cancel', async () => {
+        const calls = [];
+        bot.client.plugins.register({
+            name: 'audit',
+            onCommandPre: (command, context) => {
+                calls.push(`pre:${command.name}`);
+                return context.args[0] !== 'blocked';
+            },
+            onCommandPost: (command) => calls.push(`post:${command.name}`)
+        });
+
+        await bot.send('!hello there');
+        expect(await contents('!hello blocked')).toEqual([]);
+        expect(calls).toEqual(['pre:hello', 'post:hello', 'pre:hello']);
+    });
+
+    test('accepts custom middleware and records stats', async () => {
+        bot.client.dispatcher.use('maintenance', async () => {
+            throw new errors.CommandError('Bot is in maintenance');
+        }, { before: 'validate' });
+
+        expect(await contents('!ping')).toEqual(['❌ Bot is in maintenance']);
+
+        bot.client.dispatcher.remove('maintenance');
+        await bot.send('!ping');
+        expect(bot.client.dispatcher.getStats('ping')).toMatchObject({ uses: 1, errors: 0 });
+    });
+
+    test('runs slash commands and defers the ones that run long', async () => {
+        bot.client.config.slash = { deferAfter: 20 };
+        bot.client.commands.register({ name: 'greet', slash: true, usage: '<name>', code: '$say[Hello $$1]' });
+        bot.client.charms.set('slowly', {
+            name: 'slowly',
+            execute: () => new Promise(resolve => setTimeout(() => resolve('Report ready'), 60))
+        });
+        bot.client.commands.register({ name: 'report', slash: true, code: '$slowly[]' });
+
+        let { interaction, replies } = await bot.slash('greet', { name: 'Ada' });
+        expect(replies.map(reply => reply.content)).toEqual(['Hello Ada']);
+        expect(interaction.deferred).toBe(false);
+
+        ({ interaction, replies } = await bot.slash('report'));
+        expect(interaction.deferred).toBe(true);
+        expect(replies.map(reply => reply.content)).toEqual(['Report ready']);
+    });
+
+    test('logs errors of the event handlers instead of rejecting', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(bot.client.dispatcher, 'dispatch').mockRejectedValue(new Error('boom'));
+        jest.spyOn(bot.client.components, 'handle').mockRejectedValue(new Error('boom'));
+
+        expect(await contents('!ping')).toEqual(['❌ An error occurred while executing the command.']);
+        const { replies } = await bot.click('anything');
+        expect(replies[0]).toMatchObject({ content: '❌ An error occurred while handling this interaction.', ephemeral: true });
+        expect(console.error).toHaveBeenCalledWith('Interaction event error:', expect.any(Error));
+
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,74 @@
+const { createTestBot } = require('../../testing');
+
+describe('Structured exceptions', () => {
+    let bot;
+
+    const code = (charm, args) => `$${charm}[${JSON.stringify(args)}]`;
+    const process = source => bot.client.engine.process(source, { client: bot.client, args: ['-5'] });
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+        bot.client.charms.set('echo', { name: 'echo', execute: args => args });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('$throw and $assert raise typed errors', async () => {
+        const thrown = await process(code('throw', { message: 'No funds', code: 'NO_FUNDS', data: { needed: 5 } })).catch(error => error);
+        expect(thrown).toMatchObject({ name: 'ScriptError', code: 'NO_FUNDS', message: 'No funds', data: { needed: 5 } });
+
+        await expect(process('$throw[Plain]')).rejects.toMatchObject({ code: 'SCRIPT_ERROR', message: 'Plain' });
+        await expect(process('$assert[$$1 > 0; Amount must be positive]'))
+            .rejects.toMatchObject({ name: 'AssertionError', code: 'ASSERTION_FAILED', message: 'Amount must be positive' });
+        await expect(process('$assert[3 >= 2; fine]')).resolves.toBe(true);
+        await expect(process(code('assert', { condition: '1 == 2', message: 'Mismatch', code: 'E1', data: { a: 1 } })))
+            .rejects.toMatchObject({ code: 'E1', data: { a: 1 } });
+    });
+
+    test('$try catches by code and exposes $$error', async () => {
+        const failing = code('throw', { message: 'No funds', code: 'NO_FUNDS', data: { needed: 5 } });
+
+        await expect(process(code('try', { code: failing, catch: '$echo[$$error.name $$error.code: $$error needs $$error.data.needed]' })))
+            .resolves.toBe('ScriptError NO_FUNDS: No funds needs 5');
+        await expect(process(code('try', { code: failing, catch: { 'E1|NO_FUNDS': '$echo[matched]', '*': '$echo[any]' } })))
+            .resolves.toBe('matched');
+        await expect(process(code('try', { code: '$throw[x]', catch: { NO_FUNDS: '$echo[matched]', '*': '$echo[any $$error.code]' } })))
+            .resolves.toBe('any SCRIPT_ERROR');
+        await expect(process(code('try', { code: '$throw[x]', catch: { NO_FUNDS: '$echo[matched]' } })))
+            .rejects.toMatchObject({ code: 'SCRIPT_ERROR' });
+    });
+
+    test('finally always runs and nothing swallows $break or budgets', async () => {
+        const log = [];
+        bot.client.charms.set('mark', { name: 'mark', execute: args => { log.push(args); } });
+
+        await expect(process(code('try', { code: '$throw[x]', finally: '$mark[finally]' }))).rejects.toThrow('x');
+        await expect(process(code('try', { code: '$echo[ok]', catch: '$mark[catch]', finally: '$mark[done]' }))).resolves.toBe('ok');
+        expect(log).toEqual(['finally', 'done']);
+
+        const body = code('try', { code: '$break[]', catch: '$echo[caught]' });
+        await expect(process(code('loop', { times: 3, code: `${body}$$index` }))).resolves.toEqual([]);
+
+        bot.client.config.execution = { maxIterations: 5 };
+        await expect(process(code('try', { code: code('loop', { times: 10, code: 'x' }), catch: '$echo[caught]' })))
+            .rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    });
+
+    test('onError replaces the generic reply', async () => {
+        bot.client.commands.register({
+            name: 'pay',
+            code: '$assert[$$1 > 0; Give a positive amount]$say[Paid]',
+            onError: '$say[$$error.code: $$error]'
+        });
+        bot.client.commands.register({ name: 'broken', code: '$throw[x]', onError: '$missing[]' });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await bot.send('!pay -1')).replies[0].content).toBe('ASSERTION_FAILED: Give a positive amount');
+        expect((await bot.send('!pay 1')).replies[0].content).toBe('Paid');
+        expect((await bot.send('!broken')).replies[0].content).toContain('An error occurred while executing the command.');
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('onError of command broken failed:'), expect.stringContaining('Unknown charm: missing'));
+        console.error.mockRestore();
+    });
+});
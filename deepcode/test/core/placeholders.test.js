@@ -0,0 +1,81 @@
+const { createTestBot } = require('../../testing');
+
+describe('Context placeholders', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createTestBot({
+            commands: [
+                { name: 'hello', code: '$say[Hello $$username! Welcome to $$guild]' },
+                { name: 'who', code: '$say[$$author.tag in #$$channel.name, args: $$args]' },
+                { name: 'poke', code: '$say[{"content": "$$mention.username was poked by $$author"}]' },
+                { name: 'meta', code: '$$prefix$$command.name has $$command.aliases.length aliases', aliases: ['m'] },
+                { name: 'stats', code: 'Seen $$counter.messages, missing $$nothing' },
+                { name: 'bio', code: '$say[Bio: $data[bio]]' },
+                { name: 'repeat', code: '$loop[{"times": 2, "code": "$say[$$1]"}]' },
+                { name: 'echo', code: '$condition[{"left": "$$1", "operator": "==", "right": "$$2", "then": "You said $$*"}]' }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    const reply = async (content) => (await bot.send(content)).replies[0]?.content;
+
+    test('exposes author, guild and channel with dot paths', async () => {
+        expect(await reply('!hello')).toBe('Hello tester! Welcome to Test Guild');
+        expect(await reply('!who a b')).toBe('tester in #general, args: a b');
+    });
+
+    test('resolves mentions inside JSON arguments', async () => {
+        const alice = bot.createUser({ username: 'alice' });
+        bot.guild.addMember(alice);
+        expect(await reply(`!poke <@${alice.id}>`)).toBe(`alice was poked by <@${bot.user.id}>`);
+    });
+
+    test('exposes prefix and command metadata', async () => {
+        expect(await reply('!m')).toBe('!meta has 1 aliases');
+    });
+
+    test('falls back to variables and keeps unknown names', async () => {
+        bot.variables.set('counter.messages', 7);
+        expect(await reply('!stats')).toBe('Seen 7, missing $$nothing');
+    });
+
+    test('never expands placeholders from charm output or calls methods', async () => {
+        bot.variables.set('bio', '$$message.delete $$author.tag $$1 $5');
+        const { message, replies } = await bot.send('!bio one');
+        expect(replies[0].content).toBe('Bio: $$message.delete $$author.tag $$1 $5');
+        expect(message.deleted).toBe(false);
+
+        expect(bot.client.engine.placeholders.resolve('message.delete', { message })).toBeUndefined();
+    });
+
+    test('never runs user input substituted into code blocks', async () => {
+        const { replies } = await bot.send('!repeat x]$say[injected');
+        expect(replies.map(message => message.content)).toEqual(['x', 'x']);
+
+        bot.variables.set('secret', 'hidden');
+        expect(await reply('!echo $say[hi] $say[hi]')).toBe('You said $say[hi] $say[hi]');
+        expect(await reply('!echo $$secret hidden')).toBeUndefined();
+        expect(await reply('!echo $data[set;x;1] $data[set;x;1]')).toBe('You said $data[set;x;1] $data[set;x;1]');
+        expect(bot.variables.get('x')).toBeUndefined();
+    });
+
+    test('only reads data and never the client or its token', () => {
+        const { placeholders } = bot.client.engine;
+        const context = { guild: bot.guild, author: bot.user, channel: bot.channel };
+        bot.client.token = 'secret-token';
+        Object.defineProperty(bot.guild, 'client', { value: bot.client, configurable: true });
+
+        expect(placeholders.resolve('guild.client.token', context)).toBeUndefined();
+        expect(placeholders.resolve('guild.client', context)).toBeUndefined();
+        expect(placeholders.resolve('channel.guild.name', context)).toBeUndefined();
+        expect(placeholders.resolve('author.constructor.name', context)).toBeUndefined();
+        expect(placeholders.resolve('guild.name', context)).toBe('Test Guild');
+        expect(placeholders.resolve('author.tag', context)).toBe('tester');
+        expect(placeholders.resolve('guild.roles.cache.size', context)).toBeUndefined();
+    });
+});
@@ -0,0 +1,335 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestBot } = require('../../testing');
+const { satisfies } = require('../../core/version');
+
+describe('Plugin loading', () => {
+    let bot;
+    let root;
+
+    const write = (file, content) => {
+        const target = path.join(root, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+    };
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'deepcode-plugins-'));
+        jest.spyOn(process, 'cwd').mockReturnValue(root);
+        bot = await createTestBot();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await bot.destroy();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('loads a project plugin and merges its config', async () => {
+        write('plugins/greeter.js', `module.exports = {
+            name: 'greeter',
+            defaultConfig: { greeting: 'Hello', punctuation: '!' },
+            async init(client) {
+                this.client = client;
+            }
+        };`);
+
+        const plugin = await bot.client.plugins.load('greeter', { greeting: 'Hi' });
+
+        expect(plugin.client).toBe(bot.client);
+        expect(plugin.config).toEqual({ greeting: 'Hi', punctuation: '!' });
+        expect(bot.client.plugins.get('greeter')).toBe(plugin);
+    });
+
+    test('loads bundled plugins and deepcode-plugin-* packages', async () => {
+        const automod = await bot.client.plugins.load('automod', { enabled: false });
+        expect(automod.config.enabled).toBe(false);
+        expect(automod.config.filters.spam.enabled).toBe(true);
+        expect(bot.client.commands.get('automod')).toBeDefined();
+
+        write('node_modules/deepcode-plugin-hello/package.json', JSON.stringify({
+            name: 'deepcode-plugin-hello',
+            main: 'main.js',
+            peerDependencies: { 'deepcode-charm': '>=0.0.1' }
+        }));
+        write('node_modules/deepcode-plugin-hello/main.js', `module.exports = class HelloPlugin {
+            constructor(client) { this.client = client; this.name = 'hello'; }
+        };`);
+
+        const hello = await bot.client.plugins.load('hello');
+        expect(hello.constructor.name).toBe('HelloPlugin');
+        expect(hello.client).toBe(bot.client);
+    });
+
+    test('unloads and reloads the bundled automod plugin', async () => {
+        const listeners = ['messageCreate', 'messageUpdate'].map(event => bot.client.listenerCount(event));
+        await bot.client.plugins.load('automod', { enabled: false });
+        expect(bot.client.listenerCount('messageUpdate')).toBe(listeners[1] + 1);
+
+        expect((await bot.send('!automod filter caps off')).replies[0].content)
+            .toBe('AutoMod is disabled. Filters: spam: on, invites: on, links: on, caps: off, mentions: on, words: on');
+
+        await bot.client.plugins.reload('automod');
+        expect((await bot.send('!automod')).replies[0].content).toContain('caps: off');
+
+        await bot.client.plugins.unload('automod');
+        expect(bot.client.commands.get('automod')).toBeUndefined();
+        expect(['messageCreate', 'messageUpdate'].map(event => bot.client.listenerCount(event))).toEqual(listeners);
+    });
+
+    test('automod only blocks blacklisted links unless told to block all', async () => {
+        const automod = await bot.client.plugins.load('automod');
+        const links = automod.config.filters.links;
+        const message = { content: 'see https://docs.example.com/page and http://other.org' };
+
+        await expect(automod.checkLinks(message)).resolves.toBe(false);
+
+        links.blacklist = ['example.com'];
+        await expect(automod.checkLinks(message)).resolves.toBe(true);
+
+        links.blacklist = [];
+        links.blockAll = true;
+        links.whitelist = ['example.com', 'other.org'];
+        await expect(automod.checkLinks(message)).resolves.toBe(false);
+        links.whitelist = ['example.com'];
+        await expect(automod.checkLinks(message)).resolves.toBe(true);
+    });
+
+    test('rejects plugins built for another framework version', async () => {
+        write('plugins/future.js', `module.exports = { name: 'future', deepcode: '>=99.0.0' };`);
+
+        await expect(bot.client.plugins.load('future')).rejects.toThrow(/requires deepcode-charm >=99\.0\.0, but .* is installed/);
+        expect(bot.client.plugins.get('future')).toBeUndefined();
+    });
+
+    test('loads a batch in dependency order', async () => {
+        write('plugins/economy.js', `module.exports = {
+            name: 'economy',
+            init(client) { client.plugins.provide('economy', { currency: 'coins' }); }
+        };`);
+        write('plugins/shop.js', `module.exports = {
+            name: 'shop',
+            dependencies: ['economy'],
+            init(client) { this.currency = client.plugins.requireService('economy').currency; }
+        };`);
+
+        const [shop] = await bot.client.plugins.loadAll({ shop: {}, economy: {} });
+        expect(shop.currency).toBe('coins');
+
+        await expect(bot.client.plugins.load('./plugins/shop.js')).rejects.toThrow('Plugin shop already exists');
+    });
+
+    test('refuses a batch with a missing dependency', async () => {
+        write('plugins/shop.js', `module.exports = { name: 'shop', dependencies: ['economy'] };`);
+
+        await expect(bot.client.plugins.load('shop')).rejects.toThrow('Plugin shop requires economy, which is not loaded');
+        expect(bot.client.plugins.get('shop')).toBeUndefined();
+    });
+
+    test('reports where it looked when a plugin cannot be found', async () => {
+        const error = await bot.client.plugins.load('missing').catch(error => error);
+
+        expect(error.name).toBe('PluginError');
+        expect(error.message).toContain('Cannot find plugin "missing"');
+        expect(error.message).toContain(path.join(root, 'plugins', 'missing'));
+        expect(error.message).toContain('deepcode-plugin-missing');
+    });
+
+    test('rolls back a plugin whose initialization fails', async () => {
+        write('plugins/broken.js', `module.exports = {
+            name: 'broken',
+            onCommandPre() {},
+            async onLoad() { throw new Error('no database'); }
+        };`);
+
+        await expect(bot.client.plugins.load('broken')).rejects.toThrow('Plugin broken failed to load: no database');
+        expect(bot.client.plugins.get('broken')).toBeUndefined();
+        expect(bot.client.plugins.hooks.get('onCommandPre').has('broken')).toBe(false);
+    });
+});
+
+describe('Plugin dependencies', () => {
+    let bot;
+    let log;
+
+    const plugin = (name, options = {}) => ({
+        name,
+        version: '1.0.0',
+        async init(client) {
+            log.push(`init ${name}`);
+            await options.init?.(client);
+        },
+        async onUnload() {
+            log.push(`unload ${name}`);
+        },
+        ...options
+    });
+
+    beforeEach(async () => {
+        log = [];
+        bot = await createTestBot();
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('initializes dependencies first and shares services', async () => {
+        const plugins = bot.client.plugins;
+
+        plugins.register(plugin('shop', {
+            dependencies: { economy: '^1.0.0' },
+            optionalDependencies: ['stats'],
+            init(client) {
+                log.push('init shop');
+                this.economy = client.plugins.requireService('economy');
+            }
+        }));
+        plugins.register(plugin('stats'));
+        plugins.register(plugin('economy', {
+            init(client) {
+                log.push('init economy');
+                client.plugins.provide('economy', { balance: () => 100 });
+            }
+        }));
+        await plugins.settle();
+
+        expect(log).toEqual(['init economy', 'init stats', 'init shop']);
+        expect(plugins.get('shop').economy.balance()).toBe(100);
+        expect(plugins.getPluginInfo('economy')).toMatchObject({ state: 'loaded', services: ['economy'], dependents: ['shop'] });
+    });
+
+    test('rejects dependency cycles', () => {
+        bot.client.plugins.register(plugin('a', { dependencies: ['b'] }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect(() => bot.client.plugins.register(plugin('b', { dependencies: ['c'] }))).not.toThrow();
+        expect(() => bot.client.plugins.register(plugin('c', { dependencies: ['a'] })))
+            .toThrow('Plugin dependency cycle: c -> a -> b -> c');
+        expect(bot.client.plugins.get('c')).toBeUndefined();
+    });
+
+    test('waits for missing dependencies and version matches', async () => {
+        const plugins = bot.client.plugins;
+        plugins.register(plugin('shop', { dependencies: { economy: '^2.0.0' } }));
+        plugins.register(plugin('economy'));
+        await plugins.settle();
+
+        expect(plugins.states.get('shop')).toBe('pending');
+        expect(plugins.getMissingDependencies(plugins.get('shop'))).toEqual(['economy@^2.0.0 (found 1.0.0)']);
+    });
+
+    test('unloads dependents before their dependencies', async () => {
+        const plugins = bot.client.plugins;
+        plugins.register(plugin('economy', { init: client => client.plugins.provide('economy', {}) }));
+        plugins.register(plugin('shop', { dependencies: ['economy'] }));
+        plugins.register(plugin('bank', { dependencies: ['economy'] }));
+        await plugins.settle();
+        log = [];
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(plugins.unregister('economy')).rejects.toThrow('Cannot unload plugin economy: shop, bank depend on it');
+
+        await plugins.unregister('economy', { cascade: true });
+        expect(log).toEqual(['unload bank', 'unload shop', 'unload economy']);
+        expect(plugins.hasService('economy')).toBe(false);
+        expect(plugins.items.size).toBe(0);
+    });
+});
+
+describe('Plugin contributions', () => {
+    let bot;
+
+    const economy = () => ({
+        name: 'economy',
+        charms: {
+            balance(args, context) {
+                return this.balances.get(args || context.author.id) || 0;
+            }
+        },
+        commands: [
+            { name: 'balance', code: '$say[$$currency: $economy.balance[]]' }
+        ],
+        events: {
+            guildMemberAdd(member) {
+                this.balances.set(member.id, 50);
+            }
+        },
+        variables: { currency: 'coins', 'user:coins': 100 },
+        balances: new Map([['user-1', 250]])
+    });
+
+    beforeEach(async () => {
+        bot = await createTestBot();
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await bot.destroy();
+    });
+
+    test('adds namespaced charms, commands, events and variables', async () => {
+        const { client } = bot;
+        client.plugins.register(economy());
+        await client.plugins.settle();
+
+        expect(client.charms.has('economy.balance')).toBe(true);
+        expect((await bot.send('!balance')).replies[0].content).toBe('coins: 0');
+
+        client.emit('guildMemberAdd', { id: bot.user.id });
+        expect((await bot.send('!balance')).replies[0].content).toBe('coins: 50');
+
+        expect(client.variables.get('currency')).toBe('coins');
+        expect(client.variables.getDefault('user', 'coins')).toBe(100);
+        expect(client.plugins.getPluginInfo('economy').contributes.charms).toEqual(['economy.balance']);
+    });
+
+    test('removes everything on unregister', async () => {
+        const { client } = bot;
+        const listeners = client.listenerCount('guildMemberAdd');
+        client.plugins.register(economy());
+        await client.plugins.settle();
+
+        await client.plugins.unregister('economy');
+
+        expect(client.charms.has('economy.balance')).toBe(false);
+        expect(client.commands.get('balance')).toBeUndefined();
+        expect(client.events.listeners.has('economy:guildMemberAdd:0')).toBe(false);
+        expect(client.listenerCount('guildMemberAdd')).toBe(listeners);
+        expect(client.variables.get('currency')).toBeUndefined();
+        expect(client.variables.getDefault('user', 'coins')).toBeUndefined();
+    });
+
+    test('refuses to overwrite existing charms', async () => {
+        const { client } = bot;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        client.charms.set('economy.balance', { execute: () => 'taken' });
+
+        client.plugins.register(economy());
+        await client.plugins.settle();
+
+        expect(client.plugins.states.get('economy')).toBe('failed');
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error loading plugin economy'), expect.objectContaining({
+            message: 'Charm $economy.balance already exists'
+        }));
+        expect(client.charms.get('economy.balance').execute()).toBe('taken');
+        expect(client.commands.get('balance')).toBeUndefined();
+    });
+});
+
+describe('Version ranges', () => {
+    test('supports comparators, caret, tilde, wildcards and hyphen ranges', () => {
+        expect(satisfies('1.4.2', '^1.2.0')).toBe(true);
+        expect(satisfies('2.0.0', '^1.2.0')).toBe(false);
+        expect(satisfies('0.2.5', '^0.2.1')).toBe(true);
+        expect(satisfies('0.3.0', '^0.2.1')).toBe(false);
+        expect(satisfies('1.2.9', '~1.2.3')).toBe(true);
+        expect(satisfies('1.3.0', '~1.2.3')).toBe(false);
+        expect(satisfies('1.9.0', '1.x')).toBe(true);
+        expect(satisfies('1.5.0', '1.0.0 - 1.4.0')).toBe(false);
+        expect(satisfies('3.1.0', '^1.0.0 || >=3.0.0 <4')).toBe(true);
+        expect(satisfies('0.0.4-alpha-07', '>=0.0.4-alpha')).toBe(true);
+        expect(satisfies('1.0.0-beta', '>=1.0.0')).toBe(false);
+    });
+});
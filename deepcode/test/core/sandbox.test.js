@@ -0,0 +1,83 @@
+const { createTestBot } = require('../../testing');
+const { runInSandbox } = require('../../core/sandbox');
+
+describe('Sandboxed eval', () => {
+    test('returns results, logs and errors', async () => {
+        await expect(runInSandbox('1 + 2')).resolves.toEqual({ success: true, result: 3, logs: [] });
+        await expect(runInSandbox('console.log("hi", { a: 1 }); return 5', { async: true }))
+            .resolves.toEqual({ success: true, result: 5, logs: ['hi {"a":1}'] });
+        await expect(runInSandbox('missing()')).resolves.toMatchObject({ success: false, error: 'missing is not defined' });
+    });
+
+    test('enforces time and memory limits', async () => {
+        await expect(runInSandbox('while (true) {}', { timeout: 100 }))
+            .resolves.toMatchObject({ success: false, error: 'Timed out after 100ms' });
+        await expect(runInSandbox('await new Promise(resolve => setTimeout(resolve, 1e6))', { async: true, timeout: 100 }))
+            .resolves.toMatchObject({ success: false });
+        await expect(runInSandbox('const a = []; while (true) a.push(new Array(1e5).fill(1))', { timeout: 10000, memory: 16 }))
+            .resolves.toMatchObject({ success: false, error: 'Memory limit of 16MB exceeded' });
+    });
+
+    test('exposes only frozen copies and no way out', async () => {
+        const globals = { author: { id: '1', tags: ['a'] } };
+
+        await expect(runInSandbox('typeof require + typeof process')).resolves.toMatchObject({ result: 'undefinedundefined' });
+        await expect(runInSandbox('author.constructor.constructor("return process")()', { globals }))
+            .resolves.toMatchObject({ success: false, error: 'Code generation from strings disallowed for this context' });
+        await expect(runInSandbox('this.constructor.constructor("return process")()'))
+            .resolves.toMatchObject({ success: false });
+        await expect(runInSandbox('"use strict"; author.tags.push("b")', { globals })).resolves.toMatchObject({ success: false });
+        expect(globals.author.tags).toEqual(['a']);
+    });
+
+    test('never inspects results on the host', async () => {
+        // util.inspect would hand the custom hook the host's inspect function
+        const code = `({
+            run() {},
+            [Symbol.for('nodejs.util.inspect.custom')](depth, options, inspect) {
+                return 'escaped ' + typeof inspect.constructor('return process')().pid;
+            }
+        })`;
+
+        const { success, result } = await runInSandbox(code);
+        expect(success).toBe(true);
+        expect(result).toBe('{}');
+        await expect(runInSandbox('({ value: 1, run() {} })')).resolves.toMatchObject({ result: '{"value":1}' });
+    });
+});
+
+describe('$system', () => {
+    let bot;
+    let context;
+
+    const system = args => bot.client.charms.get('system').execute(args, context);
+
+    beforeEach(async () => {
+        bot = await createTestBot({ config: { system: { eval: { owners: [] } } } });
+        context = { client: bot.client, author: bot.user, guild: bot.guild, channel: bot.channel, args: ['x'] };
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('limits eval to the configured owners', async () => {
+        await expect(system({ action: 'eval', code: '1' })).rejects.toThrow('$system eval is limited to the users in system.eval.owners');
+
+        bot.client.config.system.eval.owners = [bot.user.id];
+        const { result } = await system({ action: 'eval', code: '[author.username, guild.id, args[0], client.commands.length >= 0]' });
+
+        expect(result).toEqual([bot.user.username, bot.guild.id, 'x', true]);
+    });
+
+    test('keeps exec disabled unless enabled and limits it to the owners', async () => {
+        const args = { action: 'exec', command: { code: 'Hello' } };
+        await expect(system(args)).rejects.toThrow('$system exec is disabled; set system.exec to true to enable it');
+
+        bot.client.config.system.exec = true;
+        await expect(system(args)).rejects.toThrow('$system exec is limited to the users in system.eval.owners');
+
+        bot.client.config.system.eval.owners = [bot.user.id];
+        await expect(system(args)).resolves.toBe('Hello');
+    });
+});
@@ -0,0 +1,157 @@
+const { createTestBot } = require('../../testing');
+const { MemoryStorage } = require('../../core/storage');
+
+const MINUTE = 60 * 1000;
+
+describe('Durable scheduled tasks', () => {
+    let storage;
+    let bots;
+
+    const start = async (options = {}) => {
+        const bot = await createTestBot({
+            config: { schedule: { persist: true, storage, ...options.schedule } },
+            commands: [
+                { name: 'remind', code: '$schedule[once, {"name": "standup", "delay": "1h", "command": "$say[Standup, $$username!]"}]' }
+            ]
+        });
+        bots.push(bot);
+        return bot;
+    };
+
+    // A task that was due while the bot was offline
+    const stored = (bot, name, options) => ({
+        name,
+        type: 'interval',
+        schedule: '1m',
+        timezone: null,
+        command: `$say[${name}]`,
+        data: {},
+        enabled: true,
+        missed: 'once',
+        createdAt: Date.now() - 10 * MINUTE,
+        lastRun: null,
+        nextRun: Date.now() - 3.5 * MINUTE,
+        runCount: 0,
+        history: [],
+        context: { guild: bot.guild.id, channel: bot.channel.id, user: bot.user.id },
+        ...options
+    });
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        bots = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        for (const bot of bots) await bot.destroy();
+        jest.restoreAllMocks();
+    });
+
+    test('stores tasks and restores them after a restart', async () => {
+        const first = await start();
+        await first.send('!remind');
+        await first.client.scheduler.stop();
+
+        const second = await start();
+        const report = await second.client.scheduler.restore();
+
+        const task = second.client.scheduler.get('standup');
+        expect(report).toMatchObject({ restored: 1, missed: 0 });
+        expect(task.type).toBe('once');
+        expect(task.command).toBe('$say[Standup, tester!]');
+        expect(task.nextRun).toBeGreaterThan(Date.now());
+        expect(second.client.scheduler.timers.has('standup')).toBe(true);
+    });
+
+    test('applies the missed run policy of each task', async () => {
+        const bot = await start();
+        await storage.set('skipped', stored(bot, 'skipped', { missed: 'skip' }));
+        await storage.set('caught', stored(bot, 'caught', { missed: 'once' }));
+        await storage.set('replayed', stored(bot, 'replayed', { missed: 'all' }));
+
+        const report = await bot.client.scheduler.restore();
+
+        expect(report).toMatchObject({ restored: 3, missed: 12, ran: 5, skipped: 7 });
+        expect(bot.sent.map(message => message.content)).toEqual(['caught', 'replayed', 'replayed', 'replayed', 'replayed']);
+
+        const replayed = bot.client.scheduler.get('replayed');
+        expect(replayed.runCount).toBe(4);
+        expect(replayed.history.every(entry => entry.catchUp && entry.status === 'ok')).toBe(true);
+        expect(replayed.nextRun).toBeGreaterThan(Date.now());
+
+        // The catch-up is logged and saved
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Scheduled tasks restored: 3'));
+        const saved = new Map(await storage.load());
+        expect(saved.get('caught').runCount).toBe(1);
+        expect(saved.get('skipped').nextRun).toBe(bot.client.scheduler.get('skipped').nextRun);
+    });
+
+    test('drops one-time tasks after they run and records failures', async () => {
+        const bot = await start();
+        await storage.set('reminder', stored(bot, 'reminder', { type: 'once', schedule: '1h' }));
+        await storage.set('broken', stored(bot, 'broken', { command: '$nope[]' }));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await bot.client.scheduler.restore();
+
+        expect(bot.client.scheduler.items.has('reminder')).toBe(false);
+        expect((await storage.load()).map(([key]) => key)).toEqual(['broken']);
+        expect(bot.client.scheduler.get('broken').history[0]).toMatchObject({ status: 'error' });
+    });
+
+    test('keeps run history limited', async () => {
+        const bot = await start({ schedule: { history: 2 } });
+        const task = bot.client.scheduler.create({ name: 'tick', interval: '1h', command: '$say[tick]' }, { channel: bot.channel });
+
+        for (let i = 0; i < 3; i++) {
+            await bot.client.scheduler.run(task);
+        }
+
+        expect(task.runCount).toBe(3);
+        expect(task.history).toHaveLength(2);
+        expect(bot.sent).toHaveLength(3);
+    });
+
+    test('runs function commands with the task channel, guild and author', async () => {
+        const bot = await start();
+        const execute = jest.fn(message => message.reply(`Hi ${message.author.username} in ${message.guild.name}`));
+        bot.client.commands.register({ name: 'greet', execute });
+
+        const task = bot.client.scheduler.create({ name: 'greet', interval: '1h', command: 'greet' }, { channel: bot.channel, guild: bot.guild, author: bot.user });
+        const entry = await bot.client.scheduler.run(task);
+
+        expect(entry.status).toBe('ok');
+        expect(execute.mock.calls[0][0]).toMatchObject({ channel: bot.channel, member: bot.member, task });
+        expect(bot.lastReply.content).toBe('Hi tester in Test Guild');
+    });
+
+    test('keeps a task that replaced a one-time task while it ran', async () => {
+        const bot = await start();
+        const { scheduler } = bot.client;
+        bot.client.commands.register({
+            name: 'snooze',
+            execute: () => scheduler.create({ name: 'nap', delay: '1h', command: '$say[again]' })
+        });
+
+        const task = scheduler.create({ name: 'nap', delay: '1s', command: 'snooze' });
+        await scheduler.fire(task);
+
+        const replacement = scheduler.get('nap');
+        expect(replacement).not.toBe(task);
+        expect(replacement.command).toBe('$say[again]');
+        expect(scheduler.timers.has('nap')).toBe(true);
+        expect(new Map(await storage.load()).get('nap').command).toBe('$say[again]');
+    });
+
+    test('keeps tasks apart from a variables storage instance', async () => {
+        const variables = new MemoryStorage();
+        const bot = await createTestBot({ config: { variables: { persist: true, storage: variables }, schedule: { persist: true } } });
+        bots.push(bot);
+
+        const tasks = bot.client.scheduler.getStorage();
+        expect(tasks).toBeInstanceOf(MemoryStorage);
+        expect(tasks).not.toBe(variables);
+        expect(bot.client.cases.getStorage()).not.toBe(variables);
+    });
+});
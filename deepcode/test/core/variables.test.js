@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VariableManager = require('../../core/VariableManager');
+const { MemoryStorage, JsonStorage, SqliteStorage, createStorage } = require('../../core/storage');
+const { createTestBot } = require('../../testing');
+
+const createManager = (variables) => new VariableManager({ config: { variables } });
+
+// SQLite needs Node.js 22.5+ or the optional better-sqlite3 package
+const hasSqlite = (() => {
+    try {
+        return Boolean(SqliteStorage.getDriver());
+    } catch {
+        return false;
+    }
+})();
+
+describe('Variable storage', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deepcode-vars-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('writes every change and skips dynamic variables', async () => {
+        const storage = new MemoryStorage();
+        const manager = createManager({ persist: true, storage });
+
+        manager.set('counter', 1);
+        manager.set('economy.balance', 50);
+        manager.set('handler', () => 'x');
+        manager.delete('counter');
+        await storage.flush();
+
+        expect(Object.fromEntries(await storage.load())).toEqual({ economy: { balance: 50 } });
+    });
+
+    test('restores JSON data from the journal after a crash', async () => {
+        const file = path.join(dir, 'variables.json');
+        const manager = createManager({ persist: true, path: file });
+
+        manager.set('a', 1);
+        manager.set('b', { nested: true });
+        manager.delete('a');
+        await manager.getStorage().flush();
+
+        // Not closed: changes only live in the journal
+        expect(fs.readFileSync(`${file}.journal`, 'utf8').trim().split('\n')).toHaveLength(3);
+
+        // Simulate a torn final write
+        fs.appendFileSync(`${file}.journal`, '{"op":"set","key":"c"');
+
+        const restored = createManager({ persist: true, path: file });
+        await restored.load();
+        expect(restored.get('a')).toBeUndefined();
+        expect(restored.get('b.nested')).toBe(true);
+        expect(restored.get('c')).toBeUndefined();
+
+        // Opening folds the journal into the snapshot
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ b: { nested: true } });
+        expect(fs.readFileSync(`${file}.journal`, 'utf8')).toBe('');
+        await restored.close();
+    });
+
+    test('compacts the journal at the threshold', async () => {
+        const file = path.join(dir, 'variables.json');
+        const storage = new JsonStorage({ path: file, compactThreshold: 2 });
+
+        await storage.set('x', 1);
+        await storage.set('y', 2);
+
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ x: 1, y: 2 });
+        expect(fs.readFileSync(`${file}.journal`, 'utf8')).toBe('');
+        await storage.close();
+    });
+
+    (hasSqlite ? test : test.skip)('stores variables in SQLite', async () => {
+        const file = path.join(dir, 'variables.db');
+        const manager = createManager({ persist: true, storage: 'sqlite', path: file });
+
+        manager.set('a', 1);
+        manager.set('b', { nested: [1, 2] });
+        manager.delete('a');
+        await manager.close();
+
+        const restored = createManager({ persist: true, storage: 'sqlite', path: file });
+        await restored.load();
+        expect(restored.get('a')).toBeUndefined();
+        expect(restored.get('b')).toEqual({ nested: [1, 2] });
+        await restored.close();
+    });
+
+    (hasSqlite ? test.skip : test)('explains the missing SQLite driver', () => {
+        expect(() => SqliteStorage.getDriver()).toThrow('SQLite storage requires Node.js 22.5+ or the better-sqlite3 package');
+    });
+
+    test('rejects unknown backends', () => {
+        expect(() => createStorage({ storage: 'redis' })).toThrow('Unknown variable storage: redis');
+    });
+});
+
+describe('Variable scopes', () => {
+    test('isolates keys per target and applies defaults', () => {
+        const manager = createManager({ defaults: { user: { balance: 100 } } });
+        const alice = manager.scope('user', '1');
+        const bob = manager.scope('user', '2');
+
+        alice.set('balance', 250);
+        expect(alice.get('balance')).toBe(250);
+        expect(bob.get('balance')).toBe(100);
+        expect(bob.has('balance')).toBe(false);
+        expect(manager.get('balance')).toBeUndefined();
+    });
+
+    test('lists and clears scopes', () => {
+        const manager = createManager();
+        manager.set('counter', 1);
+        manager.scope('guild', 'g1').set('prefix', '?');
+        manager.scope('guild', 'g2').set('prefix', '.');
+        manager.scope('member', { guild: { id: 'g1' }, author: { id: 'u1' } }).set('xp', 5);
+
+        expect(manager.list()).toEqual(['counter']);
+        expect(manager.listScope('guild')).toEqual({ g1: { prefix: '?' }, g2: { prefix: '.' } });
+        expect(manager.scope('member', 'g1:u1').list()).toEqual({ xp: 5 });
+
+        expect(manager.clearScope('guild')).toBe(2);
+        expect(manager.listScope('guild')).toEqual({});
+        expect(manager.get('counter')).toBe(1);
+    });
+
+    test('works from $data and $$scope:key placeholders', async () => {
+        const bot = await createTestBot({
+            commands: [
+                { name: 'pay', code: '$data[{"action": "add", "key": "balance", "amount": "$$1", "scope": "user"}]' },
+                { name: 'balance', code: 'Balance: $$user:balance' }
+            ]
+        });
+        const other = bot.createUser({ username: 'other' });
+        bot.guild.addMember(other);
+
+        await bot.send('!pay 30');
+        await bot.send('!pay 12');
+        expect((await bot.send('!balance')).replies[0].content).toBe('Balance: 42');
+        expect((await bot.send('!balance', { author: other })).replies[0].content).toBe('Balance:');
+        await bot.destroy();
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+describe('Hot reload', () => {
+    let bot;
+    let root;
+
+    const write = (file, content) => {
+        const target = path.join(root, file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+        return target;
+    };
+
+    // Jest keeps its own module registry, which ignores require.cache.
+    // Each test loads the framework fresh so charm classes match BaseCharm.
+    const reload = file => {
+        jest.resetModules();
+        return bot.client.watcher.reload(path.join(root, file));
+    };
+
+    const reply = async content => (await bot.send(content)).replies[0]?.content;
+
+    beforeEach(async () => {
+        root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'deepcode-watch-')));
+        jest.spyOn(process, 'cwd').mockReturnValue(root);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        write('commands/hello.js', `module.exports = { name: 'hello', code: '$say[Hello]' };`);
+        write('charms/shout.js', `module.exports = { name: 'shout', execute: args => String(args).toUpperCase() };`);
+        write('events/join.js', `module.exports = { name: 'guildMemberAdd', execute: member => { member.seen = 1; } };`);
+
+        jest.resetModules();
+        const { createTestBot } = require('../../testing');
+        bot = await createTestBot();
+        await bot.client.CharmCommander.loadCommands();
+        await bot.client.loader.loadCharms(path.join(root, 'charms'), { quiet: true });
+        await bot.client.loader.loadEvents();
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+        jest.restoreAllMocks();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    test('swaps a changed command', async () => {
+        write('commands/hello.js', `module.exports = [
+            { name: 'hello', code: '$say[Hi there]' },
+            { name: 'bye', code: '$say[Bye]' }
+        ];`);
+
+        const [result] = await reload('commands/hello.js');
+
+        expect(result).toMatchObject({ type: 'commands', names: ['hello', 'bye'], error: null });
+        expect(await reply('!hello')).toBe('Hi there');
+        expect(await reply('!bye')).toBe('Bye');
+        expect(bot.client.CharmCommander.getLoadedCommandsInfo().count).toBe(2);
+    });
+
+    test('keeps the previous version when the new one fails', async () => {
+        const failed = jest.fn();
+        bot.client.on('hotReloadError', failed);
+
+        write('commands/hello.js', `module.exports = { name: 'hello', code: '$say[Broken]' `);
+        const [syntax] = await reload('commands/hello.js');
+
+        write('commands/hello.js', `module.exports = { name: 'hello' };`);
+        const [invalid] = await reload('commands/hello.js');
+
+        expect(syntax.error.name).toBe('SyntaxError');
+        expect(invalid.error.message).toBe('Command hello is invalid');
+        expect(failed).toHaveBeenCalledTimes(2);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Reload of commands/hello.js failed'), 'Command hello is invalid');
+        expect(await reply('!hello')).toBe('Hello');
+    });
+
+    test('rolls back every unit of a file when one cannot be registered', async () => {
+        bot.client.commands.register({ name: 'taken', code: '$say[Taken]' });
+        write('commands/hello.js', `module.exports = [
+            { name: 'hello', code: '$say[New]' },
+            { name: 'taken', code: '$say[Mine]' }
+        ];`);
+
+        const [result] = await reload('commands/hello.js');
+
+        expect(result.error.message).toBe('command taken already exists');
+        expect(await reply('!hello')).toBe('Hello');
+        expect(await reply('!taken')).toBe('Taken');
+    });
+
+    test('reloads charms and events and removes deleted ones', async () => {
+        const listeners = bot.client.listenerCount('guildMemberAdd');
+        write('charms/shout.js', `module.exports = { name: 'shout', execute: args => String(args).toUpperCase() + '!' };`);
+        write('events/join.js', `module.exports = { name: 'guildMemberAdd', execute: member => { member.seen = 2; } };`);
+        await reload('charms/shout.js');
+        await reload('events/join.js');
+
+        const member = {};
+        bot.client.emit('guildMemberAdd', member);
+        expect(member.seen).toBe(2);
+        expect(bot.client.listenerCount('guildMemberAdd')).toBe(listeners);
+
+        bot.client.commands.register({ name: 'shout', code: '$say[$shout[hey]]' });
+        expect(await reply('!shout')).toBe('HEY!');
+
+        fs.rmSync(path.join(root, 'charms/shout.js'));
+        await reload('charms/shout.js');
+        expect(bot.client.charms.has('shout')).toBe(false);
+    });
+
+    test('reloads events that only define run', async () => {
+        write('events/join.js', `module.exports = { name: 'guildMemberAdd', run: member => { member.seen = 3; } };`);
+        const [result] = await reload('events/join.js');
+        expect(result.error).toBeNull();
+
+        const member = {};
+        bot.client.emit('guildMemberAdd', member);
+        expect(member.seen).toBe(3);
+    });
+
+    test('reloads plugins and restores the old version on failure', async () => {
+        write('plugins/greeter.js', `module.exports = { name: 'greeter', charms: { greet: () => 'Hello' } };`);
+        write('plugins/fan.js', `module.exports = { name: 'fan', dependencies: ['greeter'], init() { this.ready = true; } };`);
+        await bot.client.plugins.loadAll([['greeter'], ['fan']]);
+        bot.client.commands.register({ name: 'greet', code: '$say[$greeter.greet[]]' });
+
+        write('plugins/greeter.js', `module.exports = { name: 'greeter', charms: { greet: () => 'Howdy' } };`);
+        const [result] = await reload('plugins/greeter.js');
+
+        expect(result).toMatchObject({ type: 'plugins', names: ['greeter'], error: null });
+        expect(await reply('!greet')).toBe('Howdy');
+        expect(bot.client.plugins.states.get('fan')).toBe('loaded');
+
+        write('plugins/greeter.js', `module.exports = { name: 'greeter', init() { throw new Error('oops'); } };`);
+        const [failed] = await reload('plugins/greeter.js');
+
+        expect(failed.error.message).toBe('Plugin greeter could not be reloaded, kept the previous version: Plugin greeter failed to load: oops');
+        expect(await reply('!greet')).toBe('Howdy');
+        expect(bot.client.plugins.states.get('fan')).toBe('loaded');
+    });
+
+    test('watches the project directories', async () => {
+        write('commands/admin/ban.js', `module.exports = { name: 'ban', code: '$say[Banned]' };`);
+        const { watcher } = bot.client;
+
+        expect(watcher.start().map(dir => path.relative(root, dir))).toEqual(['commands', 'charms', 'events']);
+        expect(watcher.active).toBe(true);
+        expect(watcher.watchers.has(path.join(root, 'commands/admin'))).toBe(true);
+
+        // Changes in subdirectories are seen without `recursive`, which Linux lacks before Node 19.1
+        const changed = new Promise(resolve => jest.spyOn(watcher, 'schedule').mockImplementation(resolve));
+        write('commands/admin/ban.js', `module.exports = { name: 'ban', code: '$say[Gone]' };`);
+        expect(await changed).toBe(path.join(root, 'commands/admin/ban.js'));
+
+        fs.rmSync(path.join(root, 'commands/admin'), { recursive: true });
+        watcher.unwatchTree(path.join(root, 'commands/admin'));
+        expect(watcher.watchers.has(path.join(root, 'commands/admin'))).toBe(false);
+
+        watcher.stop();
+        expect(watcher.active).toBe(false);
+    });
+});
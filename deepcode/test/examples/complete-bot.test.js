@@ -31,8 +31,10 @@ describe('Complete Bot', () => {
         if (client) {
             await client.destroy();
         }
-        if (await fileExists(dataPath)) {
-            await deleteFile(dataPath);
+        for (const file of [dataPath, `${dataPath}.journal`]) {
+            if (await fileExists(file)) {
+                await deleteFile(file);
+            }
         }
     });
 
@@ -0,0 +1,192 @@
+const { parse, print, parseCommand, formatCommand } = require('../../parser/parser');
+const { detectTier } = require('../../parser/detector');
+const { validateVariables } = require('../../parser/validator');
+const fs = require('fs');
+const { renderSnippet, createLocation, formatDiagnostic } = require('../../parser/diagnostics');
+const { parseJson } = require('../../parser/json');
+const CharmEngine = require('../../core/engine');
+
+describe('Charm Parser', () => {
+    describe('AST', () => {
+        test('splits text, variables and charms', () => {
+            const program = parse('Hi $$author.tag! $say[ok]');
+            expect(program.body.map(node => node.type)).toEqual(['Text', 'Variable', 'Text', 'Charm']);
+            expect(program.body[1]).toMatchObject({ name: 'author', path: ['tag'] });
+        });
+
+        test('parses nested charms as charm nodes', () => {
+            const [charm] = parse('$say[$math[add, 1, $math[add, 1, 1]]]').body;
+            const [inner] = charm.args;
+            expect(inner).toMatchObject({ type: 'Charm', name: 'math' });
+            expect(inner.args[1]).toMatchObject({ type: 'Charm', name: 'math' });
+        });
+
+        test('ignores brackets inside JSON strings', () => {
+            const [charm] = parse('$say[{"content": "a ] b"}]').body;
+            expect(charm.args).toHaveLength(1);
+            expect(charm.args[0].value).toBe('{"content": "a ] b"}');
+        });
+
+        test('falls back to plain brackets when quotes do not balance', () => {
+            const program = parse('$say[He said "hi] done');
+            expect(program.body[0]).toMatchObject({ type: 'Charm', name: 'say' });
+            expect(program.body[1].value).toBe(' done');
+        });
+
+        test('supports escaped brackets', () => {
+            const [charm] = parse('$say[array\\[0\\] is \\$5]').body;
+            expect(charm.args[0].value).toBe('array[0] is $5');
+        });
+
+        test('tracks source positions', () => {
+            const program = parse('line one\n  $say[x]');
+            const charm = program.body[1];
+            expect(charm.start).toBe(11);
+            expect(charm.loc.start).toEqual({ line: 2, column: 3 });
+        });
+
+        test('reports unclosed charms with their position', () => {
+            expect(() => parse('ok\n$say[$math[1]')).toThrow(expect.objectContaining({
+                name: 'ParseError',
+                details: expect.objectContaining({ start: 3, line: 2, column: 1 })
+            }));
+        });
+
+        test('prints code back unchanged', () => {
+            const codes = [
+                '$say[Hello $$username! \\] ok]',
+                '$data[{"action": "set", "key": "a]b"}]\n$say[$$data[a]]',
+                'Total: $math[add, $$1, $math[add, 2, 3]] $$*'
+            ];
+
+            for (const code of codes) {
+                expect(print(parse(code))).toBe(code);
+            }
+        });
+    });
+
+    describe('parseCommand / formatCommand', () => {
+        test('round-trips the original formatting', () => {
+            const code = '$say[{ "content":   "Hello",\n  "tts": true }]';
+            const ast = parseCommand(code);
+            expect(ast.tier).toBe(3);
+            expect(formatCommand(ast)).toBe(code);
+        });
+
+        test('reformats when args change', () => {
+            const ast = parseCommand('$say[{"content": "Hello"}]');
+            ast.args.content = 'Bye';
+            expect(formatCommand(ast)).toBe('$say[{"content":"Bye"}]');
+        });
+
+        test('rejects code that is not a single charm', () => {
+            expect(() => parseCommand('$say[a]$say[b]')).toThrow('Invalid command format');
+        });
+    });
+
+    describe('Relaxed JSON', () => {
+        test('accepts JSON5-style object literals', () => {
+            const source = [
+                '{',
+                '    action: "send", // what to do',
+                "    options: { content: 'It\\'s \"here\"', lines: 'one",
+                "two', /* block */ count: 0x1F, ratio: .5, },",
+                '    list: [1, 2, ],',
+                '}'
+            ].join('\n');
+
+            expect(parseJson(source)).toEqual({
+                action: 'send',
+                options: { content: 'It\'s "here"', lines: 'one\ntwo', count: 31, ratio: 0.5 },
+                list: [1, 2]
+            });
+            expect(parseCommand(`$message[${source}]`).tier).toBe(3);
+        });
+
+        test('locates errors and rejects relaxed syntax in strict mode', () => {
+            expect(() => parseJson('{ action: send }')).toThrow('Unexpected identifier send (text values need quotes)');
+            expect(() => parseJson('{ a: 1 }', { strict: true })).toThrow();
+
+            let error;
+            try {
+                parseCommand("$say[{ content: 'hi' }]", 3, { strict: true });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.name).toBe('ParseError');
+            expect(error.location).toMatchObject({ line: 1, column: 8 });
+        });
+
+        test('engine parses relaxed arguments and warns once', () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const engine = new CharmEngine({ config: {} });
+
+            expect(engine.parseArgs("{ content: 'hi' }", 'say')).toEqual({ content: 'hi' });
+            engine.parseArgs("{ content: 'hi' }", 'say');
+            engine.parseArgs("{ content: 'bye' }", 'say');
+            expect(warn).toHaveBeenCalledTimes(1);
+            expect(engine.warnings.size).toBe(1);
+            expect(warn.mock.calls[0][0]).toContain('$say: arguments are relaxed JSON');
+
+            // Charm syntax that only looks like a literal stays text
+            expect(engine.parseArgs('[1, 2]; $say[x]', 'foreach')).toBe('[1, 2]; $say[x]');
+            expect(warn).toHaveBeenCalledTimes(1);
+
+            engine.client.config.parser = { strict: true };
+            expect(engine.parseArgs('{ a: 1 }', 'say')).toBe('{ a: 1 }');
+            expect(warn.mock.calls[1][0]).toContain('passing them as text because the parser is strict');
+            warn.mockRestore();
+        });
+    });
+
+    describe('detectTier', () => {
+        test('detects tiers for multi-line arguments', () => {
+            expect(detectTier('$say[a, b]')).toBe(1);
+            expect(detectTier('$say[content: hi; tts: true]')).toBe(2);
+            expect(detectTier('$say[{\n  "content": "hi"\n}]')).toBe(3);
+        });
+    });
+
+    describe('validateVariables', () => {
+        test('reports unknown variables and ignores positional and scoped ones', () => {
+            const variables = new Map([['user', { name: 'test' }]]);
+            expect(validateVariables('$$user.name $$user.age $$1 $$* $$guild:prefix', variables)).toEqual(['user.age']);
+        });
+    });
+
+    describe('Diagnostics', () => {
+        test('renders a caret under the failing span', () => {
+            const code = '$say[ok]\n$math[add, 1]';
+            expect(renderSnippet(code, 9, 22)).toBe([
+                '1 | $say[ok]',
+                '2 | $math[add, 1]',
+                '  | ^^^^^^^^^^^^^'
+            ].join('\n'));
+        });
+
+        test('locates invalid JSON arguments', () => {
+            let error;
+            try {
+                parseCommand('$say[{\n  "content" "hi"\n}]', 3);
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.name).toBe('ParseError');
+            expect(error.location).toMatchObject({ line: 2, column: 13 });
+            expect(formatDiagnostic(error)).toContain('2 |   "content" "hi"\n  |             ^');
+        });
+
+        test('reads the command file only when the location is used', () => {
+            const read = jest.spyOn(fs, 'readFileSync');
+            const source = "$say[{ content: 'hi' }]";
+            const location = createLocation({ source, start: 5, end: 6, command: 'test', file: __filename });
+            expect(read).not.toHaveBeenCalled();
+
+            expect(location).toMatchObject({ command: 'test', line: expect.any(Number), column: expect.any(Number) });
+            expect(location.snippet).toContain('^');
+            expect(read).toHaveBeenCalledTimes(1);
+            read.mockRestore();
+        });
+    });
+});
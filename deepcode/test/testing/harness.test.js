@@ -0,0 +1,80 @@
+const { createTestBot } = require('../../testing');
+
+describe('Test harness', () => {
+    let bot;
+
+    beforeEach(async () => {
+        bot = await createTestBot({
+            commands: [
+                { name: 'ping', code: '$say[Pong!]' },
+                { name: 'add', code: 'Result: $math[add, $$1, $$2]' },
+                { name: 'fail', code: '$say[ok]\n$missing[1]' }
+            ]
+        });
+    });
+
+    afterEach(async () => {
+        await bot.destroy();
+    });
+
+    test('records replies to commands', async () => {
+        const { replies } = await bot.send('!ping');
+        expect(replies).toHaveLength(1);
+        expect(replies[0].content).toBe('Pong!');
+        expect(replies[0].reference).toBeTruthy();
+    });
+
+    test('sends textual command output', async () => {
+        const { replies } = await bot.send('!add 2 3');
+        expect(replies.map(reply => reply.content)).toEqual(['Result: 5']);
+    });
+
+    test('adds nothing for charms used as statements', async () => {
+        bot.client.commands.register({ name: 'save', code: '$data[foo, bar]$say[Saved]' });
+        bot.client.commands.register({ name: 'balance', code: '$data[user:bal, 3]Bal: $$user:bal' });
+        bot.client.commands.register({ name: 'set', code: '$data[foo, baz]' });
+
+        expect((await bot.send('!save')).replies.map(reply => reply.content)).toEqual(['Saved']);
+        expect((await bot.send('!balance')).replies.map(reply => reply.content)).toEqual(['Bal: 3']);
+        expect((await bot.send('!set')).replies).toEqual([]);
+    });
+
+    test('outputs numbers alone or within a script', async () => {
+        bot.client.commands.register({ name: 'sum', code: '$math[add, $$1, $$2]' });
+        bot.client.commands.register({ name: 'sums', code: '$math[add, $$1, $$2] and $math[add, $$2, $$2]' });
+
+        expect((await bot.send('!sum 2 3')).replies.map(reply => reply.content)).toEqual(['5']);
+        expect((await bot.send('!sums 2 3')).replies.map(reply => reply.content)).toEqual(['5 and 6']);
+    });
+
+    test('ignores messages without the prefix and bot authors', async () => {
+        const other = bot.createUser({ username: 'robot', bot: true });
+        expect((await bot.send('ping')).replies).toHaveLength(0);
+        expect((await bot.send('!ping', { author: other })).replies).toHaveLength(0);
+    });
+
+    test('records role changes', async () => {
+        const role = bot.guild.createRole({ name: 'Member' });
+        bot.client.commands.register({
+            name: 'join',
+            code: `$role[{"action": "add", "target": "$$1", "roleId": "${role.id}"}]`
+        });
+
+        await bot.send(`!join ${bot.user.id}`);
+        expect(bot.member.roles.cache.has(role.id)).toBe(true);
+        expect(bot.actions).toContainEqual(expect.objectContaining({
+            type: 'roleAdd',
+            memberId: bot.user.id,
+            roleId: role.id
+        }));
+    });
+
+    test('reports charm errors with a diagnostic', async () => {
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const { replies } = await bot.send('!fail');
+        spy.mockRestore();
+
+        expect(replies[replies.length - 1].content).toContain('Unknown charm: missing');
+        expect(bot.lastReply.content).toContain('2 | $missing[1]');
+    });
+});
@@ -28,7 +28,7 @@ const fileUtils = {
      * @param {string} path File path
      */
     async deleteFile(path) {
-        if (await this.fileExists(path)) {
+        if (await fileUtils.fileExists(path)) {
             await fs.unlink(path);
         }
     },
@@ -38,7 +38,7 @@ const fileUtils = {
      * @param {string} path Directory path
      */
     async ensureDir(path) {
-        if (!await this.fileExists(path)) {
+        if (!await fileUtils.fileExists(path)) {
             await fs.mkdir(path, { recursive: true });
         }
     }
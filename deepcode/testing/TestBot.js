@@ -0,0 +1,270 @@
+/**
+ * TestBot - Runs commands against an offline CharmClient
+ * @module testing/TestBot
+ */
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+const CharmClient = require('../runtime/CharmClient');
+const messageCreate = require('../events/messageCreate');
+const interactionCreate = require('../events/interactionCreate');
+const { FakeUser, FakeGuild, FakeChannel, FakeInteraction } = require('./mocks');
+
+/**
+ * Offline bot for testing commands without a Discord connection
+ *
+ * const bot = await createTestBot({
+ *     commands: [{ name: 'ping', code: '$say[Pong!]' }]
+ * });
+ * const { replies } = await bot.send('!ping');
+ * expect(replies[0].content).toBe('Pong!');
+ *
+ * A default guild, text channel and member are created. Everything the bot
+ * sends is recorded in `bot.sent`; moderation and other side effects
+ * (role changes, kicks, bans, deletions, ...) are recorded in `bot.actions`.
+ */
+class TestBot {
+    /**
+     * @param {Object} options Test bot options
+     * @param {string} [options.prefix] Command prefix
+     * @param {Object} [options.config] Client configuration
+     * @param {Array<Object>} [options.commands] Commands to register
+     * @param {boolean} [options.charms] Load the built-in charms (default true)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.client = new CharmClient({
+            intents: [],
+            prefix: options.prefix || '!',
+            debug: options.debug || false,
+            config: options.config || {}
+        });
+
+        this.sent = [];
+        this.actions = [];
+        this.dmChannels = new Map();
+
+        // Bot account
+        this.client.user = new FakeUser(this, { username: 'DeepCode', bot: true });
+        this.users.set(this.client.user.id, this.client.user);
+
+        // Default guild, channel and member
+        this.user = this.createUser({ username: 'tester' });
+        this.guild = this.createGuild({ name: 'Test Guild', ownerId: this.user.id });
+        const botRole = this.guild.createRole({ name: 'DeepCode', permissions: PermissionFlagsBits.Administrator });
+        this.guild.members.me = this.guild.addMember(this.client.user, { roles: [botRole] });
+        this.member = this.guild.addMember(this.user);
+        this.channel = this.guild.createChannel({ name: 'general' });
+    }
+
+    /**
+     * Users known to the bot
+     */
+    get users() {
+        return this.client.users.cache;
+    }
+
+    /**
+     * Channels known to the bot
+     */
+    get channels() {
+        return this.client.channels.cache;
+    }
+
+    /**
+     * Guilds known to the bot
+     */
+    get guilds() {
+        return this.client.guilds.cache;
+    }
+
+    /**
+     * Variable manager of the client
+     */
+    get variables() {
+        return this.client.variables;
+    }
+
+    /**
+     * Last message sent by the bot
+     */
+    get lastReply() {
+        return this.sent[this.sent.length - 1] || null;
+    }
+
+    /**
+     * Load charms and register commands
+     * @returns {Promise<TestBot>} This bot
+     */
+    async init() {
+        if (this.options.charms !== false) {
+            await this.client.loader.loadCharms(path.join(__dirname, '..', 'charms'), { quiet: true });
+        }
+
+        for (const command of this.options.commands || []) {
+            this.client.commands.register(command);
+        }
+
+        return this;
+    }
+
+    /**
+     * Create a user
+     * @param {Object} options User options (username, bot, ...)
+     * @returns {FakeUser} User
+     */
+    createUser(options = {}) {
+        const user = new FakeUser(this, options);
+        this.users.set(user.id, user);
+        return user;
+    }
+
+    /**
+     * Create a guild
+     * @param {Object} options Guild options (name, ownerId)
+     * @returns {FakeGuild} Guild
+     */
+    createGuild(options = {}) {
+        const guild = new FakeGuild(this, options);
+        this.guilds.set(guild.id, guild);
+        return guild;
+    }
+
+    /**
+     * Get or create the DM channel with a user
+     * @param {FakeUser} user User
+     * @returns {FakeChannel} DM channel
+     */
+    dmChannel(user) {
+        if (!this.dmChannels.has(user.id)) {
+            const channel = new FakeChannel(this, null, { name: user.username, recipient: user });
+            this.dmChannels.set(user.id, channel);
+            this.channels.set(channel.id, channel);
+        }
+        return this.dmChannels.get(user.id);
+    }
+
+    /**
+     * Send a message as a user and wait for the command to finish
+     * @param {string} content Message content
+     * @param {Object} [options] Options
+     * @param {FakeUser} [options.author] Author (default user)
+     * @param {FakeChannel} [options.channel] Channel (default channel)
+     * @returns {Promise<Object>} The message and the replies sent while handling it
+     */
+    async send(content, options = {}) {
+        const { author = this.user, channel = this.channel } = options;
+        const start = this.sent.length;
+
+        const message = channel.createMessage({ content, author });
+        await messageCreate.execute(message, this.client);
+
+        return { message, replies: this.sent.slice(start) };
+    }
+
+    /**
+     * Run a slash command as a user and wait for it to finish
+     * @param {string} commandName Command name
+     * @param {Object} [values] Option values by option name
+     * @param {Object} [options] Same options as click()
+     * @returns {Promise<Object>} The interaction and the replies sent while handling it
+     */
+    async slash(commandName, values = {}, options = {}) {
+        return this.interact({ ...options, kind: 'command', commandName, options: values });
+    }
+
+    /**
+     * Click a button as a user and wait for its handler to finish
+     * @param {string} customId customId of the button
+     * @param {Object} [options] Options
+     * @param {FakeUser} [options.user] User (default user)
+     * @param {FakeChannel} [options.channel] Channel (default channel)
+     * @param {FakeMessage} [options.message] Message holding the button
+     * @returns {Promise<Object>} The interaction and the replies sent while handling it
+     */
+    async click(customId, options = {}) {
+        return this.interact({ ...options, kind: 'button', customId });
+    }
+
+    /**
+     * Pick select menu values as a user
+     * @param {string} customId customId of the select menu
+     * @param {string[]} values Selected values
+     * @param {Object} [options] Same options as click()
+     * @returns {Promise<Object>} The interaction and the replies sent while handling it
+     */
+    async select(customId, values, options = {}) {
+        return this.interact({ ...options, kind: 'select', customId, values });
+    }
+
+    /**
+     * Submit a modal as a user
+     * @param {string} customId customId of the modal
+     * @param {Object} fields Text input values by customId
+     * @param {Object} [options] Same options as click()
+     * @returns {Promise<Object>} The interaction and the replies sent while handling it
+     */
+    async submitModal(customId, fields = {}, options = {}) {
+        return this.interact({ ...options, kind: 'modal', customId, fields });
+    }
+
+    /**
+     * Emit an interaction
+     * @private
+     */
+    async interact(options) {
+        const { user = this.user, channel = this.channel } = options;
+        const start = this.sent.length;
+
+        const interaction = new FakeInteraction(this, { ...options, user, channel });
+        await interactionCreate.execute(interaction, this.client);
+
+        return { interaction, replies: this.sent.slice(start) };
+    }
+
+    /**
+     * Record a side effect
+     * @param {string} type Action type
+     * @param {Object} data Action data
+     */
+    record(type, data = {}) {
+        this.actions.push({ type, ...data });
+    }
+
+    /**
+     * Record a message sent by the bot
+     * @private
+     */
+    recordMessage(message) {
+        this.sent.push(message);
+    }
+
+    /**
+     * Clear recorded messages and actions
+     */
+    reset() {
+        this.sent = [];
+        this.actions = [];
+    }
+
+    /**
+     * Destroy the client
+     */
+    async destroy() {
+        await this.client.scheduler.stop();
+        await this.client.cases.stop();
+        this.client.paginator.stop();
+        this.client.watcher.stop();
+        await this.client.destroy();
+    }
+}
+
+/**
+ * Create and initialize a test bot
+ * @param {Object} options Test bot options
+ * @returns {Promise<TestBot>} Test bot
+ */
+async function createTestBot(options = {}) {
+    return new TestBot(options).init();
+}
+
+module.exports = { TestBot, createTestBot };
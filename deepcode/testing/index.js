@@ -0,0 +1,13 @@
+/**
+ * Testing utilities
+ * Run commands offline against an in-memory Discord mock.
+ * @module testing
+ */
+const { TestBot, createTestBot } = require('./TestBot');
+const mocks = require('./mocks');
+
+module.exports = {
+    TestBot,
+    createTestBot,
+    ...mocks
+};
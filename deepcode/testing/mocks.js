@@ -0,0 +1,713 @@
+/**
+ * In-memory stand-ins for discord.js structures
+ * Only the surface used by charms and command handlers is implemented.
+ * Every structure keeps a reference to the TestBot that owns it, which
+ * records sent messages and moderation actions.
+ */
+const { Collection, ChannelType, PermissionsBitField, MessageFlagsBitField, ApplicationCommandOptionType } = require('discord.js');
+
+let nextId = 100000000000000000n;
+
+/**
+ * Generate a unique snowflake-like id
+ */
+function snowflake() {
+    return String(nextId++);
+}
+
+/**
+ * Normalize a send/reply/edit payload into plain data
+ * @param {string|Object} payload Message content or options
+ * @returns {Object} Payload with `content`, `embeds` and `components`
+ */
+function normalizePayload(payload) {
+    if (payload === undefined || payload === null) return { content: '', embeds: [], components: [] };
+    if (typeof payload !== 'object') return { content: String(payload), embeds: [], components: [] };
+
+    const toJSON = item => (typeof item?.toJSON === 'function' ? item.toJSON() : item);
+
+    return {
+        ...payload,
+        content: payload.content ?? '',
+        embeds: (payload.embeds || []).map(toJSON),
+        components: (payload.components || []).map(toJSON)
+    };
+}
+
+/**
+ * Manager with a cache and a discord.js-like fetch()
+ */
+class FakeManager {
+    constructor(label, items = []) {
+        this.label = label;
+        this.cache = new Collection(items.map(item => [item.id, item]));
+    }
+
+    resolveId(value) {
+        return typeof value === 'object' && value !== null ? value.id : String(value).replace(/[<@!&#>]/g, '');
+    }
+
+    async fetch(id) {
+        if (id === undefined || (typeof id === 'object' && id !== null && !id.id)) {
+            return this.cache;
+        }
+
+        const item = this.cache.get(this.resolveId(id));
+        if (!item) throw new Error(`Unknown ${this.label}`);
+        return item;
+    }
+
+    resolve(value) {
+        return this.cache.get(this.resolveId(value)) || null;
+    }
+}
+
+class FakeUser {
+    constructor(bot, options = {}) {
+        this.id = options.id || snowflake();
+        this.username = options.username || `user${this.id.slice(-4)}`;
+        this.globalName = options.globalName || null;
+        this.discriminator = '0';
+        this.bot = Boolean(options.bot);
+        this.system = false;
+        this.avatar = null;
+        this.createdTimestamp = Date.now();
+        Object.defineProperty(this, 'testBot', { value: bot });
+    }
+
+    get tag() {
+        return this.username;
+    }
+
+    get displayName() {
+        return this.globalName || this.username;
+    }
+
+    get createdAt() {
+        return new Date(this.createdTimestamp);
+    }
+
+    displayAvatarURL() {
+        return `https://cdn.discordapp.com/embed/avatars/0.png`;
+    }
+
+    avatarURL() {
+        return null;
+    }
+
+    async send(payload) {
+        return this.testBot.dmChannel(this).send(payload);
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+class FakeRole {
+    constructor(guild, options = {}) {
+        this.guild = guild;
+        this.id = options.id || snowflake();
+        this.name = options.name || 'role';
+        this.color = options.color || 0;
+        this.hoist = Boolean(options.hoist);
+        this.mentionable = Boolean(options.mentionable);
+        this.position = options.position ?? guild.roles.cache.size;
+        this.permissions = new PermissionsBitField(options.permissions || 0n);
+    }
+
+    get members() {
+        return this.guild.members.cache.filter(member => member.roles.cache.has(this.id));
+    }
+
+    async edit(options = {}) {
+        Object.assign(this, options);
+        if (options.permissions !== undefined) {
+            this.permissions = new PermissionsBitField(options.permissions);
+        }
+        return this;
+    }
+
+    async delete(reason) {
+        this.guild.roles.cache.delete(this.id);
+        for (const member of this.guild.members.cache.values()) {
+            member.roles.cache.delete(this.id);
+        }
+        this.guild.testBot.record('roleDelete', { guildId: this.guild.id, roleId: this.id, reason });
+        return this;
+    }
+
+    toString() {
+        return `<@&${this.id}>`;
+    }
+}
+
+class FakeRoleManager {
+    constructor(member) {
+        this.member = member;
+        this.cache = new Collection();
+    }
+
+    async add(role, reason) {
+        for (const item of [role].flat()) {
+            const resolved = this.member.guild.roles.resolve(item);
+            if (!resolved) throw new Error('Unknown Role');
+            this.cache.set(resolved.id, resolved);
+            this.member.guild.testBot.record('roleAdd', {
+                guildId: this.member.guild.id,
+                memberId: this.member.id,
+                roleId: resolved.id,
+                reason
+            });
+        }
+        return this.member;
+    }
+
+    async remove(role, reason) {
+        for (const item of [role].flat()) {
+            const resolved = this.member.guild.roles.resolve(item);
+            if (!resolved) throw new Error('Unknown Role');
+            this.cache.delete(resolved.id);
+            this.member.guild.testBot.record('roleRemove', {
+                guildId: this.member.guild.id,
+                memberId: this.member.id,
+                roleId: resolved.id,
+                reason
+            });
+        }
+        return this.member;
+    }
+
+    has(role) {
+        return this.cache.has(this.member.guild.roles.resolveId(role));
+    }
+
+    get highest() {
+        return this.cache.reduce((top, role) => (!top || role.position > top.position ? role : top), null);
+    }
+}
+
+class FakeMember {
+    constructor(guild, user, options = {}) {
+        this.guild = guild;
+        this.user = user;
+        this.id = user.id;
+        this.nickname = options.nickname || null;
+        this.joinedTimestamp = Date.now();
+        this.communicationDisabledUntilTimestamp = null;
+        this.roles = new FakeRoleManager(this);
+
+        for (const role of options.roles || []) {
+            const resolved = guild.roles.resolve(role);
+            if (resolved) this.roles.cache.set(resolved.id, resolved);
+        }
+    }
+
+    get displayName() {
+        return this.nickname || this.user.displayName;
+    }
+
+    get joinedAt() {
+        return new Date(this.joinedTimestamp);
+    }
+
+    get permissions() {
+        if (this.guild.ownerId === this.id) {
+            return new PermissionsBitField(PermissionsBitField.All);
+        }
+
+        const bits = this.roles.cache.reduce(
+            (total, role) => total | role.permissions.bitfield,
+            this.guild.roles.everyone.permissions.bitfield
+        );
+        return new PermissionsBitField(bits);
+    }
+
+    get kickable() {
+        return this.guild.ownerId !== this.id;
+    }
+
+    get bannable() {
+        return this.guild.ownerId !== this.id;
+    }
+
+    get moderatable() {
+        return this.guild.ownerId !== this.id;
+    }
+
+    isCommunicationDisabled() {
+        return Boolean(this.communicationDisabledUntilTimestamp && this.communicationDisabledUntilTimestamp > Date.now());
+    }
+
+    async kick(reason) {
+        this.guild.members.cache.delete(this.id);
+        this.guild.testBot.record('kick', { guildId: this.guild.id, memberId: this.id, reason });
+        return this;
+    }
+
+    async ban(options = {}) {
+        return this.guild.members.ban(this, options);
+    }
+
+    async timeout(duration, reason) {
+        this.communicationDisabledUntilTimestamp = duration ? Date.now() + duration : null;
+        this.guild.testBot.record('timeout', { guildId: this.guild.id, memberId: this.id, duration, reason });
+        return this;
+    }
+
+    async setNickname(nickname, reason) {
+        this.nickname = nickname;
+        this.guild.testBot.record('nickname', { guildId: this.guild.id, memberId: this.id, nickname, reason });
+        return this;
+    }
+
+    async send(payload) {
+        return this.user.send(payload);
+    }
+
+    toString() {
+        return `<@${this.id}>`;
+    }
+}
+
+class FakeMessage {
+    constructor(channel, options = {}) {
+        this.channel = channel;
+        this.channelId = channel.id;
+        this.guild = channel.guild || null;
+        this.guildId = this.guild?.id || null;
+        this.id = options.id || snowflake();
+        this.author = options.author;
+        this.member = this.guild?.members.cache.get(this.author.id) || null;
+        this.createdTimestamp = Date.now();
+        this.editedTimestamp = null;
+        this.pinned = false;
+        this.deleted = false;
+        this.reference = options.reference || null;
+        this.reactions = new Collection();
+        this.setPayload(options);
+    }
+
+    get createdAt() {
+        return new Date(this.createdTimestamp);
+    }
+
+    get url() {
+        return `https://discord.com/channels/${this.guildId || '@me'}/${this.channelId}/${this.id}`;
+    }
+
+    setPayload(payload) {
+        const data = normalizePayload(payload);
+        this.content = data.content;
+        this.embeds = data.embeds;
+        this.components = data.components;
+        this.flags = new MessageFlagsBitField(data.flags ?? this.flags ?? 0);
+        this.mentions = this.resolveMentions(this.content);
+    }
+
+    resolveMentions(content) {
+        const store = this.channel.testBot;
+        const ids = pattern => [...content.matchAll(pattern)].map(match => match[1]);
+
+        const users = new Collection(ids(/<@!?(\d+)>/g)
+            .map(id => store.users.get(id))
+            .filter(Boolean)
+            .map(user => [user.id, user]));
+        const roles = new Collection(ids(/<@&(\d+)>/g)
+            .map(id => this.guild?.roles.cache.get(id))
+            .filter(Boolean)
+            .map(role => [role.id, role]));
+        const channels = new Collection(ids(/<#(\d+)>/g)
+            .map(id => store.channels.get(id))
+            .filter(Boolean)
+            .map(channel => [channel.id, channel]));
+        const members = this.guild
+            ? users.mapValues(user => this.guild.members.cache.get(user.id)).filter(Boolean)
+            : new Collection();
+
+        return { users, roles, channels, members, everyone: content.includes('@everyone') };
+    }
+
+    async reply(payload) {
+        return this.channel.send({ ...normalizePayload(payload), reference: { messageId: this.id } });
+    }
+
+    async edit(payload) {
+        this.setPayload({ ...normalizePayload(payload), content: normalizePayload(payload).content || this.content });
+        this.editedTimestamp = Date.now();
+        this.channel.testBot.record('messageEdit', { channelId: this.channelId, messageId: this.id, payload: normalizePayload(payload) });
+        return this;
+    }
+
+    async delete() {
+        this.deleted = true;
+        this.channel.messages.cache.delete(this.id);
+        this.channel.testBot.record('messageDelete', { channelId: this.channelId, messageId: this.id });
+        return this;
+    }
+
+    async react(emoji) {
+        const key = String(emoji);
+        const reaction = this.reactions.get(key) || { emoji: { name: key }, count: 0, users: new Collection() };
+        reaction.count++;
+        reaction.users.set(this.channel.testBot.client.user.id, this.channel.testBot.client.user);
+        this.reactions.set(key, reaction);
+        this.channel.testBot.record('reaction', { channelId: this.channelId, messageId: this.id, emoji: key });
+        return reaction;
+    }
+
+    async pin() {
+        this.pinned = true;
+        return this;
+    }
+
+    async unpin() {
+        this.pinned = false;
+        return this;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            channelId: this.channelId,
+            authorId: this.author.id,
+            content: this.content,
+            embeds: this.embeds,
+            components: this.components
+        };
+    }
+}
+
+class FakeMessageManager extends FakeManager {
+    constructor(channel) {
+        super('Message');
+        this.channel = channel;
+    }
+
+    async fetch(options) {
+        if (typeof options === 'object' && options !== null && !options.id) {
+            const limit = options.limit || 50;
+            return new Collection([...this.cache.entries()].reverse().slice(0, limit));
+        }
+        return super.fetch(options);
+    }
+}
+
+class FakeChannel {
+    constructor(bot, guild, options = {}) {
+        Object.defineProperty(this, 'testBot', { value: bot });
+        this.guild = guild || null;
+        this.guildId = guild?.id || null;
+        this.id = options.id || snowflake();
+        this.name = options.name || 'general';
+        this.type = options.type ?? (guild ? ChannelType.GuildText : ChannelType.DM);
+        this.topic = options.topic || null;
+        this.nsfw = Boolean(options.nsfw);
+        this.parentId = options.parentId || null;
+        this.rateLimitPerUser = 0;
+        this.recipient = options.recipient || null;
+        this.messages = new FakeMessageManager(this);
+    }
+
+    isTextBased() {
+        return true;
+    }
+
+    isDMBased() {
+        return this.type === ChannelType.DM;
+    }
+
+    /**
+     * Add a message written by a user (not recorded as a bot reply)
+     */
+    createMessage(options) {
+        const message = new FakeMessage(this, options);
+        this.messages.cache.set(message.id, message);
+        return message;
+    }
+
+    async send(payload) {
+        const message = this.createMessage({ ...normalizePayload(payload), author: this.testBot.client.user });
+        this.testBot.recordMessage(message, normalizePayload(payload));
+        return message;
+    }
+
+    async bulkDelete(messages) {
+        const ids = typeof messages === 'number'
+            ? [...this.messages.cache.keys()].slice(-messages)
+            : [...(messages.keys?.() || messages)].map(item => (typeof item === 'object' ? item.id : item));
+
+        const deleted = new Collection();
+        for (const id of ids) {
+            const message = this.messages.cache.get(id);
+            if (message) {
+                this.messages.cache.delete(id);
+                deleted.set(id, message);
+            }
+        }
+        this.testBot.record('bulkDelete', { channelId: this.id, count: deleted.size });
+        return deleted;
+    }
+
+    async sendTyping() {}
+
+    async setRateLimitPerUser(seconds, reason) {
+        this.rateLimitPerUser = seconds;
+        this.testBot.record('slowmode', { channelId: this.id, seconds, reason });
+        return this;
+    }
+
+    permissionsFor() {
+        return new PermissionsBitField(PermissionsBitField.All);
+    }
+
+    toString() {
+        return `<#${this.id}>`;
+    }
+}
+
+/**
+ * Slash command, button, select menu or modal submit interaction
+ * `kind` is `command`, `button`, `select` or `modal`. Replies are sent to
+ * the channel and flagged `ephemeral` when requested.
+ */
+class FakeInteraction {
+    constructor(bot, options = {}) {
+        Object.defineProperty(this, 'testBot', { value: bot });
+        this.id = snowflake();
+        this.kind = options.kind || 'button';
+        this.customId = options.customId;
+        this.commandName = options.commandName;
+        this.user = options.user;
+        this.channel = options.channel;
+        this.channelId = this.channel.id;
+        this.guild = this.channel.guild || null;
+        this.guildId = this.guild?.id || null;
+        this.member = this.guild?.members.cache.get(this.user.id) || null;
+        this.message = options.message || null;
+        this.values = this.kind === 'select' ? [...(options.values || [])] : undefined;
+        this.replied = false;
+        this.deferred = false;
+        this.ephemeral = null;
+        this.replyMessage = null;
+        this.modal = null;
+
+        if (this.kind === 'command') {
+            const values = new Collection(Object.entries(options.options || {})
+                .map(([name, value]) => [name, { name, type: ApplicationCommandOptionType.String, value: String(value) }]));
+            this.options = {
+                get: name => values.get(name) || null
+            };
+        }
+
+        if (this.kind === 'modal') {
+            const fields = new Collection(Object.entries(options.fields || {})
+                .map(([customId, value]) => [customId, { customId, value: String(value) }]));
+            this.fields = {
+                fields,
+                getTextInputValue(customId) {
+                    const field = fields.get(customId);
+                    if (!field) throw new Error(`Bad field: ${customId}`);
+                    return field.value;
+                }
+            };
+        }
+    }
+
+    isButton() {
+        return this.kind === 'button';
+    }
+
+    isStringSelectMenu() {
+        return this.kind === 'select';
+    }
+
+    isAnySelectMenu() {
+        return this.kind === 'select';
+    }
+
+    isMessageComponent() {
+        return this.kind === 'button' || this.kind === 'select';
+    }
+
+    isModalSubmit() {
+        return this.kind === 'modal';
+    }
+
+    isFromMessage() {
+        return Boolean(this.message);
+    }
+
+    isChatInputCommand() {
+        return this.kind === 'command';
+    }
+
+    isRepliable() {
+        return true;
+    }
+
+    checkUnanswered() {
+        if (this.replied || this.deferred) {
+            throw new Error('The reply to this interaction has already been sent or deferred.');
+        }
+    }
+
+    async respond(payload) {
+        const data = normalizePayload(payload);
+        const message = await this.channel.send(data);
+        message.ephemeral = Boolean(data.ephemeral);
+        return message;
+    }
+
+    async reply(payload) {
+        this.checkUnanswered();
+        this.replied = true;
+        this.replyMessage = await this.respond(payload);
+        this.ephemeral = this.replyMessage.ephemeral;
+        return this.replyMessage;
+    }
+
+    async followUp(payload) {
+        if (!this.replied && !this.deferred) {
+            throw new Error('The reply to this interaction has not been sent or deferred.');
+        }
+        return this.respond(payload);
+    }
+
+    async deferReply(options = {}) {
+        this.checkUnanswered();
+        this.deferred = true;
+        this.ephemeral = Boolean(options.ephemeral);
+    }
+
+    async deferUpdate() {
+        this.checkUnanswered();
+        this.deferred = true;
+        this.testBot.record('deferUpdate', { customId: this.customId });
+    }
+
+    async editReply(payload) {
+        if (!this.replied && !this.deferred) {
+            throw new Error('The reply to this interaction has not been sent or deferred.');
+        }
+        this.replied = true;
+        if (this.replyMessage) return this.replyMessage.edit(payload);
+        this.replyMessage = await this.respond({ ...normalizePayload(payload), ephemeral: this.ephemeral });
+        return this.replyMessage;
+    }
+
+    async update(payload) {
+        this.checkUnanswered();
+        this.replied = true;
+        return this.message?.edit(payload);
+    }
+
+    async showModal(modal) {
+        this.checkUnanswered();
+        this.replied = true;
+        this.modal = typeof modal?.toJSON === 'function' ? modal.toJSON() : modal;
+        this.testBot.record('showModal', { customId: this.modal?.custom_id ?? this.modal?.customId, modal: this.modal });
+    }
+}
+
+class FakeGuild {
+    constructor(bot, options = {}) {
+        Object.defineProperty(this, 'testBot', { value: bot });
+        this.id = options.id || snowflake();
+        this.name = options.name || 'Test Guild';
+        this.ownerId = options.ownerId || null;
+        this.icon = null;
+        this.createdTimestamp = Date.now();
+        this.bans = new FakeManager('Ban');
+
+        this.roles = new FakeManager('Role');
+        this.roles.everyone = new FakeRole(this, { id: this.id, name: '@everyone', position: 0 });
+        this.roles.cache.set(this.id, this.roles.everyone);
+        this.roles.create = async (roleOptions = {}) => this.createRole(roleOptions);
+
+        this.channels = new FakeManager('Channel');
+        this.channels.create = async (channelOptions = {}) => this.createChannel(channelOptions);
+
+        this.members = new FakeManager('Member');
+        this.members.me = null;
+        this.members.ban = async (user, banOptions = {}) => {
+            const id = this.members.resolveId(user);
+            this.members.cache.delete(id);
+            this.bans.cache.set(id, { user: bot.users.get(id), reason: banOptions.reason || null });
+            bot.record('ban', { guildId: this.id, memberId: id, reason: banOptions.reason });
+            return id;
+        };
+        this.members.unban = async (user, reason) => {
+            const id = this.members.resolveId(user);
+            this.bans.cache.delete(id);
+            bot.record('unban', { guildId: this.id, memberId: id, reason });
+            return bot.users.get(id) || null;
+        };
+        this.members.kick = async (user, reason) => {
+            const member = this.members.resolve(user);
+            if (!member) throw new Error('Unknown Member');
+            return member.kick(reason);
+        };
+    }
+
+    get memberCount() {
+        return this.members.cache.size;
+    }
+
+    iconURL() {
+        return null;
+    }
+
+    async fetchOwner() {
+        return this.members.fetch(this.ownerId);
+    }
+
+    /**
+     * Create a role in this guild
+     * @param {Object} options Role options (name, color, permissions, ...)
+     */
+    createRole(options = {}) {
+        const role = new FakeRole(this, options);
+        this.roles.cache.set(role.id, role);
+        return role;
+    }
+
+    /**
+     * Create a channel in this guild
+     * @param {Object} options Channel options (name, type, topic, ...)
+     */
+    createChannel(options = {}) {
+        const channel = new FakeChannel(this.testBot, this, options);
+        this.channels.cache.set(channel.id, channel);
+        this.testBot.channels.set(channel.id, channel);
+        return channel;
+    }
+
+    /**
+     * Add a user to this guild
+     * @param {FakeUser} user User to add
+     * @param {Object} options Member options (roles, nickname)
+     */
+    addMember(user, options = {}) {
+        const member = new FakeMember(this, user, options);
+        this.members.cache.set(member.id, member);
+        return member;
+    }
+
+    toString() {
+        return this.name;
+    }
+}
+
+module.exports = {
+    snowflake,
+    normalizePayload,
+    FakeManager,
+    FakeUser,
+    FakeRole,
+    FakeMember,
+    FakeMessage,
+    FakeChannel,
+    FakeInteraction,
+    FakeGuild
+};